@@ -0,0 +1,38 @@
+/**
+ * Create an admin account, or promote an existing user to admin.
+ * Usage: npm run create-admin -- <email> <fullname> [password]
+ * The password is only needed for a new account.
+ */
+import mongoose from "mongoose";
+import connectDB from "../src/config/database.js";
+import userModel from "../src/model/user.model.js";
+
+const [email, fullname, password] = process.argv.slice(2);
+
+if (!email || !fullname) {
+    console.error("Usage: npm run create-admin -- <email> <fullname> [password]");
+    process.exit(1);
+}
+
+try {
+    await connectDB();
+
+    let user = await userModel.findOne({ email });
+
+    if (user) {
+        user.role = "admin";
+        await user.save();
+        console.log(`${email} is now an admin`);
+    } else {
+        if (!password || password.length < 6) {
+            throw new Error("A password of at least 6 characters is required for a new account");
+        }
+        user = await userModel.create({ email, fullname, password, role: "admin" });
+        console.log(`Admin ${email} created`);
+    }
+} catch (error) {
+    console.error("Failed to create admin:", error.message);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,54 @@
+/**
+ * Create the default navigation categories. Categories that already exist (same slug) are left as they are.
+ * Usage: npm run seed-categories
+ */
+import mongoose from "mongoose";
+import connectDB from "../src/config/database.js";
+import CategoryModel from "../src/model/category.model.js";
+import { slugify } from "../src/services/category.service.js";
+
+const DEFAULT_CATEGORIES = {
+    Men: ["Shirts", "T-Shirts", "Trousers", "Jackets"],
+    Women: ["Dresses", "Tops", "Trousers", "Jackets"],
+    Accessories: ["Bags", "Belts", "Jewellery"]
+};
+
+/**
+ * @description Find a category by slug or create it under the given parent
+ */
+
+async function findOrCreate(name, slug, parent, sortOrder) {
+    const existing = await CategoryModel.findOne({ slug });
+    if (existing) return existing;
+
+    const category = await CategoryModel.create({
+        name,
+        slug,
+        parent: parent?._id || null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        sortOrder
+    });
+    console.log(`Created ${slug}`);
+
+    return category;
+}
+
+try {
+    await connectDB();
+
+    const roots = Object.entries(DEFAULT_CATEGORIES);
+
+    for (const [rootIndex, [rootName, children]] of roots.entries()) {
+        const root = await findOrCreate(rootName, slugify(rootName), null, rootIndex);
+
+        for (const [index, name] of children.entries()) {
+            // "Trousers" exists under Men and Women, the slug keeps them apart
+            await findOrCreate(name, slugify(`${rootName} ${name}`), root, index);
+        }
+    }
+} catch (error) {
+    console.error("Failed to seed categories:", error.message);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
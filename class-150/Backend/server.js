@@ -1,16 +1,33 @@
 import dotenv from "dotenv";
+import http from "http";
 import app from "./src/app.js";
 import  connectDB  from "./src/config/database.js";
+import { startReservationSweeper } from "./src/services/inventory.service.js";
+import { loadExchangeRates } from "./src/services/currency.service.js";
+import { loadShippingRatesFromFile } from "./src/services/shipping.service.js";
+import { verifyMailTransport } from "./src/services/mail.service.js";
+import { startRecommendationJob } from "./src/services/recommendation.service.js";
+import { initSocket } from "./src/sockets/server.socket.js";
+import { config } from "./src/config/config.js";
 
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
 
+const httpServer = http.createServer(app);
+
+initSocket(httpServer);
+
 const startServer = async () => {
     try {
         await connectDB();
+        startReservationSweeper();
+        startRecommendationJob();
+        await loadExchangeRates(config.EXCHANGE_RATES_FILE);
+        await loadShippingRatesFromFile(config.SHIPPING_RATES_FILE);
+        await verifyMailTransport();
 
-        app.listen(PORT, () => {
+        httpServer.listen(PORT, () => {
             console.log(`Server is running on port ${PORT} `)
         });
     } catch (error) {
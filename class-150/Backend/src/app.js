@@ -3,6 +3,20 @@ import cookieParser from "cookie-parser";
 import morgan from "morgan";
 import authRouter from "./routes/auth.routes.js"
 import productRouter from "./routes/product.routes.js"
+import reviewRouter from "./routes/review.routes.js"
+import cartRouter from "./routes/cart.routes.js"
+import orderRouter from "./routes/order.routes.js"
+import paymentRouter from "./routes/payment.routes.js"
+import userRouter from "./routes/user.routes.js"
+import sellerRouter from "./routes/seller.routes.js"
+import currencyRouter from "./routes/currency.routes.js"
+import couponRouter from "./routes/coupon.routes.js"
+import adminRouter from "./routes/admin.routes.js"
+import categoryRouter from "./routes/category.routes.js"
+import shippingRouter from "./routes/shipping.routes.js"
+import storeRouter from "./routes/store.routes.js"
+import returnRouter from "./routes/return.routes.js"
+import { notFoundHandler, errorHandler } from "./middleware/error.middleware.js";
 import cors from "cors";
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20"
@@ -11,12 +25,15 @@ import { config } from "./config/config.js";
 const app = express();
 
 app.use(morgan("dev"));
-app.use(express.json());
+app.use(express.json({
+    // keep the raw body, payment webhooks are signed over the exact bytes
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(cors({
     origin: "http://localhost:5173",
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true
 }));
 
@@ -30,11 +47,31 @@ passport.use(new GoogleStrategy({
     return done(null, profile);
 }));
 
+// files of the local storage provider
+app.use("/uploads", express.static(config.UPLOAD_DIR, { fallthrough: false, index: false }));
+
 app.get("/", (req, res) => {
     res.status(200).json({ message: " Server is running" })
 });
 
 app.use("/api/auth", authRouter);
 app.use("/api/products",productRouter );
+app.use("/api/products/:productId/reviews", reviewRouter);
+app.use("/api/cart", cartRouter);
+app.use("/api/orders", orderRouter);
+app.use("/api/payments", paymentRouter);
+app.use("/api/users", userRouter);
+app.use("/api/seller", sellerRouter);
+app.use("/api/currency", currencyRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/shipping", shippingRouter);
+app.use("/api/sellers", storeRouter);
+app.use("/api/returns", returnRouter);
+
+// every error of the routes above ends up here, see errors/app.errors.js for the response body
+app.use("/api", notFoundHandler);
+app.use(errorHandler);
 
 export default app;
\ No newline at end of file
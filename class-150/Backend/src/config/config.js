@@ -33,6 +33,29 @@ export const config = {
     GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
     NODE_ENV: process.env.NODE_ENV || "development", 
     IMAGEKIT_PRIVATE_KEY: process.env.IMAGEKIT_PRIVATE_KEY,
+    RESERVATION_TTL_MINUTES: Number(process.env.RESERVATION_TTL_MINUTES) || 15,
+    PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || "fake",
+    PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || "fake_webhook_secret",
+    EXCHANGE_RATES_FILE: process.env.EXCHANGE_RATES_FILE || "src/config/exchangeRates.json",
+    SHIPPING_RATES_FILE: process.env.SHIPPING_RATES_FILE || "src/config/shippingRates.json",
+    CLIENT_URL: process.env.CLIENT_URL || "http://localhost:5173",
+    PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    // smtp | file | memory, development writes the emails to MAIL_FILE_DIR instead of sending them
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "file"),
+    MAIL_FROM: process.env.MAIL_FROM || '"Snitch" <no-reply@snitch.local>',
+    MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || "mail-outbox",
+    SMTP_HOST: process.env.SMTP_HOST || "localhost",
+    SMTP_PORT: Number(process.env.SMTP_PORT) || 1025,
+    SMTP_SECURE: process.env.SMTP_SECURE === "true",
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASS: process.env.SMTP_PASS,
+    // local | imagekit, development stores the uploads in UPLOAD_DIR and app.js serves them under /uploads
+    STORAGE_PROVIDER: process.env.STORAGE_PROVIDER || (process.env.NODE_ENV === "production" ? "imagekit" : "local"),
+    UPLOAD_DIR: process.env.UPLOAD_DIR || "uploads",
+    UPLOAD_BASE_URL: process.env.UPLOAD_BASE_URL || "http://localhost:3000/uploads",
+    RECOMMENDATIONS_INTERVAL_MINUTES: Number(process.env.RECOMMENDATIONS_INTERVAL_MINUTES) || 60,
+    // days after delivery a buyer can open a return
+    RETURN_WINDOW_DAYS: Number(process.env.RETURN_WINDOW_DAYS) || 30,
 
 
 }
\ No newline at end of file
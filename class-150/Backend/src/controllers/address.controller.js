@@ -0,0 +1,160 @@
+import { NotFoundError } from "../errors/app.errors.js";
+
+// Address fields saved in the address book
+const ADDRESS_FIELDS = ["label", "fullname", "phone", "line1", "line2", "city", "state", "postalCode", "country"];
+
+/**
+ * @description Helper function to pick the address fields out of the request body
+ */
+
+function pickAddressFields(body) {
+    return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, body[field]]));
+}
+
+/**
+ * @description Helper function to make one address the default, and only that one
+ */
+
+function setDefaultAddress(user, address) {
+    user.addresses.forEach(item => {
+        item.isDefault = item._id.equals(address._id);
+    });
+}
+
+/**
+ * @description Helper function to list the addresses, default first
+ */
+
+function sortAddresses(addresses) {
+    return [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+}
+
+
+/**
+ * @desc Get the saved addresses of the logged in user, default first
+ * @route GET /api/users/me/addresses
+ * @access Private
+ */
+
+export const getAddresses = async (req, res) => {
+    return res.status(200).json({
+        message: "Addresses retrieved successfully",
+        success: true,
+        addresses: sortAddresses(req.user.addresses)
+    });
+}
+
+/**
+ * @desc Save an address. The first address is the default one.
+ * @route POST /api/users/me/addresses
+ * @access Private
+ * @body { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }
+ */
+
+export const addAddress = async (req, res) => {
+    const user = req.user;
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (req.body.isDefault || user.addresses.length === 1) {
+        setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    return res.status(201).json({
+        message: "Address saved successfully",
+        success: true,
+        address,
+        addresses: sortAddresses(user.addresses)
+    });
+}
+
+/**
+ * @desc Replace a saved address
+ * @route PUT /api/users/me/addresses/:addressId
+ * @access Private
+ * @body { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }
+ */
+
+export const updateAddress = async (req, res) => {
+    const user = req.user;
+
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+        throw new NotFoundError("Address not found");
+    }
+
+    address.set(pickAddressFields(req.body));
+
+    if (req.body.isDefault) {
+        setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+        message: "Address updated successfully",
+        success: true,
+        address,
+        addresses: sortAddresses(user.addresses)
+    });
+}
+
+/**
+ * @desc Make a saved address the default one
+ * @route PATCH /api/users/me/addresses/:addressId/default
+ * @access Private
+ */
+
+export const makeDefaultAddress = async (req, res) => {
+    const user = req.user;
+
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+        throw new NotFoundError("Address not found");
+    }
+
+    setDefaultAddress(user, address);
+    await user.save();
+
+    return res.status(200).json({
+        message: "Default address updated successfully",
+        success: true,
+        addresses: sortAddresses(user.addresses)
+    });
+}
+
+/**
+ * @desc Delete a saved address. When it was the default, the oldest remaining address becomes the default.
+ * @route DELETE /api/users/me/addresses/:addressId
+ * @access Private
+ */
+
+export const deleteAddress = async (req, res) => {
+    const user = req.user;
+
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+        throw new NotFoundError("Address not found");
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+
+    if (wasDefault && user.addresses.length > 0) {
+        setDefaultAddress(user, user.addresses[0]);
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+        message: "Address deleted successfully",
+        success: true,
+        addresses: sortAddresses(user.addresses)
+    });
+}
@@ -0,0 +1,352 @@
+import userModel from "../model/user.model.js";
+import ProductModel from "../model/product.model.js";
+import OrderModel from "../model/order.model.js";
+import { publishProductUpdate } from "../services/productUpdates.service.js";
+import { changeOrderStatus } from "../services/order.service.js";
+import { BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+
+/**
+ * @description Helper function to read page / limit query params
+ */
+
+function getPagination(query) {
+    const page = Number(query.page) || 1;
+    const limit = Number(query.limit) || DEFAULT_PAGE_SIZE;
+
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * @description Helper function to record who reviewed a seller and why
+ */
+
+function setSellerReview(user, admin, note) {
+    user.sellerReview.reviewedAt = new Date();
+    user.sellerReview.reviewedBy = admin._id;
+    user.sellerReview.note = note;
+}
+
+
+/**
+ * @desc List seller applications and sellers
+ * @route GET /api/admin/sellers
+ * @access Private (Admin only)
+ * @query { status, page, limit }
+ */
+
+export const getSellers = async (req, res) => {
+    const { status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    let filter = { $or: [{ role: "seller" }, { sellerStatus: { $ne: null } }] };
+
+    if (status === "approved") {
+        // sellers registered before applications existed have no status
+        filter = { role: "seller", sellerStatus: { $in: ["approved", null] } };
+    } else if (status) {
+        filter = { sellerStatus: status };
+    }
+
+    const [sellers, total] = await Promise.all([
+        userModel.find(filter, "-password")
+            .sort({ "sellerReview.appliedAt": -1, _id: -1 })
+            .skip(skip)
+            .limit(limit),
+        userModel.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+        message: "Sellers retrieved successfully",
+        success: true,
+        sellers,
+        pagination: { page, limit, total }
+    });
+}
+
+/**
+ * @desc Approve a seller application, the user can start selling
+ * @route PATCH /api/admin/sellers/:id/approve
+ * @access Private (Admin only)
+ * @body { note }
+ */
+
+export const approveSeller = async (req, res) => {
+    const { id } = req.params;
+
+    const user = await userModel.findById(id, "-password");
+
+    if (!user || !["pending", "rejected"].includes(user.sellerStatus)) {
+        throw new NotFoundError("Seller application not found");
+    }
+
+    user.role = "seller";
+    user.sellerStatus = "approved";
+    setSellerReview(user, req.user, req.body.note);
+    await user.save();
+
+    return res.status(200).json({
+        message: "Seller approved successfully",
+        success: true,
+        seller: user
+    });
+}
+
+/**
+ * @desc Reject a pending seller application
+ * @route PATCH /api/admin/sellers/:id/reject
+ * @access Private (Admin only)
+ * @body { note }
+ */
+
+export const rejectSeller = async (req, res) => {
+    const { id } = req.params;
+
+    const user = await userModel.findById(id, "-password");
+
+    if (!user || user.sellerStatus !== "pending") {
+        throw new NotFoundError("Seller application not found");
+    }
+
+    user.sellerStatus = "rejected";
+    setSellerReview(user, req.user, req.body.note);
+    await user.save();
+
+    return res.status(200).json({
+        message: "Seller application rejected",
+        success: true,
+        seller: user
+    });
+}
+
+/**
+ * @desc Suspend a seller. Their products are hidden until the seller is reinstated.
+ * @route PATCH /api/admin/sellers/:id/suspend
+ * @access Private (Admin only)
+ * @body { note }
+ */
+
+export const suspendSeller = async (req, res) => {
+    const { id } = req.params;
+
+    const user = await userModel.findById(id, "-password");
+
+    if (!user || user.role !== "seller") {
+        throw new NotFoundError("Seller not found");
+    }
+
+    if (user.sellerStatus === "suspended") {
+        throw new BadRequestError("Seller is already suspended");
+    }
+
+    user.sellerStatus = "suspended";
+    setSellerReview(user, req.user, req.body.note);
+    await user.save();
+
+    const { modifiedCount } = await ProductModel.updateMany(
+        { seller: user._id, published: { $ne: false } },
+        {
+            published: false,
+            moderation: {
+                reason: "Seller suspended",
+                unpublishedAt: new Date(),
+                unpublishedBy: req.user._id,
+                sellerSuspended: true
+            }
+        }
+    );
+    publishProductUpdate(...await ProductModel.distinct("_id", { seller: user._id }));
+
+    return res.status(200).json({
+        message: "Seller suspended successfully",
+        success: true,
+        seller: user,
+        unpublishedProducts: modifiedCount
+    });
+}
+
+/**
+ * @desc Lift a seller suspension. Products hidden by the suspension are published again,
+ * products an admin unpublished on their own stay hidden.
+ * @route PATCH /api/admin/sellers/:id/reinstate
+ * @access Private (Admin only)
+ * @body { note }
+ */
+
+export const reinstateSeller = async (req, res) => {
+    const { id } = req.params;
+
+    const user = await userModel.findById(id, "-password");
+
+    if (!user || user.sellerStatus !== "suspended") {
+        throw new NotFoundError("Suspended seller not found");
+    }
+
+    user.sellerStatus = "approved";
+    setSellerReview(user, req.user, req.body.note);
+    await user.save();
+
+    const { modifiedCount } = await ProductModel.updateMany(
+        { seller: user._id, published: false, "moderation.sellerSuspended": true },
+        { published: true, $unset: { moderation: 1 } }
+    );
+    publishProductUpdate(...await ProductModel.distinct("_id", { seller: user._id }));
+
+    return res.status(200).json({
+        message: "Seller reinstated successfully",
+        success: true,
+        seller: user,
+        republishedProducts: modifiedCount
+    });
+}
+
+/**
+ * @desc Hide a product from buyers
+ * @route PATCH /api/admin/products/:id/unpublish
+ * @access Private (Admin only)
+ * @body { reason }
+ */
+
+export const unpublishProduct = async (req, res) => {
+    const { id } = req.params;
+
+    const product = await ProductModel.findByIdAndUpdate(
+        id,
+        {
+            published: false,
+            moderation: {
+                reason: req.body.reason,
+                unpublishedAt: new Date(),
+                unpublishedBy: req.user._id,
+                sellerSuspended: false
+            }
+        },
+        { returnDocument: "after" }
+    );
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product unpublished successfully",
+        success: true,
+        product
+    });
+}
+
+/**
+ * @desc Publish a product again. Products of suspended sellers stay hidden.
+ * @route PATCH /api/admin/products/:id/publish
+ * @access Private (Admin only)
+ */
+
+export const publishProduct = async (req, res) => {
+    const { id } = req.params;
+
+    const product = await ProductModel.findById(id).populate("seller", "sellerStatus");
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    if (product.seller?.sellerStatus === "suspended") {
+        throw new BadRequestError("The seller of this product is suspended");
+    }
+
+    product.published = true;
+    product.moderation = undefined;
+    await product.save();
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product published successfully",
+        success: true,
+        product
+    });
+}
+
+/**
+ * @desc Get the orders of the whole marketplace, newest first
+ * @route GET /api/admin/orders
+ * @access Private (Admin only)
+ * @query { status, buyer, seller, page, limit }
+ */
+
+export const getAllOrders = async (req, res) => {
+    const { status, buyer, seller } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (buyer) filter.buyer = buyer;
+    if (seller) filter.sellers = seller;
+
+    const [orders, total] = await Promise.all([
+        OrderModel.find(filter)
+            .populate("buyer", "fullname email")
+            .populate("sellers", "fullname email")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        OrderModel.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+        message: "Orders retrieved successfully",
+        success: true,
+        orders,
+        pagination: { page, limit, total }
+    });
+}
+
+/**
+ * @desc Get any order with its buyer and sellers
+ * @route GET /api/admin/orders/:id
+ * @access Private (Admin only)
+ */
+
+export const getOrderById = async (req, res) => {
+    const { id } = req.params;
+
+    const order = await OrderModel.findById(id)
+        .populate("buyer", "fullname email contact")
+        .populate("sellers", "fullname email contact");
+
+    if (!order) {
+        throw new NotFoundError("Order not found");
+    }
+
+    return res.status(200).json({
+        message: "Order retrieved successfully",
+        success: true,
+        order
+    });
+}
+
+/**
+ * @desc Move any order to the next status. Cancelling a paid order refunds the whole payment.
+ * @route PATCH /api/admin/orders/:id/status
+ * @access Private (Admin only)
+ * @body { status } - shipped, delivered or cancelled
+ */
+
+export const updateOrderStatus = async (req, res) => {
+    const order = await OrderModel.findById(req.params.id);
+
+    if (!order) {
+        throw new NotFoundError("Order not found");
+    }
+
+    const updated = await changeOrderStatus(order, req.body.status, req.user._id);
+
+    return res.status(200).json({
+        message: "Order status updated successfully",
+        success: true,
+        order: updated
+    });
+}
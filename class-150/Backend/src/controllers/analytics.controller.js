@@ -0,0 +1,147 @@
+import {
+    getRevenueOverTime,
+    getUnitsSoldPerVariant,
+    getTopProducts,
+    getLowStockVariants,
+    DEFAULT_LOW_STOCK_THRESHOLD
+} from "../services/analytics.service.js";
+
+// Without a date range the dashboard shows the last 30 days
+const DEFAULT_RANGE_DAYS = 30;
+
+// A date without a time, e.g. 2024-05-31
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+/**
+ * @description Helper function to read the date range of an analytics request.
+ * A `to` without a time includes that whole day (UTC).
+ */
+
+function getDateRange(query) {
+    let to = query.to ? new Date(query.to) : new Date();
+
+    if (query.to && DATE_ONLY_PATTERN.test(query.to)) {
+        to = new Date(to.getTime() + DAY_MS - 1);
+    }
+
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    return { from, to };
+}
+
+
+/**
+ * @desc Everything the seller dashboard needs in one request
+ * @route GET /api/seller/analytics
+ * @access Private (Seller only)
+ * @query { from, to, interval, threshold }
+ */
+
+export const getSellerAnalytics = async (req, res) => {
+    const sellerId = req.user._id;
+    const range = getDateRange(req.query);
+    const interval = req.query.interval || "day";
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_LOW_STOCK_THRESHOLD;
+
+    const [revenue, variants, topProducts, lowStock] = await Promise.all([
+        getRevenueOverTime(sellerId, { ...range, interval }),
+        getUnitsSoldPerVariant(sellerId, range),
+        getTopProducts(sellerId, range),
+        getLowStockVariants(sellerId, { threshold })
+    ]);
+
+    return res.status(200).json({
+        message: "Analytics retrieved successfully",
+        success: true,
+        range,
+        analytics: { revenue, variants, topProducts, lowStock }
+    });
+}
+
+/**
+ * @desc Revenue, units and orders per day / week / month
+ * @route GET /api/seller/analytics/revenue
+ * @access Private (Seller only)
+ * @query { from, to, interval }
+ */
+
+export const getRevenueAnalytics = async (req, res) => {
+    const range = getDateRange(req.query);
+
+    const revenue = await getRevenueOverTime(req.user._id, { ...range, interval: req.query.interval || "day" });
+
+    return res.status(200).json({
+        message: "Revenue retrieved successfully",
+        success: true,
+        range,
+        revenue
+    });
+}
+
+/**
+ * @desc Units sold per variant
+ * @route GET /api/seller/analytics/variants
+ * @access Private (Seller only)
+ * @query { from, to }
+ */
+
+export const getVariantAnalytics = async (req, res) => {
+    const range = getDateRange(req.query);
+
+    const variants = await getUnitsSoldPerVariant(req.user._id, range);
+
+    return res.status(200).json({
+        message: "Variant sales retrieved successfully",
+        success: true,
+        range,
+        variants
+    });
+}
+
+/**
+ * @desc Top products by revenue or units sold
+ * @route GET /api/seller/analytics/top-products
+ * @access Private (Seller only)
+ * @query { from, to, by, limit }
+ */
+
+export const getTopProductAnalytics = async (req, res) => {
+    const range = getDateRange(req.query);
+
+    const topProducts = await getTopProducts(req.user._id, {
+        ...range,
+        by: req.query.by,
+        limit: Number(req.query.limit) || 5
+    });
+
+    return res.status(200).json({
+        message: "Top products retrieved successfully",
+        success: true,
+        range,
+        topProducts
+    });
+}
+
+/**
+ * @desc Variants running low on stock
+ * @route GET /api/seller/analytics/low-stock
+ * @access Private (Seller only)
+ * @query { threshold }
+ */
+
+export const getLowStockAlerts = async (req, res) => {
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_LOW_STOCK_THRESHOLD;
+
+    const lowStock = await getLowStockVariants(req.user._id, { threshold });
+
+    return res.status(200).json({
+        message: "Low stock variants retrieved successfully",
+        success: true,
+        threshold,
+        lowStock
+    });
+}
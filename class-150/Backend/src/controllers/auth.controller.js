@@ -2,6 +2,107 @@ import { config } from "../config/config.js";
 import userModel from "../model/user.model.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import passport from "passport";
+import OrderModel from "../model/order.model.js";
+import ProductModel from "../model/product.model.js";
+import CartModel from "../model/cart.model.js";
+import WishlistModel from "../model/wishlist.model.js";
+import NotificationModel from "../model/notification.model.js";
+import SellerProfileModel from "../model/sellerProfile.model.js";
+import ReturnRequestModel from "../model/returnRequest.model.js";
+import { deleteImages } from "../services/storage.service.js";
+import { sendTemplateEmail } from "../services/mail.service.js";
+import { BadRequestError, ConflictError } from "../errors/app.errors.js";
+
+// Orders in these states still need the buyer / seller account
+const OPEN_ORDER_STATUSES = ["pending", "paid", "shipped"];
+
+// Google redirects back cross-site, so the strict auth cookie is not sent on the callback.
+// Linking passes the user in a short lived signed OAuth state instead, bound to the browser
+// that started it by a nonce in a lax cookie, which is sent on the redirect back.
+const GOOGLE_LINK_PURPOSE = "link-google";
+const GOOGLE_LINK_STATE_TTL = "10m";
+const GOOGLE_LINK_NONCE_COOKIE = "googleLinkNonce";
+const GOOGLE_LINK_NONCE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/api/auth/google"
+};
+
+const TOKEN_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict"
+};
+
+/**
+ * @description Helper function to sign a JWT, the token version lets a password change log out other sessions
+ */
+
+function signToken(user) {
+    return jwt.sign({
+        id: user._id,
+        tokenVersion: user.tokenVersion ?? 0
+    }, config.JWT_SECRET, {
+        expiresIn: "7d"
+    });
+}
+
+/**
+ * @description Helper function to hash a password reset token, only the hash is stored
+ */
+
+function hashResetToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * @description Helper function to list the ways a user can sign in
+ */
+
+function getLinkedProviders(user) {
+    return [
+        ...(user.password ? ["password"] : []),
+        ...(user.googleID ? ["google"] : [])
+    ];
+}
+
+/**
+ * @description Helper function to read the user id out of a Google link state, null when it is not a valid one
+ * or was not started by this browser (the nonce of the state and of the cookie differ)
+ */
+
+function readGoogleLinkState(state, nonce) {
+    if (!state || !nonce) return null;
+
+    try {
+        const decoded = jwt.verify(state, config.JWT_SECRET);
+        return decoded.purpose === GOOGLE_LINK_PURPOSE && decoded.nonce === nonce ? decoded.id : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @description Helper function to pick the user fields sent to the client
+ */
+
+function toAuthUser(user) {
+    return {
+        id: user._id,
+        email: user.email,
+        fullname: user.fullname,
+        contact: user.contact,
+        role: user.role,
+        sellerStatus: user.sellerStatus,
+        preferredCurrency: user.preferredCurrency,
+        hasPassword: Boolean(user.password),
+        providers: getLinkedProviders(user),
+        roleSelectionPending: Boolean(user.roleSelectionPending)
+    };
+}
 
 /**
  * @description Helper function to generate JWT token, set cookie and send response
@@ -9,30 +110,17 @@ import bcrypt from "bcrypt";
 
 async function sendTokenResponse(user, res, message) {
 
-    const token = jwt.sign({
-        id: user._id
-    },
-        config.JWT_SECRET, {
-        expiresIn: "7d"
-    });
+    const token = signToken(user);
 
     res.cookie("token", token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: "strict",
+        ...TOKEN_COOKIE_OPTIONS,
         maxAge: 7 * 24 * 60 * 60 * 1000    // 7 days
     });
 
     res.status(200).json({
         success: true,
         message, //  dynamic
-        user: {
-            id: user._id,
-            email: user.email,
-            fullname: user.fullname,
-            contact: user.contact,
-            role: user.role
-        }
+        user: toAuthUser(user)
     });
 }
 
@@ -43,31 +131,35 @@ async function sendTokenResponse(user, res, message) {
 
 export const registerUser = async (req, res) => {
     const { email, password, fullname, contact, isSeller } = req.body;
-    try {
-        const existingUser = await userModel.findOne({
-            $or: [
-                { email },
-                { contact }
-            ]
-        });
+    const existingUser = await userModel.findOne({
+        $or: [
+            { email },
+            { contact }
+        ]
+    });
 
-        if (existingUser) {
-            return res.status(400).json({ message: "User with this email or contact already exists" });
-        }
+    if (existingUser) {
+        throw new ConflictError("User with this email or contact already exists");
+    }
 
-        const user = await userModel.create({
-            email,
-            password,
-            fullname,
-            contact,
-            role: isSeller ? "seller" : "buyer"
-        });
+    const user = await userModel.create({
+        email,
+        password,
+        fullname,
+        contact,
+        // selling starts once an admin approves the application
+        role: "buyer",
+        sellerStatus: isSeller ? "pending" : null,
+        sellerReview: isSeller ? { appliedAt: new Date() } : undefined
+    });
 
-        await sendTokenResponse(user, res, "Registration successful");
+    // not awaited, the email must not hold up or fail the registration
+    sendTemplateEmail(user.email, "registration", { user });
+
+    await sendTokenResponse(user, res, isSeller
+        ? "Registration successful, your seller application is pending review"
+        : "Registration successful");
 
-    } catch (error) {
-        res.status(500).json({ message: "Server error", error: error.message });
-    }
 }
 
 /**
@@ -76,80 +168,465 @@ export const registerUser = async (req, res) => {
  */
 
 export const loginUser = async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await userModel.findOne({ email });
+
+    if (!user) {
+        throw new BadRequestError("Invalid email or password", { code: "INVALID_CREDENTIALS" });
+    }
+
+    if (!user.password) {
+        throw new BadRequestError("This account signs in with Google", { code: "GOOGLE_ACCOUNT" });
+    }
+
+    // ✅ FIX 1: use bcrypt
+    const isMatch = await bcrypt.compare(password, user.password);
+
+    if (!isMatch) {
+        throw new BadRequestError("Invalid email or password", { code: "INVALID_CREDENTIALS" });
+    }
+
+    // ✅ FIX 2: actually CALL the function
+    await sendTokenResponse(user, res, "Login successful");
+
+};
+
+
+/**
+ * @desc Google OAuth callback. Links Google to the logged in account when started from /google/link,
+ * otherwise signs in the account linked to this Google account or signs up a new one.
+ * An existing account with the same email is never signed in through an unlinked Google account.
+ * @route GET /api/auth/google/callback
+ * @access Public
+ */
+
+export const googleCallback = async (req, res) => {
+    const { id, displayName, emails } = req.user;
+
+    const email = emails[0].value;
+
     try {
-        const { email, password } = req.body;
+        const linkUserId = readGoogleLinkState(req.query.state, req.cookies[GOOGLE_LINK_NONCE_COOKIE]);
 
-        const user = await userModel.findOne({ email });
+        res.clearCookie(GOOGLE_LINK_NONCE_COOKIE, GOOGLE_LINK_NONCE_COOKIE_OPTIONS);
 
-        if (!user) {
-            return res.status(400).json({ message: "Invalid email or password" });
+        if (linkUserId) {
+            const owner = await userModel.findOne({ googleID: id }, "_id");
+
+            if (owner && !owner._id.equals(linkUserId)) {
+                return res.redirect(`${config.CLIENT_URL}/account?error=google_in_use`);
+            }
+
+            const linked = await userModel.updateOne({ _id: linkUserId }, { googleID: id });
+
+            if (linked.matchedCount === 0) {
+                return res.redirect(`${config.CLIENT_URL}/login`);
+            }
+
+            return res.redirect(`${config.CLIENT_URL}/account?linked=google`);
         }
 
-        // ✅ FIX 1: use bcrypt
-        const isMatch = await bcrypt.compare(password, user.password);
+        let user = await userModel.findOne({ googleID: id });
+        let isNewUser = false;
+
+        if (!user) {
+            if (await userModel.exists({ email })) {
+                return res.redirect(`${config.CLIENT_URL}/login?error=google_not_linked`);
+            }
+
+            user = await userModel.create({
+                email,
+                googleID: id,
+                fullname: displayName,
+                roleSelectionPending: true
+            });
+            isNewUser = true;
 
-        if (!isMatch) {
-            return res.status(400).json({ message: "Invalid email or password" });
+            sendTemplateEmail(user.email, "registration", { user });
         }
 
-        // ✅ FIX 2: actually CALL the function
-        await sendTokenResponse(user, res, "Login successful");
+        const token = signToken(user);
+
+        res.cookie("token", token, {
+            ...TOKEN_COOKIE_OPTIONS,
+            maxAge: 7 * 24 * 60 * 60 * 1000    // 7 days
+        });
 
+        res.redirect(isNewUser ? `${config.CLIENT_URL}/welcome` : config.CLIENT_URL)
     } catch (error) {
         console.error(error);
-        res.status(500).json({ message: "Server error" });
+        res.redirect(`${config.CLIENT_URL}/login?error=google_failed`);
     }
-};
+}
 
+/**
+ * @desc Start linking a Google account to the logged in account
+ * @route GET /api/auth/google/link
+ * @access Private
+ */
 
-export const googleCallback = async (req, res) => {
-    const { id, displayName, emails, photos } = req.user;
+export const startGoogleLink = (req, res, next) => {
+    const nonce = crypto.randomBytes(32).toString("hex");
 
-    const email = emails[0].value;
-    const profilePic = photos[0].value;
+    const state = jwt.sign({ id: req.user._id, purpose: GOOGLE_LINK_PURPOSE, nonce }, config.JWT_SECRET, {
+        expiresIn: GOOGLE_LINK_STATE_TTL
+    });
 
-    let user = await userModel.findOne({ email });
+    res.cookie(GOOGLE_LINK_NONCE_COOKIE, nonce, {
+        ...GOOGLE_LINK_NONCE_COOKIE_OPTIONS,
+        maxAge: 10 * 60 * 1000    // 10 minutes, like the state
+    });
 
-    if (!user) {
-        user = await userModel.create({
-            email,
-            googleID: id,
-            fullname: displayName,
+    return passport.authenticate("google", { scope: ["profile", "email"], state, session: false })(req, res, next);
+}
+
+
+export const getCurrentUser = async (req, res) => {
+    const user = req.user;
+
+    res.status(200).json({
+        message: "User details fetched successfully",
+        success: true,
+        user: toAuthUser(user)
+    });
+}
+
+
+/**
+ * @desc Log out of this browser
+ * @route POST /api/auth/logout
+ * @access Public
+ */
+
+export const logoutUser = async (req, res) => {
+    res.clearCookie("token", TOKEN_COOKIE_OPTIONS);
+
+    return res.status(200).json({ message: "Logged out successfully", success: true });
+}
+
+/**
+ * @desc Log out of every browser and device, existing tokens stop working
+ * @route POST /api/auth/logout-all
+ * @access Private
+ */
+
+export const logoutEverywhere = async (req, res) => {
+    const user = req.user;
+
+    user.invalidateSessions();
+    await user.save();
+
+    res.clearCookie("token", TOKEN_COOKIE_OPTIONS);
+
+    return res.status(200).json({ message: "Logged out of all sessions", success: true });
+}
+
+/**
+ * @desc Change the password. Other sessions are logged out, this one gets a new token.
+ * @route PATCH /api/auth/password
+ * @access Private
+ * @body { currentPassword, newPassword }
+ */
+
+export const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (!user.password) {
+        throw new BadRequestError("Your account signs in with Google, add a password from your account settings");
+    }
+
+    if (!currentPassword || !await user.comparePassword(currentPassword)) {
+        throw new BadRequestError("Current password is incorrect");
+    }
+
+    user.password = newPassword;
+    user.invalidateSessions();
+    await user.save();
+
+    await sendTokenResponse(user, res, "Password changed successfully");
+}
+
+/**
+ * @desc Email a password reset link. The response is the same whether the email is registered or not.
+ * @route POST /api/auth/password/forgot
+ * @access Public
+ * @body { email }
+ */
+
+export const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    const user = await userModel.findOne({ email });
+
+    if (user) {
+        const token = crypto.randomBytes(32).toString("hex");
+
+        user.passwordReset = {
+            tokenHash: hashResetToken(token),
+            expiresAt: new Date(Date.now() + config.PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        };
+        await user.save();
+
+        sendTemplateEmail(user.email, "passwordReset", {
+            user,
+            resetUrl: `${config.CLIENT_URL}/reset-password?token=${token}`,
+            expiresInMinutes: config.PASSWORD_RESET_TTL_MINUTES
         });
     }
 
-    const token = jwt.sign({
-        id: user._id,
-    }, config.JWT_SECRET, {
-        expiresIn: "7d"
-    })
+    return res.status(200).json({
+        message: "If an account exists for this email, a password reset link is on its way",
+        success: true
+    });
+}
 
-    res.cookie("token", token)
+/**
+ * @desc Set a new password with the token from the reset email. The token works once and every session is logged out.
+ * @route POST /api/auth/password/reset
+ * @access Public
+ * @body { token, password }
+ */
 
-    res.redirect("http://localhost:5173")
+export const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await userModel.findOne({
+        "passwordReset.tokenHash": hashResetToken(token),
+        "passwordReset.expiresAt": { $gt: new Date() }
+    });
 
+    if (!user) {
+        throw new BadRequestError("This reset link is invalid or has expired");
+    }
+
+    user.password = password;
+    user.passwordReset = undefined;
+    user.invalidateSessions();
+    await user.save();
+
+    res.clearCookie("token", TOKEN_COOKIE_OPTIONS);
+
+    return res.status(200).json({ message: "Password reset successfully, please log in", success: true });
 }
 
+/**
+ * @desc Update the profile. Changing the email needs the current password when the account has one.
+ * @route PATCH /api/auth/me
+ * @access Private
+ * @body { fullname, contact, email, currentPassword }
+ */
 
-export const getCurrentUser = async (req, res) => {
-    try {
-        const user = req.user;
-
-        res.status(200).json({
-            message: "User details fetched successfully",
-            success: true,
-            user: {
-                id: user._id,
-                email: user.email,
-                fullname: user.fullname,
-                contact: user.contact,
-                role: user.role
-            }
+export const updateProfile = async (req, res) => {
+    const { fullname, contact, email, currentPassword } = req.body;
+    const user = req.user;
+
+    const emailChanged = email !== undefined && email !== user.email;
+    const contactChanged = contact !== undefined && contact !== user.contact;
+
+    if (emailChanged && user.password && (!currentPassword || !await user.comparePassword(currentPassword))) {
+        throw new BadRequestError("Enter your current password to change your email");
+    }
+
+    if (emailChanged || contactChanged) {
+        const taken = await userModel.exists({
+            _id: { $ne: user._id },
+            $or: [
+                ...(emailChanged ? [{ email }] : []),
+                ...(contactChanged ? [{ contact }] : [])
+            ]
         });
+
+        if (taken) {
+            throw new ConflictError("Another account already uses this email or contact");
+        }
     }
-    catch (error) {
-        console.error(error);
-        res.status(500).json({ message: "Server error" });
+
+    if (fullname !== undefined) user.fullname = fullname;
+    if (contactChanged) user.contact = contact;
+    if (emailChanged) user.email = email;
+
+    await user.save();
+
+    return res.status(200).json({
+        message: "Profile updated successfully",
+        success: true,
+        user: toAuthUser(user)
+    });
+}
+
+/**
+ * @desc Delete the account. Not possible while the user has open orders or returns as buyer or seller.
+ * The seller's products are unpublished, the orders keep their snapshot of the account.
+ * @route DELETE /api/auth/me
+ * @access Private
+ * @body { password }
+ */
+
+export const deleteAccount = async (req, res) => {
+    const { password } = req.body;
+    const user = req.user;
+
+    if (user.password && (!password || !await user.comparePassword(password))) {
+        throw new BadRequestError("Password is incorrect");
     }
+
+    if (user.role === "admin" && !await userModel.exists({ _id: { $ne: user._id }, role: "admin" })) {
+        throw new ConflictError("The last admin account cannot be deleted");
+    }
+
+    const openOrder = await OrderModel.exists({
+        status: { $in: OPEN_ORDER_STATUSES },
+        $or: [{ buyer: user._id }, { sellers: user._id }]
+    });
+
+    if (openOrder) {
+        throw new ConflictError("You have orders that are not delivered or cancelled yet, the account can be deleted once they are");
+    }
+
+    const openReturn = await ReturnRequestModel.exists({
+        status: { $in: ["requested", "approved"] },
+        $or: [{ buyer: user._id }, { seller: user._id }]
+    });
+
+    if (openReturn) {
+        throw new ConflictError("You have returns that are not settled yet, the account can be deleted once they are");
+    }
+
+    await ProductModel.updateMany({ seller: user._id }, {
+        published: false,
+        moderation: { reason: "Seller account deleted", unpublishedAt: new Date() }
+    });
+    await CartModel.deleteOne({ user: user._id });
+    await WishlistModel.deleteOne({ user: user._id });
+    await NotificationModel.deleteMany({ user: user._id });
+
+    const storeProfile = await SellerProfileModel.findOneAndDelete({ seller: user._id });
+    if (storeProfile) {
+        await deleteImages([storeProfile.logo, storeProfile.banner].filter(Boolean));
+    }
+
+    await userModel.deleteOne({ _id: user._id });
+
+    res.clearCookie("token", TOKEN_COOKIE_OPTIONS);
+
+    return res.status(200).json({ message: "Account deleted successfully", success: true });
+}
+
+/**
+ * @desc Remove the Google sign in. Only possible when the account has a password to sign in with.
+ * @route DELETE /api/auth/providers/google
+ * @access Private
+ */
+
+export const unlinkGoogle = async (req, res) => {
+    const user = req.user;
+
+    if (!user.googleID) {
+        throw new BadRequestError("No Google account is linked");
+    }
+
+    if (!user.password) {
+        throw new BadRequestError("Add a password before unlinking Google, otherwise you cannot sign in");
+    }
+
+    user.googleID = undefined;
+    await user.save();
+
+    return res.status(200).json({ message: "Google account unlinked", success: true, user: toAuthUser(user) });
+}
+
+/**
+ * @desc Add a password to an account that signs in with Google only
+ * @route POST /api/auth/providers/password
+ * @access Private
+ * @body { password }
+ */
+
+export const linkPassword = async (req, res) => {
+    const { password } = req.body;
+    const user = req.user;
+
+    if (user.password) {
+        throw new BadRequestError("Your account already has a password, change it instead");
+    }
+
+    user.password = password;
+    await user.save();
+
+    return res.status(200).json({ message: "Password added, you can now sign in with your email", success: true, user: toAuthUser(user) });
 }
 
+/**
+ * @desc Remove the password so the account signs in with Google only
+ * @route DELETE /api/auth/providers/password
+ * @access Private
+ * @body { currentPassword }
+ */
+
+export const unlinkPassword = async (req, res) => {
+    const { currentPassword } = req.body;
+    const user = req.user;
+
+    if (!user.password) {
+        throw new BadRequestError("Your account has no password");
+    }
+
+    if (!user.googleID) {
+        throw new BadRequestError("Link a Google account before removing the password, otherwise you cannot sign in");
+    }
+
+    if (!currentPassword || !await user.comparePassword(currentPassword)) {
+        throw new BadRequestError("Current password is incorrect");
+    }
+
+    user.password = undefined;
+    user.passwordReset = undefined;
+    await user.save();
+
+    return res.status(200).json({ message: "Password removed, sign in with Google from now on", success: true, user: toAuthUser(user) });
+}
+
+/**
+ * @desc Finish a Google sign up by choosing to shop or to sell. Selling starts once an admin approves the application.
+ * @route POST /api/auth/me/role
+ * @access Private
+ * @body { role: "buyer" | "seller", contact }
+ */
+
+export const selectRole = async (req, res) => {
+    const { role, contact } = req.body;
+    const user = req.user;
+
+    if (!user.roleSelectionPending) {
+        throw new BadRequestError("Your account type is already set");
+    }
+
+    if (role === "seller" && !contact && !user.contact) {
+        throw new BadRequestError("A contact number is required to sell");
+    }
+
+    if (contact && contact !== user.contact) {
+        if (await userModel.exists({ _id: { $ne: user._id }, contact })) {
+            throw new ConflictError("Another account already uses this contact");
+        }
+        user.contact = contact;
+    }
+
+    if (role === "seller") {
+        user.sellerStatus = "pending";
+        user.sellerReview = { appliedAt: new Date() };
+    }
+
+    user.roleSelectionPending = false;
+    await user.save();
+
+    return res.status(200).json({
+        message: role === "seller"
+            ? "Your seller application is pending review"
+            : "Welcome to Snitch",
+        success: true,
+        user: toAuthUser(user)
+    });
+}
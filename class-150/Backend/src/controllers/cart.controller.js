@@ -0,0 +1,323 @@
+import ProductModel from "../model/product.model.js";
+import { getOrCreateCart, findVariant, getAvailableStock, findCartItem, addItemToUserCart, getCartLines } from "../services/cart.service.js";
+import { toDisplayPrice } from "../services/currency.service.js";
+import { calculateTotals, validateCouponCode } from "../services/discount.service.js";
+import { calculateShipping } from "../services/shipping.service.js";
+import { roundToCurrency } from "../services/currency.service.js";
+import { AppError, BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Helper function to populate the cart, attach price / stock to every line and send response
+ */
+
+async function sendCartResponse(cart, res, message, status = 200) {
+    await cart.populate("items.product", "title images price variants seller weightGrams");
+    const { displayCurrency } = res.locals;
+
+    // lines of products the seller deleted, drop them so they do not block the checkout
+    const removedItems = cart.items.filter(item => !item.product);
+
+    if (removedItems.length > 0) {
+        removedItems.forEach(item => cart.items.pull(item._id));
+        await cart.save();
+    }
+
+    const items = cart.items
+        .map(item => {
+            const product = item.product;
+            const variant = item.variant ? product.variants.id(item.variant) : null;
+            const price = variant?.price?.amount ? variant.price : product.price;
+
+            return {
+                _id: item._id,
+                product: {
+                    _id: product._id,
+                    title: product.title,
+                    images: product.images
+                },
+                variant: variant ? {
+                    _id: variant._id,
+                    attributes: variant.attributes,
+                    images: variant.images,
+                    stock: variant.stock
+                } : null,
+                quantity: item.quantity,
+                price,
+                displayPrice: displayCurrency ? toDisplayPrice(price, displayCurrency) : null
+            };
+        });
+
+    let totals = null;
+
+    try {
+        totals = await calculateTotals({
+            userId: cart.user,
+            lines: getCartLines(cart),
+            couponCode: cart.couponCode
+        });
+    } catch (error) {
+        // mixed currencies, the order cannot be placed like this either
+        if (!(error instanceof AppError)) throw error;
+    }
+
+    res.status(status).json({
+        success: true,
+        message,
+        cart: {
+            _id: cart._id,
+            items,
+            couponCode: cart.couponCode,
+            totals
+        }
+    });
+}
+
+
+/**
+ * @desc Get the cart of the logged in user
+ * @route GET /api/cart
+ * @access Private
+ */
+
+export const getCart = async (req, res) => {
+    const cart = await getOrCreateCart(req.user._id);
+
+    await sendCartResponse(cart, res, "Cart fetched successfully");
+}
+
+/**
+ * @desc Add a product / variant to the cart. Adding an existing line increases its quantity
+ * @route POST /api/cart/items
+ * @access Private
+ * @body { productId, variantId, quantity }
+ */
+
+export const addItemToCart = async (req, res) => {
+    const { productId, variantId, quantity = 1 } = req.body;
+
+    const cart = await addItemToUserCart(req.user._id, { productId, variantId, quantity });
+
+    await sendCartResponse(cart, res, "Item added to cart");
+}
+
+/**
+ * @desc Change the quantity of a cart line
+ * @route PUT /api/cart/items/:itemId
+ * @access Private
+ * @body { quantity }
+ */
+
+export const updateCartItem = async (req, res) => {
+    const { itemId } = req.params;
+    const quantity = Number(req.body.quantity);
+
+    const cart = await getOrCreateCart(req.user._id);
+    const item = cart.items.id(itemId);
+
+    if (!item) {
+        throw new NotFoundError("Cart item not found");
+    }
+
+    const product = await ProductModel.findById(item.product);
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const variant = findVariant(product, item.variant);
+
+    if (variant === undefined) {
+        throw new BadRequestError("Invalid product variant");
+    }
+
+    if (quantity > getAvailableStock(variant)) {
+        throw new BadRequestError(`Only ${variant.stock} item(s) left in stock`);
+    }
+
+    item.quantity = quantity;
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Cart updated successfully");
+}
+
+/**
+ * @desc Remove a line from the cart
+ * @route DELETE /api/cart/items/:itemId
+ * @access Private
+ */
+
+export const removeCartItem = async (req, res) => {
+    const { itemId } = req.params;
+
+    const cart = await getOrCreateCart(req.user._id);
+    const item = cart.items.id(itemId);
+
+    if (!item) {
+        throw new NotFoundError("Cart item not found");
+    }
+
+    item.deleteOne();
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Item removed from cart");
+}
+
+/**
+ * @desc Remove every line from the cart
+ * @route DELETE /api/cart
+ * @access Private
+ */
+
+export const clearCart = async (req, res) => {
+    const cart = await getOrCreateCart(req.user._id);
+
+    cart.items = [];
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Cart cleared successfully");
+}
+
+/**
+ * @desc Merge the guest cart (kept on the client before login) into the user's cart.
+ * Lines that no longer exist are skipped and quantities are capped to the available stock.
+ * @route POST /api/cart/merge
+ * @access Private
+ * @body { items: [{ productId, variantId, quantity }] }
+ */
+
+export const mergeGuestCart = async (req, res) => {
+    const { items = [] } = req.body;
+
+    const cart = await getOrCreateCart(req.user._id);
+
+    const products = await ProductModel.find({
+        _id: { $in: items.map(item => item.productId) },
+        published: { $ne: false }
+    });
+
+    for (const guestItem of items) {
+        const product = products.find(p => p._id.equals(guestItem.productId));
+        if (!product) continue;
+
+        const variant = findVariant(product, guestItem.variantId);
+        if (variant === undefined) continue;
+
+        const existingItem = findCartItem(cart, product._id, variant?._id);
+
+        const quantity = Math.min(
+            (existingItem?.quantity || 0) + Number(guestItem.quantity || 1),
+            getAvailableStock(variant)
+        );
+
+        if (quantity < 1) continue;
+
+        if (existingItem) {
+            existingItem.quantity = quantity;
+        } else {
+            cart.items.push({
+                product: product._id,
+                variant: variant?._id || null,
+                quantity
+            });
+        }
+    }
+
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Cart merged successfully");
+}
+
+/**
+ * @desc Apply a coupon code to the cart. Automatic promotions are applied without a code.
+ * @route POST /api/cart/coupon
+ * @access Private
+ * @body { code }
+ */
+
+export const applyCoupon = async (req, res) => {
+    const { code } = req.body;
+
+    const cart = await getOrCreateCart(req.user._id);
+    await cart.populate("items.product", "price variants seller");
+
+    const lines = getCartLines(cart);
+
+    if (lines.length === 0) {
+        throw new BadRequestError("Cart is empty");
+    }
+
+    const coupon = await validateCouponCode(code, { userId: req.user._id, lines });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Coupon applied successfully");
+}
+
+/**
+ * @desc Remove the coupon code from the cart
+ * @route DELETE /api/cart/coupon
+ * @access Private
+ */
+
+export const removeCoupon = async (req, res) => {
+    const cart = await getOrCreateCart(req.user._id);
+
+    cart.couponCode = null;
+    await cart.save();
+
+    await sendCartResponse(cart, res, "Coupon removed successfully");
+}
+
+/**
+ * @desc Shipping cost of the cart to a saved address or a country, the default address when neither is given
+ * @route GET /api/cart/shipping
+ * @access Private
+ * @query { addressId, country }
+ */
+
+export const getShippingQuote = async (req, res) => {
+    const { addressId, country } = req.query;
+    const user = req.user;
+
+    const address = addressId
+        ? user.addresses.id(addressId)
+        : user.addresses.find(item => item.isDefault);
+
+    if (addressId && !address) {
+        throw new NotFoundError("Address not found");
+    }
+
+    const destination = country || address?.country;
+
+    if (!destination) {
+        throw new BadRequestError("Add an address or pick a country to get a shipping quote");
+    }
+
+    const cart = await getOrCreateCart(user._id);
+    await cart.populate("items.product", "price variants seller weightGrams");
+
+    const lines = getCartLines(cart);
+
+    if (lines.length === 0) {
+        throw new BadRequestError("Cart is empty");
+    }
+
+    const totals = await calculateTotals({ userId: user._id, lines, couponCode: cart.couponCode });
+
+    const shipping = calculateShipping({
+        country: destination,
+        lines,
+        currency: totals.currency,
+        subtotal: totals.total
+    });
+
+    return res.status(200).json({
+        message: "Shipping quote calculated successfully",
+        success: true,
+        shipping,
+        totals,
+        total: roundToCurrency(totals.total + shipping.amount, totals.currency)
+    });
+}
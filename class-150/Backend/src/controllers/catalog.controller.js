@@ -0,0 +1,96 @@
+import { importCatalog, exportCatalog } from "../services/catalog.service.js";
+import { parseCsv, toCsv } from "../services/csv.service.js";
+import { BadRequestError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Helper function to read the import rows from an uploaded .csv / .json file or a JSON body.
+ * A JSON file can hold an array of rows or the { rows } object returned by the JSON export.
+ */
+
+function readImportRows(req) {
+    if (!req.file) {
+        if (!Array.isArray(req.body?.rows)) {
+            throw new BadRequestError("Upload a .csv or .json file, or send the rows as JSON");
+        }
+        return req.body.rows;
+    }
+
+    const text = req.file.buffer.toString("utf8");
+    const name = req.file.originalname.toLowerCase();
+
+    if (name.endsWith(".csv") || req.file.mimetype === "text/csv") {
+        return parseCsv(text);
+    }
+
+    if (name.endsWith(".json") || req.file.mimetype === "application/json") {
+        let data;
+
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ""));
+        } catch {
+            throw new BadRequestError("The file is not valid JSON");
+        }
+
+        const rows = Array.isArray(data) ? data : data?.rows;
+
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== "object" || Array.isArray(row))) {
+            throw new BadRequestError("The JSON file must be an array of product rows");
+        }
+        return rows;
+    }
+
+    throw new BadRequestError("Only .csv and .json files can be imported");
+}
+
+
+/**
+ * @desc Import products and variants from a CSV / JSON file. Rows are grouped by handle, existing
+ * handles are updated. Every invalid row is reported with its line number, handles with errors are skipped.
+ * @route POST /api/seller/products/import
+ * @access Private (Seller only)
+ * @body { file } multipart, or { rows } JSON
+ * @query { dryRun } validate only, nothing is saved
+ */
+
+export const importProducts = async (req, res) => {
+    const dryRun = req.query.dryRun === "true";
+
+    const rows = readImportRows(req);
+    const result = await importCatalog(req.user._id, rows, { dryRun });
+
+    return res.status(200).json({
+        message: result.errors.length > 0
+            ? `Import finished with ${result.errors.length} error(s)`
+            : dryRun ? "No errors found" : "Import finished successfully",
+        success: true,
+        ...result
+    });
+}
+
+/**
+ * @desc Export the seller's catalog in the import format, one row per variant
+ * @route GET /api/seller/products/export
+ * @access Private (Seller only)
+ * @query { format } csv (default) or json
+ */
+
+export const exportProducts = async (req, res) => {
+    const { format = "csv" } = req.query;
+
+    const { columns, rows } = await exportCatalog(req.user._id);
+
+    if (format === "json") {
+        res.attachment("catalog.json");
+        return res.status(200).json({
+            message: "Catalog exported successfully",
+            success: true,
+            columns,
+            rows
+        });
+    }
+
+    res.attachment("catalog.csv");
+    res.type("text/csv");
+    return res.status(200).send(toCsv(rows, columns));
+}
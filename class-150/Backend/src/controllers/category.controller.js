@@ -0,0 +1,174 @@
+import CategoryModel from "../model/category.model.js";
+import ProductModel from "../model/product.model.js";
+import { slugify, findCategory, buildCategoryTree, moveCategory } from "../services/category.service.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Helper function to tell whether saving failed on an existing slug
+ */
+
+function isDuplicateSlug(error) {
+    return error.code === 11000;
+}
+
+
+/**
+ * @desc Get every category, nested under its parent. Pass flat=true for a flat list.
+ * @route GET /api/categories
+ * @access Public
+ * @query { flat }
+ */
+
+export const getCategories = async (req, res) => {
+    const categories = await CategoryModel.find().sort({ sortOrder: 1, name: 1 });
+
+    return res.status(200).json({
+        message: "Categories retrieved successfully",
+        success: true,
+        categories: req.query.flat === "true" ? categories : buildCategoryTree(categories)
+    });
+}
+
+/**
+ * @desc Get a category by id or slug, with the path from the top level category and its direct children
+ * @route GET /api/categories/:idOrSlug
+ * @access Public
+ */
+
+export const getCategory = async (req, res) => {
+    const category = await findCategory(req.params.idOrSlug);
+
+    if (!category) {
+        throw new NotFoundError("Category not found");
+    }
+
+    const [ancestors, children] = await Promise.all([
+        CategoryModel.find({ _id: { $in: category.ancestors } }, "name slug"),
+        CategoryModel.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 })
+    ]);
+
+    // keep the breadcrumb in root -> parent order
+    const breadcrumb = category.ancestors
+        .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+        .filter(Boolean);
+
+    return res.status(200).json({
+        message: "Category retrieved successfully",
+        success: true,
+        category,
+        breadcrumb,
+        children
+    });
+}
+
+/**
+ * @desc Create a category. The slug is generated from the name when it is not given.
+ * @route POST /api/categories
+ * @access Private (Admin only)
+ * @body { name, slug, description, parent, sortOrder }
+ */
+
+export const createCategory = async (req, res) => {
+    const { name, slug, description, parent = null, sortOrder } = req.body;
+
+    try {
+        const category = new CategoryModel({
+            name,
+            slug: slug || slugify(name),
+            description,
+            sortOrder
+        });
+
+        if (!category.slug) {
+            throw new BadRequestError("A slug could not be generated from this name");
+        }
+
+        await moveCategory(category, parent);
+        await category.save();
+
+        return res.status(201).json({
+            message: "Category created successfully",
+            success: true,
+            category
+        });
+    } catch (error) {
+        if (isDuplicateSlug(error)) {
+            throw new ConflictError("A category with this slug already exists");
+        }
+        throw error;
+    }
+}
+
+/**
+ * @desc Update a category. Changing the parent moves the whole subtree.
+ * @route PATCH /api/categories/:id
+ * @access Private (Admin only)
+ * @body { name, slug, description, parent, sortOrder }
+ */
+
+export const updateCategory = async (req, res) => {
+    const { name, slug, description, parent, sortOrder } = req.body;
+
+    try {
+        const category = await CategoryModel.findById(req.params.id);
+
+        if (!category) {
+            throw new NotFoundError("Category not found");
+        }
+
+        if (name !== undefined) category.name = name;
+        if (slug !== undefined) category.slug = slug;
+        if (description !== undefined) category.description = description;
+        if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+        if (parent !== undefined && String(parent) !== String(category.parent)) {
+            await moveCategory(category, parent);
+        }
+
+        await category.save();
+
+        return res.status(200).json({
+            message: "Category updated successfully",
+            success: true,
+            category
+        });
+    } catch (error) {
+        if (isDuplicateSlug(error)) {
+            throw new ConflictError("A category with this slug already exists");
+        }
+        throw error;
+    }
+}
+
+/**
+ * @desc Delete a category. Categories with sub categories or products cannot be deleted.
+ * @route DELETE /api/categories/:id
+ * @access Private (Admin only)
+ */
+
+export const deleteCategory = async (req, res) => {
+    const { id } = req.params;
+
+    const category = await CategoryModel.findById(id);
+
+    if (!category) {
+        throw new NotFoundError("Category not found");
+    }
+
+    const [hasChildren, hasProducts] = await Promise.all([
+        CategoryModel.exists({ parent: category._id }),
+        ProductModel.exists({ category: category._id })
+    ]);
+
+    if (hasChildren || hasProducts) {
+        throw new ConflictError("Move its sub categories and products to another category first");
+    }
+
+    await category.deleteOne();
+
+    return res.status(200).json({
+        message: "Category deleted successfully",
+        success: true
+    });
+}
@@ -0,0 +1,203 @@
+import CouponModel from "../model/coupon.model.js";
+import { ConflictError, NotFoundError } from "../errors/app.errors.js";
+
+// Fields a coupon can be created / updated with
+const COUPON_FIELDS = [
+    "code", "description", "type", "value", "currency", "maxDiscountAmount",
+    "buyQuantity", "getQuantity", "products", "minOrderAmount",
+    "usageLimit", "usageLimitPerUser", "startsAt", "expiresAt", "active"
+];
+
+/**
+ * @description Helper function to pick the coupon fields out of the request body
+ */
+
+function pickCouponFields(body) {
+    return Object.fromEntries(
+        COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+    );
+}
+
+/**
+ * @description Helper function to tell whether saving failed on an existing coupon code
+ */
+
+function isDuplicateCode(error) {
+    return error.code === 11000;
+}
+
+
+/**
+ * @desc Create a coupon for the seller's own products. Leave the code empty for an automatic promotion.
+ * @route POST /api/coupons
+ * @access Private (Seller only)
+ * @body { code, description, type, value, currency, maxDiscountAmount, buyQuantity, getQuantity, products, minOrderAmount, usageLimit, usageLimitPerUser, startsAt, expiresAt }
+ */
+
+export const createSellerCoupon = async (req, res) => {
+    try {
+        const coupon = await CouponModel.create({
+            ...pickCouponFields(req.body),
+            seller: req.user._id,
+            createdBy: req.user._id
+        });
+
+        return res.status(201).json({
+            message: "Coupon created successfully",
+            success: true,
+            coupon
+        });
+    } catch (error) {
+        if (isDuplicateCode(error)) {
+            throw new ConflictError("A coupon with this code already exists");
+        }
+        throw error;
+    }
+}
+
+/**
+ * @desc Create a sitewide coupon, valid on products of every seller
+ * @route POST /api/coupons/sitewide
+ * @access Private (Admin only)
+ * @body same as POST /api/coupons
+ */
+
+export const createSitewideCoupon = async (req, res) => {
+    try {
+        const coupon = await CouponModel.create({
+            ...pickCouponFields(req.body),
+            seller: null,
+            createdBy: req.user._id
+        });
+
+        return res.status(201).json({
+            message: "Coupon created successfully",
+            success: true,
+            coupon
+        });
+    } catch (error) {
+        if (isDuplicateCode(error)) {
+            throw new ConflictError("A coupon with this code already exists");
+        }
+        throw error;
+    }
+}
+
+/**
+ * @desc Get the coupons of the authenticated seller
+ * @route GET /api/coupons/seller
+ * @access Private (Seller only)
+ */
+
+export const getSellerCoupons = async (req, res) => {
+    const coupons = await CouponModel.find({ seller: req.user._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Coupons retrieved successfully",
+        success: true,
+        coupons
+    });
+}
+
+/**
+ * @description Helper function to update the coupon matching `filter` with the request body and send it
+ */
+
+async function updateCoupon(filter, req, res) {
+    try {
+        const coupon = await CouponModel.findOne(filter);
+
+        if (!coupon) {
+            throw new NotFoundError("Coupon not found");
+        }
+
+        coupon.set(pickCouponFields(req.body));
+        await coupon.save();
+
+        return res.status(200).json({
+            message: "Coupon updated successfully",
+            success: true,
+            coupon
+        });
+    } catch (error) {
+        if (isDuplicateCode(error)) {
+            throw new ConflictError("A coupon with this code already exists");
+        }
+        throw error;
+    }
+}
+
+/**
+ * @description Helper function to delete the coupon matching `filter`. Orders keep the discount they got.
+ */
+
+async function deleteCoupon(filter, res) {
+    const coupon = await CouponModel.findOneAndDelete(filter);
+
+    if (!coupon) {
+        throw new NotFoundError("Coupon not found");
+    }
+
+    return res.status(200).json({
+        message: "Coupon deleted successfully",
+        success: true
+    });
+}
+
+/**
+ * @desc Update a coupon of the authenticated seller, e.g. change its expiry or switch it off
+ * @route PATCH /api/coupons/:id
+ * @access Private (Seller only, owner)
+ */
+
+export const updateSellerCoupon = async (req, res) => {
+    await updateCoupon({ _id: req.params.id, seller: req.user._id }, req, res);
+}
+
+/**
+ * @desc Delete a coupon of the authenticated seller. Orders keep the discount they got.
+ * @route DELETE /api/coupons/:id
+ * @access Private (Seller only, owner)
+ */
+
+export const deleteSellerCoupon = async (req, res) => {
+    await deleteCoupon({ _id: req.params.id, seller: req.user._id }, res);
+}
+
+/**
+ * @desc Get the sitewide coupons with the admin who created them
+ * @route GET /api/coupons/sitewide
+ * @access Private (Admin only)
+ */
+
+export const getSitewideCoupons = async (req, res) => {
+    const coupons = await CouponModel.find({ seller: null })
+        .populate("createdBy", "fullname email")
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Coupons retrieved successfully",
+        success: true,
+        coupons
+    });
+}
+
+/**
+ * @desc Update a sitewide coupon
+ * @route PATCH /api/coupons/sitewide/:id
+ * @access Private (Admin only)
+ */
+
+export const updateSitewideCoupon = async (req, res) => {
+    await updateCoupon({ _id: req.params.id, seller: null }, req, res);
+}
+
+/**
+ * @desc Delete a sitewide coupon. Orders keep the discount they got.
+ * @route DELETE /api/coupons/sitewide/:id
+ * @access Private (Admin only)
+ */
+
+export const deleteSitewideCoupon = async (req, res) => {
+    await deleteCoupon({ _id: req.params.id, seller: null }, res);
+}
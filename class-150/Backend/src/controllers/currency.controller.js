@@ -0,0 +1,51 @@
+import { config } from "../config/config.js";
+import { getExchangeRates, saveExchangeRates, resetRatesToFile, SUPPORTED_CURRENCIES } from "../services/currency.service.js";
+
+
+/**
+ * @desc Get the exchange rates used to convert display prices
+ * @route GET /api/currency/rates
+ * @access Public
+ */
+
+export const getRates = async (req, res) => {
+    return res.status(200).json({
+        message: "Exchange rates retrieved successfully",
+        success: true,
+        currencies: SUPPORTED_CURRENCIES,
+        exchangeRates: getExchangeRates()
+    });
+}
+
+/**
+ * @desc Replace and store the exchange rates
+ * @route PUT /api/currency/rates
+ * @access Private (Admin only)
+ * @body { base, rates: { USD, EUR, INR, JPY, GBP } }
+ */
+
+export const updateRates = async (req, res) => {
+    const exchangeRates = await saveExchangeRates(req.body, req.user._id);
+
+    return res.status(200).json({
+        message: "Exchange rates updated successfully",
+        success: true,
+        exchangeRates
+    });
+}
+
+/**
+ * @desc Reset the exchange rates to the rates JSON file, replacing the stored rates
+ * @route POST /api/currency/rates/reload
+ * @access Private (Admin only)
+ */
+
+export const reloadRates = async (req, res) => {
+    const exchangeRates = await resetRatesToFile(config.EXCHANGE_RATES_FILE, req.user._id);
+
+    return res.status(200).json({
+        message: "Exchange rates reloaded successfully",
+        success: true,
+        exchangeRates
+    });
+}
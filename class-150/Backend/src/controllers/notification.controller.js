@@ -0,0 +1,58 @@
+import NotificationModel from "../model/notification.model.js";
+import { NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @desc Get the notifications of the logged in user, newest first
+ * @route GET /api/users/me/notifications
+ * @access Private
+ * @query { unread }
+ */
+
+export const getNotifications = async (req, res) => {
+    const filter = { user: req.user._id };
+
+    if (req.query.unread === "true") {
+        filter.read = false;
+    }
+
+    const notifications = await NotificationModel.find(filter)
+        .populate("product", "title images")
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+    const unreadCount = await NotificationModel.countDocuments({ user: req.user._id, read: false });
+
+    return res.status(200).json({
+        message: "Notifications fetched successfully",
+        success: true,
+        unreadCount,
+        notifications
+    });
+}
+
+/**
+ * @desc Mark a notification as read
+ * @route PATCH /api/users/me/notifications/:notificationId/read
+ * @access Private
+ */
+
+export const markNotificationRead = async (req, res) => {
+    const { notificationId } = req.params;
+
+    const notification = await NotificationModel.findOneAndUpdate(
+        { _id: notificationId, user: req.user._id },
+        { read: true },
+        { returnDocument: "after" }
+    );
+
+    if (!notification) {
+        throw new NotFoundError("Notification not found");
+    }
+
+    return res.status(200).json({
+        message: "Notification marked as read",
+        success: true,
+        notification
+    });
+}
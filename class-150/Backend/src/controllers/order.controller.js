@@ -0,0 +1,309 @@
+import OrderModel from "../model/order.model.js";
+import CartModel from "../model/cart.model.js";
+import ProductModel from "../model/product.model.js";
+import mongoose from "mongoose";
+import { reserveStock, releaseReservation } from "../services/inventory.service.js";
+import { calculateTotals, redeemCoupons, releaseCouponRedemptions } from "../services/discount.service.js";
+import { calculateShipping } from "../services/shipping.service.js";
+import { roundToCurrency } from "../services/currency.service.js";
+import { sendTemplateEmail } from "../services/mail.service.js";
+import { changeOrderStatus } from "../services/order.service.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../errors/app.errors.js";
+
+
+// Status changes each side of the order is allowed to make through the API
+const BUYER_STATUS_CHANGES = ["cancelled"];
+const SELLER_STATUS_CHANGES = ["shipped", "delivered", "cancelled"];
+
+const ADDRESS_FIELDS = ["fullname", "phone", "line1", "line2", "city", "state", "postalCode", "country"];
+
+/**
+ * @description Helper function to copy the delivery fields of an address, saved addresses carry a label and flags too
+ */
+
+function pickShippingAddress(address) {
+    return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field]]));
+}
+
+/**
+ * @description Helper function to keep only the lines a seller is responsible for
+ */
+
+function toSellerView(order, sellerId) {
+    const plain = order.toObject({ flattenMaps: true });
+
+    return {
+        ...plain,
+        items: plain.items.filter(item => item.seller.equals(sellerId))
+    };
+}
+
+
+/**
+ * @desc Place an order from the items in the user's cart.
+ * Titles, images, variant attributes and prices are copied from the product so the order
+ * is not affected by later edits. The cart's coupon and automatic promotions are applied to the total,
+ * shipping for the delivery country and parcel weight is added on top.
+ * The address is either a saved one (addressId) or a new one, which is saved with saveAddress.
+ * @route POST /api/orders
+ * @access Private
+ * @body { addressId, shippingAddress, saveAddress }
+ */
+
+export const placeOrder = async (req, res) => {
+    const { addressId, saveAddress } = req.body;
+    const buyer = req.user;
+
+    const savedAddress = addressId ? buyer.addresses.id(addressId) : null;
+
+    if (addressId && !savedAddress) {
+        throw new NotFoundError("Address not found");
+    }
+
+    const shippingAddress = pickShippingAddress(savedAddress || req.body.shippingAddress);
+
+    const cart = await CartModel.findOne({ user: buyer._id });
+
+    if (!cart || cart.items.length === 0) {
+        throw new BadRequestError("Cart is empty");
+    }
+
+    const products = await ProductModel.find({
+        _id: { $in: cart.items.map(item => item.product) }
+    });
+
+    const items = [];
+
+    for (const cartItem of cart.items) {
+        const product = products.find(p => p._id.equals(cartItem.product));
+
+        if (!product || product.published === false) {
+            throw new BadRequestError("A product in your cart is no longer available");
+        }
+
+        const variant = cartItem.variant ? product.variants.id(cartItem.variant) : null;
+
+        if (cartItem.variant && !variant) {
+            throw new BadRequestError(`A variant of ${product.title} is no longer available`);
+        }
+
+        if (variant && cartItem.quantity > variant.stock) {
+            throw new BadRequestError(`Only ${variant.stock} item(s) of ${product.title} left in stock`);
+        }
+
+        const price = variant?.price?.amount ? variant.price : product.price;
+
+        items.push({
+            product: product._id,
+            variant: variant?._id || null,
+            seller: product.seller,
+            title: product.title,
+            image: variant?.images?.[0]?.url || product.images?.[0]?.url,
+            attributes: variant?.attributes,
+            price: {
+                amount: price.amount,
+                currency: price.currency
+            },
+            quantity: cartItem.quantity,
+            weightGrams: product.weightGrams
+        });
+    }
+
+    const currency = items[0].price.currency;
+
+    if (items.some(item => item.price.currency !== currency)) {
+        throw new BadRequestError("All items in an order must use the same currency");
+    }
+
+    const totals = await calculateTotals({ userId: buyer._id, lines: items, couponCode: cart.couponCode });
+
+    if (totals.couponError) {
+        throw new BadRequestError(totals.couponError);
+    }
+
+    const shipping = calculateShipping({
+        country: shippingAddress.country,
+        lines: items,
+        currency,
+        subtotal: totals.total
+    });
+
+    // Hold the stock before the order exists, the order id is generated up front for the reservation
+    const orderId = new mongoose.Types.ObjectId();
+    const reservation = await reserveStock(orderId, items);
+
+    if (!reservation) {
+        throw new ConflictError("Some items in your cart just went out of stock");
+    }
+
+    const redeemed = await redeemCoupons(orderId, buyer._id, totals.discounts);
+
+    if (!redeemed) {
+        await releaseReservation(orderId);
+        throw new ConflictError("A coupon on your cart was just used up");
+    }
+
+    const order = await OrderModel.create({
+        _id: orderId,
+        buyer: buyer._id,
+        sellers: [...new Set(items.map(item => String(item.seller)))],
+        items,
+        subtotalAmount: totals.subtotal,
+        discounts: totals.discounts,
+        shipping: {
+            zone: shipping.zone,
+            weightGrams: shipping.weightGrams,
+            amount: shipping.amount,
+            free: shipping.free
+        },
+        totalAmount: {
+            amount: roundToCurrency(totals.total + shipping.amount, currency),
+            currency
+        },
+        shippingAddress,
+        statusHistory: [{ status: "pending", changedBy: buyer._id }]
+    }).catch(async (error) => {
+        await releaseReservation(orderId);
+        await releaseCouponRedemptions(orderId);
+        throw error;
+    });
+
+    cart.items = [];
+    cart.couponCode = null;
+    await cart.save();
+
+    if (!savedAddress && saveAddress) {
+        buyer.addresses.push({ ...shippingAddress, isDefault: buyer.addresses.length === 0 });
+        await buyer.save();
+    }
+
+    sendTemplateEmail(buyer.email, "orderConfirmation", { user: buyer, order });
+
+    return res.status(201).json({
+        message: "Order placed successfully",
+        success: true,
+        order
+    });
+
+}
+
+/**
+ * @desc Get the orders placed by the logged in user
+ * @route GET /api/orders
+ * @access Private
+ */
+
+export const getMyOrders = async (req, res) => {
+    const orders = await OrderModel.find({ buyer: req.user._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Orders retrieved successfully",
+        success: true,
+        orders
+    });
+}
+
+/**
+ * @desc Get the orders containing products of the authenticated seller.
+ * Only the seller's own lines are returned.
+ * @route GET /api/orders/seller
+ * @access Private (Seller only)
+ * @query { status }
+ */
+
+export const getSellerOrders = async (req, res) => {
+    const seller = req.user;
+    const { status } = req.query;
+
+    const filter = { sellers: seller._id };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    const orders = await OrderModel.find(filter)
+        .populate("buyer", "fullname email")
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Orders retrieved successfully",
+        success: true,
+        orders: orders.map(order => toSellerView(order, seller._id))
+    });
+}
+
+/**
+ * @desc Get a single order. Buyers see the whole order, sellers only their own lines
+ * @route GET /api/orders/:id
+ * @access Private
+ * @params { id } - Order ID
+ */
+
+export const getOrderDetails = async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+
+    const order = await OrderModel.findById(id);
+
+    if (order && order.buyer.equals(user._id)) {
+        return res.status(200).json({
+            message: "Order details retrieved successfully",
+            success: true,
+            order
+        });
+    }
+
+    if (order && order.sellers.some(seller => seller.equals(user._id))) {
+        return res.status(200).json({
+            message: "Order details retrieved successfully",
+            success: true,
+            order: toSellerView(order, user._id)
+        });
+    }
+
+    throw new NotFoundError("Order not found");
+}
+
+/**
+ * @desc Move an order to the next status.
+ * Buyers can cancel, sellers can ship, deliver or cancel orders they are the only seller of,
+ * orders with several sellers are moved by an admin. Payment moves orders to "paid".
+ * Cancelling a paid order refunds the payment.
+ * @route PATCH /api/orders/:id/status
+ * @access Private
+ * @body { status }
+ */
+
+export const updateOrderStatus = async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+    const user = req.user;
+
+    const order = await OrderModel.findById(id);
+
+    const isBuyer = order?.buyer.equals(user._id);
+    const isSeller = order?.sellers.some(seller => seller.equals(user._id));
+
+    if (!order || (!isBuyer && !isSeller)) {
+        throw new NotFoundError("Order not found");
+    }
+
+    const allowedChanges = isSeller ? SELLER_STATUS_CHANGES : BUYER_STATUS_CHANGES;
+
+    if (!allowedChanges.includes(status)) {
+        throw new ForbiddenError(`You cannot mark this order as ${status}`);
+    }
+
+    // the status and the refund cover the whole order, a seller only decides for their own order
+    if (isSeller && order.sellers.length > 1) {
+        throw new ForbiddenError("This order has items of several sellers, its status is updated by an admin");
+    }
+
+    const updated = await changeOrderStatus(order, status, user._id);
+
+    return res.status(200).json({
+        message: "Order status updated successfully",
+        success: true,
+        order: isSeller ? toSellerView(updated, user._id) : updated
+    });
+}
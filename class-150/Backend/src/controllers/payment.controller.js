@@ -0,0 +1,97 @@
+import OrderModel from "../model/order.model.js";
+import PaymentModel from "../model/payment.model.js";
+import { createPaymentForOrder, getPaymentProvider, handleWebhookEvent } from "../services/payment.service.js";
+import { BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @desc Start paying for a pending order
+ * @route POST /api/payments/orders/:orderId/intent
+ * @access Private (Buyer of the order)
+ */
+
+export const createPaymentIntent = async (req, res) => {
+    const { orderId } = req.params;
+
+    const order = await OrderModel.findOne({ _id: orderId, buyer: req.user._id });
+
+    if (!order) {
+        throw new NotFoundError("Order not found");
+    }
+
+    if (order.status !== "pending") {
+        throw new BadRequestError(`Order is already ${order.status}`);
+    }
+
+    const { payment, clientSecret } = await createPaymentForOrder(order);
+
+    return res.status(201).json({
+        message: "Payment intent created successfully",
+        success: true,
+        payment: {
+            _id: payment._id,
+            intentId: payment.intentId,
+            provider: payment.provider,
+            amount: payment.amount,
+            status: payment.status,
+            clientSecret
+        }
+    });
+}
+
+/**
+ * @desc Confirm a payment on the local fake gateway (stands in for the gateway's checkout page)
+ * @route POST /api/payments/:intentId/confirm
+ * @access Private (Buyer of the order)
+ * @body { paymentMethod } - "fake_card_success" or "fake_card_declined"
+ */
+
+export const confirmPayment = async (req, res) => {
+    const { intentId } = req.params;
+    const { paymentMethod } = req.body;
+
+    const payment = await PaymentModel.findOne({ intentId, buyer: req.user._id });
+
+    if (!payment) {
+        throw new NotFoundError("Payment not found");
+    }
+
+    if (payment.provider !== "fake") {
+        throw new BadRequestError("Payments of this provider are confirmed on the gateway");
+    }
+
+    let intent;
+
+    try {
+        intent = await getPaymentProvider(payment.provider).confirm(intentId, { paymentMethod });
+    } catch (error) {
+        throw new BadRequestError(error.message);
+    }
+
+    return res.status(200).json({
+        message: intent.status === "succeeded" ? "Payment successful" : "Payment failed",
+        success: intent.status === "succeeded",
+        payment: {
+            _id: payment._id,
+            intentId,
+            status: intent.status
+        }
+    });
+}
+
+/**
+ * @desc Receive payment events from the gateway
+ * @route POST /api/payments/webhook
+ * @access Public (signed by the gateway)
+ * @headers { x-payment-signature }
+ */
+
+export const paymentWebhook = async (req, res) => {
+    const event = await handleWebhookEvent(req.rawBody, req.headers["x-payment-signature"]);
+
+    if (!event) {
+        throw new BadRequestError("Invalid webhook signature");
+    }
+
+    return res.status(200).json({ received: true });
+}
@@ -1,17 +1,51 @@
 import ProductModel from "../model/product.model.js";
-import { uploadFile } from "../services/storage.service.js";
+import { uploadFile, deleteImages } from "../services/storage.service.js";
+import { searchProducts } from "../services/productSearch.service.js";
+import { notifyBackInStock } from "../services/notification.service.js";
+import { changeStock } from "../services/inventory.service.js";
+import { localizeProduct } from "../services/currency.service.js";
+import { findDuplicateVariant, generateSku } from "../services/variant.service.js";
+import { toProductDetails, publishProductUpdate } from "../services/productUpdates.service.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/app.errors.js";
+
+const MAX_IMAGES = 7;
+
+
+/**
+ * @description Helper function to upload new images and drop the removed ones of a product / variant.
+ * Returns the removed images, their stored files are deleted once the change is saved.
+ */
+
+async function applyImageChanges(target, files = [], removeImages = "[]") {
+    const removeIds = JSON.parse(removeImages || "[]").map(String);
+
+    const removed = target.images.filter(image => removeIds.includes(String(image._id)));
+    const kept = target.images.filter(image => !removeIds.includes(String(image._id)));
+
+    if (kept.length + files.length > MAX_IMAGES) {
+        throw new BadRequestError(`A maximum of ${MAX_IMAGES} images is allowed`);
+    }
+
+    const uploaded = await Promise.all(files.map(async (file) => {
+        return await uploadFile(file.buffer, file.originalname);
+    }));
+
+    target.images = [...kept, ...uploaded];
+
+    return removed;
+}
 
 
 /**
  * @desc Create a new product
  * @route POST /products
  * @access Private (Seller only)
- * @body { title, description, priceAmount, priceCurrency, images }
+ * @body { title, description, priceAmount, priceCurrency, category, weightGrams, images }
  */
 
 
 export const createProduct = async (req, res) => {
-    const { title, description, priceAmount, priceCurrency } = req.body;
+    const { title, description, priceAmount, priceCurrency, category, weightGrams } = req.body;
     const seller = req.user;
 
     const images = await Promise.all(req.files.map(async (file) => {
@@ -25,6 +59,8 @@ export const createProduct = async (req, res) => {
             amount: priceAmount,
             currency: priceCurrency || "INR"
         },
+        category,
+        weightGrams,
         images,
         seller: seller._id
     })
@@ -57,19 +93,27 @@ export const getSellerProducts = async (req, res) => {
 }
 
 /**
- * @desc Get all products
+ * @desc Get all products, with search, filters, sorting and cursor pagination
  * @route GET /products
  * @access Public
+ * @query { q, minPrice, maxPrice, currency, category, attr.<name>, sort, limit, cursor, displayCurrency }
  */
 export const getAllProducts = async (req, res) => {
-    const products = await ProductModel.find()
+    const result = await searchProducts(req.query, { displayCurrency: res.locals.displayCurrency });
+
+    if (!result) {
+        throw new BadRequestError("Invalid cursor");
+    }
 
     return res.status(200).json({
         message: "Products retrieved successfully",
         success: true,
-        products
+        products: result.products.map(product => localizeProduct(product, res.locals.displayCurrency)),
+        pagination: {
+            nextCursor: result.nextCursor,
+            hasMore: result.hasMore
+        }
     })
-
 }
 
 /**
@@ -83,75 +127,243 @@ export const getProductDetails = async (req, res) => {
 
     const product = await ProductModel.findById(id)
 
-    if (!product) {
-        return res.status(404).json({
-            message: "Product not found",
-            success: false
-        })
+    if (!product || product.published === false) {
+        throw new NotFoundError("Product not found");
     }
 
     return res.status(200).json({
         message: "Product details retrieved successfully",
         success: true,
-        product
+        product: toProductDetails(product, res.locals.displayCurrency)
     })
 }
 
+/**
+ * @desc Add a variant to a product. Every variant needs its own combination of attributes.
+ * @route POST /products/:id/variants
+ * @access Private (Seller only, owner)
+ * @body { stock, priceAmount, priceCurrency, attributes, images }
+ */
 export async function createProductVariant(req, res) {
-    try {
-        const productId = req.params.id;
+    const productId = req.params.id;
 
-        const product = await ProductModel.findOne({
-            _id: productId,
-            seller: req.user._id
-        });
+    const product = await ProductModel.findOne({
+        _id: productId,
+        seller: req.user._id
+    });
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const attributes = JSON.parse(req.body.attributes || "{}");
+
+    const duplicate = findDuplicateVariant(product, attributes);
+
+    if (duplicate) {
+        throw new ConflictError(`A variant with these attributes already exists (${duplicate.sku || generateSku(product, duplicate)})`);
+    }
+
+    const files = req.files;
+    const images = [];
+
+    if (files && files.length !== 0) {
+        const uploadedImages = await Promise.all(
+            files.map(async (file) => {
+                return await uploadFile(file.buffer, file.originalname);
+            })
+        );
+        images.push(...uploadedImages);
+    }
+
+    const price = req.body.priceAmount;
+    const stock = Number(req.body.stock);
+
+    product.variants.push({
+        images,
+        price: {
+            amount: Number(price) || product.price.amount,
+            currency: req.body.priceCurrency || product.price.currency
+        },
+        stock,
+        attributes
+    });
+
+    await product.save();
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product variant added successfully",
+        success: true,
+        product
+    });
+
+}
+
+/**
+ * @desc Update a product. PUT replaces every field, PATCH only the ones sent.
+ * New images are appended, images listed in removeImages are removed and deleted from storage.
+ * @route PUT /products/:id
+ * @route PATCH /products/:id
+ * @access Private (Seller only, owner)
+ * @body { title, description, priceAmount, priceCurrency, category, weightGrams, images, removeImages }
+ */
+export async function updateProduct(req, res) {
+    const product = await ProductModel.findOne({
+        _id: req.params.id,
+        seller: req.user._id
+    });
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
 
-        if (!product) {
-            return res.status(404).json({
-                message: "Product not found",
-                success: false
-            });
+    const { title, description, priceAmount, priceCurrency, category, weightGrams, removeImages } = req.body;
+
+    if (title !== undefined) product.title = title;
+    if (description !== undefined) product.description = description;
+    if (priceAmount !== undefined) product.price.amount = Number(priceAmount);
+    if (priceCurrency !== undefined) product.price.currency = priceCurrency;
+    if (category !== undefined) product.category = category;
+    if (weightGrams !== undefined) product.weightGrams = Number(weightGrams);
+
+    const removedImages = await applyImageChanges(product, req.files, removeImages);
+
+    await product.save();
+    await deleteImages(removedImages);
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product updated successfully",
+        success: true,
+        product
+    });
+
+}
+
+/**
+ * @desc Delete a product with all its variants and images
+ * @route DELETE /products/:id
+ * @access Private (Seller only, owner)
+ */
+export async function deleteProduct(req, res) {
+    const product = await ProductModel.findOneAndDelete({
+        _id: req.params.id,
+        seller: req.user._id
+    });
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    await deleteImages([
+        ...product.images,
+        ...product.variants.flatMap(variant => variant.images)
+    ]);
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product deleted successfully",
+        success: true
+    });
+
+}
+
+/**
+ * @desc Update a variant. PUT replaces every field, PATCH only the ones sent.
+ * @route PUT /products/:id/variants/:variantId
+ * @route PATCH /products/:id/variants/:variantId
+ * @access Private (Seller only, owner)
+ * @body { stock, expectedStock, priceAmount, priceCurrency, attributes, images, removeImages }
+ */
+export async function updateProductVariant(req, res) {
+    const product = await ProductModel.findOne({
+        _id: req.params.id,
+        seller: req.user._id
+    });
+
+    const variant = product?.variants.id(req.params.variantId);
+
+    if (!variant) {
+        throw new NotFoundError("Product variant not found");
+    }
+
+    const { stock, expectedStock, priceAmount, priceCurrency, attributes, removeImages } = req.body;
+    const wasOutOfStock = variant.stock <= 0;
+
+    if (priceAmount !== undefined) variant.price.amount = Number(priceAmount) || product.price.amount;
+    if (priceCurrency !== undefined) variant.price.currency = priceCurrency;
+    if (attributes !== undefined) {
+        const parsed = JSON.parse(attributes || "{}");
+        const duplicate = findDuplicateVariant(product, parsed, variant._id);
+
+        if (duplicate) {
+            throw new ConflictError(`A variant with these attributes already exists (${duplicate.sku || generateSku(product, duplicate)})`);
         }
+        variant.attributes = parsed;
+    }
+
+    const removedImages = await applyImageChanges(variant, req.files, removeImages);
+
+    await product.save();
+    await deleteImages(removedImages);
+
+    // The stock is changed last, once nothing else can fail, and by the difference to the stock
+    // the seller loaded (expectedStock), so units reserved since then stay taken
+    const stockChange = stock !== undefined ? Number(stock) - Number(expectedStock) : 0;
 
-        const files = req.files;
-        const images = [];
+    if (stockChange !== 0) {
+        const newStock = await changeStock(product._id, variant._id, stockChange);
 
-        if (files && files.length !== 0) {
-            const uploadedImages = await Promise.all(
-                files.map(async (file) => {
-                    return await uploadFile(file.buffer, file.originalname);
-                })
-            );
-            images.push(...uploadedImages);
+        if (newStock === null) {
+            throw new ConflictError("Units were sold while you were editing, the stock cannot go that low. The other changes were saved, reload the product and try again");
         }
+        variant.stock = newStock;
+    }
+    publishProductUpdate(product._id);
 
-        const price = req.body.priceAmount;
-        const stock = Number(req.body.stock);
-        const attributes = JSON.parse(req.body.attributes || "{}");
-
-        product.variants.push({
-            images,
-            price: {
-                amount: Number(price) || product.price.amount,
-                currency: req.body.priceCurrency || product.price.currency
-            },
-            stock,
-            attributes
+    if (wasOutOfStock && variant.stock > 0) {
+        await notifyBackInStock(product._id, variant._id).catch(error => {
+            console.error("Failed to send back in stock notifications:", error.message);
         });
+    }
 
-        await product.save();
+    return res.status(200).json({
+        message: "Product variant updated successfully",
+        success: true,
+        product
+    });
 
-        return res.status(200).json({
-            message: "Product variant added successfully",
-            success: true,
-            product
-        });
+}
 
-    } catch (error) {
-        console.error(error);
-        return res.status(500).json({
-            message: error.message,
-            success: false
-        });
+/**
+ * @desc Delete a variant and its images
+ * @route DELETE /products/:id/variants/:variantId
+ * @access Private (Seller only, owner)
+ */
+export async function deleteProductVariant(req, res) {
+    const product = await ProductModel.findOne({
+        _id: req.params.id,
+        seller: req.user._id
+    });
+
+    const variant = product?.variants.id(req.params.variantId);
+
+    if (!variant) {
+        throw new NotFoundError("Product variant not found");
     }
+
+    const removedImages = [...variant.images];
+
+    variant.deleteOne();
+    await product.save();
+    await deleteImages(removedImages);
+    publishProductUpdate(product._id);
+
+    return res.status(200).json({
+        message: "Product variant deleted successfully",
+        success: true,
+        product
+    });
+
 }
\ No newline at end of file
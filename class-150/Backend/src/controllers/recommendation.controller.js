@@ -0,0 +1,93 @@
+import ProductModel from "../model/product.model.js";
+import { localizeProduct } from "../services/currency.service.js";
+import {
+    recordProductView,
+    getRecentlyViewed,
+    getFrequentlyBoughtTogether,
+    recomputeFrequentlyBoughtTogether
+} from "../services/recommendation.service.js";
+import { NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @desc Record that the logged in user or the guest session viewed a product
+ * @route POST /api/products/:id/views
+ * @access Public
+ */
+
+export const recordView = async (req, res) => {
+    const product = await ProductModel.exists({ _id: req.params.id, published: { $ne: false } });
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    try {
+        await recordProductView({ userId: req.user?._id, sessionId: req.sessionId, productId: product._id });
+    } catch (error) {
+        // two views of the same product at once, the other request already created the entry
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    return res.status(201).json({ message: "View recorded", success: true });
+}
+
+
+/**
+ * @desc Products the logged in user or the guest session viewed, most recent first
+ * @route GET /api/products/recently-viewed
+ * @access Public
+ * @query { limit, exclude }
+ */
+
+export const getRecentlyViewedProducts = async (req, res) => {
+    const products = await getRecentlyViewed({
+        userId: req.user?._id,
+        sessionId: req.sessionId,
+        limit: Number(req.query.limit) || 10,
+        excludeProductId: req.query.exclude || null
+    });
+
+    return res.status(200).json({
+        message: "Recently viewed products retrieved successfully",
+        success: true,
+        products: products.map(product => localizeProduct(product, res.locals.displayCurrency))
+    });
+}
+
+
+/**
+ * @desc Products often bought in the same order as this product
+ * @route GET /api/products/:id/frequently-bought-together
+ * @access Public
+ * @query { limit }
+ */
+
+export const getFrequentlyBoughtTogetherProducts = async (req, res) => {
+    const products = await getFrequentlyBoughtTogether(req.params.id, Number(req.query.limit) || 6);
+
+    return res.status(200).json({
+        message: "Frequently bought together products retrieved successfully",
+        success: true,
+        products: products.map(product => localizeProduct(product, res.locals.displayCurrency))
+    });
+}
+
+
+/**
+ * @desc Recompute the frequently bought together lists now instead of waiting for the job
+ * @route POST /api/admin/recommendations/recompute
+ * @access Private (Admin only)
+ */
+
+export const recomputeRecommendations = async (req, res) => {
+    const result = await recomputeFrequentlyBoughtTogether();
+
+    return res.status(200).json({
+        message: "Recommendations recomputed successfully",
+        success: true,
+        ...result
+    });
+}
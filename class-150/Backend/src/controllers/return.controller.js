@@ -0,0 +1,205 @@
+import ReturnRequestModel from "../model/returnRequest.model.js";
+import OrderModel from "../model/order.model.js";
+import userModel from "../model/user.model.js";
+import { uploadFile, deleteImages } from "../services/storage.service.js";
+import { checkReturnEligibility, openReturnRequest, transitionReturn, completeReturn } from "../services/return.service.js";
+import { sendTemplateEmail } from "../services/mail.service.js";
+import { AppError, BadRequestError, ForbiddenError, NotFoundError } from "../errors/app.errors.js";
+
+
+// Status changes each side of the return is allowed to make through the API.
+// Sellers send "refunded" to retry a refund the gateway refused.
+const BUYER_STATUS_CHANGES = ["cancelled"];
+const SELLER_STATUS_CHANGES = ["approved", "rejected", "refunded"];
+
+// Status changes the buyer gets an email about
+const EMAILED_STATUSES = ["rejected", "refunded"];
+
+/**
+ * @description Helper function to tell the buyer about the decision on their return
+ */
+
+async function emailBuyer(returnRequest) {
+    if (!EMAILED_STATUSES.includes(returnRequest.status)) {
+        return;
+    }
+
+    const buyer = await userModel.findById(returnRequest.buyer, "email fullname");
+
+    if (buyer) {
+        sendTemplateEmail(buyer.email, "returnStatus", { user: buyer, returnRequest });
+    }
+}
+
+
+/**
+ * @desc Ask to return units of one line of a delivered order, with a reason and photos.
+ * The refund is the price paid for the units after the order discounts, shipping is not refunded.
+ * @route POST /api/returns
+ * @access Private
+ * @body { orderId, itemId, quantity, reason, comment, photos }
+ */
+
+export const createReturnRequest = async (req, res) => {
+    const { orderId, itemId, quantity = 1, reason, comment } = req.body;
+    const buyer = req.user;
+
+    const order = await OrderModel.findOne({ _id: orderId, buyer: buyer._id });
+
+    if (!order) {
+        throw new NotFoundError("Order not found");
+    }
+
+    const { item, refundAmount } = await checkReturnEligibility(order, itemId, Number(quantity));
+
+    const photos = await Promise.all((req.files || []).map(async (file) => {
+        return await uploadFile(file.buffer, file.originalname, "snitch/returns");
+    }));
+
+    const returnRequest = await openReturnRequest(order, item, {
+        order: order._id,
+        item: item._id,
+        buyer: buyer._id,
+        seller: item.seller,
+        product: item.product,
+        variant: item.variant,
+        title: item.title,
+        quantity: Number(quantity),
+        reason,
+        comment,
+        photos,
+        refundAmount,
+        statusHistory: [{ status: "requested", changedBy: buyer._id }]
+    }).catch(async (error) => {
+        await deleteImages(photos);
+        throw error;
+    });
+
+    return res.status(201).json({
+        message: "Return requested successfully",
+        success: true,
+        returnRequest
+    });
+}
+
+/**
+ * @desc Get the returns opened by the logged in user
+ * @route GET /api/returns
+ * @access Private
+ */
+
+export const getMyReturns = async (req, res) => {
+    const returnRequests = await ReturnRequestModel.find({ buyer: req.user._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Returns retrieved successfully",
+        success: true,
+        returnRequests
+    });
+}
+
+/**
+ * @desc Get the returns of the products of the authenticated seller
+ * @route GET /api/returns/seller
+ * @access Private (Seller only)
+ * @query { status }
+ */
+
+export const getSellerReturns = async (req, res) => {
+    const { status } = req.query;
+
+    const filter = { seller: req.user._id };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    const returnRequests = await ReturnRequestModel.find(filter)
+        .populate("buyer", "fullname email")
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+        message: "Returns retrieved successfully",
+        success: true,
+        returnRequests
+    });
+}
+
+/**
+ * @desc Get a single return with its audit trail
+ * @route GET /api/returns/:id
+ * @access Private (Buyer or seller of the return)
+ * @params { id } - Return ID
+ */
+
+export const getReturnDetails = async (req, res) => {
+    const user = req.user;
+
+    const returnRequest = await ReturnRequestModel.findById(req.params.id)
+        .populate("statusHistory.changedBy", "fullname role");
+
+    if (!returnRequest || (!returnRequest.buyer.equals(user._id) && !returnRequest.seller.equals(user._id))) {
+        throw new NotFoundError("Return not found");
+    }
+
+    return res.status(200).json({
+        message: "Return retrieved successfully",
+        success: true,
+        returnRequest
+    });
+}
+
+/**
+ * @desc Move a return to the next status.
+ * Buyers can cancel a pending return, sellers approve or reject it. Approving restocks the units
+ * and refunds the buyer, when the refund fails the return stays approved and sending "refunded" retries it.
+ * @route PATCH /api/returns/:id/status
+ * @access Private
+ * @body { status, note }
+ */
+
+export const updateReturnStatus = async (req, res) => {
+    const { status, note } = req.body;
+    const user = req.user;
+
+    let returnRequest = await ReturnRequestModel.findById(req.params.id);
+
+    const isBuyer = returnRequest?.buyer.equals(user._id);
+    const isSeller = returnRequest?.seller.equals(user._id);
+
+    if (!returnRequest || (!isBuyer && !isSeller)) {
+        throw new NotFoundError("Return not found");
+    }
+
+    const allowedChanges = isSeller ? SELLER_STATUS_CHANGES : BUYER_STATUS_CHANGES;
+
+    if (!allowedChanges.includes(status)) {
+        throw new ForbiddenError(`You cannot mark this return as ${status}`);
+    }
+
+    if (status !== "refunded") {
+        returnRequest = await transitionReturn(returnRequest, status, user._id, note);
+    } else if (!returnRequest.canTransitionTo(status)) {
+        throw new BadRequestError(`Return cannot move from ${returnRequest.status} to ${status}`);
+    }
+
+    if (status === "approved" || status === "refunded") {
+        returnRequest = await completeReturn(returnRequest, user._id);
+    }
+
+    await emailBuyer(returnRequest);
+
+    if (returnRequest.status === "approved") {
+        throw new AppError(`The return is approved but the refund failed: ${returnRequest.refund.error}`, {
+            status: 502,
+            code: "REFUND_FAILED",
+            details: { returnRequest }
+        });
+    }
+
+    return res.status(200).json({
+        message: "Return status updated successfully",
+        success: true,
+        returnRequest
+    });
+}
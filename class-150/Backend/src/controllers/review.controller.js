@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import ReviewModel from "../model/review.model.js";
+import ProductModel from "../model/product.model.js";
+import OrderModel from "../model/order.model.js";
+import { uploadFile, deleteImages } from "../services/storage.service.js";
+import { ConflictError, ForbiddenError, NotFoundError } from "../errors/app.errors.js";
+
+
+// Orders in these states count as a verified purchase
+const VERIFIED_PURCHASE_STATUSES = ["paid", "shipped", "delivered"];
+
+
+/**
+ * @description Helper function to recalculate the average rating and review count of a product
+ */
+
+async function updateProductRating(productId) {
+    const [stats] = await ReviewModel.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+        { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }
+    ]);
+
+    await ProductModel.updateOne({ _id: productId }, {
+        rating: {
+            average: stats ? Math.round(stats.average * 10) / 10 : 0,
+            count: stats ? stats.count : 0
+        }
+    });
+}
+
+
+/**
+ * @desc Get the reviews of a product, newest first
+ * @route GET /api/products/:productId/reviews
+ * @access Public
+ * @query { page, limit }
+ */
+
+export const getProductReviews = async (req, res) => {
+    const { productId } = req.params;
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 10;
+
+    const product = await ProductModel.findById(productId, "rating");
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const reviews = await ReviewModel.find({ product: productId })
+        .populate("buyer", "fullname")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    return res.status(200).json({
+        message: "Reviews retrieved successfully",
+        success: true,
+        rating: product.rating,
+        reviews
+    });
+}
+
+/**
+ * @desc Review a product. Only buyers with a verified purchase of the product can review it, once.
+ * @route POST /api/products/:productId/reviews
+ * @access Private
+ * @body { rating, text, photos }
+ */
+
+export const createReview = async (req, res) => {
+    const { productId } = req.params;
+    const { rating, text } = req.body;
+    const buyer = req.user;
+
+    const product = await ProductModel.findById(productId, "_id");
+
+    if (!product) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const order = await OrderModel.findOne({
+        buyer: buyer._id,
+        "items.product": product._id,
+        status: { $in: VERIFIED_PURCHASE_STATUSES }
+    });
+
+    if (!order) {
+        throw new ForbiddenError("Only buyers who purchased this product can review it");
+    }
+
+    const existingReview = await ReviewModel.findOne({ product: product._id, buyer: buyer._id });
+
+    if (existingReview) {
+        throw new ConflictError("You have already reviewed this product");
+    }
+
+    const photos = await Promise.all((req.files || []).map(async (file) => {
+        return await uploadFile(file.buffer, file.originalname, "snitch/reviews");
+    }));
+
+    const review = await ReviewModel.create({
+        product: product._id,
+        buyer: buyer._id,
+        order: order._id,
+        rating: Number(rating),
+        text,
+        photos
+    });
+
+    await updateProductRating(product._id);
+
+    return res.status(201).json({
+        message: "Review added successfully",
+        success: true,
+        review
+    });
+}
+
+/**
+ * @desc Edit the rating / text of your review
+ * @route PATCH /api/products/:productId/reviews/:reviewId
+ * @access Private (Author only)
+ * @body { rating, text }
+ */
+
+export const updateReview = async (req, res) => {
+    const { productId, reviewId } = req.params;
+    const { rating, text } = req.body;
+
+    const review = await ReviewModel.findOne({ _id: reviewId, product: productId, buyer: req.user._id });
+
+    if (!review) {
+        throw new NotFoundError("Review not found");
+    }
+
+    if (rating !== undefined) review.rating = Number(rating);
+    if (text !== undefined) review.text = text;
+
+    await review.save();
+    await updateProductRating(review.product);
+
+    return res.status(200).json({
+        message: "Review updated successfully",
+        success: true,
+        review
+    });
+}
+
+/**
+ * @desc Delete your review
+ * @route DELETE /api/products/:productId/reviews/:reviewId
+ * @access Private (Author only)
+ */
+
+export const deleteReview = async (req, res) => {
+    const { productId, reviewId } = req.params;
+
+    const review = await ReviewModel.findOneAndDelete({ _id: reviewId, product: productId, buyer: req.user._id });
+
+    if (!review) {
+        throw new NotFoundError("Review not found");
+    }
+
+    await updateProductRating(review.product);
+    await deleteImages(review.photos);
+
+    return res.status(200).json({
+        message: "Review deleted successfully",
+        success: true
+    });
+}
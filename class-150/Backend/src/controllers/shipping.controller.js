@@ -0,0 +1,52 @@
+import { config } from "../config/config.js";
+import { getShippingRates, setShippingRates, loadShippingRatesFromFile } from "../services/shipping.service.js";
+import { SUPPORTED_COUNTRIES } from "../services/address.service.js";
+
+
+/**
+ * @desc Get the shipping zones and weight based rates
+ * @route GET /api/shipping/rates
+ * @access Public
+ */
+
+export const getRates = async (req, res) => {
+    return res.status(200).json({
+        message: "Shipping rates retrieved successfully",
+        success: true,
+        countries: SUPPORTED_COUNTRIES,
+        shippingRates: getShippingRates()
+    });
+}
+
+/**
+ * @desc Replace the shipping rates
+ * @route PUT /api/shipping/rates
+ * @access Private (Admin only)
+ * @body { currency, defaultWeightGrams, zones: [{ name, countries, rates: [{ upToGrams, amount }], perExtraKg, freeShippingThreshold }] }
+ */
+
+export const updateRates = async (req, res) => {
+    const shippingRates = setShippingRates(req.body);
+
+    return res.status(200).json({
+        message: "Shipping rates updated successfully",
+        success: true,
+        shippingRates
+    });
+}
+
+/**
+ * @desc Reload the shipping rates from the shipping rates JSON file
+ * @route POST /api/shipping/rates/reload
+ * @access Private (Admin only)
+ */
+
+export const reloadRates = async (req, res) => {
+    const shippingRates = await loadShippingRatesFromFile(config.SHIPPING_RATES_FILE);
+
+    return res.status(200).json({
+        message: "Shipping rates reloaded successfully",
+        success: true,
+        shippingRates
+    });
+}
@@ -0,0 +1,139 @@
+import SellerProfileModel from "../model/sellerProfile.model.js";
+import { uploadFile, deleteImages } from "../services/storage.service.js";
+import { searchProducts } from "../services/productSearch.service.js";
+import { localizeProduct } from "../services/currency.service.js";
+import { findStore, toPublicStore, countStoreProducts, resolveStoreSlug } from "../services/store.service.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @desc Get the public profile of a store
+ * @route GET /api/sellers/:id
+ * @access Public
+ * @params { id } - Seller id or store slug
+ */
+
+export const getStore = async (req, res) => {
+    const store = await findStore(req.params.id);
+
+    if (!store) {
+        throw new NotFoundError("Store not found");
+    }
+
+    const productCount = await countStoreProducts(store.seller._id);
+
+    return res.status(200).json({
+        message: "Store retrieved successfully",
+        success: true,
+        store: toPublicStore(store.seller, store.profile, productCount)
+    });
+}
+
+
+/**
+ * @desc Get the products of a store, with the filters, sorting and pagination of the product listing
+ * @route GET /api/sellers/:id/products
+ * @access Public
+ * @params { id } - Seller id or store slug
+ * @query { q, minPrice, maxPrice, currency, category, attr.<name>, sort, limit, cursor, displayCurrency }
+ */
+
+export const getStoreProducts = async (req, res) => {
+    const store = await findStore(req.params.id);
+
+    if (!store) {
+        throw new NotFoundError("Store not found");
+    }
+
+    const result = await searchProducts(req.query, { seller: store.seller._id, displayCurrency: res.locals.displayCurrency });
+
+    if (!result) {
+        throw new BadRequestError("Invalid cursor");
+    }
+
+    return res.status(200).json({
+        message: "Store products retrieved successfully",
+        success: true,
+        products: result.products.map(product => localizeProduct(product, res.locals.displayCurrency)),
+        pagination: {
+            nextCursor: result.nextCursor,
+            hasMore: result.hasMore
+        }
+    });
+}
+
+
+/**
+ * @desc Get the store profile of the logged in seller, as buyers will see it
+ * @route GET /api/seller/profile
+ * @access Private (Seller only)
+ */
+
+export const getMyStore = async (req, res) => {
+    const profile = await SellerProfileModel.findOne({ seller: req.user._id });
+
+    return res.status(200).json({
+        message: "Store retrieved successfully",
+        success: true,
+        store: toPublicStore(req.user, profile, await countStoreProducts(req.user._id))
+    });
+}
+
+
+/**
+ * @desc Edit the store profile, only the fields sent are changed. The first save creates the profile.
+ * @route PATCH /api/seller/profile
+ * @access Private (Seller only)
+ * @body { storeName, slug, description, policies, logo, banner, removeLogo, removeBanner } multipart, policies is JSON
+ */
+
+export const updateMyStore = async (req, res) => {
+    const { storeName, slug, description, policies, removeLogo, removeBanner } = req.body;
+    const files = req.files || {};
+
+    try {
+        const profile = await SellerProfileModel.findOne({ seller: req.user._id })
+            || new SellerProfileModel({ seller: req.user._id, storeName: req.user.fullname });
+
+        if (storeName !== undefined) profile.storeName = storeName;
+        if (description !== undefined) profile.description = description;
+
+        if (policies !== undefined) {
+            const { shipping, returns, exchanges } = JSON.parse(policies || "{}");
+            profile.policies = { shipping, returns, exchanges };
+        }
+
+        // a new store gets a slug from its name, an existing one only changes it when asked
+        if (slug !== undefined || !profile.slug) {
+            profile.slug = await resolveStoreSlug(req.user._id, { slug, storeName: profile.storeName });
+        }
+
+        const removed = [];
+
+        for (const [field, remove] of [["logo", removeLogo], ["banner", removeBanner]]) {
+            const file = files[field]?.[0];
+
+            if ((file || remove === "true") && profile[field]) {
+                removed.push(profile[field]);
+                profile[field] = null;
+            }
+            if (file) {
+                profile[field] = await uploadFile(file.buffer, file.originalname, "snitch/stores");
+            }
+        }
+
+        await profile.save();
+        await deleteImages(removed);
+
+        return res.status(200).json({
+            message: "Store updated successfully",
+            success: true,
+            store: toPublicStore(req.user, profile, await countStoreProducts(req.user._id))
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError("This store url is already taken");
+        }
+        throw error;
+    }
+}
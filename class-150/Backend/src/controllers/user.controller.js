@@ -0,0 +1,53 @@
+import { BadRequestError } from "../errors/app.errors.js";
+
+/**
+ * @desc Update the preferences of the logged in user
+ * @route PATCH /api/users/me/preferences
+ * @access Private
+ * @body { preferredCurrency }
+ */
+
+export const updatePreferences = async (req, res) => {
+    const { preferredCurrency } = req.body;
+
+    const user = req.user;
+
+    user.preferredCurrency = preferredCurrency;
+    await user.save();
+
+    return res.status(200).json({
+        message: "Preferences updated successfully",
+        success: true,
+        preferences: {
+            preferredCurrency: user.preferredCurrency
+        }
+    });
+}
+
+/**
+ * @desc Apply to sell on the marketplace. The account becomes a seller once an admin approves it.
+ * @route POST /api/users/me/seller-application
+ * @access Private
+ */
+
+export const applyForSelling = async (req, res) => {
+    const user = req.user;
+
+    if (user.role !== "buyer") {
+        throw new BadRequestError("Only buyers can apply to sell");
+    }
+
+    if (user.sellerStatus === "pending") {
+        throw new BadRequestError("Your application is already pending review");
+    }
+
+    user.sellerStatus = "pending";
+    user.sellerReview = { appliedAt: new Date() };
+    await user.save();
+
+    return res.status(200).json({
+        message: "Seller application submitted",
+        success: true,
+        sellerStatus: user.sellerStatus
+    });
+}
@@ -0,0 +1,173 @@
+import WishlistModel from "../model/wishlist.model.js";
+import ProductModel from "../model/product.model.js";
+import { addItemToUserCart } from "../services/cart.service.js";
+import { toDisplayPrice } from "../services/currency.service.js";
+import { BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Helper function to get the wishlist of a user, creating an empty one if needed
+ */
+
+async function getOrCreateWishlist(userId) {
+    let wishlist = await WishlistModel.findOne({ user: userId });
+
+    if (!wishlist) {
+        wishlist = await WishlistModel.create({ user: userId, items: [] });
+    }
+
+    return wishlist;
+}
+
+/**
+ * @description Helper function to populate the wishlist, attach price / stock to every item and send response
+ */
+
+async function sendWishlistResponse(wishlist, res, message, status = 200) {
+    await wishlist.populate("items.product", "title images price variants");
+    const { displayCurrency } = res.locals;
+
+    const items = wishlist.items
+        .filter(item => item.product)   // product was removed by the seller
+        .map(item => {
+            const product = item.product;
+            const variant = item.variant ? product.variants.id(item.variant) : null;
+            const price = variant?.price?.amount ? variant.price : product.price;
+
+            return {
+                _id: item._id,
+                product: {
+                    _id: product._id,
+                    title: product.title,
+                    images: product.images
+                },
+                variant: variant ? {
+                    _id: variant._id,
+                    attributes: variant.attributes,
+                    images: variant.images
+                } : null,
+                price,
+                displayPrice: displayCurrency ? toDisplayPrice(price, displayCurrency) : null,
+                inStock: variant
+                    ? variant.stock > 0
+                    : product.variants.length === 0 || product.variants.some(v => v.stock > 0),
+                // saved without a variant, one has to be chosen before it can go to the cart
+                requiresVariant: !variant && product.variants.length > 0,
+                notifyWhenInStock: item.notifyWhenInStock,
+                notifiedAt: item.notifiedAt,
+                addedAt: item.addedAt
+            };
+        });
+
+    res.status(status).json({
+        success: true,
+        message,
+        wishlist: {
+            _id: wishlist._id,
+            items
+        }
+    });
+}
+
+
+/**
+ * @desc Get the wishlist of the logged in user
+ * @route GET /api/users/me/wishlist
+ * @access Private
+ */
+
+export const getWishlist = async (req, res) => {
+    const wishlist = await getOrCreateWishlist(req.user._id);
+
+    await sendWishlistResponse(wishlist, res, "Wishlist fetched successfully");
+}
+
+/**
+ * @desc Save a product or one of its variants for later
+ * @route POST /api/users/me/wishlist
+ * @access Private
+ * @body { productId, variantId, notifyWhenInStock }
+ */
+
+export const addToWishlist = async (req, res) => {
+    const { productId, variantId = null, notifyWhenInStock = true } = req.body;
+
+    const product = await ProductModel.findById(productId, "variants published");
+
+    if (!product || product.published === false) {
+        throw new NotFoundError("Product not found");
+    }
+
+    if (variantId && !product.variants.id(variantId)) {
+        throw new BadRequestError("Invalid product variant");
+    }
+
+    const wishlist = await getOrCreateWishlist(req.user._id);
+
+    const existingItem = wishlist.items.find(item =>
+        item.product.equals(product._id) &&
+        String(item.variant || "") === String(variantId || "")
+    );
+
+    if (existingItem) {
+        existingItem.notifyWhenInStock = notifyWhenInStock;
+    } else {
+        wishlist.items.push({ product: product._id, variant: variantId, notifyWhenInStock });
+    }
+
+    await wishlist.save();
+
+    await sendWishlistResponse(wishlist, res, "Item saved to wishlist");
+}
+
+/**
+ * @desc Remove an item from the wishlist
+ * @route DELETE /api/users/me/wishlist/:itemId
+ * @access Private
+ */
+
+export const removeFromWishlist = async (req, res) => {
+    const { itemId } = req.params;
+
+    const wishlist = await getOrCreateWishlist(req.user._id);
+    const item = wishlist.items.id(itemId);
+
+    if (!item) {
+        throw new NotFoundError("Wishlist item not found");
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+
+    await sendWishlistResponse(wishlist, res, "Item removed from wishlist");
+}
+
+/**
+ * @desc Move a wishlist item to the cart. Items saved without a variant need one chosen now.
+ * @route POST /api/users/me/wishlist/:itemId/move-to-cart
+ * @access Private
+ * @body { variantId, quantity }
+ */
+
+export const moveWishlistItemToCart = async (req, res) => {
+    const { itemId } = req.params;
+    const { quantity = 1 } = req.body;
+
+    const wishlist = await getOrCreateWishlist(req.user._id);
+    const item = wishlist.items.id(itemId);
+
+    if (!item) {
+        throw new NotFoundError("Wishlist item not found");
+    }
+
+    await addItemToUserCart(req.user._id, {
+        productId: item.product,
+        variantId: item.variant || req.body.variantId,
+        quantity
+    });
+
+    item.deleteOne();
+    await wishlist.save();
+
+    await sendWishlistResponse(wishlist, res, "Item moved to cart");
+}
@@ -0,0 +1,58 @@
+/**
+ * Typed API errors. Controllers and services throw them, the error middleware turns every error
+ * into the same JSON body:
+ *
+ * { success: false, message, code, errors?, details? }
+ *
+ * - code: stable machine readable code, e.g. NOT_FOUND, VALIDATION_ERROR, CONFLICT
+ * - errors: the invalid fields of a VALIDATION_ERROR, [{ path, location, msg }]
+ * - details: extra data some errors carry, e.g. the return whose refund failed
+ */
+
+export class AppError extends Error {
+    constructor(message, { status = 500, code = "INTERNAL_ERROR", details = undefined } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class BadRequestError extends AppError {
+    constructor(message = "Bad request", { code = "BAD_REQUEST", details } = {}) {
+        super(message, { status: 400, code, details });
+    }
+}
+
+export class ValidationError extends AppError {
+    constructor(errors = [], message = errors[0]?.msg || "Invalid request") {
+        super(message, { status: 400, code: "VALIDATION_ERROR" });
+        // express-validator errors also carry the submitted value, which may be a password
+        this.errors = errors.map(({ path, location, msg }) => ({ path, location, msg }));
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = "Unauthorized", { code = "UNAUTHORIZED" } = {}) {
+        super(message, { status: 401, code });
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = "Forbidden", { code = "FORBIDDEN" } = {}) {
+        super(message, { status: 403, code });
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = "Not found", { code = "NOT_FOUND" } = {}) {
+        super(message, { status: 404, code });
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+        super(message, { status: 409, code, details });
+    }
+}
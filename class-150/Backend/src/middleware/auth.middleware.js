@@ -1,49 +1,108 @@
 import jwt from "jsonwebtoken";
 import UserModel from "../model/user.model.js";
 import {config} from "../config/config.js";
+import { UnauthorizedError, ForbiddenError } from "../errors/app.errors.js";
+
+/**
+ * @description Helper function to load the user of a token. Null when the user is gone or the token
+ * was issued before the sessions were invalidated (password change / reset, log out everywhere).
+ * Throws when the token itself is invalid or expired.
+ */
+
+async function findTokenUser(token) {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    const user = await UserModel.findById(decoded.id);
+
+    // tokens issued before token versions existed carry none and count as version 0
+    if (!user || (decoded.tokenVersion ?? 0) !== (user.tokenVersion ?? 0)) {
+        return null;
+    }
+
+    return user;
+}
 
 export const AuthenticateUser = async (req, res, next) => {
     const token = req.cookies.token
 
     if (!token) {
-        return res.status(401).json({ message: "Unauthorized" });
+        return next(new UnauthorizedError());
     }
     try {
-        const decoded = jwt.verify(token, config.JWT_SECRET);
-        const user = await UserModel.findById(decoded.id);
+        const user = await findTokenUser(token);
 
         if (!user) {
-            return res.status(401).json({ message: "Unauthorized" });
+            return next(new UnauthorizedError());
         }
 
         req.user = user;
         next();
-    } catch (error) {
-        return res.status(401).json({ message: "Invalid token" });
+    } catch {
+        return next(new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" }));
     }
 }
 
 export const AuthenticateSeller = async(req, res, next) => {
     const token = req.cookies.token 
     if (!token) {
-        return res.status(401).json({ message: "Unauthorized" });
+        return next(new UnauthorizedError());
     }
     try {
-        const decoded = jwt.verify(token, config.JWT_SECRET);
-        const user = await UserModel.findById(decoded.id);
+        const user = await findTokenUser(token);
 
         if (!user) {
-            return res.status(401).json({ message: "Unauthorized" });
+            return next(new UnauthorizedError());
         }
         if (user.role !== "seller") {
-            return res.status(403).json({ message: "Forbidden" });
+            return next(new ForbiddenError());
+        }
+        if (user.sellerStatus === "suspended") {
+            return next(new ForbiddenError("Your seller account is suspended", { code: "SELLER_SUSPENDED" }));
         }
 
         req.user = user;
         next();
        
-    } catch (error) {
-        console.log(token)
-        return res.status(401).json({ message: "Invalid token" });
+    } catch {
+        return next(new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" }));
+    }
+};
+
+export const AuthenticateAdmin = async (req, res, next) => {
+    const token = req.cookies.token
+    if (!token) {
+        return next(new UnauthorizedError());
+    }
+    try {
+        const user = await findTokenUser(token);
+
+        if (!user) {
+            return next(new UnauthorizedError());
+        }
+        if (user.role !== "admin") {
+            return next(new ForbiddenError());
+        }
+
+        req.user = user;
+        next();
+    } catch {
+        return next(new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" }));
+    }
+};
+
+
+/**
+ * @description Load the user when a valid token is sent, guests continue without req.user
+ */
+
+export const OptionalAuthenticateUser = async (req, res, next) => {
+    const token = req.cookies.token
+
+    if (token) {
+        try {
+            req.user = await findTokenUser(token) || undefined;
+        } catch {
+            // an expired token is the same as no token here
+        }
     }
-};
\ No newline at end of file
+    next();
+}
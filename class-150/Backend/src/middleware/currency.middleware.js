@@ -0,0 +1,18 @@
+import { SUPPORTED_CURRENCIES } from "../services/currency.service.js";
+
+/**
+ * Pick the currency prices are displayed in: the displayCurrency query param,
+ * otherwise the preferred currency of the logged in user. Stored on res.locals.displayCurrency,
+ * left undefined when neither is set so prices are returned as the seller entered them.
+ */
+export const resolveDisplayCurrency = (req, res, next) => {
+    const requested = req.query.displayCurrency;
+
+    if (SUPPORTED_CURRENCIES.includes(requested)) {
+        res.locals.displayCurrency = requested;
+    } else if (req.user?.preferredCurrency) {
+        res.locals.displayCurrency = req.user.preferredCurrency;
+    }
+
+    next();
+}
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import { AppError, NotFoundError, ValidationError } from "../errors/app.errors.js";
+import { config } from "../config/config.js";
+
+// code of errors that only carry a status, e.g. the http errors of express and its middleware
+const STATUS_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    502: "BAD_GATEWAY"
+};
+
+/**
+ * @description Helper function to turn any error into { status, body } of the API error schema (see errors/app.errors.js)
+ */
+
+function toErrorResponse(error) {
+    if (error instanceof ValidationError) {
+        return { status: 400, body: { message: error.message, code: error.code, errors: error.errors } };
+    }
+
+    if (error instanceof AppError) {
+        return { status: error.status, body: { message: error.message, code: error.code, details: error.details } };
+    }
+
+    // an id in the url or the body that is not an ObjectId
+    if (error instanceof mongoose.Error.CastError) {
+        return { status: 400, body: { message: `Invalid ${error.path}`, code: "INVALID_ID" } };
+    }
+
+    if (error instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(error.errors).map(item => ({ path: item.path, location: "body", msg: item.message }));
+        return { status: 400, body: { message: errors[0]?.msg || "Invalid request", code: "VALIDATION_ERROR", errors } };
+    }
+
+    if (error.code === 11000) {
+        return { status: 409, body: { message: "This resource already exists", code: "DUPLICATE_KEY" } };
+    }
+
+    if (error instanceof multer.MulterError) {
+        const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return { status, body: { message: error.message, code: "UPLOAD_ERROR" } };
+    }
+
+    // malformed json body, or a json field of a multipart form (attributes, policies...)
+    if (error.type === "entity.parse.failed" || error instanceof SyntaxError) {
+        return { status: 400, body: { message: "Malformed JSON", code: "INVALID_JSON" } };
+    }
+
+    const status = Number(error.status || error.statusCode) || 500;
+
+    if (status < 500 || STATUS_CODES[status]) {
+        return { status, body: { message: error.message, code: STATUS_CODES[status] || "BAD_REQUEST" } };
+    }
+
+    return {
+        status: 500,
+        body: {
+            message: config.NODE_ENV === "production" ? "Something went wrong" : error.message,
+            code: "INTERNAL_ERROR"
+        }
+    };
+}
+
+/**
+ * @description 404 for every /api route that does not exist
+ */
+
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, { code: "ROUTE_NOT_FOUND" }));
+}
+
+/**
+ * @description Send every error as the API error schema. Express 5 forwards the rejected promises
+ * of async handlers here, controllers only throw.
+ */
+
+export const errorHandler = (error, req, res, next) => {
+    const { status, body } = toErrorResponse(error);
+
+    if (status >= 500) {
+        console.error(error);
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    return res.status(status).json({ success: false, ...body });
+}
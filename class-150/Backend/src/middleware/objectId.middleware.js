@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { ValidationError } from "../errors/app.errors.js";
+
+/**
+ * Rejects route params that are not an ObjectId before they reach a query, where mongoose
+ * would throw a CastError. Registered with router.param for every id param of a router:
+ *
+ * validateObjectIdParams(router, "id", "variantId");
+ */
+
+/**
+ * @description router.param callback, answers 400 VALIDATION_ERROR for a malformed id
+ */
+
+export const validateObjectId = (req, res, next, value, name) => {
+    if (!mongoose.isObjectIdOrHexString(value)) {
+        return next(new ValidationError([{ path: name, location: "params", msg: `Invalid ${name}` }]));
+    }
+
+    next();
+}
+
+/**
+ * @description Validate every `names` param of the router as an ObjectId
+ */
+
+export const validateObjectIdParams = (router, ...names) => {
+    for (const name of names) {
+        router.param(name, validateObjectId);
+    }
+
+    return router;
+}
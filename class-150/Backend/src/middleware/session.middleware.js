@@ -0,0 +1,27 @@
+import crypto from "crypto";
+
+const SESSION_COOKIE = "sid";
+const SESSION_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Anonymous browser session used to track guests (recently viewed products).
+ * Reads the sid cookie or issues a new one, the id is stored on req.sessionId.
+ */
+export const ensureSession = (req, res, next) => {
+    let sessionId = req.cookies[SESSION_COOKIE];
+
+    if (!UUID_PATTERN.test(sessionId || "")) {
+        sessionId = crypto.randomUUID();
+        res.cookie(SESSION_COOKIE, sessionId, {
+            httpOnly: true,
+            sameSite: "lax",
+            secure: process.env.NODE_ENV === "production",
+            maxAge: SESSION_MAX_AGE
+        });
+    }
+
+    req.sessionId = sessionId;
+    next();
+}
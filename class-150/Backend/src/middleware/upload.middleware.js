@@ -0,0 +1,13 @@
+import multer from "multer";
+
+/**
+ * multer configuration for image uploads
+ * storage: memory storage (files are kept in memory as Buffer objects, storage.service.js validates and resizes them)
+ * limits: file size should not exceed 5MB
+ */
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB file size limit
+});
+
+export default upload;
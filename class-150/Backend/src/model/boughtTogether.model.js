@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+/**
+ * Products bought in the same orders as a product, most frequent first.
+ * Rebuilt from the orders by the recommendation job, never edited by hand.
+ */
+const boughtTogetherSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true,
+        unique: true
+    },
+    related: [
+        {
+            _id: false,
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "product"
+            },
+            // number of orders containing both products
+            count: Number
+        }
+    ],
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const BoughtTogetherModel = mongoose.model("boughtTogether", boughtTogetherSchema);
+
+export default BoughtTogetherModel;
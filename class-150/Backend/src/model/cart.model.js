@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+        default: 1
+    }
+});
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        unique: true
+    },
+    items: [cartItemSchema],
+    // coupon the buyer entered, checked again every time the totals are calculated
+    couponCode: {
+        type: String,
+        default: null
+    }
+}, { timestamps: true });
+
+const CartModel = mongoose.model("cart", cartSchema);
+
+export default CartModel;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // used in urls, e.g. /?category=men-shirts
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    // null for top level categories like "Men", "Women", "Accessories"
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "category",
+        default: null
+    },
+    // every category above this one, root first. Lets a whole subtree be found with one query
+    ancestors: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "category"
+        }
+    ],
+    // position among its siblings in the navigation
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+const CategoryModel = mongoose.model("category", categorySchema);
+
+export default CategoryModel;
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+export const COUPON_TYPES = ["percentage", "fixed", "buy_x_get_y"];
+
+const couponSchema = new mongoose.Schema({
+    // automatic rules have no code, they apply to every cart they match
+    code: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: COUPON_TYPES,
+        required: true
+    },
+    // percentage off for "percentage", amount off in `currency` for "fixed"
+    value: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: {
+            validator: function (value) {
+                return this.type !== "percentage" || value <= 100;
+            },
+            message: "Percentage cannot be more than 100"
+        }
+    },
+    currency: {
+        type: String,
+        enum: ["USD", "EUR", "INR", "JPY", "GBP"],
+        default: "INR"
+    },
+    maxDiscountAmount: {
+        type: Number,
+        min: 0
+    },
+    buyQuantity: {
+        type: Number,
+        min: 1
+    },
+    getQuantity: {
+        type: Number,
+        min: 1
+    },
+    // null for sitewide coupons, otherwise only the seller's items count
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        default: null
+    },
+    // limit the coupon to some products, empty means every product in scope
+    products: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "product"
+        }
+    ],
+    minOrderAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    usageLimitPerUser: {
+        type: Number,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user"
+    }
+}, { timestamps: true });
+
+couponSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: "string" } } });
+couponSchema.index({ active: 1, code: 1, startsAt: 1 });
+couponSchema.index({ seller: 1, createdAt: -1 });
+
+const CouponModel = mongoose.model("coupon", couponSchema);
+
+export default CouponModel;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// One document per coupon used on an order, counts towards the per user limit
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "coupon",
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "order",
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // which of the buyer's uses of a coupon with a per user limit this is (1 to the limit),
+    // unique so two checkouts can never take the same use
+    slot: {
+        type: Number,
+        default: undefined
+    }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index(
+    { coupon: 1, user: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { slot: { $type: "number" } } }
+);
+
+const CouponRedemptionModel = mongoose.model("couponRedemption", couponRedemptionSchema);
+
+export default CouponRedemptionModel;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// The exchange rates set by an admin, one document so they survive a restart
+const exchangeRateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        default: "current"
+    },
+    base: {
+        type: String,
+        required: true
+    },
+    rates: {
+        type: Map,
+        of: Number,
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user"
+    }
+}, { timestamps: true });
+
+const ExchangeRateModel = mongoose.model("exchangeRate", exchangeRateSchema);
+
+export default ExchangeRateModel;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Intents of the local fake gateway, stored so refunds keep working after a restart
+const fakePaymentIntentSchema = new mongoose.Schema({
+    intentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    clientSecret: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    refunded: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ["requires_confirmation", "succeeded", "failed", "refunded"],
+        default: "requires_confirmation"
+    },
+    metadata: {
+        type: Map,
+        of: String
+    }
+}, { timestamps: true });
+
+const FakePaymentIntentModel = mongoose.model("fakePaymentIntent", fakePaymentIntentSchema);
+
+export default FakePaymentIntentModel;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const renditionSchema = new mongoose.Schema({
+    url: String,
+    fileId: String,
+    width: Number,
+    height: Number
+}, { _id: false });
+
+/**
+ * Uploaded image as returned by uploadFile in storage.service.js.
+ * url / fileId point at the large rendition, images uploaded before the renditions only have those two.
+ */
+const imageSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    fileId: String,
+    // storage provider that holds the files, missing on images uploaded to ImageKit before the providers
+    provider: String,
+    width: Number,
+    height: Number,
+    // placeholder shown while the image loads
+    blurhash: String,
+    renditions: {
+        thumbnail: renditionSchema,
+        medium: renditionSchema,
+        large: renditionSchema
+    }
+});
+
+export default imageSchema;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ["back_in_stock"],
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product"
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    read: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+const NotificationModel = mongoose.model("notification", notificationSchema);
+
+export default NotificationModel;
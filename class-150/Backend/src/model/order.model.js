@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+
+/**
+ * Allowed order status changes. "paid" is only set by the payment flow,
+ * "delivered" and "cancelled" are final.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+    pending: ["paid", "cancelled"],
+    paid: ["shipped", "cancelled"],
+    shipped: ["delivered"],
+    delivered: [],
+    cancelled: []
+};
+
+const priceSchema = {
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        enum: ["USD", "EUR", "INR", "JPY", "GBP"],
+        default: "INR"
+    }
+};
+
+// Snapshot of the product / variant at the time the order was placed
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    image: {
+        type: String
+    },
+    attributes: {
+        type: Map,
+        of: String
+    },
+    price: priceSchema,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+});
+
+const orderSchema = new mongoose.Schema({
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    sellers: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "user"
+        }
+    ],
+    items: {
+        type: [orderItemSchema],
+        validate: [items => items.length > 0, "Order must have at least one item"]
+    },
+    // before discounts and shipping, totalAmount is what the buyer pays
+    subtotalAmount: {
+        type: Number
+    },
+    discounts: [
+        {
+            coupon: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "coupon"
+            },
+            code: String,
+            type: {
+                type: String
+            },
+            description: String,
+            seller: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "user",
+                default: null
+            },
+            amount: Number
+        }
+    ],
+    // shipping charged on top of the discounted subtotal, in the order currency
+    shipping: {
+        zone: String,
+        weightGrams: Number,
+        amount: { type: Number, default: 0 },
+        free: { type: Boolean, default: false }
+    },
+    totalAmount: priceSchema,
+    shippingAddress: {
+        fullname: { type: String, required: true },
+        phone: { type: String, required: true },
+        line1: { type: String, required: true },
+        line2: { type: String },
+        city: { type: String, required: true },
+        state: { type: String, required: true },
+        postalCode: { type: String, required: true },
+        country: { type: String, required: true, default: "IN" }
+    },
+    status: {
+        type: String,
+        enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+        default: "pending"
+    },
+    statusHistory: [
+        {
+            status: String,
+            changedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "user"
+            },
+            changedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ]
+}, { timestamps: true });
+
+orderSchema.index({ buyer: 1, createdAt: -1 });
+orderSchema.index({ sellers: 1, createdAt: -1 });
+
+orderSchema.methods.canTransitionTo = function (status) {
+    return ORDER_STATUS_TRANSITIONS[this.status].includes(status);
+}
+
+orderSchema.methods.transitionTo = function (status, changedBy = null) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Order cannot move from ${this.status} to ${status}`);
+    }
+    this.status = status;
+    this.statusHistory.push({ status, changedBy });
+}
+
+const OrderModel = mongoose.model("order", orderSchema);
+
+export default OrderModel;
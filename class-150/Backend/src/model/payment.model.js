@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "order",
+        required: true
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    intentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    amount: {
+        amount: {
+            type: Number,
+            required: true
+        },
+        currency: {
+            type: String,
+            enum: ["USD", "EUR", "INR", "JPY", "GBP"],
+            default: "INR"
+        }
+    },
+    status: {
+        type: String,
+        enum: ["requires_confirmation", "succeeded", "failed", "refunded"],
+        default: "requires_confirmation"
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Webhook event ids already handled, gateways may deliver the same event more than once
+    processedEvents: [String]
+}, { timestamps: true });
+
+paymentSchema.index({ order: 1 });
+
+const PaymentModel = mongoose.model("payment", paymentSchema);
+
+export default PaymentModel;
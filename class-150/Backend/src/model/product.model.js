@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import imageSchema from "./image.schema.js";
+import { generateSku } from "../services/variant.service.js";
 
 const productSchema = new mongoose.Schema({
     title: {
@@ -14,6 +16,12 @@ const productSchema = new mongoose.Schema({
         ref: "user",
         required: true
     },
+    // the seller's own reference, set by the catalog import to match rows with existing products
+    handle: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
     price: {
         amount: {
             type: Number,
@@ -25,21 +33,50 @@ const productSchema = new mongoose.Schema({
             default: "INR"
         }
     },
-    images: [
-        {
-            url: String
+    // parcel weight used for shipping rates, products without one use the configured default
+    weightGrams: {
+        type: Number,
+        min: 1
+    },
+    // the most specific category, e.g. "Shirts" under "Men"
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "category",
+        default: null
+    },
+    images: [imageSchema],
+    // kept in sync by the review endpoints
+    rating: {
+        average: {
+            type: Number,
+            default: 0
+        },
+        count: {
+            type: Number,
+            default: 0
         }
-    ],
+    },
+    // hidden from buyers when an admin unpublishes it or suspends its seller
+    published: {
+        type: Boolean,
+        default: true
+    },
+    moderation: {
+        reason: String,
+        unpublishedAt: Date,
+        unpublishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "user"
+        },
+        // set when the product was hidden only because of the seller suspension
+        sellerSuspended: Boolean
+    },
     variants: [
   {
-    images: [
-      {
-        url: {
-          type: String,
-          required: true
-        }
-      }
-    ],
+    images: [imageSchema],
+
+    // stable code of the variant, set on the first save
+    sku: String,
 
     stock: {
       type: Number,
@@ -66,6 +103,26 @@ const productSchema = new mongoose.Schema({
 ]
 }, { timestamps: true });
 
+// every variant gets its SKU once, later title or attribute changes keep it
+productSchema.pre("validate", function () {
+    for (const variant of this.variants) {
+        if (!variant.sku) {
+            variant.sku = generateSku(this, variant);
+        }
+    }
+});
+
+// Listing: text search, sort options and variant attribute filters
+productSchema.index({ title: "text", description: "text" });
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ "price.amount": 1, _id: 1 });
+productSchema.index({ "price.currency": 1, "price.amount": 1 });
+productSchema.index({ "rating.average": -1, _id: -1 });
+productSchema.index({ category: 1 });
+productSchema.index({ seller: 1, handle: 1 }, { unique: true, partialFilterExpression: { handle: { $type: "string" } } });
+productSchema.index({ "variants.attributes.$**": 1 });
+productSchema.index({ "variants.sku": 1 });
+
 const ProductModel = mongoose.model("product", productSchema);
 
 export default ProductModel;
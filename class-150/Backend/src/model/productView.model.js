@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * Last time a viewer looked at a product. One document per viewer and product,
+ * the viewer is "user:<id>" for logged in users and "session:<sid cookie>" for guests.
+ */
+const productViewSchema = new mongoose.Schema({
+    viewer: {
+        type: String,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 1
+    },
+    viewedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+productViewSchema.index({ viewer: 1, product: 1 }, { unique: true });
+productViewSchema.index({ viewer: 1, viewedAt: -1 });
+
+const ProductViewModel = mongoose.model("productView", productViewSchema);
+
+export default ProductViewModel;
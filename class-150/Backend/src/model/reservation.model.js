@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const reservationSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "order",
+        required: true,
+        unique: true
+    },
+    items: [
+        {
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "product",
+                required: true
+            },
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            },
+            quantity: {
+                type: Number,
+                required: true,
+                min: 1
+            }
+        }
+    ],
+    // active: stock is held for the order, committed: order was paid, released: stock was given back
+    status: {
+        type: String,
+        enum: ["active", "committed", "released"],
+        default: "active"
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+const ReservationModel = mongoose.model("reservation", reservationSchema);
+
+export default ReservationModel;
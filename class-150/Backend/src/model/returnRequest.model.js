@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import imageSchema from "./image.schema.js";
+
+/**
+ * Allowed return status changes. "refunded" is reached once the stock is back and the
+ * payment layer accepted the refund, "rejected", "cancelled" and "refunded" are final.
+ */
+export const RETURN_STATUS_TRANSITIONS = {
+    requested: ["approved", "rejected", "cancelled"],
+    approved: ["refunded"],
+    refunded: [],
+    rejected: [],
+    cancelled: []
+};
+
+export const RETURN_REASONS = ["damaged", "wrong_item", "not_as_described", "size_fit", "changed_mind", "other"];
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "order",
+        required: true
+    },
+    // _id of the line in order.items
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    // copied from the order line so the request reads on its own
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    photos: [imageSchema],
+    // what the buyer gets back for these units, after the order discounts
+    refundAmount: {
+        amount: {
+            type: Number,
+            required: true
+        },
+        currency: {
+            type: String,
+            enum: ["USD", "EUR", "INR", "JPY", "GBP"],
+            default: "INR"
+        }
+    },
+    status: {
+        type: String,
+        enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+        default: "requested"
+    },
+    restockedAt: {
+        type: Date,
+        default: null
+    },
+    refund: {
+        intentId: String,
+        refundedAt: Date,
+        // last gateway error, the seller can retry the refund
+        error: String,
+        // set while a refund is sent, so concurrent approvals / retries refund once
+        inProgress: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // audit trail, one entry per status change
+    statusHistory: [
+        {
+            status: String,
+            changedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "user"
+            },
+            note: String,
+            changedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ]
+}, { timestamps: true });
+
+returnRequestSchema.index({ buyer: 1, createdAt: -1 });
+returnRequestSchema.index({ seller: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, item: 1 });
+
+returnRequestSchema.methods.canTransitionTo = function (status) {
+    return RETURN_STATUS_TRANSITIONS[this.status].includes(status);
+}
+
+returnRequestSchema.methods.transitionTo = function (status, changedBy = null, note = undefined) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Return cannot move from ${this.status} to ${status}`);
+    }
+    this.status = status;
+    this.statusHistory.push({ status, changedBy, note });
+}
+
+const ReturnRequestModel = mongoose.model("returnRequest", returnRequestSchema);
+
+export default ReturnRequestModel;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import imageSchema from "./image.schema.js";
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "product",
+        required: true
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true
+    },
+    // the order that proves the purchase
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "order",
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    photos: [imageSchema]
+}, { timestamps: true });
+
+// one review per buyer and product
+reviewSchema.index({ product: 1, buyer: 1 }, { unique: true });
+reviewSchema.index({ product: 1, createdAt: -1 });
+
+const ReviewModel = mongoose.model("review", reviewSchema);
+
+export default ReviewModel;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import imageSchema from "./image.schema.js";
+
+const policyText = {
+    type: String,
+    trim: true,
+    maxlength: 2000
+};
+
+/**
+ * Public storefront of a seller, edited by the seller from the store settings.
+ * Sellers without a profile are shown under their name until they save one.
+ */
+const sellerProfileSchema = new mongoose.Schema({
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        unique: true
+    },
+    storeName: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    // storefront url, /store/<slug>
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    logo: {
+        type: imageSchema,
+        default: null
+    },
+    banner: {
+        type: imageSchema,
+        default: null
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    policies: {
+        shipping: policyText,
+        returns: policyText,
+        exchanges: policyText
+    }
+}, { timestamps: true });
+
+const SellerProfileModel = mongoose.model("sellerProfile", sellerProfileSchema);
+
+export default SellerProfileModel;
@@ -2,6 +2,20 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
 
+// Saved shipping address, the default one is preselected at checkout
+const addressSchema = new mongoose.Schema({
+    label: { type: String },            // e.g. "Home", "Office"
+    fullname: { type: String, required: true },
+    phone: { type: String, required: true },
+    line1: { type: String, required: true },
+    line2: { type: String },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    postalCode: { type: String, required: true },
+    country: { type: String, required: true, default: "IN" },
+    isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
 const userSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true },
     contact: { type: String, required: false },
@@ -14,16 +28,60 @@ const userSchema = new mongoose.Schema({
     fullname: { type: String, required: true },
     role: {
         type: String,
-        enum: ["buyer", "seller"],
+        enum: ["buyer", "seller", "admin"],
         default: "buyer"
     },
+    /**
+     * Selling is reviewed by an admin: applicants stay buyers while "pending" and become
+     * sellers once "approved". Suspended sellers keep the role but cannot sell.
+     */
+    sellerStatus: {
+        type: String,
+        enum: ["pending", "approved", "rejected", "suspended", null],
+        default: null
+    },
+    sellerReview: {
+        appliedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "user"
+        },
+        note: String
+    },
+    // set when a Google account is linked, at sign up or later from the account settings
     googleID: {
         type: String,
+    },
+    // new Google sign ups pick between shopping and selling before using the store
+    roleSelectionPending: {
+        type: Boolean,
+        default: false
+    },
+    preferredCurrency: {
+        type: String,
+        enum: ["USD", "EUR", "INR", "JPY", "GBP"],
+        default: null
+    },
+    addresses: [addressSchema],
+    // part of every JWT, bumping it logs out every session (password change, reset, "log out everywhere")
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // only the sha256 of the emailed reset token is stored
+    passwordReset: {
+        tokenHash: String,
+        expiresAt: Date
     }
 })
 
+userSchema.index({ "passwordReset.tokenHash": 1 }, { sparse: true });
+userSchema.index({ googleID: 1 }, { unique: true, sparse: true });
+
 userSchema.pre("save", async function () {
-    if (!this.isModified("password")) {
+    // no password to hash when it was removed from a Google linked account
+    if (!this.isModified("password") || !this.password) {
         return;
     }
     try {
@@ -39,5 +97,9 @@ userSchema.methods.comparePassword = async function (password) {
     return await bcrypt.compare(password, this.password);
 }
 
+userSchema.methods.invalidateSessions = function () {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+}
+
 const userModel = mongoose.model('user', userSchema)
 export default userModel;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        required: true,
+        unique: true
+    },
+    items: [
+        {
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "product",
+                required: true
+            },
+            // null when the whole product is saved rather than one variant
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+            },
+            notifyWhenInStock: {
+                type: Boolean,
+                default: true
+            },
+            // last back in stock notification, the flag is cleared then so the buyer is told once
+            notifiedAt: {
+                type: Date,
+                default: null
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ]
+}, { timestamps: true });
+
+wishlistSchema.index({ "items.product": 1 });
+
+const WishlistModel = mongoose.model("wishlist", wishlistSchema);
+
+export default WishlistModel;
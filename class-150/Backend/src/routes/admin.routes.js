@@ -0,0 +1,116 @@
+import express from "express";
+import { AuthenticateAdmin } from "../middleware/auth.middleware.js";
+import {
+    getSellers,
+    approveSeller,
+    rejectSeller,
+    suspendSeller,
+    reinstateSeller,
+    unpublishProduct,
+    publishProduct,
+    getAllOrders,
+    getOrderById,
+    updateOrderStatus
+} from "../controllers/admin.controller.js";
+import {
+    validateSellersQuery,
+    validateSellerReview,
+    validateUnpublishProduct,
+    validateProductId,
+    validateOrdersQuery,
+    validateOrderId,
+    validateOrderStatusUpdate
+} from "../validator/admin.validator.js";
+import { recomputeRecommendations } from "../controllers/recommendation.controller.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "id");
+
+/**
+ * @route GET /api/admin/sellers
+ * @desc List seller applications and sellers
+ * @access Private (Admin only)
+ * @query { status, page, limit }
+ */
+router.get("/sellers", AuthenticateAdmin, validateSellersQuery, getSellers);
+
+/**
+ * @route PATCH /api/admin/sellers/:id/approve
+ * @desc Approve a seller application
+ * @access Private (Admin only)
+ * @body { note }
+ */
+router.patch("/sellers/:id/approve", AuthenticateAdmin, validateSellerReview, approveSeller);
+
+/**
+ * @route PATCH /api/admin/sellers/:id/reject
+ * @desc Reject a seller application
+ * @access Private (Admin only)
+ * @body { note }
+ */
+router.patch("/sellers/:id/reject", AuthenticateAdmin, validateSellerReview, rejectSeller);
+
+/**
+ * @route PATCH /api/admin/sellers/:id/suspend
+ * @desc Suspend a seller and hide their products
+ * @access Private (Admin only)
+ * @body { note }
+ */
+router.patch("/sellers/:id/suspend", AuthenticateAdmin, validateSellerReview, suspendSeller);
+
+/**
+ * @route PATCH /api/admin/sellers/:id/reinstate
+ * @desc Lift a seller suspension
+ * @access Private (Admin only)
+ * @body { note }
+ */
+router.patch("/sellers/:id/reinstate", AuthenticateAdmin, validateSellerReview, reinstateSeller);
+
+/**
+ * @route PATCH /api/admin/products/:id/unpublish
+ * @desc Hide a product from buyers
+ * @access Private (Admin only)
+ * @body { reason }
+ */
+router.patch("/products/:id/unpublish", AuthenticateAdmin, validateUnpublishProduct, unpublishProduct);
+
+/**
+ * @route PATCH /api/admin/products/:id/publish
+ * @desc Publish a product again
+ * @access Private (Admin only)
+ */
+router.patch("/products/:id/publish", AuthenticateAdmin, validateProductId, publishProduct);
+
+/**
+ * @route GET /api/admin/orders
+ * @desc Get the orders of the whole marketplace
+ * @access Private (Admin only)
+ * @query { status, buyer, seller, page, limit }
+ */
+router.get("/orders", AuthenticateAdmin, validateOrdersQuery, getAllOrders);
+
+/**
+ * @route GET /api/admin/orders/:id
+ * @desc Get any order
+ * @access Private (Admin only)
+ */
+router.get("/orders/:id", AuthenticateAdmin, validateOrderId, getOrderById);
+
+/**
+ * @route PATCH /api/admin/orders/:id/status
+ * @desc Ship, deliver or cancel any order, e.g. one with items of several sellers
+ * @access Private (Admin only)
+ * @body { status }
+ */
+router.patch("/orders/:id/status", AuthenticateAdmin, validateOrderStatusUpdate, updateOrderStatus);
+
+/**
+ * @route POST /api/admin/recommendations/recompute
+ * @desc Recompute the frequently bought together lists now
+ * @access Private (Admin only)
+ */
+router.post("/recommendations/recompute", AuthenticateAdmin, recomputeRecommendations);
+
+export default router;
@@ -1,6 +1,6 @@
 import { Router } from "express";
-import { validateRegisterUser, validateLoginUser } from "../validator/auth.validator.js";
-import { registerUser, loginUser, googleCallback } from "../controllers/auth.controller.js";
+import { validateRegisterUser, validateLoginUser, validateChangePassword, validateForgotPassword, validateResetPassword, validateUpdateProfile, validateDeleteAccount, validateLinkPassword, validateUnlinkPassword, validateSelectRole } from "../validator/auth.validator.js";
+import { registerUser, loginUser, googleCallback, logoutUser, logoutEverywhere, changePassword, forgotPassword, resetPassword, updateProfile, deleteAccount, startGoogleLink, unlinkGoogle, linkPassword, unlinkPassword, selectRole } from "../controllers/auth.controller.js";
 import { AuthenticateUser } from "../middleware/auth.middleware.js";
 import { getCurrentUser } from "../controllers/auth.controller.js";
 import passport from "passport";
@@ -43,4 +43,88 @@ router.get("/google/callback",
  */
 router.get("/me", AuthenticateUser, getCurrentUser);
 
+/**
+ * @route GET /api/auth/google/link
+ * @Description Link a Google account to the logged in account, redirects to Google
+ * @Access Private
+ */
+router.get("/google/link", AuthenticateUser, startGoogleLink);
+
+/**
+ * @route DELETE /api/auth/providers/google
+ * @Description Unlink the Google account, the account must have a password
+ * @Access Private
+ */
+router.delete("/providers/google", AuthenticateUser, unlinkGoogle);
+
+/**
+ * @route POST /api/auth/providers/password
+ * @Description Add a password to a Google only account
+ * @Access Private
+ */
+router.post("/providers/password", AuthenticateUser, validateLinkPassword, linkPassword);
+
+/**
+ * @route DELETE /api/auth/providers/password
+ * @Description Remove the password, the account must have Google linked
+ * @Access Private
+ */
+router.delete("/providers/password", AuthenticateUser, validateUnlinkPassword, unlinkPassword);
+
+/**
+ * @route POST /api/auth/me/role
+ * @Description Choose between shopping and selling after a Google sign up
+ * @Access Private
+ */
+router.post("/me/role", AuthenticateUser, validateSelectRole, selectRole);
+
+/**
+ * @route PATCH /api/auth/me
+ * @Description Update fullname, contact or email (email needs currentPassword)
+ * @Access Private
+ */
+router.patch("/me", AuthenticateUser, validateUpdateProfile, updateProfile);
+
+/**
+ * @route DELETE /api/auth/me
+ * @Description Delete the account, needs the password when the account has one
+ * @Access Private
+ */
+router.delete("/me", AuthenticateUser, validateDeleteAccount, deleteAccount);
+
+/**
+ * @route POST /api/auth/logout
+ * @Description Clear the auth cookie
+ * @Access Public
+ */
+router.post("/logout", logoutUser);
+
+/**
+ * @route POST /api/auth/logout-all
+ * @Description Log out of every session
+ * @Access Private
+ */
+router.post("/logout-all", AuthenticateUser, logoutEverywhere);
+
+/**
+ * @route PATCH /api/auth/password
+ * @Description Change the password, other sessions are logged out
+ * @Access Private
+ */
+router.patch("/password", AuthenticateUser, validateChangePassword, changePassword);
+
+/**
+ * @route POST /api/auth/password/forgot
+ * @Description Email a password reset link
+ * @Access Public
+ */
+router.post("/password/forgot", validateForgotPassword, forgotPassword);
+
+/**
+ * @route POST /api/auth/password/reset
+ * @Description Set a new password with a reset token
+ * @Access Public
+ */
+router.post("/password/reset", validateResetPassword, resetPassword);
+
 export default router
\ No newline at end of file
@@ -0,0 +1,80 @@
+import express from "express";
+import { AuthenticateUser } from "../middleware/auth.middleware.js";
+import { resolveDisplayCurrency } from "../middleware/currency.middleware.js";
+import { getCart, addItemToCart, updateCartItem, removeCartItem, clearCart, mergeGuestCart, applyCoupon, removeCoupon, getShippingQuote } from "../controllers/cart.controller.js";
+import { validateAddToCart, validateUpdateCartItem, validateCartItemId, validateMergeCart, validateApplyCoupon, validateShippingQuote } from "../validator/cart.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "itemId");
+
+/**
+ * @route GET /api/cart
+ * @desc Get the cart of the logged in user
+ * @access Private
+ */
+router.get("/", AuthenticateUser, resolveDisplayCurrency, getCart);
+
+/**
+ * @route POST /api/cart/items
+ * @desc Add a product / variant to the cart
+ * @access Private
+ * @body { productId, variantId, quantity }
+ */
+router.post("/items", AuthenticateUser, resolveDisplayCurrency, validateAddToCart, addItemToCart);
+
+/**
+ * @route PUT /api/cart/items/:itemId
+ * @desc Change the quantity of a cart line
+ * @access Private
+ * @body { quantity }
+ */
+router.put("/items/:itemId", AuthenticateUser, resolveDisplayCurrency, validateUpdateCartItem, updateCartItem);
+
+/**
+ * @route DELETE /api/cart/items/:itemId
+ * @desc Remove a line from the cart
+ * @access Private
+ */
+router.delete("/items/:itemId", AuthenticateUser, resolveDisplayCurrency, validateCartItemId, removeCartItem);
+
+/**
+ * @route DELETE /api/cart
+ * @desc Remove every line from the cart
+ * @access Private
+ */
+router.delete("/", AuthenticateUser, resolveDisplayCurrency, clearCart);
+
+/**
+ * @route POST /api/cart/merge
+ * @desc Merge the guest cart into the user's cart after login
+ * @access Private
+ * @body { items: [{ productId, variantId, quantity }] }
+ */
+router.post("/merge", AuthenticateUser, resolveDisplayCurrency, validateMergeCart, mergeGuestCart);
+
+/**
+ * @route POST /api/cart/coupon
+ * @desc Apply a coupon code to the cart
+ * @access Private
+ * @body { code }
+ */
+router.post("/coupon", AuthenticateUser, resolveDisplayCurrency, validateApplyCoupon, applyCoupon);
+
+/**
+ * @route DELETE /api/cart/coupon
+ * @desc Remove the coupon code from the cart
+ * @access Private
+ */
+router.delete("/coupon", AuthenticateUser, resolveDisplayCurrency, removeCoupon);
+
+/**
+ * @route GET /api/cart/shipping
+ * @desc Shipping cost and order total of the cart for a saved address or a country
+ * @access Private
+ * @query { addressId, country }
+ */
+router.get("/shipping", AuthenticateUser, validateShippingQuote, getShippingQuote);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from "express";
+import { AuthenticateAdmin } from "../middleware/auth.middleware.js";
+import { getCategories, getCategory, createCategory, updateCategory, deleteCategory } from "../controllers/category.controller.js";
+import { validateCategoryCreation, validateCategoryUpdate, validateCategoryId } from "../validator/category.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "id");
+
+/**
+ * @route GET /api/categories
+ * @desc Get the category tree, or a flat list with flat=true
+ * @access Public
+ * @query { flat }
+ */
+router.get("/", getCategories);
+
+/**
+ * @route GET /api/categories/:idOrSlug
+ * @desc Get a category with its breadcrumb and sub categories
+ * @access Public
+ */
+router.get("/:idOrSlug", getCategory);
+
+/**
+ * @route POST /api/categories
+ * @desc Create a category
+ * @access Private (Admin only)
+ * @body { name, slug, description, parent, sortOrder }
+ */
+router.post("/", AuthenticateAdmin, validateCategoryCreation, createCategory);
+
+/**
+ * @route PATCH /api/categories/:id
+ * @desc Rename, re-order or move a category
+ * @access Private (Admin only)
+ * @body { name, slug, description, parent, sortOrder }
+ */
+router.patch("/:id", AuthenticateAdmin, validateCategoryUpdate, updateCategory);
+
+/**
+ * @route DELETE /api/categories/:id
+ * @desc Delete an empty category
+ * @access Private (Admin only)
+ */
+router.delete("/:id", AuthenticateAdmin, validateCategoryId, deleteCategory);
+
+export default router;
@@ -0,0 +1,67 @@
+import express from "express";
+import { AuthenticateSeller, AuthenticateAdmin } from "../middleware/auth.middleware.js";
+import { createSellerCoupon, createSitewideCoupon, getSellerCoupons, updateSellerCoupon, deleteSellerCoupon, getSitewideCoupons, updateSitewideCoupon, deleteSitewideCoupon } from "../controllers/coupon.controller.js";
+import { validateCouponCreation, validateCouponUpdate, validateCouponId } from "../validator/coupon.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "id");
+
+/**
+ * @route POST /api/coupons
+ * @desc Create a coupon or automatic promotion for the seller's products
+ * @access Private (Seller only)
+ */
+router.post("/", AuthenticateSeller, validateCouponCreation, createSellerCoupon);
+
+/**
+ * @route POST /api/coupons/sitewide
+ * @desc Create a coupon valid on every seller's products
+ * @access Private (Admin only)
+ */
+router.post("/sitewide", AuthenticateAdmin, validateCouponCreation, createSitewideCoupon);
+
+/**
+ * @route GET /api/coupons/seller
+ * @desc Get the coupons of the authenticated seller
+ * @access Private (Seller only)
+ */
+router.get("/seller", AuthenticateSeller, getSellerCoupons);
+
+/**
+ * @route GET /api/coupons/sitewide
+ * @desc Get the sitewide coupons
+ * @access Private (Admin only)
+ */
+router.get("/sitewide", AuthenticateAdmin, getSitewideCoupons);
+
+/**
+ * @route PATCH /api/coupons/sitewide/:id
+ * @desc Update a sitewide coupon
+ * @access Private (Admin only)
+ */
+router.patch("/sitewide/:id", AuthenticateAdmin, validateCouponUpdate, updateSitewideCoupon);
+
+/**
+ * @route DELETE /api/coupons/sitewide/:id
+ * @desc Delete a sitewide coupon
+ * @access Private (Admin only)
+ */
+router.delete("/sitewide/:id", AuthenticateAdmin, validateCouponId, deleteSitewideCoupon);
+
+/**
+ * @route PATCH /api/coupons/:id
+ * @desc Update a coupon
+ * @access Private (Seller only, owner)
+ */
+router.patch("/:id", AuthenticateSeller, validateCouponUpdate, updateSellerCoupon);
+
+/**
+ * @route DELETE /api/coupons/:id
+ * @desc Delete a coupon
+ * @access Private (Seller only, owner)
+ */
+router.delete("/:id", AuthenticateSeller, validateCouponId, deleteSellerCoupon);
+
+export default router;
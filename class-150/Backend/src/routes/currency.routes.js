@@ -0,0 +1,30 @@
+import express from "express";
+import { AuthenticateAdmin } from "../middleware/auth.middleware.js";
+import { getRates, updateRates, reloadRates } from "../controllers/currency.controller.js";
+import { validateExchangeRates } from "../validator/currency.validator.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/currency/rates
+ * @desc Get the supported currencies and exchange rates
+ * @access Public
+ */
+router.get("/rates", getRates);
+
+/**
+ * @route PUT /api/currency/rates
+ * @desc Replace the exchange rates
+ * @access Private (Admin only)
+ * @body { base, rates }
+ */
+router.put("/rates", AuthenticateAdmin, validateExchangeRates, updateRates);
+
+/**
+ * @route POST /api/currency/rates/reload
+ * @desc Reload the exchange rates from the rates JSON file
+ * @access Private (Admin only)
+ */
+router.post("/rates/reload", AuthenticateAdmin, reloadRates);
+
+export default router;
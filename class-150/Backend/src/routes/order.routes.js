@@ -0,0 +1,49 @@
+import express from "express";
+import { AuthenticateUser, AuthenticateSeller } from "../middleware/auth.middleware.js";
+import { placeOrder, getMyOrders, getSellerOrders, getOrderDetails, updateOrderStatus } from "../controllers/order.controller.js";
+import { validatePlaceOrder, validateOrderId, validateSellerOrdersQuery, validateOrderStatusUpdate } from "../validator/order.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "id");
+
+/**
+ * @route POST /api/orders
+ * @desc Place an order from the cart
+ * @access Private
+ * @body { shippingAddress }
+ */
+router.post("/", AuthenticateUser, validatePlaceOrder, placeOrder);
+
+/**
+ * @route GET /api/orders
+ * @desc Get the orders of the logged in buyer
+ * @access Private
+ */
+router.get("/", AuthenticateUser, getMyOrders);
+
+/**
+ * @route GET /api/orders/seller
+ * @desc Get the orders containing the seller's products
+ * @access Private (Seller only)
+ * @query { status }
+ */
+router.get("/seller", AuthenticateSeller, validateSellerOrdersQuery, getSellerOrders);
+
+/**
+ * @route GET /api/orders/:id
+ * @desc Get order details
+ * @access Private (Buyer or seller of the order)
+ */
+router.get("/:id", AuthenticateUser, validateOrderId, getOrderDetails);
+
+/**
+ * @route PATCH /api/orders/:id/status
+ * @desc Move the order to the next status
+ * @access Private (Buyer or seller of the order)
+ * @body { status }
+ */
+router.patch("/:id/status", AuthenticateUser, validateOrderStatusUpdate, updateOrderStatus);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import { AuthenticateUser } from "../middleware/auth.middleware.js";
+import { createPaymentIntent, confirmPayment, paymentWebhook } from "../controllers/payment.controller.js";
+import { validateCreatePaymentIntent, validateConfirmPayment } from "../validator/payment.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "orderId");
+
+/**
+ * @route POST /api/payments/orders/:orderId/intent
+ * @desc Start paying for a pending order
+ * @access Private (Buyer of the order)
+ */
+router.post("/orders/:orderId/intent", AuthenticateUser, validateCreatePaymentIntent, createPaymentIntent);
+
+/**
+ * @route POST /api/payments/webhook
+ * @desc Payment gateway webhook
+ * @access Public (signed by the gateway)
+ */
+router.post("/webhook", paymentWebhook);
+
+/**
+ * @route POST /api/payments/:intentId/confirm
+ * @desc Confirm a payment on the local fake gateway
+ * @access Private (Buyer of the order)
+ * @body { paymentMethod }
+ */
+router.post("/:intentId/confirm", AuthenticateUser, validateConfirmPayment, confirmPayment);
+
+export default router;
@@ -1,21 +1,22 @@
 import express from "express";
-import { AuthenticateSeller } from "../middleware/auth.middleware.js";
-import { createProduct, getAllProducts, getSellerProducts, getProductDetails,createProductVariant } from "../controllers/product.controller.js";
-import { validateProductCreation } from "../validator/product.validator.js";
-import multer from "multer";
-
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB file size limit
-});
+import { AuthenticateSeller, OptionalAuthenticateUser } from "../middleware/auth.middleware.js";
+import { createProduct, getAllProducts, getSellerProducts, getProductDetails,createProductVariant, updateProduct, deleteProduct, updateProductVariant, deleteProductVariant } from "../controllers/product.controller.js";
+import { validateProductCreation, validateProductSearch, validateProductId, validateProductReplace, validateProductUpdate, validateVariantId, validateVariantReplace, validateVariantUpdate, validateVariantCreation, validateRecentlyViewed, validateFrequentlyBoughtTogether } from "../validator/product.validator.js";
+import upload from "../middleware/upload.middleware.js";
+import { resolveDisplayCurrency } from "../middleware/currency.middleware.js";
+import { ensureSession } from "../middleware/session.middleware.js";
+import { recordView, getRecentlyViewedProducts, getFrequentlyBoughtTogetherProducts } from "../controllers/recommendation.controller.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
 
 const router = express.Router();
 
+validateObjectIdParams(router, "id", "variantId");
+
 /**
  * @route POST /products
  * @desc Create a new product
  * @access Private (Seller only)
- * @body { title, description, priceAmount, priceCurrency, images } 
+ * @body { title, description, priceAmount, priceCurrency, category, weightGrams, images } 
  */
 router.post("/", AuthenticateSeller, upload.array("images", 7), validateProductCreation, createProduct);
 
@@ -29,22 +30,96 @@ router.get("/seller", AuthenticateSeller, getSellerProducts);
 
 /**
  * @route GET /products
- * @desc Get all products
+ * @desc Get all products, with search, filters, sorting and cursor pagination
+ * @access Public
+ * @query { q, minPrice, maxPrice, currency, category, attr.<name>, sort, limit, cursor, displayCurrency }
+ */
+router.get("/", validateProductSearch, OptionalAuthenticateUser, resolveDisplayCurrency, getAllProducts)
+
+/**
+ * @route GET /products/recently-viewed
+ * @desc Products the logged in user or the guest session viewed, most recent first
  * @access Public
+ * @query { limit, exclude, displayCurrency }
  */
-router.get("/",getAllProducts)
+router.get("/recently-viewed", OptionalAuthenticateUser, ensureSession, validateRecentlyViewed, resolveDisplayCurrency, getRecentlyViewedProducts);
 
 /**
  * @route GET /products/:id
  * @desc Get product details by ID
  * @access Public
+ * @query { displayCurrency }
+ */
+router.get("/:id", OptionalAuthenticateUser, resolveDisplayCurrency, getProductDetails) 
+
+/**
+ * @route POST /products/:id/views
+ * @desc Record a view of the product for the recently viewed list
+ * @access Public
+ */
+router.post("/:id/views", OptionalAuthenticateUser, ensureSession, validateProductId, recordView);
+
+/**
+ * @route GET /products/:id/frequently-bought-together
+ * @desc Products often bought in the same order as this product
+ * @access Public
+ * @query { limit, displayCurrency }
+ */
+router.get("/:id/frequently-bought-together", validateFrequentlyBoughtTogether, OptionalAuthenticateUser, resolveDisplayCurrency, getFrequentlyBoughtTogetherProducts);
+
+/**
+ * @route PUT /products/:id
+ * @desc Replace the details of a product
+ * @access Private (Seller only, owner)
+ * @body { title, description, priceAmount, priceCurrency, category, weightGrams, images, removeImages }
+ */
+router.put("/:id", AuthenticateSeller, upload.array("images", 7), validateProductReplace, updateProduct);
+
+/**
+ * @route PATCH /products/:id
+ * @desc Update some details of a product
+ * @access Private (Seller only, owner)
+ * @body { title, description, priceAmount, priceCurrency, category, weightGrams, images, removeImages }
+ */
+router.patch("/:id", AuthenticateSeller, upload.array("images", 7), validateProductUpdate, updateProduct);
+
+/**
+ * @route DELETE /products/:id
+ * @desc Delete a product with its variants and images
+ * @access Private (Seller only, owner)
+ */
+router.delete("/:id", AuthenticateSeller, validateProductId, deleteProduct);
+
+/**
+ * @route POST /products/:id/variants
+ * @desc Add a variant to a product
+ * @access Private (Seller only, owner)
+ * @body { stock, priceAmount, priceCurrency, attributes, images }
+ */
+
+router.post("/:id/variants", AuthenticateSeller, upload.array("images", 7), validateVariantCreation, createProductVariant);
+
+/**
+ * @route PUT /products/:id/variants/:variantId
+ * @desc Replace the details of a variant
+ * @access Private (Seller only, owner)
+ * @body { stock, expectedStock, priceAmount, priceCurrency, attributes, images, removeImages }
  */
-router.get("/:id", getProductDetails) 
+router.put("/:id/variants/:variantId", AuthenticateSeller, upload.array("images", 7), validateVariantReplace, updateProductVariant);
 
 /**
- * 
+ * @route PATCH /products/:id/variants/:variantId
+ * @desc Update some details of a variant
+ * @access Private (Seller only, owner)
+ * @body { stock, expectedStock, priceAmount, priceCurrency, attributes, images, removeImages }
  */
+router.patch("/:id/variants/:variantId", AuthenticateSeller, upload.array("images", 7), validateVariantUpdate, updateProductVariant);
 
-router.post("/:id/variants", AuthenticateSeller,upload.array("images", 7), createProductVariant);
+/**
+ * @route DELETE /products/:id/variants/:variantId
+ * @desc Delete a variant and its images
+ * @access Private (Seller only, owner)
+ */
+router.delete("/:id/variants/:variantId", AuthenticateSeller, validateVariantId, deleteProductVariant);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+import express from "express";
+import { AuthenticateUser, AuthenticateSeller } from "../middleware/auth.middleware.js";
+import upload from "../middleware/upload.middleware.js";
+import { createReturnRequest, getMyReturns, getSellerReturns, getReturnDetails, updateReturnStatus } from "../controllers/return.controller.js";
+import { validateCreateReturn, validateReturnId, validateSellerReturnsQuery, validateReturnStatusUpdate } from "../validator/return.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "id");
+
+/**
+ * @route POST /api/returns
+ * @desc Ask to return units of a delivered order line
+ * @access Private
+ * @body { orderId, itemId, quantity, reason, comment, photos }
+ */
+router.post("/", AuthenticateUser, upload.array("photos", 5), validateCreateReturn, createReturnRequest);
+
+/**
+ * @route GET /api/returns
+ * @desc Get the returns of the logged in buyer
+ * @access Private
+ */
+router.get("/", AuthenticateUser, getMyReturns);
+
+/**
+ * @route GET /api/returns/seller
+ * @desc Get the returns of the seller's products
+ * @access Private (Seller only)
+ * @query { status }
+ */
+router.get("/seller", AuthenticateSeller, validateSellerReturnsQuery, getSellerReturns);
+
+/**
+ * @route GET /api/returns/:id
+ * @desc Get return details and its audit trail
+ * @access Private (Buyer or seller of the return)
+ */
+router.get("/:id", AuthenticateUser, validateReturnId, getReturnDetails);
+
+/**
+ * @route PATCH /api/returns/:id/status
+ * @desc Approve, reject, cancel a return or retry its refund
+ * @access Private (Buyer or seller of the return)
+ * @body { status, note }
+ */
+router.patch("/:id/status", AuthenticateUser, validateReturnStatusUpdate, updateReturnStatus);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import { AuthenticateUser } from "../middleware/auth.middleware.js";
+import upload from "../middleware/upload.middleware.js";
+import { getProductReviews, createReview, updateReview, deleteReview } from "../controllers/review.controller.js";
+import { validateGetReviews, validateCreateReview, validateUpdateReview, validateReviewId } from "../validator/review.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+// mounted on /api/products/:productId/reviews
+const router = express.Router({ mergeParams: true });
+
+validateObjectIdParams(router, "reviewId");
+
+/**
+ * @route GET /api/products/:productId/reviews
+ * @desc Get the reviews and rating of a product
+ * @access Public
+ * @query { page, limit }
+ */
+router.get("/", validateGetReviews, getProductReviews);
+
+/**
+ * @route POST /api/products/:productId/reviews
+ * @desc Review a purchased product
+ * @access Private (Verified buyers)
+ * @body { rating, text, photos }
+ */
+router.post("/", AuthenticateUser, upload.array("photos", 5), validateCreateReview, createReview);
+
+/**
+ * @route PATCH /api/products/:productId/reviews/:reviewId
+ * @desc Edit your review
+ * @access Private (Author only)
+ * @body { rating, text }
+ */
+router.patch("/:reviewId", AuthenticateUser, validateUpdateReview, updateReview);
+
+/**
+ * @route DELETE /api/products/:productId/reviews/:reviewId
+ * @desc Delete your review
+ * @access Private (Author only)
+ */
+router.delete("/:reviewId", AuthenticateUser, validateReviewId, deleteReview);
+
+export default router;
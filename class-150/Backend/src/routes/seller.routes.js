@@ -0,0 +1,97 @@
+import express from "express";
+import { AuthenticateSeller } from "../middleware/auth.middleware.js";
+import {
+    getSellerAnalytics,
+    getRevenueAnalytics,
+    getVariantAnalytics,
+    getTopProductAnalytics,
+    getLowStockAlerts
+} from "../controllers/analytics.controller.js";
+import {
+    validateAnalyticsQuery,
+    validateRevenueQuery,
+    validateVariantsQuery,
+    validateTopProductsQuery,
+    validateLowStockQuery
+} from "../validator/analytics.validator.js";
+import { importProducts, exportProducts } from "../controllers/catalog.controller.js";
+import { validateCatalogImport, validateCatalogExport } from "../validator/product.validator.js";
+import upload from "../middleware/upload.middleware.js";
+import { getMyStore, updateMyStore } from "../controllers/store.controller.js";
+import { validateStoreUpdate } from "../validator/store.validator.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/seller/analytics
+ * @desc Revenue, variant sales, top products and low stock alerts in one request
+ * @access Private (Seller only)
+ * @query { from, to, interval, threshold }
+ */
+router.get("/analytics", AuthenticateSeller, validateAnalyticsQuery, getSellerAnalytics);
+
+/**
+ * @route GET /api/seller/analytics/revenue
+ * @desc Revenue over time
+ * @access Private (Seller only)
+ * @query { from, to, interval }
+ */
+router.get("/analytics/revenue", AuthenticateSeller, validateRevenueQuery, getRevenueAnalytics);
+
+/**
+ * @route GET /api/seller/analytics/variants
+ * @desc Units sold per variant
+ * @access Private (Seller only)
+ * @query { from, to }
+ */
+router.get("/analytics/variants", AuthenticateSeller, validateVariantsQuery, getVariantAnalytics);
+
+/**
+ * @route GET /api/seller/analytics/top-products
+ * @desc Top products by revenue or units sold
+ * @access Private (Seller only)
+ * @query { from, to, by, limit }
+ */
+router.get("/analytics/top-products", AuthenticateSeller, validateTopProductsQuery, getTopProductAnalytics);
+
+/**
+ * @route GET /api/seller/analytics/low-stock
+ * @desc Variants running low on stock
+ * @access Private (Seller only)
+ * @query { threshold }
+ */
+router.get("/analytics/low-stock", AuthenticateSeller, validateLowStockQuery, getLowStockAlerts);
+
+/**
+ * @route POST /api/seller/products/import
+ * @desc Create / update products and variants from a CSV or JSON file, with per-row errors
+ * @access Private (Seller only)
+ * @body { file } multipart, or { rows } JSON
+ * @query { dryRun }
+ */
+router.post("/products/import", AuthenticateSeller, upload.single("file"), validateCatalogImport, importProducts);
+
+/**
+ * @route GET /api/seller/products/export
+ * @desc Download the seller's catalog in the import format
+ * @access Private (Seller only)
+ * @query { format }
+ */
+router.get("/products/export", AuthenticateSeller, validateCatalogExport, exportProducts);
+
+/**
+ * @route GET /api/seller/profile
+ * @desc The store profile of the seller, as buyers see it
+ * @access Private (Seller only)
+ */
+router.get("/profile", AuthenticateSeller, getMyStore);
+
+/**
+ * @route PATCH /api/seller/profile
+ * @desc Edit the store name, url, logo, banner, description and policies
+ * @access Private (Seller only)
+ * @body { storeName, slug, description, policies, logo, banner, removeLogo, removeBanner } multipart
+ */
+router.patch("/profile", AuthenticateSeller, upload.fields([{ name: "logo", maxCount: 1 }, { name: "banner", maxCount: 1 }]), validateStoreUpdate, updateMyStore);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import { AuthenticateAdmin } from "../middleware/auth.middleware.js";
+import { getRates, updateRates, reloadRates } from "../controllers/shipping.controller.js";
+import { validateShippingRates } from "../validator/shipping.validator.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/shipping/rates
+ * @desc Get the shipping zones and weight based rates
+ * @access Public
+ */
+router.get("/rates", getRates);
+
+/**
+ * @route PUT /api/shipping/rates
+ * @desc Replace the shipping rates
+ * @access Private (Admin only)
+ * @body { currency, defaultWeightGrams, zones }
+ */
+router.put("/rates", AuthenticateAdmin, validateShippingRates, updateRates);
+
+/**
+ * @route POST /api/shipping/rates/reload
+ * @desc Reload the shipping rates from the shipping rates JSON file
+ * @access Private (Admin only)
+ */
+router.post("/rates/reload", AuthenticateAdmin, reloadRates);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import { OptionalAuthenticateUser } from "../middleware/auth.middleware.js";
+import { resolveDisplayCurrency } from "../middleware/currency.middleware.js";
+import { getStore, getStoreProducts } from "../controllers/store.controller.js";
+import { validateStoreId, validateStoreProducts } from "../validator/store.validator.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/sellers/:id
+ * @desc Public profile of a store, by seller id or store slug
+ * @access Public
+ */
+router.get("/:id", validateStoreId, getStore);
+
+/**
+ * @route GET /api/sellers/:id/products
+ * @desc Products of a store, with the filters, sorting and pagination of the product listing
+ * @access Public
+ * @query { q, minPrice, maxPrice, currency, category, attr.<name>, sort, limit, cursor, displayCurrency }
+ */
+router.get("/:id/products", validateStoreProducts, OptionalAuthenticateUser, resolveDisplayCurrency, getStoreProducts);
+
+export default router;
@@ -0,0 +1,114 @@
+import express from "express";
+import { AuthenticateUser } from "../middleware/auth.middleware.js";
+import { resolveDisplayCurrency } from "../middleware/currency.middleware.js";
+import { getWishlist, addToWishlist, removeFromWishlist, moveWishlistItemToCart } from "../controllers/wishlist.controller.js";
+import { getNotifications, markNotificationRead } from "../controllers/notification.controller.js";
+import { updatePreferences, applyForSelling } from "../controllers/user.controller.js";
+import { validateAddToWishlist, validateWishlistItemId, validateMoveToCart, validateNotificationId } from "../validator/user.validator.js";
+import { validatePreferredCurrency } from "../validator/currency.validator.js";
+import { getAddresses, addAddress, updateAddress, makeDefaultAddress, deleteAddress } from "../controllers/address.controller.js";
+import { validateAddress, validateAddressReplace, validateAddressId } from "../validator/address.validator.js";
+import { validateObjectIdParams } from "../middleware/objectId.middleware.js";
+
+const router = express.Router();
+
+validateObjectIdParams(router, "itemId", "notificationId", "addressId");
+
+/**
+ * @route GET /api/users/me/wishlist
+ * @desc Get the wishlist of the logged in user
+ * @access Private
+ */
+router.get("/me/wishlist", AuthenticateUser, resolveDisplayCurrency, getWishlist);
+
+/**
+ * @route POST /api/users/me/wishlist
+ * @desc Save a product or one of its variants for later
+ * @access Private
+ * @body { productId, variantId, notifyWhenInStock }
+ */
+router.post("/me/wishlist", AuthenticateUser, resolveDisplayCurrency, validateAddToWishlist, addToWishlist);
+
+/**
+ * @route DELETE /api/users/me/wishlist/:itemId
+ * @desc Remove an item from the wishlist
+ * @access Private
+ */
+router.delete("/me/wishlist/:itemId", AuthenticateUser, resolveDisplayCurrency, validateWishlistItemId, removeFromWishlist);
+
+/**
+ * @route POST /api/users/me/wishlist/:itemId/move-to-cart
+ * @desc Move a wishlist item to the cart
+ * @access Private
+ * @body { variantId, quantity }
+ */
+router.post("/me/wishlist/:itemId/move-to-cart", AuthenticateUser, resolveDisplayCurrency, validateMoveToCart, moveWishlistItemToCart);
+
+/**
+ * @route GET /api/users/me/notifications
+ * @desc Get the notifications of the logged in user
+ * @access Private
+ * @query { unread }
+ */
+router.get("/me/notifications", AuthenticateUser, getNotifications);
+
+/**
+ * @route PATCH /api/users/me/notifications/:notificationId/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.patch("/me/notifications/:notificationId/read", AuthenticateUser, validateNotificationId, markNotificationRead);
+
+/**
+ * @route PATCH /api/users/me/preferences
+ * @desc Update the preferences of the logged in user
+ * @access Private
+ * @body { preferredCurrency }
+ */
+router.patch("/me/preferences", AuthenticateUser, validatePreferredCurrency, updatePreferences);
+
+/**
+ * @route POST /api/users/me/seller-application
+ * @desc Apply to sell on the marketplace
+ * @access Private
+ */
+router.post("/me/seller-application", AuthenticateUser, applyForSelling);
+
+/**
+ * @route GET /api/users/me/addresses
+ * @desc Get the saved addresses, default first
+ * @access Private
+ */
+router.get("/me/addresses", AuthenticateUser, getAddresses);
+
+/**
+ * @route POST /api/users/me/addresses
+ * @desc Save an address
+ * @access Private
+ * @body { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }
+ */
+router.post("/me/addresses", AuthenticateUser, validateAddress, addAddress);
+
+/**
+ * @route PUT /api/users/me/addresses/:addressId
+ * @desc Replace a saved address
+ * @access Private
+ * @body { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }
+ */
+router.put("/me/addresses/:addressId", AuthenticateUser, validateAddressReplace, updateAddress);
+
+/**
+ * @route PATCH /api/users/me/addresses/:addressId/default
+ * @desc Make a saved address the default one
+ * @access Private
+ */
+router.patch("/me/addresses/:addressId/default", AuthenticateUser, validateAddressId, makeDefaultAddress);
+
+/**
+ * @route DELETE /api/users/me/addresses/:addressId
+ * @desc Delete a saved address
+ * @access Private
+ */
+router.delete("/me/addresses/:addressId", AuthenticateUser, validateAddressId, deleteAddress);
+
+export default router;
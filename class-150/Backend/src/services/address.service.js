@@ -0,0 +1,66 @@
+/**
+ * Postal code format of every country we deliver to, checked after normalizePostalCode.
+ * A country missing here cannot be used in an address.
+ */
+export const POSTAL_CODE_PATTERNS = {
+    IN: /^[1-9]\d{5}$/,                                 // PIN code, 560001
+    US: /^\d{5}(-\d{4})?$/,                             // ZIP / ZIP+4, 94105 or 94105-1234
+    CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+    GB: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
+    AU: /^\d{4}$/,
+    DE: /^\d{5}$/,
+    FR: /^\d{5}$/,
+    IT: /^\d{5}$/,
+    ES: /^\d{5}$/,
+    NL: /^\d{4} [A-Z]{2}$/,
+    JP: /^\d{3}-\d{4}$/,
+    SG: /^\d{6}$/,
+    BD: /^\d{4}$/,
+    LK: /^\d{5}$/,
+    NP: /^\d{5}$/
+};
+
+export const SUPPORTED_COUNTRIES = Object.keys(POSTAL_CODE_PATTERNS);
+
+// Countries that write the postal code with a space / dash at a fixed position
+const POSTAL_CODE_SEPARATORS = {
+    CA: { at: 3, separator: " " },
+    NL: { at: 4, separator: " " },
+    JP: { at: 3, separator: "-" }
+};
+
+
+/**
+ * @description Uppercase a postal code and put the separator where the country expects it, "sw1a1aa" -> "SW1A 1AA"
+ */
+
+export const normalizePostalCode = (country, postalCode) => {
+    const compact = String(postalCode).toUpperCase().replace(/[\s-]+/g, "");
+
+    if (country === "GB" && compact.length > 3) {
+        // the inward code is always the last 3 characters
+        return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+    }
+
+    if (country === "US" && compact.length === 9) {
+        return `${compact.slice(0, 5)}-${compact.slice(5)}`;
+    }
+
+    const format = POSTAL_CODE_SEPARATORS[country];
+
+    if (format && compact.length > format.at) {
+        return `${compact.slice(0, format.at)}${format.separator}${compact.slice(format.at)}`;
+    }
+
+    return compact;
+}
+
+/**
+ * @description Whether a postal code is valid for a country
+ */
+
+export const isValidPostalCode = (country, postalCode) => {
+    const pattern = POSTAL_CODE_PATTERNS[country];
+
+    return Boolean(pattern) && pattern.test(normalizePostalCode(country, postalCode));
+}
@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+import OrderModel from "../model/order.model.js";
+import ProductModel from "../model/product.model.js";
+import ReturnRequestModel from "../model/returnRequest.model.js";
+
+// Only orders that were paid for count as sales
+export const SALE_STATUSES = ["paid", "shipped", "delivered"];
+
+export const REVENUE_INTERVALS = ["day", "week", "month"];
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Returns that take units out of a sale: accepted (stock coming back) or already refunded
+const RETURNED_STATUSES = ["approved", "refunded"];
+
+
+/**
+ * @description Pipeline stages selecting the order lines of a seller sold within the date range.
+ * items.quantity is what the buyer kept: returned units are taken off and fully returned lines dropped.
+ */
+
+function sellerSalesStages(sellerId, { from, to } = {}) {
+    const seller = new mongoose.Types.ObjectId(String(sellerId));
+    const match = { sellers: seller, status: { $in: SALE_STATUSES } };
+
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = new Date(from);
+        if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    return [
+        { $match: match },
+        { $unwind: "$items" },
+        // an order can hold items of other sellers too
+        { $match: { "items.seller": seller } },
+        {
+            $lookup: {
+                from: ReturnRequestModel.collection.name,
+                let: { order: "$_id", item: "$items._id" },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $and: [{ $eq: ["$order", "$$order"] }, { $eq: ["$item", "$$item"] }] },
+                            status: { $in: RETURNED_STATUSES }
+                        }
+                    },
+                    { $group: { _id: null, quantity: { $sum: "$quantity" } } }
+                ],
+                as: "returned"
+            }
+        },
+        {
+            $set: {
+                "items.quantity": {
+                    $subtract: ["$items.quantity", { $ifNull: [{ $first: "$returned.quantity" }, 0] }]
+                }
+            }
+        },
+        { $match: { "items.quantity": { $gt: 0 } } },
+        { $unset: "returned" }
+    ];
+}
+
+const LINE_TOTAL = { $multiply: ["$items.price.amount", "$items.quantity"] };
+
+
+/**
+ * @description Revenue, units and order count per day / week / month, split by currency
+ */
+
+export const getRevenueOverTime = async (sellerId, { interval = "day", from, to } = {}) => {
+    return OrderModel.aggregate([
+        ...sellerSalesStages(sellerId, { from, to }),
+        {
+            $group: {
+                _id: {
+                    period: { $dateTrunc: { date: "$createdAt", unit: interval } },
+                    currency: "$items.price.currency"
+                },
+                revenue: { $sum: LINE_TOTAL },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                period: "$_id.period",
+                currency: "$_id.currency",
+                revenue: 1,
+                units: 1,
+                orders: { $size: "$orders" }
+            }
+        },
+        { $sort: { period: 1, currency: 1 } }
+    ]);
+}
+
+/**
+ * @description Units sold and revenue of every variant, best sellers first
+ */
+
+export const getUnitsSoldPerVariant = async (sellerId, { from, to } = {}) => {
+    return OrderModel.aggregate([
+        ...sellerSalesStages(sellerId, { from, to }),
+        {
+            $group: {
+                _id: { product: "$items.product", variant: "$items.variant" },
+                title: { $last: "$items.title" },
+                attributes: { $last: "$items.attributes" },
+                currency: { $last: "$items.price.currency" },
+                units: { $sum: "$items.quantity" },
+                revenue: { $sum: LINE_TOTAL }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                product: "$_id.product",
+                variant: "$_id.variant",
+                title: 1,
+                attributes: 1,
+                currency: 1,
+                units: 1,
+                revenue: 1
+            }
+        },
+        { $sort: { units: -1, revenue: -1 } }
+    ]);
+}
+
+/**
+ * @description Top products of a seller by revenue or by units sold
+ */
+
+export const getTopProducts = async (sellerId, { from, to, by = "revenue", limit = 5 } = {}) => {
+    const sortField = by === "units" ? "units" : "revenue";
+
+    return OrderModel.aggregate([
+        ...sellerSalesStages(sellerId, { from, to }),
+        {
+            $group: {
+                _id: "$items.product",
+                title: { $last: "$items.title" },
+                image: { $last: "$items.image" },
+                currency: { $last: "$items.price.currency" },
+                units: { $sum: "$items.quantity" },
+                revenue: { $sum: LINE_TOTAL },
+                orders: { $addToSet: "$_id" }
+            }
+        },
+        { $sort: { [sortField]: -1, _id: 1 } },
+        { $limit: limit },
+        {
+            $project: {
+                _id: 0,
+                product: "$_id",
+                title: 1,
+                image: 1,
+                currency: 1,
+                units: 1,
+                revenue: 1,
+                orders: { $size: "$orders" }
+            }
+        }
+    ]);
+}
+
+/**
+ * @description Variants of a seller with stock at or below the threshold, emptiest first
+ */
+
+export const getLowStockVariants = async (sellerId, { threshold = DEFAULT_LOW_STOCK_THRESHOLD } = {}) => {
+    return ProductModel.aggregate([
+        { $match: { seller: new mongoose.Types.ObjectId(String(sellerId)) } },
+        { $unwind: "$variants" },
+        { $match: { "variants.stock": { $lte: threshold } } },
+        {
+            $project: {
+                _id: 0,
+                product: "$_id",
+                variant: "$variants._id",
+                title: 1,
+                attributes: "$variants.attributes",
+                stock: "$variants.stock",
+                // variant image, falling back to the product image
+                image: {
+                    $first: {
+                        $concatArrays: [
+                            { $ifNull: ["$variants.images.url", []] },
+                            { $ifNull: ["$images.url", []] }
+                        ]
+                    }
+                }
+            }
+        },
+        { $sort: { stock: 1, title: 1 } }
+    ]);
+}
@@ -0,0 +1,117 @@
+import CartModel from "../model/cart.model.js";
+import ProductModel from "../model/product.model.js";
+import { BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Get the cart of a user, creating an empty one if needed
+ */
+
+export const getOrCreateCart = async (userId) => {
+    let cart = await CartModel.findOne({ user: userId });
+
+    if (!cart) {
+        cart = await CartModel.create({ user: userId, items: [] });
+    }
+
+    return cart;
+}
+
+/**
+ * @description Find the variant of a product a cart line points to.
+ * Products without variants are bought as the base product (variantId must be empty).
+ * Returns undefined when the variant does not exist.
+ */
+
+export const findVariant = (product, variantId) => {
+    if (product.variants.length === 0) {
+        return variantId ? undefined : null;
+    }
+    if (!variantId) {
+        return undefined;
+    }
+    return product.variants.id(variantId) || undefined;
+}
+
+/**
+ * @description Priced lines of a cart for the discount engine. The cart must be populated with
+ * the price, variants and seller of its products, removed products are skipped.
+ */
+
+export const getCartLines = (cart) => {
+    return cart.items
+        .filter(item => item.product)
+        .map(item => {
+            const variant = item.variant ? item.product.variants.id(item.variant) : null;
+
+            return {
+                product: item.product._id,
+                seller: item.product.seller,
+                price: variant?.price?.amount ? variant.price : item.product.price,
+                weightGrams: item.product.weightGrams,
+                quantity: item.quantity
+            };
+        });
+}
+
+/**
+ * @description How many units of a product / variant can be bought.
+ * Base products without variants are not stock tracked.
+ */
+
+export const getAvailableStock = (variant) => {
+    return variant ? variant.stock : Infinity;
+}
+
+/**
+ * @description Find the cart line of a product / variant
+ */
+
+export const findCartItem = (cart, productId, variantId) => {
+    return cart.items.find(item =>
+        item.product.equals(productId) &&
+        String(item.variant || "") === String(variantId || "")
+    );
+}
+
+/**
+ * @description Add a product / variant to the user's cart, adding to the quantity of an existing line.
+ * Rejects with an error carrying an http `status` when the product, variant or stock is not available.
+ */
+
+export const addItemToUserCart = async (userId, { productId, variantId, quantity = 1 }) => {
+    const product = await ProductModel.findById(productId);
+
+    if (!product || product.published === false) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const variant = findVariant(product, variantId);
+
+    if (variant === undefined) {
+        throw new BadRequestError("Invalid product variant");
+    }
+
+    const cart = await getOrCreateCart(userId);
+    const existingItem = findCartItem(cart, product._id, variant?._id);
+
+    const newQuantity = (existingItem?.quantity || 0) + Number(quantity);
+
+    if (newQuantity > getAvailableStock(variant)) {
+        throw new BadRequestError(`Only ${variant.stock} item(s) left in stock`);
+    }
+
+    if (existingItem) {
+        existingItem.quantity = newQuantity;
+    } else {
+        cart.items.push({
+            product: product._id,
+            variant: variant?._id || null,
+            quantity: newQuantity
+        });
+    }
+
+    await cart.save();
+
+    return cart;
+}
@@ -0,0 +1,416 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import ProductModel from "../model/product.model.js";
+import { productFieldRules, variantFieldRules, categoryRequiredRule } from "../validator/product.validator.js";
+import { findCategory } from "./category.service.js";
+import { notifyBackInStock } from "./notification.service.js";
+import { changeStock } from "./inventory.service.js";
+import { attributeKey } from "./variant.service.js";
+import { publishProductUpdate } from "./productUpdates.service.js";
+import { BadRequestError } from "../errors/app.errors.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Columns of the import / export file. Variant attributes are extra attr.<name> columns, e.g. attr.size
+export const PRODUCT_COLUMNS = ["handle", "title", "description", "category", "priceAmount", "priceCurrency", "weightGrams", "images"];
+export const VARIANT_COLUMNS = ["variantStock", "variantPriceAmount", "variantPriceCurrency", "variantImages"];
+
+const ATTRIBUTE_PREFIX = "attr.";
+// attribute names end up in a mongo path, same rule as the listing filters
+const ATTRIBUTE_NAME_PATTERN = /^[\w -]+$/;
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+// several image urls go in one cell
+const IMAGE_SEPARATOR = "|";
+
+// variant rule fields -> import columns, to report errors against the column the seller sees
+const VARIANT_FIELD_COLUMNS = {
+    stock: "variantStock",
+    attributes: "attributes",
+    priceAmount: "variantPriceAmount",
+    priceCurrency: "variantPriceCurrency"
+};
+
+
+/**
+ * @description Run express-validator rules against a plain object, resolves to the list of errors
+ */
+
+async function runRules(rules, data) {
+    const req = { body: data };
+
+    for (const rule of rules) {
+        await rule.run(req);
+    }
+
+    return validationResult(req).array();
+}
+
+/**
+ * @description Drop empty cells and read the attr.<name> columns (or an attributes object in JSON rows)
+ */
+
+function normalizeRow(raw, index) {
+    const row = { line: raw._line ?? index + 1, product: {}, variant: {}, attributes: {} };
+    const cells = { ...raw };
+
+    if (cells.attributes && typeof cells.attributes === "object") {
+        Object.entries(cells.attributes).forEach(([name, value]) => {
+            cells[`${ATTRIBUTE_PREFIX}${name}`] = value;
+        });
+    }
+
+    for (const [column, rawValue] of Object.entries(cells)) {
+        if (rawValue === undefined || rawValue === null || typeof rawValue === "object") continue;
+
+        const value = String(rawValue).trim();
+        if (value === "") continue;
+
+        if (column === "handle") {
+            row.handle = value.toLowerCase();
+        } else if (PRODUCT_COLUMNS.includes(column)) {
+            row.product[column] = value;
+        } else if (VARIANT_COLUMNS.includes(column)) {
+            row.variant[column] = value;
+        } else if (column.startsWith(ATTRIBUTE_PREFIX)) {
+            row.attributes[column.slice(ATTRIBUTE_PREFIX.length).trim()] = value;
+        }
+    }
+
+    row.hasVariant = Object.keys(row.attributes).length > 0 || Object.keys(row.variant).length > 0;
+
+    return row;
+}
+
+/**
+ * @description Split an images cell into image urls, resolves to null when one of them is not an http(s) url
+ */
+
+function parseImages(cell) {
+    if (!cell) return [];
+
+    const urls = cell.split(IMAGE_SEPARATOR).map(url => url.trim()).filter(Boolean);
+
+    const valid = urls.every(url => {
+        try {
+            return ["http:", "https:"].includes(new URL(url).protocol);
+        } catch {
+            return false;
+        }
+    });
+
+    return valid ? urls.map(url => ({ url })) : null;
+}
+
+/**
+ * @description Find the product a handle refers to. Exported products without a handle use their id.
+ */
+
+async function findSellerProduct(sellerId, handle) {
+    const product = await ProductModel.findOne({ seller: sellerId, handle });
+
+    if (product || !mongoose.Types.ObjectId.isValid(handle)) {
+        return product;
+    }
+
+    return ProductModel.findOne({ seller: sellerId, _id: handle });
+}
+
+/**
+ * @description Validate the rows of one handle and build the product changes.
+ * Resolves to { errors, product, variants } where product holds the merged product fields.
+ */
+
+async function validateGroup(sellerId, handle, rows, categoryIds) {
+    const errors = [];
+    const addError = (row, field, message) => errors.push({ line: row.line, handle, field, message });
+
+    if (!HANDLE_PATTERN.test(handle)) {
+        rows.forEach(row => addError(row, "handle", "Handle can only contain letters, digits, - and _ (max 100)"));
+        return { errors };
+    }
+
+    const existing = await findSellerProduct(sellerId, handle);
+
+    // product fields come from the first row that has them, the other rows must not contradict it
+    const fields = {};
+    const fieldLines = {};
+
+    for (const row of rows) {
+        for (const [field, value] of Object.entries(row.product)) {
+            if (fields[field] === undefined) {
+                fields[field] = value;
+                fieldLines[field] = row.line;
+            } else if (fields[field] !== value) {
+                addError(row, field, `Differs from line ${fieldLines[field]} of the same handle`);
+            }
+        }
+    }
+
+    if (fields.category) {
+        if (!categoryIds.has(fields.category)) {
+            const category = await findCategory(fields.category);
+            categoryIds.set(fields.category, category ? String(category._id) : fields.category);
+        }
+        fields.category = categoryIds.get(fields.category);
+    }
+
+    // a partial row only changes the fields it has, e.g. a stock update sheet
+    const product = {
+        title: fields.title ?? existing?.title,
+        description: fields.description ?? existing?.description,
+        priceAmount: fields.priceAmount ?? existing?.price.amount,
+        priceCurrency: fields.priceCurrency ?? existing?.price.currency ?? "INR",
+        category: fields.category ?? (existing?.category ? String(existing.category) : undefined),
+        weightGrams: fields.weightGrams ?? existing?.weightGrams ?? undefined,
+        images: parseImages(fields.images)
+    };
+
+    const productLine = fieldLines.title ?? rows[0].line;
+
+    // only new products need a category, rows updating an older product without one still apply
+    const rules = existing ? productFieldRules : [categoryRequiredRule, ...productFieldRules];
+
+    for (const error of await runRules(rules, product)) {
+        errors.push({ line: productLine, handle, field: error.path, message: error.msg });
+    }
+
+    if (product.images === null) {
+        errors.push({ line: fieldLines.images, handle, field: "images", message: "Images must be http(s) urls separated by |" });
+    }
+
+    const variants = [];
+    const seenCombinations = new Map();
+
+    for (const row of rows.filter(row => row.hasVariant)) {
+        const invalidName = Object.keys(row.attributes).find(name => !ATTRIBUTE_NAME_PATTERN.test(name));
+
+        if (invalidName !== undefined) {
+            addError(row, "attributes", `Invalid attribute name "${invalidName}"`);
+            continue;
+        }
+
+        const variant = {
+            stock: row.variant.variantStock,
+            attributes: JSON.stringify(row.attributes),
+            priceAmount: row.variant.variantPriceAmount,
+            priceCurrency: row.variant.variantPriceCurrency
+        };
+
+        for (const error of await runRules(variantFieldRules, variant)) {
+            addError(row, VARIANT_FIELD_COLUMNS[error.path] || error.path, error.msg);
+        }
+
+        const key = attributeKey(row.attributes);
+
+        if (seenCombinations.has(key)) {
+            addError(row, "attributes", `Same attributes as line ${seenCombinations.get(key)}`);
+        }
+        seenCombinations.set(key, row.line);
+
+        const images = parseImages(row.variant.variantImages);
+
+        if (images === null) {
+            addError(row, "variantImages", "Images must be http(s) urls separated by |");
+        }
+
+        variants.push({ key, row, images, ...variant });
+    }
+
+    return { errors, existing, product, variants };
+}
+
+/**
+ * @description Create or update a product and its variants from a validated group.
+ * Variants are matched on their attributes, new combinations are added and the others are left as they are.
+ * Resolves to { status: "created" | "updated", errors }, errors has the rows whose stock could not be applied.
+ */
+
+async function saveGroup(sellerId, handle, { existing, product: fields, variants }) {
+    const product = existing || new ProductModel({ seller: sellerId, handle, images: fields.images });
+
+    product.title = fields.title;
+    product.description = fields.description;
+    product.price = { amount: Number(fields.priceAmount), currency: fields.priceCurrency };
+    if (fields.category !== undefined) product.category = fields.category;
+    if (fields.weightGrams !== undefined) product.weightGrams = Number(fields.weightGrams);
+
+    // images are only taken from the file for new products, uploaded images are managed on the product page
+    if (existing && existing.images.length === 0 && fields.images.length > 0) {
+        product.images = fields.images;
+    }
+
+    // stock of existing variants, applied once the product is saved
+    const stockChanges = [];
+
+    for (const variant of variants) {
+        const current = product.variants.find(v => attributeKey(v.attributes) === variant.key);
+        const price = variant.priceAmount !== undefined
+            ? { amount: Number(variant.priceAmount), currency: variant.priceCurrency || product.price.currency }
+            : null;
+
+        if (current) {
+            if (variant.stock !== undefined && Number(variant.stock) !== current.stock) {
+                stockChanges.push({ variant, variantId: current._id, change: Number(variant.stock) - current.stock });
+            }
+            if (price) current.price = price;
+            if (current.images.length === 0 && variant.images.length > 0) current.images = variant.images;
+        } else {
+            product.variants.push({
+                images: variant.images,
+                stock: Number(variant.stock ?? 0),
+                attributes: JSON.parse(variant.attributes),
+                price: price || { amount: product.price.amount, currency: product.price.currency }
+            });
+        }
+    }
+
+    await product.save();
+
+    // the file holds the stock counted when the import started, it is applied as the difference
+    // to the stock loaded then so units reserved by orders since stay taken
+    const errors = [];
+    const restocked = [];
+
+    for (const { variant, variantId, change } of stockChanges) {
+        const stock = await changeStock(product._id, variantId, change);
+
+        if (stock === null) {
+            errors.push({
+                line: variant.row.line,
+                handle,
+                field: "variantStock",
+                message: "Units were sold during the import, the stock cannot go that low"
+            });
+        } else if (stock - change <= 0 && stock > 0) {
+            restocked.push(variantId);
+        }
+    }
+    publishProductUpdate(product._id);
+
+    await Promise.all(restocked.map(variantId => notifyBackInStock(product._id, variantId).catch(error => {
+        console.error("Failed to send back in stock notifications:", error.message);
+    })));
+
+    return { status: existing ? "updated" : "created", errors };
+}
+
+/**
+ * @description Import catalog rows for a seller. Rows are grouped by handle, one product per handle,
+ * and every row with variant columns or attr.<name> columns is a variant of it.
+ * A handle with an invalid row is skipped as a whole, the other handles are still imported.
+ * With dryRun nothing is saved, the summary tells what would happen.
+ */
+
+export const importCatalog = async (sellerId, rawRows, { dryRun = false } = {}) => {
+    if (rawRows.length === 0) {
+        throw new BadRequestError("The file has no product rows");
+    }
+
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+        throw new BadRequestError(`A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+
+    const rows = rawRows.map(normalizeRow);
+    const errors = [];
+    const groups = new Map();
+
+    for (const row of rows) {
+        if (!row.handle) {
+            errors.push({ line: row.line, handle: null, field: "handle", message: "Handle is required" });
+            continue;
+        }
+        if (!groups.has(row.handle)) groups.set(row.handle, []);
+        groups.get(row.handle).push(row);
+    }
+
+    const summary = { rows: rows.length, products: groups.size, created: 0, updated: 0, skipped: 0 };
+    // category slug -> id, looked up once per import
+    const categoryIds = new Map();
+
+    for (const [handle, groupRows] of groups) {
+        const group = await validateGroup(sellerId, handle, groupRows, categoryIds);
+
+        if (group.errors.length > 0) {
+            errors.push(...group.errors);
+            summary.skipped++;
+            continue;
+        }
+
+        if (dryRun) {
+            summary[group.existing ? "updated" : "created"]++;
+            continue;
+        }
+
+        try {
+            const saved = await saveGroup(sellerId, handle, group);
+
+            summary[saved.status]++;
+            errors.push(...saved.errors);
+        } catch (error) {
+            console.error(error);
+            errors.push({ line: groupRows[0].line, handle, field: null, message: "Could not save this product" });
+            summary.skipped++;
+        }
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+
+    return { dryRun, summary, errors };
+}
+
+/**
+ * @description Export the catalog of a seller in the import format, one row per variant.
+ * The first row of a product has the product columns, the next ones only the handle and the variant columns.
+ * Resolves to { columns, rows }.
+ */
+
+export const exportCatalog = async (sellerId) => {
+    const products = await ProductModel.find({ seller: sellerId })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate("category", "slug");
+
+    const attributeNames = new Set();
+    const rows = [];
+
+    for (const product of products) {
+        const productColumns = {
+            handle: product.handle || String(product._id),
+            title: product.title,
+            description: product.description,
+            category: product.category?.slug,
+            priceAmount: product.price.amount,
+            priceCurrency: product.price.currency,
+            weightGrams: product.weightGrams,
+            images: product.images.map(image => image.url).join(IMAGE_SEPARATOR)
+        };
+
+        if (product.variants.length === 0) {
+            rows.push(productColumns);
+            continue;
+        }
+
+        product.variants.forEach((variant, index) => {
+            const row = index === 0 ? { ...productColumns } : { handle: productColumns.handle };
+
+            row.variantStock = variant.stock;
+            row.variantPriceAmount = variant.price?.amount;
+            row.variantPriceCurrency = variant.price?.currency;
+            row.variantImages = variant.images.map(image => image.url).join(IMAGE_SEPARATOR);
+
+            for (const [name, value] of variant.attributes || []) {
+                attributeNames.add(name);
+                row[`${ATTRIBUTE_PREFIX}${name}`] = value;
+            }
+
+            rows.push(row);
+        });
+    }
+
+    const columns = [
+        ...PRODUCT_COLUMNS,
+        ...VARIANT_COLUMNS,
+        ...[...attributeNames].sort().map(name => `${ATTRIBUTE_PREFIX}${name}`)
+    ];
+
+    return { columns, rows };
+}
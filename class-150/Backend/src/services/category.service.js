@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import CategoryModel from "../model/category.model.js";
+import { BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Turn a category name into a url friendly slug, "Men's Shirts" -> "mens-shirts"
+ */
+
+export const slugify = (text) => {
+    return String(text)
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/['’]/g, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * @description Find a category by its id or its slug. Resolves to null when there is none.
+ */
+
+export const findCategory = async (idOrSlug) => {
+    if (mongoose.Types.ObjectId.isValid(idOrSlug) && String(new mongoose.Types.ObjectId(idOrSlug)) === idOrSlug) {
+        const category = await CategoryModel.findById(idOrSlug);
+        if (category) return category;
+    }
+
+    return CategoryModel.findOne({ slug: String(idOrSlug).toLowerCase() });
+}
+
+/**
+ * @description Ids of a category and of every category below it
+ */
+
+export const getSubtreeIds = async (category) => {
+    const descendants = await CategoryModel.find({ ancestors: category._id }).distinct("_id");
+
+    return [category._id, ...descendants];
+}
+
+/**
+ * @description Nest a flat list of categories under their parents, siblings ordered by sortOrder then name
+ */
+
+export const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [
+        String(category._id),
+        { ...category.toObject(), children: [] }
+    ]));
+
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+
+    return sortNodes(roots);
+}
+
+/**
+ * @description Put a category under a new parent (null for top level) and rewrite the ancestors of its subtree.
+ * Throws a 400 error when the new parent is the category itself or one of its descendants.
+ */
+
+export const moveCategory = async (category, parentId) => {
+    let ancestors = [];
+
+    if (parentId) {
+        const parent = await CategoryModel.findById(parentId);
+
+        if (!parent) {
+            throw new NotFoundError("Parent category not found");
+        }
+
+        if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+            throw new BadRequestError("A category cannot be moved under itself");
+        }
+
+        ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const previousDepth = category.ancestors.length;
+
+    category.parent = parentId || null;
+    category.ancestors = ancestors;
+
+    // descendants keep the part of their path below this category
+    const descendants = await CategoryModel.find({ ancestors: category._id });
+
+    await Promise.all(descendants.map(descendant => {
+        descendant.ancestors = [...ancestors, ...descendant.ancestors.slice(previousDepth)];
+        return descendant.save();
+    }));
+
+    return category;
+}
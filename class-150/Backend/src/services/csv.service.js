@@ -0,0 +1,118 @@
+import { BadRequestError } from "../errors/app.errors.js";
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+
+/**
+ * @description Parse CSV text (RFC 4180: quoted cells, "" escapes, line breaks inside quotes) into
+ * an array of objects keyed by the header row. Every object also gets the line number it started on as `_line`.
+ */
+
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    // a UTF-8 byte order mark is added by Excel
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            record.push(cell);
+            records.push({ cells: record, line: recordLine });
+            record = [];
+            cell = "";
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== "" || record.length > 0) {
+        record.push(cell);
+        records.push({ cells: record, line: recordLine });
+    }
+
+    if (quoted) {
+        throw new BadRequestError(`Unclosed quote in the row starting on line ${recordLine}`);
+    }
+
+    const [header, ...rows] = records.filter(({ cells }) => cells.some(value => value.trim() !== ""));
+
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.cells.map(name => name.trim());
+
+    return rows.map(({ cells, line }) => {
+        const row = { _line: line };
+        columns.forEach((column, index) => {
+            if (column) row[column] = unescapeFormula(cells[index] ?? "");
+        });
+        return row;
+    });
+}
+
+/**
+ * @description Turn rows into CSV text. Columns are written in the given order, missing values as empty cells.
+ */
+
+export const toCsv = (rows, columns) => {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+
+    return lines.map(cells => cells.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * @description Quote a cell when needed and neutralise formulas with a leading apostrophe
+ */
+
+function formatCell(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    let text = String(value);
+
+    if (FORMULA_PREFIX.test(text) && !NUMBER_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @description Drop the apostrophe added by formatCell so exported files import unchanged
+ */
+
+function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
@@ -0,0 +1,184 @@
+import fs from "fs/promises";
+import ExchangeRateModel from "../model/exchangeRate.model.js";
+import { BadRequestError } from "../errors/app.errors.js";
+
+export const SUPPORTED_CURRENCIES = ["USD", "EUR", "INR", "JPY", "GBP"];
+
+// Digits after the decimal point, currencies not listed here use 2
+const MINOR_UNITS = {
+    JPY: 0
+};
+
+// Key of the stored exchange rates document
+const STORED_RATES_KEY = "current";
+
+/**
+ * Exchange rates as units of each currency per one unit of the base currency.
+ * Replaced as a whole by loadRatesFromFile / setExchangeRates, saveExchangeRates also stores them
+ * and loadExchangeRates prefers the stored rates over the file.
+ */
+let exchangeRates = {
+    base: "USD",
+    rates: { USD: 1 },
+    updatedAt: null
+};
+
+
+/**
+ * @description Helper function to validate exchange rates and rescale them to the base currency.
+ * Every supported currency needs a positive rate.
+ */
+
+function normalizeRates({ base, rates }, updatedAt) {
+    if (!SUPPORTED_CURRENCIES.includes(base)) {
+        throw new BadRequestError(`Unsupported base currency ${base}`);
+    }
+
+    const missing = SUPPORTED_CURRENCIES.filter(currency => !(Number(rates?.[currency]) > 0));
+
+    if (missing.length > 0) {
+        throw new BadRequestError(`Missing or invalid rate for ${missing.join(", ")}`);
+    }
+
+    // the base is worth exactly one of itself, rates are rescaled if the file says otherwise
+    const baseRate = Number(rates[base]);
+
+    return {
+        base,
+        rates: Object.fromEntries(SUPPORTED_CURRENCIES.map(currency => [currency, Number(rates[currency]) / baseRate])),
+        updatedAt
+    };
+}
+
+/**
+ * @description Replace the exchange rates. Every supported currency needs a positive rate.
+ */
+
+export const setExchangeRates = ({ base, rates }, updatedAt = new Date()) => {
+    exchangeRates = normalizeRates({ base, rates }, updatedAt);
+    return exchangeRates;
+}
+
+/**
+ * @description Replace the exchange rates and store them, so they are used again after a restart
+ */
+
+export const saveExchangeRates = async ({ base, rates }, updatedBy = null) => {
+    const normalized = normalizeRates({ base, rates });
+
+    // stored first, the rates in use only change once they are saved
+    const saved = await ExchangeRateModel.findOneAndUpdate(
+        { key: STORED_RATES_KEY },
+        { base: normalized.base, rates: normalized.rates, updatedBy },
+        { upsert: true, returnDocument: "after" }
+    );
+
+    exchangeRates = { ...normalized, updatedAt: saved.updatedAt };
+    return exchangeRates;
+}
+
+/**
+ * @description Load the exchange rates from a JSON file of the form { base, rates: { USD, EUR, ... } }
+ */
+
+export const loadRatesFromFile = async (filePath) => {
+    const content = await fs.readFile(filePath, "utf-8");
+    return setExchangeRates(JSON.parse(content));
+}
+
+/**
+ * @description Load the stored exchange rates, or the rates of the JSON file when none were stored yet
+ */
+
+export const loadExchangeRates = async (filePath) => {
+    const stored = await ExchangeRateModel.findOne({ key: STORED_RATES_KEY }).lean();
+
+    if (!stored) {
+        return await loadRatesFromFile(filePath);
+    }
+
+    return setExchangeRates(stored, stored.updatedAt);
+}
+
+/**
+ * @description Replace the stored exchange rates with the rates of the JSON file
+ */
+
+export const resetRatesToFile = async (filePath, updatedBy = null) => {
+    const content = await fs.readFile(filePath, "utf-8");
+    return await saveExchangeRates(JSON.parse(content), updatedBy);
+}
+
+export const getExchangeRates = () => exchangeRates;
+
+/**
+ * @description Round an amount to the minor units of a currency, e.g. 2 decimals for INR, none for JPY
+ */
+
+export const roundToCurrency = (amount, currency) => {
+    const factor = 10 ** (MINOR_UNITS[currency] ?? 2);
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * @description An amount as a whole number of minor units (paise, cents, yen), safe to compare and add
+ */
+
+export const toMinorUnits = (amount, currency) => {
+    return Math.round(amount * 10 ** (MINOR_UNITS[currency] ?? 2));
+}
+
+/**
+ * @description Convert an amount between two supported currencies through the base currency
+ */
+
+export const convertAmount = (amount, from, to) => {
+    if (from === to) {
+        return roundToCurrency(amount, to);
+    }
+
+    const fromRate = exchangeRates.rates[from];
+    const toRate = exchangeRates.rates[to];
+
+    if (!fromRate || !toRate) {
+        throw new Error(`No exchange rate between ${from} and ${to}`);
+    }
+
+    return roundToCurrency((amount / fromRate) * toRate, to);
+}
+
+/**
+ * @description Price shown to the buyer, converted into the display currency. Returns null for a missing price.
+ */
+
+export const toDisplayPrice = (price, currency) => {
+    if (price?.amount === undefined || price?.amount === null) {
+        return null;
+    }
+
+    return {
+        amount: convertAmount(price.amount, price.currency, currency),
+        currency
+    };
+}
+
+/**
+ * @description Plain copy of a product with displayPrice on the product and on every variant that has its own price
+ */
+
+export const localizeProduct = (product, currency) => {
+    const plain = typeof product.toObject === "function" ? product.toObject({ flattenMaps: true }) : product;
+
+    if (!currency) {
+        return plain;
+    }
+
+    return {
+        ...plain,
+        displayPrice: toDisplayPrice(plain.price, currency),
+        variants: (plain.variants || []).map(variant => ({
+            ...variant,
+            displayPrice: variant.price?.amount ? toDisplayPrice(variant.price, currency) : null
+        }))
+    };
+}
@@ -0,0 +1,304 @@
+import mongoose from "mongoose";
+import CouponModel from "../model/coupon.model.js";
+import CouponRedemptionModel from "../model/couponRedemption.model.js";
+import { convertAmount, roundToCurrency } from "./currency.service.js";
+import { AppError, BadRequestError, NotFoundError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Mongo filter for coupons that are switched on and inside their validity window
+ */
+
+function activeCouponFilter(now) {
+    return {
+        active: true,
+        startsAt: { $lte: now },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    };
+}
+
+/**
+ * @description Lines of the cart the coupon applies to: all of them for sitewide coupons,
+ * otherwise only the lines of its seller and / or products
+ */
+
+function getEligibleLines(coupon, lines) {
+    return lines.filter(line =>
+        (!coupon.seller || coupon.seller.equals(line.seller)) &&
+        (coupon.products.length === 0 || coupon.products.some(product => product.equals(line.product)))
+    );
+}
+
+const linesTotal = (lines) => lines.reduce((total, line) => total + line.price.amount * line.quantity, 0);
+
+/**
+ * @description Why a coupon cannot be used on these lines, or null when it can
+ */
+
+async function getIneligibilityReason(coupon, { userId, lines, currency, now }) {
+    if (!coupon.active || coupon.startsAt > now) {
+        return "This coupon is not active";
+    }
+
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+        return "This coupon has expired";
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        return "This coupon has been fully redeemed";
+    }
+
+    const eligibleLines = getEligibleLines(coupon, lines);
+
+    if (eligibleLines.length === 0) {
+        return "This coupon does not apply to any item in your cart";
+    }
+
+    if (coupon.minOrderAmount > 0) {
+        const minimum = convertAmount(coupon.minOrderAmount, coupon.currency, currency);
+
+        if (linesTotal(eligibleLines) < minimum) {
+            return `Spend at least ${currency} ${minimum} on eligible items to use this coupon`;
+        }
+    }
+
+    if (coupon.usageLimitPerUser && userId) {
+        const used = await CouponRedemptionModel.countDocuments({ coupon: coupon._id, user: userId });
+
+        if (used >= coupon.usageLimitPerUser) {
+            return "You have already used this coupon";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @description Amount a coupon takes off the eligible lines, in the currency of the cart
+ */
+
+function getDiscountAmount(coupon, eligibleLines, currency) {
+    const eligibleTotal = linesTotal(eligibleLines);
+
+    if (coupon.type === "percentage") {
+        const amount = eligibleTotal * coupon.value / 100;
+        const cap = coupon.maxDiscountAmount ? convertAmount(coupon.maxDiscountAmount, coupon.currency, currency) : Infinity;
+        return Math.min(amount, cap);
+    }
+
+    if (coupon.type === "fixed") {
+        return Math.min(convertAmount(coupon.value, coupon.currency, currency), eligibleTotal);
+    }
+
+    // buy X get Y: for every X + Y units the Y cheapest ones are free
+    const unitPrices = eligibleLines
+        .flatMap(line => Array(line.quantity).fill(line.price.amount))
+        .sort((a, b) => a - b);
+
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    const freeUnits = Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+
+    return unitPrices.slice(0, freeUnits).reduce((total, price) => total + price, 0);
+}
+
+/**
+ * @description Discount line stored on the cart totals and on the order
+ */
+
+function toDiscount(coupon, amount, currency) {
+    return {
+        coupon: coupon._id,
+        code: coupon.code || null,
+        type: coupon.type,
+        description: coupon.description,
+        seller: coupon.seller,
+        amount: roundToCurrency(amount, currency)
+    };
+}
+
+
+/**
+ * @description Find a coupon by the code the buyer typed in
+ */
+
+export const findCouponByCode = async (code) => {
+    return CouponModel.findOne({ code: String(code).trim().toUpperCase() });
+}
+
+/**
+ * @description Check a code can be used on the lines. Throws a status error explaining why not.
+ */
+
+export const validateCouponCode = async (code, { userId, lines, now = new Date() }) => {
+    const coupon = await findCouponByCode(code);
+
+    if (!coupon) {
+        throw new NotFoundError("Invalid coupon code");
+    }
+
+    const currency = lines[0]?.price.currency;
+    const reason = await getIneligibilityReason(coupon, { userId, lines, currency, now });
+
+    if (reason) {
+        throw new BadRequestError(reason);
+    }
+
+    return coupon;
+}
+
+/**
+ * @description Apply the coupon code and every matching automatic rule to the lines.
+ * Lines are { product, seller, price: { amount, currency }, quantity } and must share one currency.
+ * Resolves to { currency, subtotal, discounts, discountTotal, total, couponError }
+ */
+
+export const calculateTotals = async ({ userId, lines, couponCode, now = new Date() }) => {
+    if (lines.length === 0) {
+        return { currency: null, subtotal: 0, discounts: [], discountTotal: 0, total: 0, couponError: null };
+    }
+
+    const currency = lines[0].price.currency;
+
+    if (lines.some(line => line.price.currency !== currency)) {
+        throw new BadRequestError("All items must use the same currency");
+    }
+
+    const subtotal = roundToCurrency(linesTotal(lines), currency);
+    const sellers = [...new Set(lines.map(line => String(line.seller)))];
+
+    const automaticRules = await CouponModel.find({
+        ...activeCouponFilter(now),
+        code: null,
+        seller: { $in: [null, ...sellers.map(id => new mongoose.Types.ObjectId(id))] }
+    });
+
+    const coupons = [];
+
+    for (const rule of automaticRules) {
+        if (!await getIneligibilityReason(rule, { userId, lines, currency, now })) {
+            coupons.push(rule);
+        }
+    }
+
+    let couponError = null;
+
+    if (couponCode) {
+        try {
+            coupons.push(await validateCouponCode(couponCode, { userId, lines, now }));
+        } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            couponError = error.message;
+        }
+    }
+
+    const discounts = coupons
+        .map(coupon => toDiscount(coupon, getDiscountAmount(coupon, getEligibleLines(coupon, lines), currency), currency))
+        .filter(discount => discount.amount > 0);
+
+    // discounts never take the order below zero
+    const discountTotal = Math.min(
+        roundToCurrency(discounts.reduce((total, discount) => total + discount.amount, 0), currency),
+        subtotal
+    );
+
+    return {
+        currency,
+        subtotal,
+        discounts,
+        discountTotal,
+        total: roundToCurrency(subtotal - discountTotal, currency),
+        couponError
+    };
+}
+
+/**
+ * @description Helper function to save a redemption in the first free use slot of the buyer.
+ * Redemptions saved before slots existed take the first uses.
+ * Resolves to false when every slot up to the limit is taken.
+ */
+
+async function createWithFreeSlot(redemption, limit) {
+    const unslotted = await CouponRedemptionModel.countDocuments({
+        coupon: redemption.coupon,
+        user: redemption.user,
+        slot: { $exists: false }
+    });
+
+    for (let slot = unslotted + 1; slot <= limit; slot++) {
+        try {
+            await CouponRedemptionModel.create({ ...redemption, slot });
+            return true;
+        } catch (error) {
+            // duplicate key: this use is taken, try the next one
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * @description Record the coupons used on an order. Global usage limits are claimed atomically,
+ * per user limits by taking a free use slot (unique per coupon and user), so two checkouts of the
+ * same buyer cannot both take the last use. Resolves to false (recording nothing) when a limit ran out
+ * in the meantime.
+ */
+
+export const redeemCoupons = async (orderId, userId, discounts) => {
+    const claimed = [];
+
+    const rollback = async () => {
+        await CouponModel.updateMany({ _id: { $in: claimed } }, { $inc: { usedCount: -1 } });
+        await CouponRedemptionModel.deleteMany({ order: orderId });
+    };
+
+    for (const discount of discounts) {
+        const coupon = await CouponModel.findOneAndUpdate(
+            {
+                _id: discount.coupon,
+                $or: [
+                    { usageLimit: null },
+                    { $expr: { $lt: ["$usedCount", "$usageLimit"] } }
+                ]
+            },
+            { $inc: { usedCount: 1 } }
+        );
+
+        if (!coupon) {
+            await rollback();
+            return false;
+        }
+        claimed.push(discount.coupon);
+
+        const redemption = { coupon: discount.coupon, user: userId, order: orderId, amount: discount.amount };
+
+        if (!coupon.usageLimitPerUser) {
+            await CouponRedemptionModel.create(redemption);
+            continue;
+        }
+
+        if (!await createWithFreeSlot(redemption, coupon.usageLimitPerUser)) {
+            await rollback();
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * @description Give back the coupons of a cancelled order, so it no longer counts towards the usage limits
+ */
+
+export const releaseCouponRedemptions = async (orderId) => {
+    const redemptions = await CouponRedemptionModel.find({ order: orderId });
+
+    if (redemptions.length === 0) {
+        return;
+    }
+
+    await CouponRedemptionModel.deleteMany({ order: orderId });
+    await Promise.all(redemptions.map(redemption =>
+        CouponModel.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } })
+    ));
+}
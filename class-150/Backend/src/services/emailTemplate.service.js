@@ -0,0 +1,287 @@
+import { config } from "../config/config.js";
+
+/**
+ * Email templates. Every template takes a data object and returns { subject, html, text },
+ * the text version is the fallback for clients that do not render html.
+ */
+
+
+/**
+ * @description Escape user supplied values before they go into the html
+ */
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+function formatMoney(amount, currency) {
+    const value = Number(amount || 0);
+    const decimals = Number.isInteger(value) ? 0 : 2;
+
+    return `${currency} ${value.toLocaleString("en-IN", { minimumFractionDigits: decimals, maximumFractionDigits: 2 })}`;
+}
+
+function formatAttributes(attributes) {
+    const values = attributes instanceof Map ? [...attributes.values()] : Object.values(attributes || {});
+    return values.join(" / ");
+}
+
+/**
+ * @description Shared layout in the store colours, body is already escaped html
+ */
+
+function layout({ heading, body, action = null, footnote = null }) {
+    const button = action
+        ? `<div style="text-align: center; margin: 32px 0;">
+            <a href="${escapeHtml(action.url)}" style="background-color: #1b1c1a; color: #fbf9f6; padding: 14px 28px; text-decoration: none; font-size: 12px; letter-spacing: 0.2em; text-transform: uppercase;">${escapeHtml(action.label)}</a>
+        </div>`
+        : "";
+
+    return `
+    <div style="font-family: Inter, Arial, sans-serif; background-color: #fbf9f6; padding: 24px;">
+        <div style="max-width: 600px; margin: auto; background: #ffffff; padding: 40px; border: 1px solid #e4e2df;">
+            <p style="color: #C9A96E; font-size: 14px; letter-spacing: 0.35em; text-transform: uppercase; margin: 0 0 32px;">Snitch.</p>
+            <h2 style="font-family: 'Cormorant Garamond', Georgia, serif; font-weight: 300; font-size: 28px; color: #1b1c1a; margin: 0 0 24px;">${heading}</h2>
+            ${body}
+            ${button}
+            ${footnote ? `<p style="color: #7A6E63; font-size: 13px;">${footnote}</p>` : ""}
+            <p style="color: #B5ADA3; font-size: 12px; margin-top: 40px; border-top: 1px solid #e4e2df; padding-top: 16px;">
+                &copy; ${new Date().getFullYear()} Snitch. You are receiving this email because of activity on your account.
+            </p>
+        </div>
+    </div>`;
+}
+
+function paragraph(html) {
+    return `<p style="color: #1b1c1a; font-size: 15px; line-height: 1.6;">${html}</p>`;
+}
+
+/**
+ * @description Lines and totals of an order, as an html table and as plain text
+ */
+
+function orderSummary(order) {
+    const currency = order.totalAmount.currency;
+
+    const rows = order.items.map(item => {
+        const attributes = formatAttributes(item.attributes);
+        const name = attributes ? `${item.title} (${attributes})` : item.title;
+        return { name, quantity: item.quantity, amount: formatMoney(item.price.amount * item.quantity, item.price.currency) };
+    });
+
+    const totals = [
+        ["Subtotal", formatMoney(order.subtotalAmount, currency)],
+        ...(order.discounts || []).map(discount => [discount.code || discount.description || "Discount", `- ${formatMoney(discount.amount, currency)}`]),
+        ["Shipping", order.shipping?.free ? "Free" : formatMoney(order.shipping?.amount, currency)],
+        ["Total", formatMoney(order.totalAmount.amount, currency)]
+    ];
+
+    const cell = "padding: 8px 0; border-bottom: 1px solid #e4e2df; font-size: 14px; color: #1b1c1a;";
+
+    const html = `
+    <table style="width: 100%; border-collapse: collapse; margin: 24px 0;">
+        ${rows.map(row => `<tr>
+            <td style="${cell}">${escapeHtml(row.name)} &times; ${row.quantity}</td>
+            <td style="${cell} text-align: right;">${escapeHtml(row.amount)}</td>
+        </tr>`).join("")}
+        ${totals.map(([label, value]) => `<tr>
+            <td style="${cell} color: #7A6E63;">${escapeHtml(label)}</td>
+            <td style="${cell} text-align: right;">${escapeHtml(value)}</td>
+        </tr>`).join("")}
+    </table>`;
+
+    const text = [
+        ...rows.map(row => `${row.name} x ${row.quantity}: ${row.amount}`),
+        "",
+        ...totals.map(([label, value]) => `${label}: ${value}`)
+    ].join("\n");
+
+    return { html, text };
+}
+
+function formatAddress(address) {
+    return [
+        address.fullname,
+        address.line1,
+        address.line2,
+        `${address.city}, ${address.state} ${address.postalCode}`,
+        address.country
+    ].filter(Boolean);
+}
+
+function orderNumber(order) {
+    return String(order._id).slice(-8).toUpperCase();
+}
+
+
+const templates = {
+    // data: { user }
+    registration: ({ user }) => {
+        const sellerNote = user.sellerStatus === "pending"
+            ? "Your seller application is under review, you can start selling as soon as an admin has approved it."
+            : null;
+
+        return {
+            subject: "Welcome to Snitch",
+            html: layout({
+                heading: `Welcome, ${escapeHtml(user.fullname)}`,
+                body: paragraph("Your account is ready. Browse the archive, save pieces to your wishlist and check out in a few clicks.")
+                    + (sellerNote ? paragraph(escapeHtml(sellerNote)) : ""),
+                action: { label: "Start Shopping", url: config.CLIENT_URL }
+            }),
+            text: [
+                `Welcome, ${user.fullname}`,
+                "",
+                "Your account is ready. Browse the archive, save pieces to your wishlist and check out in a few clicks.",
+                sellerNote,
+                "",
+                config.CLIENT_URL
+            ].filter(line => line !== null).join("\n")
+        };
+    },
+
+    // data: { user, order }
+    orderConfirmation: ({ user, order }) => {
+        const summary = orderSummary(order);
+        const address = formatAddress(order.shippingAddress);
+
+        return {
+            subject: `Your Snitch order #${orderNumber(order)}`,
+            html: layout({
+                heading: "Thank you for your order",
+                body: paragraph(`Hi ${escapeHtml(user.fullname)}, we have received your order #${orderNumber(order)}. We will let you know as soon as it ships.`)
+                    + summary.html
+                    + paragraph(`<span style="color: #7A6E63;">Shipping to</span><br>${address.map(escapeHtml).join("<br>")}`)
+            }),
+            text: [
+                `Hi ${user.fullname}, we have received your order #${orderNumber(order)}. We will let you know as soon as it ships.`,
+                "",
+                summary.text,
+                "",
+                "Shipping to:",
+                ...address
+            ].join("\n")
+        };
+    },
+
+    // data: { user, order }, sent when an order is shipped or delivered
+    orderStatus: ({ user, order }) => {
+        const messages = {
+            shipped: {
+                subject: `Your Snitch order #${orderNumber(order)} has shipped`,
+                heading: "Your order is on its way",
+                body: "Good news, your order has left our studio and is on its way to you."
+            },
+            delivered: {
+                subject: `Your Snitch order #${orderNumber(order)} has been delivered`,
+                heading: "Your order has arrived",
+                body: "Your order has been delivered. We hope you love it."
+            }
+        };
+
+        const message = messages[order.status];
+
+        if (!message) {
+            throw new Error(`No orderStatus email for status ${order.status}`);
+        }
+
+        return {
+            subject: message.subject,
+            html: layout({
+                heading: message.heading,
+                body: paragraph(`Hi ${escapeHtml(user.fullname)}, ${escapeHtml(message.body)}`)
+                    + paragraph(`<span style="color: #7A6E63;">Order</span> #${orderNumber(order)}`)
+            }),
+            text: [
+                `Hi ${user.fullname}, ${message.body}`,
+                "",
+                `Order #${orderNumber(order)}`
+            ].join("\n")
+        };
+    },
+
+    // data: { user, returnRequest }, sent when a return is rejected or refunded
+    returnStatus: ({ user, returnRequest }) => {
+        const orderRef = `#${orderNumber({ _id: returnRequest.order })}`;
+        const refund = formatMoney(returnRequest.refundAmount.amount, returnRequest.refundAmount.currency);
+        const note = returnRequest.statusHistory.at(-1)?.note;
+
+        const messages = {
+            rejected: {
+                subject: `Your return for order ${orderRef} was declined`,
+                heading: "Your return was declined",
+                body: `the seller declined your return of ${returnRequest.quantity} x ${returnRequest.title}.`
+            },
+            refunded: {
+                subject: `Your refund for order ${orderRef} is on its way`,
+                heading: "Your return is refunded",
+                body: `your return of ${returnRequest.quantity} x ${returnRequest.title} was accepted and ${refund} is on its way back to your payment method.`
+            }
+        };
+
+        const message = messages[returnRequest.status];
+
+        if (!message) {
+            throw new Error(`No returnStatus email for status ${returnRequest.status}`);
+        }
+
+        const reason = returnRequest.status === "rejected" && note ? note : null;
+
+        return {
+            subject: message.subject,
+            html: layout({
+                heading: message.heading,
+                body: paragraph(`Hi ${escapeHtml(user.fullname)}, ${escapeHtml(message.body)}`)
+                    + (reason ? paragraph(`<span style="color: #7A6E63;">Reason</span><br>${escapeHtml(reason)}`) : "")
+                    + paragraph(`<span style="color: #7A6E63;">Order</span> ${orderRef}`)
+            }),
+            text: [
+                `Hi ${user.fullname}, ${message.body}`,
+                ...(reason ? ["", `Reason: ${reason}`] : []),
+                "",
+                `Order ${orderRef}`
+            ].join("\n")
+        };
+    },
+
+    // data: { user, resetUrl, expiresInMinutes }
+    passwordReset: ({ user, resetUrl, expiresInMinutes }) => ({
+        subject: "Reset your Snitch password",
+        html: layout({
+            heading: "Reset your password",
+            body: paragraph(`Hi ${escapeHtml(user.fullname)}, we received a request to reset the password of your account.`)
+                + paragraph(`The link below is valid for ${expiresInMinutes} minutes and can only be used once.`),
+            action: { label: "Reset Password", url: resetUrl },
+            footnote: "If you did not ask for this, you can ignore this email, your password will not change."
+        }),
+        text: [
+            `Hi ${user.fullname}, we received a request to reset the password of your account.`,
+            `Open the link below within ${expiresInMinutes} minutes to choose a new password:`,
+            "",
+            resetUrl,
+            "",
+            "If you did not ask for this, you can ignore this email, your password will not change."
+        ].join("\n")
+    })
+};
+
+export const EMAIL_TEMPLATES = Object.keys(templates);
+
+/**
+ * @description Render a template by name, resolves to { subject, html, text }
+ */
+
+export const renderEmailTemplate = (name, data) => {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown email template ${name}`);
+    }
+
+    return template(data);
+}
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import FakePaymentIntentModel from "../model/fakePaymentIntent.model.js";
+import { roundToCurrency, toMinorUnits } from "./currency.service.js";
+
+/**
+ * Local payment gateway that never leaves the process. It stores its intents in MongoDB, so
+ * payments can still be refunded after a restart, and signs its webhooks like a real gateway,
+ * so the whole order -> payment -> webhook flow can run in development and tests without network access.
+ *
+ * Payment methods: "fake_card_success" (default) succeeds, "fake_card_declined" fails.
+ */
+
+export const createFakePaymentProvider = ({ webhookSecret }) => {
+    let webhookHandler = null;
+
+    function sign(payload) {
+        return crypto.createHmac("sha256", webhookSecret).update(payload).digest("hex");
+    }
+
+    // Deliver the event to the app as if the gateway had called the webhook url
+    function emitEvent(type, intent) {
+        const payload = JSON.stringify({
+            id: `evt_${crypto.randomUUID()}`,
+            type,
+            data: { ...intent }
+        });
+        const signature = sign(payload);
+
+        if (webhookHandler) {
+            setImmediate(() => {
+                Promise.resolve(webhookHandler(Buffer.from(payload), signature)).catch(error => {
+                    console.error("Fake gateway webhook failed:", error.message);
+                });
+            });
+        }
+
+        return { payload, signature };
+    }
+
+    // The intent as the gateway API returns it
+    function toIntent(doc) {
+        return {
+            id: doc.intentId,
+            clientSecret: doc.clientSecret,
+            amount: doc.amount,
+            currency: doc.currency,
+            refunded: doc.refunded,
+            status: doc.status,
+            metadata: Object.fromEntries(doc.metadata || [])
+        };
+    }
+
+    async function getIntent(intentId) {
+        const intent = await FakePaymentIntentModel.findOne({ intentId });
+
+        if (!intent) {
+            throw new Error("Payment intent not found");
+        }
+        return intent;
+    }
+
+    return {
+        name: "fake",
+
+        async createIntent({ amount, currency, metadata = {} }) {
+            const intent = await FakePaymentIntentModel.create({
+                intentId: `pi_fake_${crypto.randomUUID()}`,
+                clientSecret: `secret_${crypto.randomUUID()}`,
+                amount,
+                currency,
+                metadata
+            });
+
+            return toIntent(intent);
+        },
+
+        async confirm(intentId, { paymentMethod = "fake_card_success" } = {}) {
+            const intent = await getIntent(intentId);
+
+            if (intent.status !== "requires_confirmation") {
+                throw new Error(`Payment intent is already ${intent.status}`);
+            }
+
+            intent.status = paymentMethod === "fake_card_declined" ? "failed" : "succeeded";
+            await intent.save();
+
+            const event = emitEvent(intent.status === "succeeded" ? "payment.succeeded" : "payment.failed", toIntent(intent));
+
+            return { ...toIntent(intent), event };
+        },
+
+        async refund(intentId, amount) {
+            const intent = await getIntent(intentId);
+            // amounts are compared in minor units, 0.1 + 0.2 of a currency must add up to 0.3
+            const minor = (value) => toMinorUnits(value, intent.currency);
+            const minorExpression = (value) => ({ $round: [{ $multiply: [value, minor(1)] }, 0] });
+            const refundAmount = amount ?? roundToCurrency(intent.amount - intent.refunded, intent.currency);
+
+            if (intent.status !== "succeeded" && intent.status !== "refunded") {
+                throw new Error("Only successful payments can be refunded");
+            }
+            if (minor(refundAmount) <= 0) {
+                throw new Error("Refund amount exceeds the captured amount");
+            }
+
+            // one conditional update: concurrent refunds can never go over the captured amount together
+            const refunded = { $add: ["$refunded", refundAmount] };
+            const updated = await FakePaymentIntentModel.findOneAndUpdate(
+                {
+                    intentId,
+                    status: { $in: ["succeeded", "refunded"] },
+                    $expr: { $lte: [minorExpression(refunded), minorExpression("$amount")] }
+                },
+                [
+                    { $set: { refunded: { $divide: [minorExpression(refunded), minor(1)] } } },
+                    {
+                        $set: {
+                            status: {
+                                $cond: [{ $eq: [minorExpression("$refunded"), minorExpression("$amount")] }, "refunded", "$status"]
+                            }
+                        }
+                    }
+                ],
+                { returnDocument: "after", updatePipeline: true }
+            );
+
+            if (!updated) {
+                throw new Error("Refund amount exceeds the captured amount");
+            }
+
+            const event = emitEvent("payment.refunded", { ...toIntent(updated), refundAmount });
+            return { ...toIntent(updated), refundAmount, event };
+        },
+
+        verifyWebhook(rawBody, signature) {
+            if (!rawBody || !signature) {
+                return null;
+            }
+
+            const expected = Buffer.from(sign(rawBody));
+            const received = Buffer.from(String(signature));
+
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                return null;
+            }
+            return JSON.parse(rawBody.toString());
+        },
+
+        setWebhookHandler(handler) {
+            webhookHandler = handler;
+        }
+    };
+}
@@ -0,0 +1,106 @@
+import sharp from "sharp";
+import { encode } from "blurhash";
+import { BadRequestError } from "../errors/app.errors.js";
+
+/**
+ * Turns an uploaded buffer into web renditions. The real type is sniffed from the
+ * first bytes (the file name and the mimetype of the upload are set by the client),
+ * the EXIF orientation is applied and all metadata (EXIF, GPS, ICC comments) is dropped.
+ */
+
+export const RENDITIONS = {
+    thumbnail: 200,
+    medium: 600,
+    large: 1200
+};
+
+const RENDITION_QUALITY = 80;
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1");
+
+/**
+ * @description Helper function to detect the image type from its magic bytes, null when it is not a supported image
+ */
+
+export const sniffImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+        return "jpeg";
+    }
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return "png";
+    }
+    if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6))) {
+        return "gif";
+    }
+    if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+        return "webp";
+    }
+    if (ascii(buffer, 4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(buffer, 8, 12))) {
+        return "avif";
+    }
+    return null;
+}
+
+/**
+ * @description Helper function to compute the blurhash placeholder from a tiny copy of the image
+ */
+
+async function computeBlurhash(image) {
+    const { data, info } = await image
+        .clone()
+        .resize(32, 32, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+/**
+ * @description Validate an upload and build its renditions.
+ * Resolves to { type, width, height, blurhash, renditions: { thumbnail, medium, large } }
+ * where every rendition is { buffer, width, height, contentType, extension }
+ */
+
+export const processImage = async (buffer) => {
+    const type = sniffImageType(buffer);
+
+    if (!type) {
+        throw new BadRequestError("Only JPEG, PNG, WebP, GIF and AVIF images are allowed");
+    }
+
+    // rotate() without arguments applies the EXIF orientation before it is stripped
+    const image = sharp(buffer, { failOn: "error" }).rotate();
+
+    let renditions;
+    let blurhash;
+    try {
+        const entries = await Promise.all(Object.entries(RENDITIONS).map(async ([name, size]) => {
+            const { data, info } = await image
+                .clone()
+                .resize(size, size, { fit: "inside", withoutEnlargement: true })
+                .webp({ quality: RENDITION_QUALITY })
+                .toBuffer({ resolveWithObject: true });
+
+            return [name, { buffer: data, width: info.width, height: info.height, contentType: "image/webp", extension: "webp" }];
+        }));
+
+        renditions = Object.fromEntries(entries);
+        blurhash = await computeBlurhash(image);
+    } catch {
+        // the magic bytes matched but the file does not decode
+        throw new BadRequestError("The uploaded image is corrupt");
+    }
+
+    return {
+        type,
+        width: renditions.large.width,
+        height: renditions.large.height,
+        blurhash,
+        renditions
+    };
+}
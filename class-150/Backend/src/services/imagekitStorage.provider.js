@@ -0,0 +1,28 @@
+import ImageKit from '@imagekit/nodejs';
+
+/**
+ * Storage provider backed by ImageKit, used in production.
+ */
+
+export const createImageKitStorageProvider = ({ privateKey }) => {
+    const client = new ImageKit({ privateKey });
+
+    return {
+        name: "imagekit",
+
+        async put({ buffer, fileName, folder }) {
+            const result = await client.files.upload({
+                file: buffer.toString("base64"),
+                fileName,
+                folder,
+                // the renditions already have unique names
+                useUniqueFileName: false
+            });
+            return { fileId: result.fileId, url: result.url };
+        },
+
+        async delete(fileId) {
+            await client.files.delete(fileId);
+        }
+    };
+}
@@ -0,0 +1,204 @@
+import ProductModel from "../model/product.model.js";
+import ReservationModel from "../model/reservation.model.js";
+import OrderModel from "../model/order.model.js";
+import { notifyBackInStock } from "./notification.service.js";
+import { releaseCouponRedemptions } from "./discount.service.js";
+import { publishProductUpdate } from "./productUpdates.service.js";
+import { config } from "../config/config.js";
+
+/**
+ * Stock is held for an order as soon as it is placed so two buyers can never check out
+ * the last unit together. Every variant is decremented with a single conditional update
+ * (`stock >= quantity`), so MongoDB itself rejects a decrement that would oversell.
+ * When one variant of an order cannot be reserved the variants already decremented are
+ * put back, which keeps this working on a standalone server without transactions.
+ *
+ * Products without variants are not stock tracked and are skipped.
+ */
+
+
+/**
+ * @description Take `quantity` units of a variant. Resolves to false when not enough stock is left
+ */
+
+async function decrementStock({ product, variant, quantity }) {
+    const result = await ProductModel.updateOne(
+        {
+            _id: product,
+            variants: { $elemMatch: { _id: variant, stock: { $gte: quantity } } }
+        },
+        { $inc: { "variants.$.stock": -quantity } }
+    );
+
+    if (result.modifiedCount === 1) {
+        publishProductUpdate(product);
+    }
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * @description Give `quantity` units of a variant back, telling wishlist owners when it was sold out
+ */
+
+async function incrementStock({ product, variant, quantity }) {
+    const before = await ProductModel.findOneAndUpdate(
+        { _id: product, "variants._id": variant },
+        { $inc: { "variants.$.stock": quantity } },
+        { returnDocument: "before", projection: { "variants.$": 1 } }
+    );
+
+    if (before) {
+        publishProductUpdate(product);
+    }
+
+    if (before && before.variants[0].stock <= 0) {
+        await notifyBackInStock(product, variant).catch(error => {
+            console.error("Failed to send back in stock notifications:", error.message);
+        });
+    }
+}
+
+/**
+ * @description Change the stock of a variant by `change` units, e.g. after a seller recounted it.
+ * Units reserved in the meantime stay taken. Resolves to the new stock, or null when the
+ * change would take the stock below zero.
+ */
+
+export const changeStock = async (product, variant, change) => {
+    const updated = await ProductModel.findOneAndUpdate(
+        {
+            _id: product,
+            variants: { $elemMatch: { _id: variant, stock: { $gte: -change } } }
+        },
+        { $inc: { "variants.$.stock": change } },
+        { returnDocument: "after", projection: { "variants.$": 1 } }
+    );
+
+    return updated ? updated.variants[0].stock : null;
+}
+
+/**
+ * @description Reserve stock for every variant line of an order.
+ * Resolves to the reservation, or null when any line is out of stock (nothing stays reserved).
+ */
+
+export const reserveStock = async (orderId, items, ttlMinutes = config.RESERVATION_TTL_MINUTES) => {
+    const trackedItems = items
+        .filter(item => item.variant)
+        .map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+
+    const reserved = [];
+
+    for (const item of trackedItems) {
+        const success = await decrementStock(item);
+
+        if (!success) {
+            await Promise.all(reserved.map(incrementStock));
+            return null;
+        }
+        reserved.push(item);
+    }
+
+    return await ReservationModel.create({
+        order: orderId,
+        items: trackedItems,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+}
+
+/**
+ * @description Make the reservation of a paid order permanent.
+ * Resolves to null when the reservation already expired or was released.
+ */
+
+export const commitReservation = async (orderId) => {
+    return await ReservationModel.findOneAndUpdate(
+        { order: orderId, status: "active" },
+        { status: "committed" },
+        { returnDocument: "after" }
+    );
+}
+
+/**
+ * @description Put the stock of an order back (cancelled, expired or returned order).
+ * The status is switched first so the stock is only ever given back once.
+ */
+
+export const releaseReservation = async (orderId) => {
+    const reservation = await ReservationModel.findOneAndUpdate(
+        { order: orderId, status: { $in: ["active", "committed"] } },
+        { status: "released" },
+        { returnDocument: "after" }
+    );
+
+    if (!reservation) {
+        return null;
+    }
+
+    await Promise.all(reservation.items.map(incrementStock));
+
+    return reservation;
+}
+
+/**
+ * @description Put returned units of a delivered order back on sale.
+ * Lines without a variant are not stock tracked and are skipped.
+ */
+
+export const restockItems = async (items) => {
+    await Promise.all(items
+        .filter(item => item.variant)
+        .map(item => incrementStock({ product: item.product, variant: item.variant, quantity: item.quantity })));
+}
+
+/**
+ * @description Release every reservation whose payment never completed and cancel its order
+ */
+
+export const releaseExpiredReservations = async (now = new Date()) => {
+    let released = 0;
+
+    while (true) {
+        const reservation = await ReservationModel.findOneAndUpdate(
+            { status: "active", expiresAt: { $lte: now } },
+            { status: "released" },
+            { returnDocument: "after" }
+        );
+
+        if (!reservation) break;
+
+        await Promise.all(reservation.items.map(incrementStock));
+
+        const cancelled = await OrderModel.updateOne(
+            { _id: reservation.order, status: "pending" },
+            {
+                status: "cancelled",
+                $push: { statusHistory: { status: "cancelled", changedBy: null } }
+            }
+        );
+
+        if (cancelled.modifiedCount > 0) {
+            await releaseCouponRedemptions(reservation.order);
+        }
+
+        released++;
+    }
+
+    return released;
+}
+
+/**
+ * @description Check for expired reservations every `intervalMs`
+ */
+
+export const startReservationSweeper = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(() => {
+        releaseExpiredReservations().catch(error => {
+            console.error("Failed to release expired reservations:", error.message);
+        });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+}
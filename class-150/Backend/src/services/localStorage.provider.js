@@ -0,0 +1,40 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Storage provider that writes the files to a directory on disk. app.js serves that
+ * directory under /uploads, so development and tests need no ImageKit account.
+ * The file id is the path relative to the root directory.
+ */
+
+export const createLocalStorageProvider = ({ rootDir, baseUrl }) => {
+    const root = path.resolve(rootDir);
+
+    // file ids come back from the database, never let one point outside the root
+    function resolveFile(fileId) {
+        const filePath = path.resolve(root, fileId);
+
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid file id ${fileId}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: "local",
+
+        async put({ buffer, fileName, folder }) {
+            const fileId = path.posix.join(folder, fileName);
+            const filePath = resolveFile(fileId);
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+
+            return { fileId, url: `${baseUrl.replace(/\/$/, "")}/${fileId}` };
+        },
+
+        async delete(fileId) {
+            await fs.rm(resolveFile(fileId), { force: true });
+        }
+    };
+}
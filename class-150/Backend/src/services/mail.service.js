@@ -0,0 +1,140 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { config } from "../config/config.js";
+import { renderEmailTemplate } from "./emailTemplate.service.js";
+
+/**
+ * Mail transports. A transport is { name, send(message), verify() } where message is
+ * { from, to, subject, html, text } and send resolves to { messageId }.
+ *  - smtp:   any SMTP server, point SMTP_HOST / SMTP_PORT at a local capture (Mailpit, MailHog) in development
+ *  - file:   writes every email as an .eml file to MAIL_FILE_DIR
+ *  - memory: keeps the emails in memory, read them with getSentEmails() in tests and scripts
+ */
+
+const sentEmails = [];
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: config.SMTP_HOST,
+        port: config.SMTP_PORT,
+        secure: config.SMTP_SECURE,
+        auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: "smtp",
+        send: (message) => transporter.sendMail(message),
+        verify: () => transporter.verify()
+    };
+}
+
+const createFileTransport = () => {
+    // builds the raw email without sending it
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+    return {
+        name: "file",
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            const recipient = String(message.to).replace(/[^\w.@-]+/g, "_");
+            const filePath = path.join(config.MAIL_FILE_DIR, `${Date.now()}-${recipient}.eml`);
+
+            await fs.mkdir(config.MAIL_FILE_DIR, { recursive: true });
+            await fs.writeFile(filePath, info.message);
+
+            return { messageId: info.messageId, filePath };
+        },
+        verify: () => fs.mkdir(config.MAIL_FILE_DIR, { recursive: true })
+    };
+}
+
+const createMemoryTransport = () => ({
+    name: "memory",
+    send: async (message) => {
+        const messageId = `<${Date.now()}.${sentEmails.length}@memory>`;
+        sentEmails.push({ ...message, messageId, sentAt: new Date() });
+        return { messageId };
+    },
+    verify: async () => true
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    memory: createMemoryTransport
+};
+
+let transport = null;
+
+
+/**
+ * @description The configured transport, created on first use
+ */
+
+export const getMailTransport = () => {
+    if (!transport) {
+        const createTransport = TRANSPORTS[config.MAIL_TRANSPORT];
+
+        if (!createTransport) {
+            throw new Error(`Unknown MAIL_TRANSPORT ${config.MAIL_TRANSPORT}, use one of ${Object.keys(TRANSPORTS).join(", ")}`);
+        }
+
+        transport = createTransport();
+    }
+
+    return transport;
+}
+
+/**
+ * @description Replace the transport, e.g. with a memory transport in tests or another provider
+ */
+
+export const setMailTransport = (customTransport) => {
+    transport = typeof customTransport === "string" ? TRANSPORTS[customTransport]() : customTransport;
+    return transport;
+}
+
+/**
+ * @description Check the transport at startup, a failure is only logged so a mail outage does not stop the store
+ */
+
+export const verifyMailTransport = async () => {
+    try {
+        await getMailTransport().verify();
+    } catch (error) {
+        console.error("Mail transport verification failed:", error.message);
+    }
+}
+
+export const getSentEmails = () => sentEmails;
+
+export const clearSentEmails = () => {
+    sentEmails.length = 0;
+}
+
+/**
+ * @description Send an email, resolves to { messageId }
+ */
+
+export const sendEmail = async ({ to, subject, html, text }) => {
+    if (!to || !subject || (!html && !text)) {
+        throw new Error("Missing required email fields");
+    }
+
+    return getMailTransport().send({ from: config.MAIL_FROM, to, subject, html, text });
+}
+
+/**
+ * @description Render a template from emailTemplate.service and send it.
+ * Failures are logged and resolve to null: an email is never a reason to fail the request that triggered it.
+ */
+
+export const sendTemplateEmail = async (to, template, data) => {
+    try {
+        return await sendEmail({ to, ...renderEmailTemplate(template, data) });
+    } catch (error) {
+        console.error(`Failed to send ${template} email to ${to}:`, error.message);
+        return null;
+    }
+}
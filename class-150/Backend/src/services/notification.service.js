@@ -0,0 +1,61 @@
+import NotificationModel from "../model/notification.model.js";
+import WishlistModel from "../model/wishlist.model.js";
+import ProductModel from "../model/product.model.js";
+
+
+/**
+ * @description Notify every buyer who wishlisted a variant (or its whole product) that it is back in stock.
+ * Call it when the stock of a variant goes from 0 to more than 0. The notified items stop asking for a
+ * notification and get a notifiedAt, saving the item again with notifyWhenInStock asks again.
+ * Resolves to the number of buyers notified.
+ */
+
+export const notifyBackInStock = async (productId, variantId) => {
+    const product = await ProductModel.findById(productId, "title variants");
+    const variant = product?.variants.id(variantId);
+
+    if (!variant) {
+        return 0;
+    }
+
+    const waitingItem = {
+        product: productId,
+        variant: { $in: [variantId, null] },
+        notifyWhenInStock: true
+    };
+
+    const wishlists = await WishlistModel.find({ items: { $elemMatch: waitingItem } }, "user");
+    const notified = [];
+
+    // the flag is cleared per wishlist first, a restock notified twice at once only notifies the buyer once
+    for (const wishlist of wishlists) {
+        const result = await WishlistModel.updateOne(
+            { _id: wishlist._id, items: { $elemMatch: waitingItem } },
+            { $set: { "items.$[item].notifyWhenInStock": false, "items.$[item].notifiedAt": new Date() } },
+            {
+                arrayFilters: [{
+                    "item.product": productId,
+                    "item.variant": { $in: [variantId, null] },
+                    "item.notifyWhenInStock": true
+                }]
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            notified.push(wishlist);
+        }
+    }
+
+    const attributes = [...(variant.attributes?.values() || [])].join(" / ");
+    const name = attributes ? `${product.title} (${attributes})` : product.title;
+
+    await NotificationModel.insertMany(notified.map(wishlist => ({
+        user: wishlist.user,
+        type: "back_in_stock",
+        message: `${name} is back in stock`,
+        product: productId,
+        variant: variantId
+    })));
+
+    return notified.length;
+}
@@ -0,0 +1,68 @@
+import userModel from "../model/user.model.js";
+import OrderModel from "../model/order.model.js";
+import { releaseReservation } from "./inventory.service.js";
+import { refundOrderPayment } from "./payment.service.js";
+import { releaseCouponRedemptions } from "./discount.service.js";
+import { sendTemplateEmail } from "./mail.service.js";
+import { AppError, BadRequestError, ConflictError } from "../errors/app.errors.js";
+
+// Status changes the buyer gets an email about
+const EMAILED_STATUSES = ["shipped", "delivered"];
+
+
+/**
+ * @description Move an order to `status` and apply what comes with it: cancelling refunds a paid order
+ * and gives the stock and coupons back, shipping and delivery email the buyer.
+ * The change only applies when the order is still in the status it was loaded with, so of two
+ * concurrent changes one runs the side effects and the other gets a 409.
+ * Resolves to the updated order, throws a 400 when the order cannot move to `status`
+ * and a 502 when the refund of a cancelled order fails.
+ */
+
+export const changeOrderStatus = async (order, status, changedBy) => {
+    if (!order.canTransitionTo(status)) {
+        throw new BadRequestError(`Order cannot move from ${order.status} to ${status}`);
+    }
+
+    const updated = await OrderModel.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        { $set: { status }, $push: { statusHistory: { status, changedBy } } },
+        { returnDocument: "after" }
+    );
+
+    if (!updated) {
+        throw new ConflictError("The order was updated meanwhile, reload it and try again");
+    }
+
+    if (status === "cancelled" && order.status === "paid") {
+        try {
+            await refundOrderPayment(order._id);
+        } catch (error) {
+            // back to paid when the gateway refuses, nothing was released and the cancel can be retried
+            await OrderModel.updateOne(
+                { _id: order._id, status: "cancelled" },
+                { $set: { status: "paid" }, $pull: { statusHistory: { _id: updated.statusHistory.at(-1)._id } } }
+            );
+
+            throw new AppError(`The order could not be cancelled, the refund failed: ${error.message}`, {
+                status: 502,
+                code: "REFUND_FAILED"
+            });
+        }
+    }
+
+    if (status === "cancelled") {
+        await releaseReservation(order._id);
+        await releaseCouponRedemptions(order._id);
+    }
+
+    if (EMAILED_STATUSES.includes(status)) {
+        const buyer = await userModel.findById(order.buyer, "email fullname");
+
+        if (buyer) {
+            sendTemplateEmail(buyer.email, "orderStatus", { user: buyer, order: updated });
+        }
+    }
+
+    return updated;
+}
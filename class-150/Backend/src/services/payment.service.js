@@ -0,0 +1,141 @@
+import PaymentModel from "../model/payment.model.js";
+import OrderModel from "../model/order.model.js";
+import { commitReservation } from "./inventory.service.js";
+import { createFakePaymentProvider } from "./fakePayment.provider.js";
+import { config } from "../config/config.js";
+
+/**
+ * Every payment provider implements the same interface:
+ *
+ * - createIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+ * - confirm(intentId, { paymentMethod })         -> intent
+ * - refund(intentId, amount?)                     -> intent (full refund when amount is empty)
+ * - verifyWebhook(rawBody, signature)             -> event { id, type, data } or null when the signature is wrong
+ *
+ * Webhook events: payment.succeeded, payment.failed, payment.refunded
+ */
+
+const providers = {
+    fake: createFakePaymentProvider({ webhookSecret: config.PAYMENT_WEBHOOK_SECRET })
+};
+
+// The fake gateway delivers its webhooks in-process
+providers.fake.setWebhookHandler((rawBody, signature) => handleWebhookEvent(rawBody, signature, "fake"));
+
+export const getPaymentProvider = (name = config.PAYMENT_PROVIDER) => {
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * @description Create a payment intent for the full amount of an order
+ */
+
+export const createPaymentForOrder = async (order) => {
+    const provider = getPaymentProvider();
+
+    const intent = await provider.createIntent({
+        amount: order.totalAmount.amount,
+        currency: order.totalAmount.currency,
+        metadata: { orderId: String(order._id) }
+    });
+
+    const payment = await PaymentModel.create({
+        order: order._id,
+        buyer: order.buyer,
+        provider: provider.name,
+        intentId: intent.id,
+        amount: {
+            amount: order.totalAmount.amount,
+            currency: order.totalAmount.currency
+        }
+    });
+
+    return { payment, clientSecret: intent.clientSecret };
+}
+
+/**
+ * @description Mark the order as paid once the money is captured.
+ * When the order was cancelled or its stock hold expired meanwhile, the payment is refunded instead.
+ */
+
+async function onPaymentSucceeded(payment) {
+    await PaymentModel.updateOne({ _id: payment._id }, { status: "succeeded" });
+
+    const order = await OrderModel.findById(payment.order);
+    const reservation = order?.status === "pending" ? await commitReservation(order._id) : null;
+
+    if (!reservation) {
+        await getPaymentProvider(payment.provider).refund(payment.intentId);
+        return;
+    }
+
+    // conditional, an order cancelled meanwhile stays cancelled and is refunded
+    const paid = await OrderModel.updateOne(
+        { _id: order._id, status: "pending" },
+        { $set: { status: "paid" }, $push: { statusHistory: { status: "paid", changedBy: null } } }
+    );
+
+    if (paid.modifiedCount === 0) {
+        await getPaymentProvider(payment.provider).refund(payment.intentId);
+    }
+}
+
+/**
+ * @description Verify and apply a webhook event. Resolves to null when the signature is invalid.
+ * Each event is applied only once even if the gateway delivers it again.
+ */
+
+export const handleWebhookEvent = async (rawBody, signature, providerName = config.PAYMENT_PROVIDER) => {
+    const event = getPaymentProvider(providerName).verifyWebhook(rawBody, signature);
+
+    if (!event) {
+        return null;
+    }
+
+    const payment = await PaymentModel.findOneAndUpdate(
+        { intentId: event.data.id, processedEvents: { $ne: event.id } },
+        { $push: { processedEvents: event.id } },
+        { returnDocument: "after" }
+    );
+
+    if (!payment) {
+        return event;
+    }
+
+    switch (event.type) {
+        case "payment.succeeded":
+            await onPaymentSucceeded(payment);
+            break;
+        case "payment.failed":
+            await PaymentModel.updateOne({ _id: payment._id }, { status: "failed" });
+            break;
+        case "payment.refunded":
+            await PaymentModel.updateOne({ _id: payment._id }, {
+                refundedAmount: event.data.refunded,
+                status: event.data.status === "refunded" ? "refunded" : "succeeded"
+            });
+            break;
+    }
+
+    return event;
+}
+
+/**
+ * @description Refund the captured payment of an order, fully or `amount` of it.
+ * Resolves to null when the order has no captured payment.
+ */
+
+export const refundOrderPayment = async (orderId, amount) => {
+    const payment = await PaymentModel.findOne({ order: orderId, status: "succeeded" });
+
+    if (!payment) {
+        return null;
+    }
+
+    return await getPaymentProvider(payment.provider).refund(payment.intentId, amount);
+}
@@ -0,0 +1,195 @@
+import mongoose from "mongoose";
+import ProductModel from "../model/product.model.js";
+import { findCategory, getSubtreeIds } from "./category.service.js";
+import { getExchangeRates } from "./currency.service.js";
+import { NotFoundError } from "../errors/app.errors.js";
+
+/**
+ * Sort options of the product listing. Every sort ends with _id so the order is stable
+ * and can be used for cursor based pagination. Prices are sorted on basePrice, the price
+ * converted to the base currency of the exchange rates, so listings in several currencies compare.
+ */
+export const PRODUCT_SORT_OPTIONS = {
+    newest: { field: "createdAt", direction: -1 },
+    oldest: { field: "createdAt", direction: 1 },
+    price_asc: { field: "basePrice", direction: 1 },
+    price_desc: { field: "basePrice", direction: -1 },
+    rating: { field: "rating.average", direction: -1 }
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+// Variant attribute filters are sent as attr.<name>=<value>, e.g. ?attr.size=M&attr.colour=Black
+const ATTRIBUTE_PREFIX = "attr.";
+// attribute names end up in a mongo path, so "$" and "." are never allowed
+const ATTRIBUTE_NAME_PATTERN = /^[\w -]+$/;
+
+
+/**
+ * @description Encode the position after the last product of a page
+ */
+
+function encodeCursor(product, sort) {
+    const value = sort.field.split(".").reduce((obj, key) => obj?.[key], product);
+
+    return Buffer.from(JSON.stringify({
+        value: value instanceof Date ? value.toISOString() : value ?? null,
+        id: String(product._id)
+    })).toString("base64url");
+}
+
+/**
+ * @description Decode a cursor into a filter matching everything after it. Returns null for a malformed cursor
+ */
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { value, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return null;
+        }
+
+        const sortValue = sort.field === "createdAt" ? new Date(value) : value;
+        const operator = sort.direction === 1 ? "$gt" : "$lt";
+
+        return {
+            $or: [
+                { [sort.field]: { [operator]: sortValue } },
+                { [sort.field]: sortValue, _id: { [operator]: new mongoose.Types.ObjectId(id) } }
+            ]
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @description Aggregation expression converting price.amount to the base currency of the exchange rates
+ */
+
+function basePriceExpression() {
+    const { rates } = getExchangeRates();
+
+    return {
+        $divide: ["$price.amount", {
+            $switch: {
+                branches: Object.entries(rates).map(([currency, rate]) => ({ case: { $eq: ["$price.currency", currency] }, then: rate })),
+                default: 1
+            }
+        }]
+    };
+}
+
+/**
+ * @description Filter on basePrice for minPrice / maxPrice, given in `priceCurrency`. Null without price bounds.
+ */
+
+function buildPriceFilter(query, priceCurrency) {
+    if (query.minPrice === undefined && query.maxPrice === undefined) {
+        return null;
+    }
+
+    const rate = getExchangeRates().rates[priceCurrency] || 1;
+    const range = {};
+
+    if (query.minPrice !== undefined) range.$gte = Number(query.minPrice) / rate;
+    if (query.maxPrice !== undefined) range.$lte = Number(query.maxPrice) / rate;
+
+    return { basePrice: range };
+}
+
+/**
+ * @description Build the mongo filter for the listing query params, without the price bounds.
+ * categoryIds are the ids of the requested category subtree, resolved by the caller.
+ * seller limits the listing to one store, it is never read from the query.
+ * @query { q, currency, attr.<name> }
+ */
+
+export const buildProductFilter = (query, { categoryIds = null, seller = null } = {}) => {
+    // unpublished products are hidden, older products have no published flag
+    const filter = { published: { $ne: false } };
+
+    if (query.q) {
+        filter.$text = { $search: query.q };
+    }
+
+    if (query.currency) {
+        filter["price.currency"] = query.currency;
+    }
+
+    if (categoryIds) {
+        filter.category = { $in: categoryIds };
+    }
+
+    if (seller) {
+        filter.seller = seller;
+    }
+
+    const attributeFilters = Object.entries(query)
+        .filter(([key, value]) => key.startsWith(ATTRIBUTE_PREFIX) && typeof value === "string")
+        .map(([key, value]) => [key.slice(ATTRIBUTE_PREFIX.length), value])
+        .filter(([name]) => ATTRIBUTE_NAME_PATTERN.test(name))
+        .map(([name, value]) => ({ [`attributes.${name}`]: value }));
+
+    if (attributeFilters.length > 0) {
+        // every attribute has to match on the same variant
+        filter.variants = { $elemMatch: Object.assign({}, ...attributeFilters) };
+    }
+
+    return filter;
+}
+
+/**
+ * @description Search, filter, sort and paginate products. A category (id or slug) includes every category below it.
+ * minPrice / maxPrice are in the currency filter, else in `displayCurrency`, else in the base currency,
+ * and match products listed in any currency. `seller` limits the search to the products of one store.
+ * Resolves to { products, nextCursor, hasMore }, or null when the cursor is malformed.
+ * Throws a 404 error when the category does not exist.
+ */
+
+export const searchProducts = async (query, { seller = null, displayCurrency = null } = {}) => {
+    const sort = PRODUCT_SORT_OPTIONS[query.sort] || PRODUCT_SORT_OPTIONS.newest;
+    const limit = Math.min(Number(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    let categoryIds = null;
+
+    if (query.category) {
+        const category = await findCategory(query.category);
+
+        if (!category) {
+            throw new NotFoundError("Category not found");
+        }
+        categoryIds = await getSubtreeIds(category);
+    }
+
+    const priceCurrency = query.currency || displayCurrency || getExchangeRates().base;
+    const priceFilter = buildPriceFilter(query, priceCurrency);
+    const cursorFilter = query.cursor ? decodeCursor(query.cursor, sort) : null;
+
+    if (query.cursor && !cursorFilter) {
+        return null;
+    }
+
+    // $text has to be in the first stage, the price bounds and cursor need basePrice
+    const pipeline = [
+        { $match: buildProductFilter(query, { categoryIds, seller }) },
+        { $addFields: { basePrice: basePriceExpression() } },
+        ...[priceFilter, cursorFilter].filter(Boolean).map(stage => ({ $match: stage })),
+        { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+        // one extra product tells whether there is a next page
+        { $limit: limit + 1 }
+    ];
+
+    const products = await ProductModel.aggregate(pipeline);
+
+    const hasMore = products.length > limit;
+    const page = hasMore ? products.slice(0, limit) : products;
+
+    return {
+        products: page.map(product => ProductModel.hydrate(product)),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    };
+}
@@ -0,0 +1,65 @@
+import ProductModel from "../model/product.model.js";
+import { localizeProduct } from "./currency.service.js";
+import { buildOptionMatrix, generateSku } from "./variant.service.js";
+import { getIO, getWatchedCurrencies, productRoom } from "../sockets/server.socket.js";
+
+/**
+ * Live product updates. Anything that changes the price, stock or availability of a product
+ * calls publishProductUpdate, shoppers on its page get the same product as GET /api/products/:id
+ * in the currency they watch it in. Nothing is loaded when nobody watches the product.
+ */
+
+
+/**
+ * @description The product as the detail page shows it: localized prices, SKUs and the option matrix
+ */
+
+export const toProductDetails = (product, currency) => {
+    const localized = localizeProduct(product, currency);
+
+    return {
+        ...localized,
+        // variants saved before SKUs existed get theirs on the next save, show the same code until then
+        variants: localized.variants.map((variant, i) => ({ ...variant, sku: variant.sku || generateSku(product, product.variants[i]) })),
+        optionMatrix: buildOptionMatrix(product)
+    };
+}
+
+/**
+ * @description Push the current state of a product to its watchers:
+ * product:updated { product } while buyers can see it, product:removed { productId } once deleted or unpublished
+ */
+
+async function emitProductUpdate(productId) {
+    const currencies = getWatchedCurrencies(productId);
+
+    if (currencies.length === 0) {
+        return;
+    }
+
+    const io = getIO();
+    const product = await ProductModel.findById(productId);
+
+    for (const currency of currencies) {
+        const room = productRoom(productId, currency);
+
+        if (!product || product.published === false) {
+            io.to(room).emit("product:removed", { productId: String(productId) });
+        } else {
+            io.to(room).emit("product:updated", { product: toProductDetails(product, currency) });
+        }
+    }
+}
+
+/**
+ * @description Tell the watchers of these products about a change. Never throws, a failed push
+ * only means the shoppers see the change on their next reload.
+ */
+
+export const publishProductUpdate = (...productIds) => {
+    const unique = [...new Set(productIds.filter(Boolean).map(String))];
+
+    return Promise.all(unique.map(productId => emitProductUpdate(productId).catch(error => {
+        console.error("Failed to publish product update:", error.message);
+    })));
+}
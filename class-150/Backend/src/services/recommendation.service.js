@@ -0,0 +1,157 @@
+import ProductViewModel from "../model/productView.model.js";
+import BoughtTogetherModel from "../model/boughtTogether.model.js";
+import OrderModel from "../model/order.model.js";
+import ProductModel from "../model/product.model.js";
+import { config } from "../config/config.js";
+
+// orders that count as a purchase, pending ones may still be abandoned
+const PURCHASED_STATUSES = ["paid", "shipped", "delivered"];
+
+// related products kept per product
+const MAX_RELATED = 12;
+
+const userViewer = (userId) => `user:${userId}`;
+const sessionViewer = (sessionId) => `session:${sessionId}`;
+
+/**
+ * @description Helper function to list the viewer keys of a request, a logged in user also sees
+ * what they viewed as a guest in the same browser
+ */
+
+function viewerKeys({ userId, sessionId }) {
+    return [
+        userId && userViewer(userId),
+        sessionId && sessionViewer(sessionId)
+    ].filter(Boolean);
+}
+
+/**
+ * @description Helper function to load products by id in the given order, skipping unpublished and deleted ones
+ */
+
+async function findVisibleProducts(ids) {
+    const products = await ProductModel.find({ _id: { $in: ids }, published: { $ne: false } });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
+}
+
+/**
+ * @description Record that a user or guest session viewed a product
+ */
+
+export const recordProductView = async ({ userId, sessionId, productId }) => {
+    const [viewer] = viewerKeys({ userId, sessionId });
+
+    if (!viewer) {
+        return null;
+    }
+
+    return await ProductViewModel.findOneAndUpdate(
+        { viewer, product: productId },
+        { $set: { viewedAt: new Date() }, $inc: { count: 1 } },
+        { upsert: true, returnDocument: "after" }
+    );
+}
+
+/**
+ * @description Products the viewer looked at, most recent first
+ */
+
+export const getRecentlyViewed = async ({ userId, sessionId, limit = 10, excludeProductId = null }) => {
+    const viewers = viewerKeys({ userId, sessionId });
+
+    if (viewers.length === 0) {
+        return [];
+    }
+
+    const filter = { viewer: { $in: viewers } };
+
+    if (excludeProductId) {
+        filter.product = { $ne: excludeProductId };
+    }
+
+    // the same product can be in both the user and the session history, fetch extra to fill the limit
+    const views = await ProductViewModel.find(filter)
+        .sort({ viewedAt: -1 })
+        .limit(limit * viewers.length);
+
+    const productIds = [...new Set(views.map(view => String(view.product)))];
+    const products = await findVisibleProducts(productIds);
+
+    return products.slice(0, limit);
+}
+
+/**
+ * @description Products most often bought in the same order as the product, from the last recompute
+ */
+
+export const getFrequentlyBoughtTogether = async (productId, limit = 6) => {
+    const entry = await BoughtTogetherModel.findOne({ product: productId });
+
+    if (!entry) {
+        return [];
+    }
+
+    const products = await findVisibleProducts(entry.related.map(related => related.product));
+    return products.slice(0, limit);
+}
+
+/**
+ * @description Rebuild the "frequently bought together" lists from the co-occurrence of products
+ * in purchased orders. Products that are no longer bought together lose their list.
+ */
+
+export const recomputeFrequentlyBoughtTogether = async () => {
+    const startedAt = new Date();
+
+    const pairs = await OrderModel.aggregate([
+        { $match: { status: { $in: PURCHASED_STATUSES } } },
+        // every product once per order, no matter how many variants were bought
+        { $project: { products: { $setUnion: ["$items.product", []] } } },
+        { $match: { "products.1": { $exists: true } } },
+        { $project: { product: "$products", related: "$products" } },
+        { $unwind: "$product" },
+        { $unwind: "$related" },
+        { $match: { $expr: { $ne: ["$product", "$related"] } } },
+        { $group: { _id: { product: "$product", related: "$related" }, count: { $sum: 1 } } },
+        { $sort: { count: -1, "_id.related": 1 } },
+        {
+            $group: {
+                _id: "$_id.product",
+                related: { $push: { product: "$_id.related", count: "$count" } }
+            }
+        },
+        { $project: { related: { $slice: ["$related", MAX_RELATED] } } }
+    ]);
+
+    if (pairs.length > 0) {
+        await BoughtTogetherModel.bulkWrite(pairs.map(pair => ({
+            updateOne: {
+                filter: { product: pair._id },
+                update: { $set: { related: pair.related, computedAt: startedAt } },
+                upsert: true
+            }
+        })));
+    }
+
+    const { deletedCount } = await BoughtTogetherModel.deleteMany({ computedAt: { $lt: startedAt } });
+
+    return { products: pairs.length, removed: deletedCount };
+}
+
+/**
+ * @description Recompute the recommendations now and then every `intervalMs`
+ */
+
+export const startRecommendationJob = (intervalMs = config.RECOMMENDATIONS_INTERVAL_MINUTES * 60 * 1000) => {
+    const run = () => recomputeFrequentlyBoughtTogether().catch(error => {
+        console.error("Failed to recompute recommendations:", error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,196 @@
+import ReturnRequestModel from "../model/returnRequest.model.js";
+import { restockItems } from "./inventory.service.js";
+import { refundOrderPayment } from "./payment.service.js";
+import { roundToCurrency } from "./currency.service.js";
+import { config } from "../config/config.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/app.errors.js";
+
+/**
+ * Returns are opened per order line by the buyer and decided by the seller of that line.
+ * Approving a return puts the units back in stock and refunds their share of the order
+ * through the payment layer. A refund the gateway refuses leaves the return approved so
+ * the seller can retry it, the stock is only ever given back once.
+ * Status changes are conditional updates on the status the change was decided on, so two
+ * concurrent decisions never both apply.
+ */
+
+// Returns that still hold units of their order line
+const OPEN_RETURN_STATUSES = ["requested", "approved", "refunded"];
+
+
+/**
+ * @description Helper function to find when an order was delivered, null when it was not
+ */
+
+function getDeliveredAt(order) {
+    const entry = [...order.statusHistory].reverse().find(history => history.status === "delivered");
+    return entry?.changedAt || (order.status === "delivered" ? order.updatedAt : null);
+}
+
+/**
+ * @description What the buyer paid for `quantity` units of a line: the line price minus its share of the
+ * order discounts. Seller coupons are spread over the lines of their seller, other discounts over all lines.
+ * Shipping is not refunded.
+ */
+
+export const calculateRefundAmount = (order, item, quantity) => {
+    const lineTotal = (line) => line.price.amount * line.quantity;
+    let discountShare = 0;
+
+    for (const discount of order.discounts || []) {
+        const lines = order.items.filter(line => !discount.seller || String(line.seller) === String(discount.seller));
+        const total = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+
+        if (total > 0 && lines.some(line => String(line._id) === String(item._id))) {
+            discountShare += discount.amount * lineTotal(item) / total;
+        }
+    }
+
+    const perUnit = (lineTotal(item) - discountShare) / item.quantity;
+
+    return {
+        amount: roundToCurrency(Math.max(perUnit * quantity, 0), order.totalAmount.currency),
+        currency: order.totalAmount.currency
+    };
+}
+
+/**
+ * @description Units of an order line that can still be returned
+ */
+
+export const getReturnableQuantity = async (order, item) => {
+    const open = await ReturnRequestModel.find(
+        { order: order._id, item: item._id, status: { $in: OPEN_RETURN_STATUSES } },
+        "quantity"
+    );
+
+    return item.quantity - open.reduce((total, request) => total + request.quantity, 0);
+}
+
+/**
+ * @description Check that `quantity` units of a line of the buyer's order can be returned and price them.
+ * Resolves to { item, refundAmount }, throws an error with a status otherwise.
+ */
+
+export const checkReturnEligibility = async (order, itemId, quantity, now = new Date()) => {
+    const item = order.items.id(itemId);
+
+    if (!item) {
+        throw new NotFoundError("Order item not found");
+    }
+
+    const deliveredAt = getDeliveredAt(order);
+
+    if (order.status !== "delivered" || !deliveredAt) {
+        throw new BadRequestError("Only delivered orders can be returned");
+    }
+
+    const windowEnds = new Date(deliveredAt.getTime() + config.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    if (now > windowEnds) {
+        throw new BadRequestError(`Returns are accepted up to ${config.RETURN_WINDOW_DAYS} days after delivery`);
+    }
+
+    const returnable = await getReturnableQuantity(order, item);
+
+    if (quantity > returnable) {
+        throw new ConflictError(
+            returnable > 0 ? `Only ${returnable} item(s) of this line can still be returned` : "This item is already being returned"
+        );
+    }
+
+    return { item, refundAmount: calculateRefundAmount(order, item, quantity) };
+}
+
+/**
+ * @description Save a new return request. Concurrent requests for the same line can all pass
+ * checkReturnEligibility, so the returnable quantity is checked again once it is saved and a
+ * request going over it is removed again. Throws a 409 error then.
+ */
+
+export const openReturnRequest = async (order, item, fields) => {
+    const returnRequest = await ReturnRequestModel.create(fields);
+
+    if (await getReturnableQuantity(order, item) < 0) {
+        await ReturnRequestModel.deleteOne({ _id: returnRequest._id });
+        throw new ConflictError("This item is already being returned");
+    }
+
+    return returnRequest;
+}
+
+/**
+ * @description Move a return to `status`, only when it is still in the status it was loaded with.
+ * Resolves to the updated return, throws a 400 for a status it cannot move to and a 409 when it
+ * was changed meanwhile.
+ */
+
+export const transitionReturn = async (returnRequest, status, changedBy = null, note = undefined) => {
+    if (!returnRequest.canTransitionTo(status)) {
+        throw new BadRequestError(`Return cannot move from ${returnRequest.status} to ${status}`);
+    }
+
+    const updated = await ReturnRequestModel.findOneAndUpdate(
+        { _id: returnRequest._id, status: returnRequest.status },
+        { $set: { status }, $push: { statusHistory: { status, changedBy, note } } },
+        { returnDocument: "after" }
+    );
+
+    if (!updated) {
+        throw new ConflictError("The return was updated meanwhile, reload it and try again");
+    }
+
+    return updated;
+}
+
+/**
+ * @description Restock and refund an approved return. The stock goes back the first time only,
+ * a refused refund is kept on the return (refund.error) and the return stays approved.
+ * The refund is claimed first (refund.inProgress), a second completion at the same time gets a 409,
+ * and a return whose refund already went through (refund.intentId) is not refunded again.
+ * Resolves to the updated return, "refunded" when the money went back.
+ */
+
+export const completeReturn = async (returnRequest, changedBy = null) => {
+    const restocked = await ReturnRequestModel.updateOne(
+        { _id: returnRequest._id, restockedAt: null },
+        { restockedAt: new Date() }
+    );
+
+    if (restocked.modifiedCount === 1) {
+        await restockItems([returnRequest]);
+    }
+
+    const claimed = await ReturnRequestModel.findOneAndUpdate(
+        { _id: returnRequest._id, status: "approved", "refund.inProgress": { $ne: true } },
+        { $set: { "refund.inProgress": true } },
+        { returnDocument: "after" }
+    );
+
+    if (!claimed) {
+        throw new ConflictError("This return is already being refunded");
+    }
+
+    const { amount, currency } = claimed.refundAmount;
+    let update;
+
+    try {
+        const intentId = claimed.refund.intentId || (await refundOrderPayment(claimed.order, amount))?.id;
+
+        if (!intentId) {
+            throw new Error("The order has no captured payment to refund");
+        }
+
+        update = {
+            $set: {
+                status: "refunded",
+                refund: { intentId, refundedAt: claimed.refund.refundedAt || new Date(), error: null, inProgress: false }
+            },
+            $push: { statusHistory: { status: "refunded", changedBy, note: `Refunded ${currency} ${amount}` } }
+        };
+    } catch (error) {
+        update = { $set: { "refund.error": error.message, "refund.inProgress": false } };
+    }
+
+    return await ReturnRequestModel.findOneAndUpdate({ _id: claimed._id }, update, { returnDocument: "after" });
+}
@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import { SUPPORTED_CURRENCIES, convertAmount } from "./currency.service.js";
+import { SUPPORTED_COUNTRIES } from "./address.service.js";
+import { BadRequestError } from "../errors/app.errors.js";
+
+// zone matching every country that is not listed in another zone
+const ANY_COUNTRY = "*";
+const GRAMS_PER_KG = 1000;
+
+/**
+ * Shipping rate tables, amounts are in `currency`. Every zone has weight brackets sorted by upToGrams,
+ * parcels above the last bracket pay perExtraKg for every started kilo.
+ * Replaced as a whole by loadShippingRatesFromFile / setShippingRates.
+ */
+let shippingRates = {
+    currency: "INR",
+    defaultWeightGrams: 500,
+    zones: [],
+    updatedAt: null
+};
+
+
+/**
+ * @description Replace the shipping rates, throws a 400 error describing the first problem found
+ */
+
+export const setShippingRates = ({ currency, defaultWeightGrams, zones }) => {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw new BadRequestError(`Unsupported currency ${currency}`);
+    }
+
+    if (!(Number(defaultWeightGrams) > 0)) {
+        throw new BadRequestError("defaultWeightGrams must be a positive number");
+    }
+
+    if (!Array.isArray(zones) || zones.length === 0) {
+        throw new BadRequestError("At least one shipping zone is required");
+    }
+
+    const zoneByCountry = {};
+
+    const parsedZones = zones.map((zone, index) => {
+        const name = zone?.name || `Zone ${index + 1}`;
+
+        if (!Array.isArray(zone?.countries) || zone.countries.length === 0) {
+            throw new BadRequestError(`${name} has no countries`);
+        }
+
+        for (const country of zone.countries) {
+            if (country !== ANY_COUNTRY && !SUPPORTED_COUNTRIES.includes(country)) {
+                throw new BadRequestError(`${name} has an unsupported country ${country}`);
+            }
+            if (zoneByCountry[country]) {
+                throw new BadRequestError(`${country} is in both ${zoneByCountry[country]} and ${name}`);
+            }
+            zoneByCountry[country] = name;
+        }
+
+        if (!Array.isArray(zone.rates) || zone.rates.length === 0) {
+            throw new BadRequestError(`${name} has no weight brackets`);
+        }
+
+        const rates = zone.rates
+            .map(rate => ({ upToGrams: Number(rate?.upToGrams), amount: Number(rate?.amount) }))
+            .sort((a, b) => a.upToGrams - b.upToGrams);
+
+        if (rates.some(rate => !(rate.upToGrams > 0) || !(rate.amount >= 0))) {
+            throw new BadRequestError(`${name} has an invalid weight bracket`);
+        }
+
+        const perExtraKg = Number(zone.perExtraKg ?? 0);
+        const freeShippingThreshold = zone.freeShippingThreshold ?? null;
+
+        if (!(perExtraKg >= 0) || (freeShippingThreshold !== null && !(Number(freeShippingThreshold) >= 0))) {
+            throw new BadRequestError(`${name} has an invalid perExtraKg or freeShippingThreshold`);
+        }
+
+        return {
+            name,
+            countries: zone.countries,
+            rates,
+            perExtraKg,
+            freeShippingThreshold: freeShippingThreshold === null ? null : Number(freeShippingThreshold)
+        };
+    });
+
+    shippingRates = {
+        currency,
+        defaultWeightGrams: Number(defaultWeightGrams),
+        zones: parsedZones,
+        updatedAt: new Date()
+    };
+
+    return shippingRates;
+}
+
+/**
+ * @description Load the shipping rates from a JSON file of the form { currency, defaultWeightGrams, zones }
+ */
+
+export const loadShippingRatesFromFile = async (filePath) => {
+    const content = await fs.readFile(filePath, "utf-8");
+    return setShippingRates(JSON.parse(content));
+}
+
+export const getShippingRates = () => shippingRates;
+
+/**
+ * @description The zone a country ships in, the catch-all zone when it is not listed. Null when we do not ship there.
+ */
+
+export const findZone = (country) => {
+    return shippingRates.zones.find(zone => zone.countries.includes(country))
+        || shippingRates.zones.find(zone => zone.countries.includes(ANY_COUNTRY))
+        || null;
+}
+
+/**
+ * @description Shipping cost of a parcel to a country, in the currency of the order.
+ * Lines are { weightGrams, quantity }, lines without a weight count as defaultWeightGrams.
+ * subtotal is the order amount after discounts, used for the free shipping threshold.
+ * Resolves to { zone, country, weightGrams, amount, currency, free, freeShippingThreshold }.
+ */
+
+export const calculateShipping = ({ country, lines, currency, subtotal }) => {
+    const zone = findZone(country);
+
+    if (!zone) {
+        throw new BadRequestError(`We do not ship to ${country} yet`);
+    }
+
+    const weightGrams = lines.reduce((sum, line) => {
+        return sum + (line.weightGrams || shippingRates.defaultWeightGrams) * line.quantity;
+    }, 0);
+
+    const bracket = zone.rates.find(rate => weightGrams <= rate.upToGrams);
+    const heaviest = zone.rates[zone.rates.length - 1];
+
+    const baseAmount = bracket
+        ? bracket.amount
+        : heaviest.amount + zone.perExtraKg * Math.ceil((weightGrams - heaviest.upToGrams) / GRAMS_PER_KG);
+
+    const freeShippingThreshold = zone.freeShippingThreshold === null
+        ? null
+        : convertAmount(zone.freeShippingThreshold, shippingRates.currency, currency);
+
+    const free = freeShippingThreshold !== null && subtotal >= freeShippingThreshold;
+
+    return {
+        zone: zone.name,
+        country,
+        weightGrams,
+        amount: free ? 0 : convertAmount(baseAmount, shippingRates.currency, currency),
+        currency,
+        free,
+        freeShippingThreshold
+    };
+}
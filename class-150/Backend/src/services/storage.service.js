@@ -1,15 +1,116 @@
-import ImageKit from '@imagekit/nodejs';
+import crypto from "crypto";
+import path from "path";
 import { config } from '../config/config.js';
+import { processImage, RENDITIONS } from "./image.service.js";
+import { createLocalStorageProvider } from "./localStorage.provider.js";
+import { createImageKitStorageProvider } from "./imagekitStorage.provider.js";
 
-const client = new ImageKit({
-    privateKey: config.IMAGEKIT_PRIVATE_KEY,
-});
+/**
+ * Every storage provider implements the same interface:
+ *
+ * - put({ buffer, fileName, folder, contentType }) -> { fileId, url }
+ * - delete(fileId)
+ *
+ * Stored images keep the name of their provider, so switching STORAGE_PROVIDER does not
+ * break deleting the files uploaded before the switch.
+ */
 
+const PROVIDERS = {
+    local: () => createLocalStorageProvider({ rootDir: config.UPLOAD_DIR, baseUrl: config.UPLOAD_BASE_URL }),
+    imagekit: () => createImageKitStorageProvider({ privateKey: config.IMAGEKIT_PRIVATE_KEY })
+};
+
+const providers = {};
+
+export const getStorageProvider = (name = config.STORAGE_PROVIDER) => {
+    if (!providers[name]) {
+        const createProvider = PROVIDERS[name];
+
+        if (!createProvider) {
+            throw new Error(`Unknown storage provider: ${name}`);
+        }
+        providers[name] = createProvider();
+    }
+    return providers[name];
+}
+
+/**
+ * @description Helper function to build a safe, unique base name from the name the client sent
+ */
+
+function baseFileName(fileName) {
+    const stem = path.parse(String(fileName || "")).name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40);
+
+    return `${stem || "image"}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Validate and process an uploaded image and store its renditions.
+ * Resolves to the image as it is saved on products, variants and reviews:
+ * { url, fileId, provider, width, height, blurhash, renditions: { thumbnail, medium, large } }
+ * where url / fileId are the ones of the large rendition.
+ */
 export const uploadFile = async (buffer, fileName, folder = "snitch") => {
-    const result = await client.files.upload({
-        file: buffer.toString("base64"),
-        fileName,
-        folder
+    const processed = await processImage(buffer);
+    const provider = getStorageProvider();
+    const name = baseFileName(fileName);
+
+    const results = await Promise.allSettled(Object.entries(processed.renditions).map(async ([rendition, file]) => {
+        const stored = await provider.put({
+            buffer: file.buffer,
+            fileName: `${name}-${rendition}.${file.extension}`,
+            folder,
+            contentType: file.contentType
+        });
+        return [rendition, { ...stored, width: file.width, height: file.height }];
+    }));
+
+    const failed = results.find(result => result.status === "rejected");
+
+    if (failed) {
+        // do not leave half an image behind
+        await deleteImages([{
+            provider: provider.name,
+            renditions: Object.fromEntries(results.filter(result => result.status === "fulfilled").map(result => result.value))
+        }]);
+        throw failed.reason;
+    }
+
+    const renditions = Object.fromEntries(results.map(result => result.value));
+
+    return {
+        url: renditions.large.url,
+        fileId: renditions.large.fileId,
+        provider: provider.name,
+        width: processed.width,
+        height: processed.height,
+        blurhash: processed.blurhash,
+        renditions
+    };
+}
+
+// images uploaded before the storage providers only have an ImageKit fileId
+export const deleteFile = async (fileId, providerName = "imagekit") => {
+    await getStorageProvider(providerName).delete(fileId);
+}
+
+/**
+ * Delete the stored files (every rendition) of removed product / variant / review images.
+ * A failed delete only leaves an orphan file behind, so it is logged instead of failing the request.
+ */
+export const deleteImages = async (images = []) => {
+    const files = images.flatMap(image => {
+        const renditionIds = Object.keys(RENDITIONS).map(name => image.renditions?.[name]?.fileId);
+        const fileIds = new Set([image.fileId, ...renditionIds].filter(Boolean));
+
+        return [...fileIds].map(fileId => ({ fileId, provider: image.provider || "imagekit" }));
     });
-    return result;
-}
\ No newline at end of file
+
+    await Promise.all(files.map(file => deleteFile(file.fileId, file.provider).catch(error => {
+        console.error(`Failed to delete file ${file.fileId}:`, error.message);
+    })));
+}
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import SellerProfileModel from "../model/sellerProfile.model.js";
+import userModel from "../model/user.model.js";
+import ProductModel from "../model/product.model.js";
+import { slugify } from "./category.service.js";
+import { ConflictError } from "../errors/app.errors.js";
+
+
+/**
+ * @description Helper function to tell whether buyers can see the store of a user.
+ * Suspended sellers keep the seller role but their store is hidden like their products.
+ */
+
+function isPublicSeller(user) {
+    return user?.role === "seller" && user.sellerStatus !== "suspended";
+}
+
+/**
+ * @description Find a public store by the id of its seller or by its slug.
+ * Resolves to { seller, profile } where profile is null for sellers that never saved one, or null when there is no such store.
+ */
+
+export const findStore = async (idOrSlug) => {
+    let profile = null;
+    let sellerId = null;
+
+    if (mongoose.Types.ObjectId.isValid(idOrSlug) && String(new mongoose.Types.ObjectId(idOrSlug)) === idOrSlug) {
+        sellerId = idOrSlug;
+        profile = await SellerProfileModel.findOne({ seller: sellerId });
+    } else {
+        profile = await SellerProfileModel.findOne({ slug: String(idOrSlug).toLowerCase() });
+        sellerId = profile?.seller;
+    }
+
+    if (!sellerId) {
+        return null;
+    }
+
+    const seller = await userModel.findById(sellerId, "fullname role sellerStatus");
+
+    return isPublicSeller(seller) ? { seller, profile } : null;
+}
+
+/**
+ * @description The public part of a store, sellers without a profile are shown under their name
+ */
+
+export const toPublicStore = (seller, profile, productCount = undefined) => ({
+    sellerId: seller._id,
+    storeName: profile?.storeName || seller.fullname,
+    slug: profile?.slug || null,
+    logo: profile?.logo || null,
+    banner: profile?.banner || null,
+    description: profile?.description || "",
+    policies: {
+        shipping: profile?.policies?.shipping || "",
+        returns: profile?.policies?.returns || "",
+        exchanges: profile?.policies?.exchanges || ""
+    },
+    productCount,
+    openedAt: profile?.createdAt || null
+});
+
+/**
+ * @description Number of products buyers can see in a store
+ */
+
+export const countStoreProducts = (sellerId) => {
+    return ProductModel.countDocuments({ seller: sellerId, published: { $ne: false } });
+}
+
+/**
+ * @description Pick a free slug for a store name. A slug the seller typed must be free, a slug made
+ * from the store name gets the end of the seller id when another store already uses it.
+ * Throws a 409 error when the requested slug is taken.
+ */
+
+export const resolveStoreSlug = async (sellerId, { slug, storeName }) => {
+    const isTaken = async (candidate) => Boolean(await SellerProfileModel.exists({ slug: candidate, seller: { $ne: sellerId } }));
+
+    if (slug) {
+        if (await isTaken(slug)) {
+            throw new ConflictError("This store url is already taken");
+        }
+        return slug;
+    }
+
+    const base = slugify(storeName) || "store";
+
+    return await isTaken(base) ? `${base}-${String(sellerId).slice(-6)}` : base;
+}
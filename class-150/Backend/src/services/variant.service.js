@@ -0,0 +1,89 @@
+/**
+ * Variant helpers: attribute combinations, SKU codes and the option matrix of a product.
+ * A variant is one combination of attribute values (e.g. { size: "M", colour: "Black" }),
+ * a product cannot have two variants with the same combination.
+ */
+
+function attributeEntries(attributes) {
+    return attributes instanceof Map ? [...attributes.entries()] : Object.entries(attributes || {});
+}
+
+/**
+ * @description Key of an attribute combination, the same for the same attributes in any order
+ */
+
+export const attributeKey = (attributes) => {
+    return JSON.stringify(attributeEntries(attributes).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * @description The variant of the product with the same attributes, null when the combination is free.
+ * Pass the id of the variant being edited so it does not clash with itself.
+ */
+
+export const findDuplicateVariant = (product, attributes, exceptVariantId = null) => {
+    const key = attributeKey(attributes);
+
+    return product.variants.find(variant =>
+        (!exceptVariantId || String(variant._id) !== String(exceptVariantId))
+        && attributeKey(variant.attributes) === key
+    ) || null;
+}
+
+function skuPart(value, length) {
+    return String(value || "")
+        .normalize("NFKD")
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, "")
+        .slice(0, length);
+}
+
+/**
+ * @description SKU code of a variant, e.g. LINE-BLAC-M-4F2A9C: product title, attribute values (by attribute name) and the
+ * end of the variant id. Stored on the variant when it is first saved and never changed afterwards.
+ */
+
+export const generateSku = (product, variant) => {
+    const values = attributeEntries(variant.attributes)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([, value]) => skuPart(value, 4))
+        .filter(Boolean);
+
+    return [
+        skuPart(product.title, 4) || "ITEM",
+        ...values,
+        String(variant._id).slice(-6).toUpperCase()
+    ].join("-");
+}
+
+/**
+ * @description Options and combinations of a product for the detail page:
+ * - options: [{ name, values }] in the order the seller added them
+ * - combinations: [{ variantId, sku, attributes, stock, available }], one per variant
+ */
+
+export const buildOptionMatrix = (product) => {
+    const options = new Map();
+
+    const combinations = product.variants.map(variant => {
+        const attributes = Object.fromEntries(attributeEntries(variant.attributes));
+
+        for (const [name, value] of Object.entries(attributes)) {
+            if (!options.has(name)) options.set(name, []);
+            if (!options.get(name).includes(value)) options.get(name).push(value);
+        }
+
+        return {
+            variantId: variant._id,
+            sku: variant.sku || generateSku(product, variant),
+            attributes,
+            stock: variant.stock,
+            available: variant.stock > 0
+        };
+    });
+
+    return {
+        options: [...options].map(([name, values]) => ({ name, values })),
+        combinations
+    };
+}
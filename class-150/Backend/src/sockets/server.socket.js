@@ -0,0 +1,85 @@
+import { Server } from "socket.io";
+import mongoose from "mongoose";
+import { SUPPORTED_CURRENCIES } from "../services/currency.service.js";
+
+/**
+ * Socket.IO server. Shoppers on a product page join the room of that product and the
+ * currency they see prices in, services push product changes to those rooms.
+ *
+ * Client events:
+ * - product:subscribe   { productId, currency }
+ * - product:unsubscribe { productId, currency }
+ *
+ * Server events: product:updated, product:removed (see productUpdates.service.js)
+ */
+
+let io;
+
+/**
+ * @description Room of the shoppers of a product seeing prices in `currency`,
+ * "listed" is for the ones seeing the prices as the seller entered them
+ */
+
+export const productRoom = (productId, currency) => `product:${productId}:${currency || "listed"}`;
+
+// null when the payload does not name a product
+function parseSubscription(payload) {
+    const { productId, currency } = payload || {};
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return null;
+    }
+    return { productId: String(productId), currency: SUPPORTED_CURRENCIES.includes(currency) ? currency : null };
+}
+
+export const initSocket = (httpServer) => {
+    io = new Server(httpServer, {
+        cors: {
+            origin: "http://localhost:5173",
+            credentials: true,
+        }
+    });
+
+    io.on("connection", (socket) => {
+        socket.on("product:subscribe", (payload) => {
+            const subscription = parseSubscription(payload);
+
+            if (subscription) {
+                socket.join(productRoom(subscription.productId, subscription.currency));
+            }
+        });
+
+        socket.on("product:unsubscribe", (payload) => {
+            const subscription = parseSubscription(payload);
+
+            if (subscription) {
+                socket.leave(productRoom(subscription.productId, subscription.currency));
+            }
+        });
+    });
+
+    return io;
+}
+
+export const getIO = () => {
+    if (!io) {
+        throw new Error("Socket.io not initialized");
+    }
+
+    return io;
+}
+
+/**
+ * @description Currencies somebody currently watches a product in, null stands for the listed prices.
+ * Empty when the socket server is not running (scripts, jobs).
+ */
+
+export const getWatchedCurrencies = (productId) => {
+    if (!io) {
+        return [];
+    }
+
+    const rooms = io.of("/").adapter.rooms;
+
+    return [null, ...SUPPORTED_CURRENCIES].filter(currency => rooms.get(productRoom(productId, currency))?.size > 0);
+}
@@ -0,0 +1,65 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { SUPPORTED_COUNTRIES, isValidPostalCode, normalizePostalCode } from "../services/address.service.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+/**
+ * Rules for an address object, used by the address book and by orders.
+ * prefix is where the address is in the body, e.g. "shippingAddress." for orders.
+ * The rules only run when the optional `condition` chain passes.
+ */
+export const addressRules = (prefix = "", condition = null) => {
+    const countryOf = (req) => (prefix ? req.body[prefix.slice(0, -1)]?.country : req.body.country);
+    const field = (name) => condition ? body(`${prefix}${name}`).if(condition) : body(`${prefix}${name}`);
+
+    return [
+        field("fullname").trim().notEmpty().withMessage("Full name is required"),
+        field("country").default("IN").trim().toUpperCase()
+            .isIn(SUPPORTED_COUNTRIES).withMessage("We do not deliver to this country"),
+        field("phone").trim()
+            .custom((phone, { req }) => countryOf(req) === "IN" ? /^\d{10}$/.test(phone) : /^\+?\d{7,15}$/.test(phone))
+            .withMessage((phone, { req }) => countryOf(req) === "IN"
+                ? "Phone must be a valid 10-digit number"
+                : "Phone must be 7-15 digits, optionally starting with +"),
+        field("line1").trim().notEmpty().withMessage("Address is required"),
+        field("line2").optional().isString().trim(),
+        field("city").trim().notEmpty().withMessage("City is required"),
+        field("state").trim().notEmpty().withMessage("State is required"),
+        field("postalCode").trim().notEmpty().withMessage("Postal code is required").bail()
+            .custom((postalCode, { req }) => isValidPostalCode(countryOf(req), postalCode))
+            .withMessage((postalCode, { req }) => countryOf(req) === "IN"
+                ? "PIN code must be 6 digits"
+                : `Invalid postal code for ${countryOf(req)}`)
+            .customSanitizer((postalCode, { req }) => normalizePostalCode(countryOf(req), postalCode))
+    ];
+}
+
+const addressBookRules = [
+    body("label").optional().isString().trim().isLength({ max: 30 }).withMessage("Label is too long"),
+    ...addressRules(),
+    body("isDefault").optional().isBoolean().withMessage("isDefault must be a boolean").toBoolean()
+];
+
+export const validateAddress = [
+    ...addressBookRules,
+    validateRequest
+]
+
+export const validateAddressReplace = [
+    param("addressId").isMongoId().withMessage("Invalid address id"),
+    ...addressBookRules,
+    validateRequest
+]
+
+export const validateAddressId = [
+    param("addressId").isMongoId().withMessage("Invalid address id"),
+    validateRequest
+]
@@ -0,0 +1,62 @@
+import { body, param, query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { ORDER_STATUS_TRANSITIONS } from "../model/order.model.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+const paginationRules = [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be at least 1"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100")
+];
+
+const noteRule = body("note").optional().isString().isLength({ max: 500 }).withMessage("Note is too long");
+
+export const validateSellersQuery = [
+    query("status").optional().isIn(["pending", "approved", "rejected", "suspended"]).withMessage("Invalid seller status"),
+    ...paginationRules,
+    validateRequest
+]
+
+export const validateSellerReview = [
+    param("id").isMongoId().withMessage("Invalid user id"),
+    noteRule,
+    validateRequest
+]
+
+export const validateUnpublishProduct = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    body("reason").isString().trim().notEmpty().withMessage("Reason is required")
+        .isLength({ max: 500 }).withMessage("Reason is too long"),
+    validateRequest
+]
+
+export const validateProductId = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    validateRequest
+]
+
+export const validateOrdersQuery = [
+    query("status").optional().isIn(Object.keys(ORDER_STATUS_TRANSITIONS)).withMessage("Invalid order status"),
+    query("buyer").optional().isMongoId().withMessage("Invalid buyer id"),
+    query("seller").optional().isMongoId().withMessage("Invalid seller id"),
+    ...paginationRules,
+    validateRequest
+]
+
+export const validateOrderId = [
+    param("id").isMongoId().withMessage("Invalid order id"),
+    validateRequest
+]
+
+export const validateOrderStatusUpdate = [
+    param("id").isMongoId().withMessage("Invalid order id"),
+    body("status").isIn(["shipped", "delivered", "cancelled"]).withMessage("Invalid order status"),
+    validateRequest
+]
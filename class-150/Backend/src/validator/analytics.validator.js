@@ -0,0 +1,59 @@
+import { query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { REVENUE_INTERVALS } from "../services/analytics.service.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+const validateDateRange = [
+    query("from").optional().isISO8601().withMessage("from must be a valid date"),
+    query("to").optional().isISO8601().withMessage("to must be a valid date")
+        .custom((to, { req }) => !req.query.from || new Date(req.query.from) <= new Date(to))
+        .withMessage("from must be before to")
+];
+
+const validateInterval = query("interval")
+    .optional()
+    .isIn(REVENUE_INTERVALS)
+    .withMessage(`Interval must be one of ${REVENUE_INTERVALS.join(", ")}`);
+
+const validateThreshold = query("threshold")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Threshold must be a non-negative integer");
+
+export const validateAnalyticsQuery = [
+    ...validateDateRange,
+    validateInterval,
+    validateThreshold,
+    validateRequest
+]
+
+export const validateRevenueQuery = [
+    ...validateDateRange,
+    validateInterval,
+    validateRequest
+]
+
+export const validateVariantsQuery = [
+    ...validateDateRange,
+    validateRequest
+]
+
+export const validateTopProductsQuery = [
+    ...validateDateRange,
+    query("by").optional().isIn(["revenue", "units"]).withMessage("by must be revenue or units"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+    validateRequest
+]
+
+export const validateLowStockQuery = [
+    validateThreshold,
+    validateRequest
+]
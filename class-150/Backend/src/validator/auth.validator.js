@@ -1,11 +1,12 @@
 import { body, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
 
 
 
 function validateRequest(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError(errors.array()));
     }
     next();
 }
@@ -48,3 +49,97 @@ export const validateLoginUser = [
 
     validateRequest
 ]
+
+export const validateChangePassword = [
+    body("currentPassword")
+        .optional()
+        .isString()
+        .withMessage("Current password must be a string"),
+    body("newPassword")
+        .isLength({ min: 6 })
+        .withMessage("Password must be at least 6 characters long")
+        .custom((newPassword, { req }) => newPassword !== req.body.currentPassword)
+        .withMessage("New password must be different from the current one"),
+
+    validateRequest
+]
+
+export const validateForgotPassword = [
+    body("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address"),
+
+    validateRequest
+]
+
+export const validateResetPassword = [
+    body("token")
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage("Invalid reset token"),
+    body("password")
+        .isLength({ min: 6 })
+        .withMessage("Password must be at least 6 characters long"),
+
+    validateRequest
+]
+
+export const validateUpdateProfile = [
+    body("email")
+        .optional()
+        .isEmail()
+        .withMessage("Please provide a valid email address"),
+    body("fullname")
+        .optional()
+        .trim()
+        .isLength({ min: 3 })
+        .withMessage("Full name must be at least 3 characters long"),
+    body("contact")
+        .optional()
+        .matches(/^\d{10}$/)
+        .withMessage("Contact must be a valid 10-digit number"),
+    body("currentPassword")
+        .optional()
+        .isString()
+        .withMessage("Current password must be a string"),
+
+    validateRequest
+]
+
+export const validateDeleteAccount = [
+    body("password")
+        .optional()
+        .isString()
+        .withMessage("Password must be a string"),
+
+    validateRequest
+]
+
+export const validateLinkPassword = [
+    body("password")
+        .isLength({ min: 6 })
+        .withMessage("Password must be at least 6 characters long"),
+
+    validateRequest
+]
+
+export const validateUnlinkPassword = [
+    body("currentPassword")
+        .isString()
+        .notEmpty()
+        .withMessage("Current password is required"),
+
+    validateRequest
+]
+
+export const validateSelectRole = [
+    body("role")
+        .isIn(["buyer", "seller"])
+        .withMessage("Role must be buyer or seller"),
+    body("contact")
+        .optional({ values: "falsy" })
+        .matches(/^\d{10}$/)
+        .withMessage("Contact must be a valid 10-digit number"),
+
+    validateRequest
+]
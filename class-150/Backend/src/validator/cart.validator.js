@@ -0,0 +1,49 @@
+import { body, param, query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { SUPPORTED_COUNTRIES } from "../services/address.service.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateAddToCart = [
+    body("productId").isMongoId().withMessage("Invalid product id"),
+    body("variantId").optional({ values: "null" }).isMongoId().withMessage("Invalid variant id"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    validateRequest
+]
+
+export const validateUpdateCartItem = [
+    param("itemId").isMongoId().withMessage("Invalid cart item id"),
+    body("quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    validateRequest
+]
+
+export const validateCartItemId = [
+    param("itemId").isMongoId().withMessage("Invalid cart item id"),
+    validateRequest
+]
+
+export const validateApplyCoupon = [
+    body("code").isString().trim().notEmpty().withMessage("Coupon code is required"),
+    validateRequest
+]
+
+export const validateMergeCart = [
+    body("items").isArray().withMessage("Items must be an array"),
+    body("items.*.productId").isMongoId().withMessage("Invalid product id"),
+    body("items.*.variantId").optional({ values: "null" }).isMongoId().withMessage("Invalid variant id"),
+    body("items.*.quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    validateRequest
+]
+
+export const validateShippingQuote = [
+    query("addressId").optional().isMongoId().withMessage("Invalid address id"),
+    query("country").optional().trim().toUpperCase().isIn(SUPPORTED_COUNTRIES).withMessage("We do not deliver to this country"),
+    validateRequest
+]
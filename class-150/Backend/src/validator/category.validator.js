@@ -0,0 +1,42 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+const slugRule = body("slug").optional().isString().trim().toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage("Slug can only contain lowercase letters, digits and single dashes");
+
+const parentRule = body("parent").optional({ values: "null" }).isMongoId().withMessage("Invalid parent category id");
+
+export const validateCategoryCreation = [
+    body("name").isString().trim().notEmpty().withMessage("Name is required")
+        .isLength({ max: 60 }).withMessage("Name is too long"),
+    slugRule,
+    body("description").optional().isString().isLength({ max: 500 }).withMessage("Description is too long"),
+    parentRule,
+    body("sortOrder").optional().isInt().withMessage("Sort order must be a whole number"),
+    validateRequest
+]
+
+export const validateCategoryUpdate = [
+    param("id").isMongoId().withMessage("Invalid category id"),
+    body("name").optional().isString().trim().notEmpty().withMessage("Name cannot be empty")
+        .isLength({ max: 60 }).withMessage("Name is too long"),
+    slugRule,
+    body("description").optional().isString().isLength({ max: 500 }).withMessage("Description is too long"),
+    parentRule,
+    body("sortOrder").optional().isInt().withMessage("Sort order must be a whole number"),
+    validateRequest
+]
+
+export const validateCategoryId = [
+    param("id").isMongoId().withMessage("Invalid category id"),
+    validateRequest
+]
@@ -0,0 +1,59 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { COUPON_TYPES } from "../model/coupon.model.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+const isType = (...types) => (value, { req }) => types.includes(req.body.type);
+
+// rules shared by create and update, every field is optional on update
+const couponFieldRules = [
+    body("code").optional({ values: "null" }).isString().trim()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage("Code must be 3-30 letters, digits, - or _"),
+    body("description").optional().isString().isLength({ max: 200 }).withMessage("Description is too long"),
+    body("value").optional().isFloat({ min: 0 }).withMessage("Value must be a positive number"),
+    body("currency").optional().isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    body("maxDiscountAmount").optional().isFloat({ min: 0 }).withMessage("Maximum discount must be a positive number"),
+    body("buyQuantity").optional().isInt({ min: 1 }).withMessage("Buy quantity must be at least 1"),
+    body("getQuantity").optional().isInt({ min: 1 }).withMessage("Get quantity must be at least 1"),
+    body("products").optional().isArray().withMessage("Products must be an array"),
+    body("products.*").isMongoId().withMessage("Invalid product id"),
+    body("minOrderAmount").optional().isFloat({ min: 0 }).withMessage("Minimum order must be a positive number"),
+    body("usageLimit").optional().isInt({ min: 1 }).withMessage("Usage limit must be at least 1"),
+    body("usageLimitPerUser").optional().isInt({ min: 1 }).withMessage("Per user limit must be at least 1"),
+    body("startsAt").optional().isISO8601().withMessage("startsAt must be a valid date"),
+    body("expiresAt").optional({ values: "null" }).isISO8601().withMessage("expiresAt must be a valid date")
+        .custom((expiresAt, { req }) => !req.body.startsAt || new Date(req.body.startsAt) < new Date(expiresAt))
+        .withMessage("expiresAt must be after startsAt"),
+    body("active").optional().isBoolean().withMessage("active must be a boolean")
+];
+
+export const validateCouponCreation = [
+    body("type").isIn(COUPON_TYPES).withMessage(`Type must be one of ${COUPON_TYPES.join(", ")}`),
+    body("value")
+        .if(isType("percentage", "fixed")).isFloat({ gt: 0 }).withMessage("Value is required")
+        .if(isType("percentage")).isFloat({ max: 100 }).withMessage("Percentage cannot be more than 100"),
+    body("buyQuantity").if(isType("buy_x_get_y")).isInt({ min: 1 }).withMessage("Buy quantity is required"),
+    body("getQuantity").if(isType("buy_x_get_y")).isInt({ min: 1 }).withMessage("Get quantity is required"),
+    ...couponFieldRules,
+    validateRequest
+]
+
+export const validateCouponUpdate = [
+    param("id").isMongoId().withMessage("Invalid coupon id"),
+    body("type").not().exists().withMessage("The type of a coupon cannot be changed"),
+    ...couponFieldRules,
+    validateRequest
+]
+
+export const validateCouponId = [
+    param("id").isMongoId().withMessage("Invalid coupon id"),
+    validateRequest
+]
@@ -0,0 +1,25 @@
+import { body, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { SUPPORTED_CURRENCIES } from "../services/currency.service.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateExchangeRates = [
+    body("base").isIn(SUPPORTED_CURRENCIES).withMessage("Invalid base currency"),
+    ...SUPPORTED_CURRENCIES.map(currency =>
+        body(`rates.${currency}`).isFloat({ gt: 0 }).withMessage(`Rate for ${currency} must be a positive number`)
+    ),
+    validateRequest
+]
+
+export const validatePreferredCurrency = [
+    body("preferredCurrency").isIn(SUPPORTED_CURRENCIES).withMessage("Invalid currency"),
+    validateRequest
+]
@@ -0,0 +1,37 @@
+import { body, param, query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { ORDER_STATUS_TRANSITIONS } from "../model/order.model.js";
+import { addressRules } from "./address.validator.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+// pay with a saved address (addressId) or a new one (shippingAddress)
+export const validatePlaceOrder = [
+    body("addressId").optional().isMongoId().withMessage("Invalid address id"),
+    ...addressRules("shippingAddress.", body("addressId").not().exists()),
+    body("saveAddress").optional().isBoolean().withMessage("saveAddress must be a boolean").toBoolean(),
+    validateRequest
+]
+
+export const validateOrderId = [
+    param("id").isMongoId().withMessage("Invalid order id"),
+    validateRequest
+]
+
+export const validateSellerOrdersQuery = [
+    query("status").optional().isIn(Object.keys(ORDER_STATUS_TRANSITIONS)).withMessage("Invalid order status"),
+    validateRequest
+]
+
+export const validateOrderStatusUpdate = [
+    param("id").isMongoId().withMessage("Invalid order id"),
+    body("status").isIn(Object.keys(ORDER_STATUS_TRANSITIONS)).withMessage("Invalid order status"),
+    validateRequest
+]
@@ -0,0 +1,24 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateCreatePaymentIntent = [
+    param("orderId").isMongoId().withMessage("Invalid order id"),
+    validateRequest
+]
+
+export const validateConfirmPayment = [
+    body("paymentMethod")
+        .optional()
+        .isIn(["fake_card_success", "fake_card_declined"])
+        .withMessage("Invalid payment method"),
+    validateRequest
+]
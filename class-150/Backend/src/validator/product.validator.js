@@ -1,18 +1,165 @@
-import {body, validationResult} from "express-validator";
+import {body, param, query, validationResult} from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { PRODUCT_SORT_OPTIONS, MAX_PAGE_SIZE } from "../services/productSearch.service.js";
+import CategoryModel from "../model/category.model.js";
 
 function validateRequest(req,res,next){
     const errors = validationResult(req);
 
     if(!errors.isEmpty()){
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError(errors.array()));
     }       
     next();
 }
 
+// the category has to exist, products are filed under it in the navigation
+const categoryExists = async (id) => {
+    if (!await CategoryModel.exists({ _id: id })) {
+        throw new Error("Category not found");
+    }
+}
+
+// a new product needs a category, products created before categories existed can be saved without one
+export const categoryRequiredRule = body("category").exists({ values: "falsy" }).withMessage("A valid category is required");
+
+// product fields, shared with the catalog import which runs them on every product row
+export const productFieldRules = [
+    body("title").notEmpty().withMessage("Title is required"),
+    body("description").notEmpty().withMessage("Description is required"),
+    body("priceAmount").isNumeric().withMessage("Price amount must be a number"),
+    body("priceCurrency").isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    body("category").optional().isMongoId().withMessage("A valid category is required").bail().custom(categoryExists),
+    body("weightGrams").optional().isInt({ min: 1 }).withMessage("Weight must be a whole number of grams")
+]
+
+// attributes are a flat object of option name -> value, e.g. { "size": "M", "colour": "Black" }
+const isAttributeObject = (value) => {
+    const attributes = JSON.parse(value);
+
+    if (!attributes || typeof attributes !== "object" || Array.isArray(attributes)) {
+        throw new Error("Attributes must be a JSON object");
+    }
+    if (!Object.values(attributes).every(option => typeof option === "string" && option.trim() !== "")) {
+        throw new Error("Every attribute needs a text value");
+    }
+    return true;
+}
+
+// variant fields, every one is optional. Shared with the catalog import which runs them on every variant row
+export const variantFieldRules = [
+    body("stock").optional().isInt({ min: 0 }).withMessage("Stock must be a positive whole number"),
+    body("attributes").optional().isJSON().withMessage("Attributes must be a JSON object").bail().custom(isAttributeObject),
+    body("priceAmount").optional().isNumeric().withMessage("Price amount must be a number"),
+    body("priceCurrency").optional().isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency")
+]
+
 export const validateProductCreation = [
+    categoryRequiredRule,
+    ...productFieldRules,
+    validateRequest
+]
+
+export const validateProductSearch = [
+    query("q").optional().isString().isLength({ max: 100 }).withMessage("Search text is too long"),
+    query("minPrice").optional().isFloat({ min: 0 }).withMessage("Minimum price must be a positive number"),
+    query("maxPrice").optional().isFloat({ min: 0 }).withMessage("Maximum price must be a positive number"),
+    query("currency").optional().isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    query("category").optional().isString().isLength({ max: 100 }).withMessage("Invalid category"),
+    query("sort").optional().isIn(Object.keys(PRODUCT_SORT_OPTIONS)).withMessage("Invalid sort option"),
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query("cursor").optional().isString().withMessage("Invalid cursor"),
+    query("displayCurrency").optional().isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid display currency"),
+    validateRequest
+]
+
+const removeImagesRule = body("removeImages").optional().isJSON().withMessage("removeImages must be a JSON array of image ids");
+
+export const validateProductId = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    validateRequest
+]
+
+export const validateProductReplace = [
+    param("id").isMongoId().withMessage("Invalid product id"),
     body("title").notEmpty().withMessage("Title is required"),
     body("description").notEmpty().withMessage("Description is required"),
     body("priceAmount").isNumeric().withMessage("Price amount must be a number"),
     body("priceCurrency").isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    // kept as it is when left out, older products have no category
+    body("category").optional().isMongoId().withMessage("A valid category is required").bail().custom(categoryExists),
+    body("weightGrams").optional().isInt({ min: 1 }).withMessage("Weight must be a whole number of grams"),
+    removeImagesRule,
+    validateRequest
+]
+
+export const validateProductUpdate = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    body("title").optional().notEmpty().withMessage("Title cannot be empty"),
+    body("description").optional().notEmpty().withMessage("Description cannot be empty"),
+    body("priceAmount").optional().isNumeric().withMessage("Price amount must be a number"),
+    body("priceCurrency").optional().isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    body("category").optional().isMongoId().withMessage("Invalid category id").bail().custom(categoryExists),
+    body("weightGrams").optional().isInt({ min: 1 }).withMessage("Weight must be a whole number of grams"),
+    removeImagesRule,
+    validateRequest
+]
+
+export const validateVariantId = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    param("variantId").isMongoId().withMessage("Invalid variant id"),
+    validateRequest
+]
+
+// the stock the seller's change is based on, the difference is applied so units sold meanwhile stay taken
+const expectedStockRule = body("expectedStock").if(body("stock").exists())
+    .isInt({ min: 0 }).withMessage("expectedStock, the stock the change is based on, is required with stock");
+
+export const validateVariantCreation = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    ...variantFieldRules,
+    validateRequest
+]
+
+export const validateVariantReplace = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    param("variantId").isMongoId().withMessage("Invalid variant id"),
+    body("stock").isInt({ min: 0 }).withMessage("Stock must be a positive whole number"),
+    body("attributes").isJSON().withMessage("Attributes must be a JSON object").bail().custom(isAttributeObject),
+    body("priceAmount").isNumeric().withMessage("Price amount must be a number"),
+    body("priceCurrency").isIn(["USD", "EUR", "INR", "JPY", "GBP"]).withMessage("Invalid currency"),
+    expectedStockRule,
+    removeImagesRule,
+    validateRequest
+]
+
+export const validateVariantUpdate = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    param("variantId").isMongoId().withMessage("Invalid variant id"),
+    ...variantFieldRules,
+    expectedStockRule,
+    removeImagesRule,
+    validateRequest
+]
+
+export const validateCatalogImport = [
+    query("dryRun").optional().isIn(["true", "false"]).withMessage("dryRun must be true or false"),
+    validateRequest
+]
+
+export const validateCatalogExport = [
+    query("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json"),
+    validateRequest
+]
+
+
+export const validateRecentlyViewed = [
+    query("limit").optional().isInt({ min: 1, max: 30 }).withMessage("Limit must be between 1 and 30"),
+    query("exclude").optional().isMongoId().withMessage("Invalid product id"),
+    validateRequest
+]
+
+export const validateFrequentlyBoughtTogether = [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    query("limit").optional().isInt({ min: 1, max: 12 }).withMessage("Limit must be between 1 and 12"),
     validateRequest
-]
\ No newline at end of file
+]
@@ -0,0 +1,40 @@
+import { body, param, query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { RETURN_STATUS_TRANSITIONS, RETURN_REASONS } from "../model/returnRequest.model.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateCreateReturn = [
+    body("orderId").isMongoId().withMessage("Invalid order id"),
+    body("itemId").isMongoId().withMessage("Invalid order item id"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("reason").isIn(RETURN_REASONS).withMessage(`Reason must be one of ${RETURN_REASONS.join(", ")}`),
+    body("comment").optional().isLength({ max: 2000 }).withMessage("Comment must be at most 2000 characters long"),
+    validateRequest
+]
+
+export const validateReturnId = [
+    param("id").isMongoId().withMessage("Invalid return id"),
+    validateRequest
+]
+
+export const validateSellerReturnsQuery = [
+    query("status").optional().isIn(Object.keys(RETURN_STATUS_TRANSITIONS)).withMessage("Invalid return status"),
+    validateRequest
+]
+
+// a rejection tells the buyer why
+export const validateReturnStatusUpdate = [
+    param("id").isMongoId().withMessage("Invalid return id"),
+    body("status").isIn(Object.keys(RETURN_STATUS_TRANSITIONS)).withMessage("Invalid return status"),
+    body("note").optional().isString().trim().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters long"),
+    body("note").if(body("status").equals("rejected")).notEmpty().withMessage("Tell the buyer why the return is rejected"),
+    validateRequest
+]
@@ -0,0 +1,39 @@
+import { body, param, query, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateGetReviews = [
+    param("productId").isMongoId().withMessage("Invalid product id"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be at least 1"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+    validateRequest
+]
+
+export const validateCreateReview = [
+    param("productId").isMongoId().withMessage("Invalid product id"),
+    body("rating").isInt({ min: 1, max: 5 }).withMessage("Rating must be between 1 and 5"),
+    body("text").optional().isLength({ max: 2000 }).withMessage("Review must be at most 2000 characters long"),
+    validateRequest
+]
+
+export const validateUpdateReview = [
+    param("productId").isMongoId().withMessage("Invalid product id"),
+    param("reviewId").isMongoId().withMessage("Invalid review id"),
+    body("rating").optional().isInt({ min: 1, max: 5 }).withMessage("Rating must be between 1 and 5"),
+    body("text").optional().isLength({ max: 2000 }).withMessage("Review must be at most 2000 characters long"),
+    validateRequest
+]
+
+export const validateReviewId = [
+    param("productId").isMongoId().withMessage("Invalid product id"),
+    param("reviewId").isMongoId().withMessage("Invalid review id"),
+    validateRequest
+]
@@ -0,0 +1,23 @@
+import { body, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { SUPPORTED_CURRENCIES } from "../services/currency.service.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+// zone level checks (overlapping countries, brackets) are done by setShippingRates
+export const validateShippingRates = [
+    body("currency").isIn(SUPPORTED_CURRENCIES).withMessage("Invalid currency"),
+    body("defaultWeightGrams").isInt({ min: 1 }).withMessage("defaultWeightGrams must be a whole number of grams"),
+    body("zones").isArray({ min: 1 }).withMessage("At least one shipping zone is required"),
+    body("zones.*.name").isString().trim().notEmpty().withMessage("Zone name is required"),
+    body("zones.*.countries").isArray({ min: 1 }).withMessage("Zone countries must be a non-empty array"),
+    body("zones.*.rates").isArray({ min: 1 }).withMessage("Zone rates must be a non-empty array"),
+    validateRequest
+]
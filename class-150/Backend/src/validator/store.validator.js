@@ -0,0 +1,59 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+import { validateProductSearch } from "./product.validator.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+// seller id or store slug
+const storeIdRule = param("id").isString().isLength({ min: 1, max: 80 }).withMessage("Invalid store");
+
+const POLICY_FIELDS = ["shipping", "returns", "exchanges"];
+
+const isPolicies = (value) => {
+    const policies = JSON.parse(value);
+
+    if (!policies || typeof policies !== "object" || Array.isArray(policies)) {
+        throw new Error("Policies must be a JSON object");
+    }
+    for (const [name, text] of Object.entries(policies)) {
+        if (!POLICY_FIELDS.includes(name)) {
+            throw new Error(`Unknown policy ${name}, use ${POLICY_FIELDS.join(", ")}`);
+        }
+        if (text !== null && (typeof text !== "string" || text.length > 2000)) {
+            throw new Error(`The ${name} policy must be a text of at most 2000 characters`);
+        }
+    }
+    return true;
+}
+
+export const validateStoreId = [
+    storeIdRule,
+    validateRequest
+]
+
+export const validateStoreProducts = [
+    storeIdRule,
+    ...validateProductSearch
+]
+
+export const validateStoreUpdate = [
+    body("storeName").optional().isString().trim().notEmpty().withMessage("Store name cannot be empty")
+        .isLength({ max: 60 }).withMessage("Store name is too long"),
+    body("slug").optional({ values: "falsy" }).isString().trim().toLowerCase()
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage("Store url can only contain lowercase letters, digits and single dashes")
+        .isLength({ min: 3, max: 60 }).withMessage("Store url must be 3 to 60 characters")
+        // a 24 character hex slug would read as a seller id
+        .not().isMongoId().withMessage("Store url cannot look like an id"),
+    body("description").optional().isString().isLength({ max: 2000 }).withMessage("Description is too long"),
+    body("policies").optional().isJSON().withMessage("Policies must be a JSON object").bail().custom(isPolicies),
+    body("removeLogo").optional().isIn(["true", "false"]).withMessage("removeLogo must be true or false"),
+    body("removeBanner").optional().isIn(["true", "false"]).withMessage("removeBanner must be true or false"),
+    validateRequest
+]
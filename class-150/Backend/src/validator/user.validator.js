@@ -0,0 +1,35 @@
+import { body, param, validationResult } from "express-validator";
+import { ValidationError } from "../errors/app.errors.js";
+
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+}
+
+export const validateAddToWishlist = [
+    body("productId").isMongoId().withMessage("Invalid product id"),
+    body("variantId").optional({ values: "null" }).isMongoId().withMessage("Invalid variant id"),
+    body("notifyWhenInStock").optional().isBoolean().withMessage("notifyWhenInStock must be a boolean").toBoolean(),
+    validateRequest
+]
+
+export const validateWishlistItemId = [
+    param("itemId").isMongoId().withMessage("Invalid wishlist item id"),
+    validateRequest
+]
+
+export const validateMoveToCart = [
+    param("itemId").isMongoId().withMessage("Invalid wishlist item id"),
+    body("variantId").optional({ values: "null" }).isMongoId().withMessage("Invalid variant id"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    validateRequest
+]
+
+export const validateNotificationId = [
+    param("notificationId").isMongoId().withMessage("Invalid notification id"),
+    validateRequest
+]
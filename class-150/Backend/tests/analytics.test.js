@@ -0,0 +1,103 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import OrderModel from "../src/model/order.model.js";
+import ReturnRequestModel from "../src/model/returnRequest.model.js";
+import { getRevenueOverTime } from "../src/services/analytics.service.js";
+import { getRevenueAnalytics } from "../src/controllers/analytics.controller.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createUser, createSeller, createProduct, createResponse, SHIPPING_ADDRESS } from "./helpers/fixtures.js";
+
+// A delivered order of `quantity` units at 100 INR, placed at `createdAt`
+async function createSale(seller, quantity, createdAt = new Date()) {
+    const buyer = await createUser();
+    const product = await createProduct({ seller: seller._id, amount: 100 });
+    const price = { amount: 100, currency: "INR" };
+
+    return await OrderModel.create({
+        buyer: buyer._id,
+        sellers: [seller._id],
+        items: [{
+            product: product._id,
+            variant: product.variants[0]._id,
+            seller: seller._id,
+            title: product.title,
+            quantity,
+            price
+        }],
+        subtotalAmount: price.amount * quantity,
+        totalAmount: { amount: price.amount * quantity, currency: "INR" },
+        shippingAddress: SHIPPING_ADDRESS,
+        status: "delivered",
+        statusHistory: [{ status: "delivered", changedBy: buyer._id }],
+        createdAt
+    });
+}
+
+async function returnUnits(order, quantity, status = "refunded") {
+    const [item] = order.items;
+
+    return await ReturnRequestModel.create({
+        order: order._id,
+        item: item._id,
+        buyer: order.buyer,
+        seller: item.seller,
+        product: item.product,
+        variant: item.variant,
+        title: item.title,
+        quantity,
+        reason: "size_fit",
+        refundAmount: { amount: item.price.amount * quantity, currency: "INR" },
+        status
+    });
+}
+
+function totals(revenue) {
+    return revenue.reduce((sum, row) => ({
+        revenue: sum.revenue + row.revenue,
+        units: sum.units + row.units,
+        orders: sum.orders + row.orders
+    }), { revenue: 0, units: 0, orders: 0 });
+}
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("getRevenueOverTime", () => {
+    it("leaves returned units out of the revenue", async () => {
+        const seller = await createSeller();
+        const partlyReturned = await createSale(seller, 3);
+        const fullyReturned = await createSale(seller, 1);
+
+        await returnUnits(partlyReturned, 1);
+        await returnUnits(fullyReturned, 1, "approved");
+
+        assert.deepEqual(totals(await getRevenueOverTime(seller._id)), { revenue: 200, units: 2, orders: 1 });
+    });
+
+    it("still counts units of a return that was rejected", async () => {
+        const seller = await createSeller();
+        const order = await createSale(seller, 2);
+
+        await returnUnits(order, 1, "rejected");
+
+        assert.deepEqual(totals(await getRevenueOverTime(seller._id)), { revenue: 200, units: 2, orders: 1 });
+    });
+});
+
+describe("getRevenueAnalytics", () => {
+    it("includes the whole last day when to has no time", async () => {
+        const seller = await createSeller();
+
+        await createSale(seller, 1, new Date("2026-03-31T18:30:00Z"));
+
+        const res = createResponse();
+        await getRevenueAnalytics({ user: seller, query: { from: "2026-03-01", to: "2026-03-31" } }, res);
+
+        assert.equal(totals(res.body.revenue).units, 1);
+    });
+});
@@ -0,0 +1,40 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import ProductModel from "../src/model/product.model.js";
+import NotificationModel from "../src/model/notification.model.js";
+import WishlistModel from "../src/model/wishlist.model.js";
+import { importCatalog } from "../src/services/catalog.service.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createUser, createSeller, createProduct } from "./helpers/fixtures.js";
+
+async function getStock(product) {
+    const saved = await ProductModel.findById(product._id);
+    return saved.variants[0].stock;
+}
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("importCatalog", () => {
+    it("updates the stock of an existing variant and tells who waited for it", async () => {
+        const seller = await createSeller();
+        const buyer = await createUser();
+        const product = await createProduct({ seller: seller._id, stock: 0, handle: "linen-shirt" });
+
+        await WishlistModel.create({ user: buyer._id, items: [{ product: product._id, variant: product.variants[0]._id }] });
+
+        const { summary, errors } = await importCatalog(seller._id, [
+            { handle: "linen-shirt", "attr.size": "M", variantStock: "12" }
+        ]);
+
+        assert.deepEqual(errors, []);
+        assert.equal(summary.updated, 1);
+        assert.equal(await getStock(product), 12);
+        assert.equal(await NotificationModel.countDocuments({ user: buyer._id }), 1);
+    });
+});
@@ -0,0 +1,58 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    saveExchangeRates,
+    loadExchangeRates,
+    loadRatesFromFile,
+    resetRatesToFile,
+    getExchangeRates
+} from "../src/services/currency.service.js";
+import { config } from "../src/config/config.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+
+const ADMIN_RATES = { base: "USD", rates: { USD: 1, EUR: 0.5, GBP: 0.25, INR: 100, JPY: 200 } };
+
+before(startDatabase);
+
+beforeEach(async () => {
+    await clearDatabase();
+    await loadRatesFromFile(config.EXCHANGE_RATES_FILE);
+});
+
+after(stopDatabase);
+
+
+describe("exchange rates", () => {
+    it("keeps the rates an admin saved after a restart", async () => {
+        await saveExchangeRates(ADMIN_RATES);
+
+        // the process starts over with the rates of the file
+        await loadRatesFromFile(config.EXCHANGE_RATES_FILE);
+        await loadExchangeRates(config.EXCHANGE_RATES_FILE);
+
+        assert.equal(getExchangeRates().rates.INR, 100);
+    });
+
+    it("uses the file while no rates were saved", async () => {
+        const { rates } = await loadExchangeRates(config.EXCHANGE_RATES_FILE);
+
+        assert.notEqual(rates.INR, ADMIN_RATES.rates.INR);
+    });
+
+    it("stores the file rates when reset, so a restart does not bring the old rates back", async () => {
+        await saveExchangeRates(ADMIN_RATES);
+        const fileRates = await resetRatesToFile(config.EXCHANGE_RATES_FILE);
+
+        await loadExchangeRates(config.EXCHANGE_RATES_FILE);
+
+        assert.equal(getExchangeRates().rates.INR, fileRates.rates.INR);
+    });
+
+    it("keeps the current rates when the new rates are invalid", async () => {
+        const before = getExchangeRates();
+
+        await assert.rejects(saveExchangeRates({ base: "USD", rates: { USD: 1 } }), /Missing or invalid rate/);
+        assert.equal(getExchangeRates(), before);
+    });
+});
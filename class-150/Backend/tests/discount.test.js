@@ -0,0 +1,72 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import CouponModel from "../src/model/coupon.model.js";
+import CouponRedemptionModel from "../src/model/couponRedemption.model.js";
+import { redeemCoupons, releaseCouponRedemptions } from "../src/services/discount.service.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+
+function createCoupon(overrides = {}) {
+    return CouponModel.create({ code: "SAVE10", type: "percentage", value: 10, ...overrides });
+}
+
+function discountOf(coupon) {
+    return { coupon: coupon._id, amount: 100 };
+}
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("redeemCoupons", () => {
+    it("lets a buyer use a once per user coupon on exactly one of three concurrent orders", async () => {
+        const coupon = await createCoupon({ usageLimitPerUser: 1 });
+        const userId = new mongoose.Types.ObjectId();
+
+        const results = await Promise.all([1, 2, 3].map(() => {
+            return redeemCoupons(new mongoose.Types.ObjectId(), userId, [discountOf(coupon)]);
+        }));
+
+        const redemptions = await CouponRedemptionModel.countDocuments({ coupon: coupon._id, user: userId });
+
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal(redemptions, 1);
+        assert.equal((await CouponModel.findById(coupon._id)).usedCount, 1);
+    });
+
+    it("gives a use back when the order is cancelled", async () => {
+        const coupon = await createCoupon({ usageLimitPerUser: 1 });
+        const userId = new mongoose.Types.ObjectId();
+        const firstOrder = new mongoose.Types.ObjectId();
+
+        await redeemCoupons(firstOrder, userId, [discountOf(coupon)]);
+        await releaseCouponRedemptions(firstOrder);
+
+        assert.equal(await redeemCoupons(new mongoose.Types.ObjectId(), userId, [discountOf(coupon)]), true);
+    });
+
+    it("never goes over the global usage limit", async () => {
+        const coupon = await createCoupon({ usageLimit: 2 });
+
+        const results = await Promise.all([1, 2, 3, 4].map(() => {
+            return redeemCoupons(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), [discountOf(coupon)]);
+        }));
+
+        assert.equal(results.filter(Boolean).length, 2);
+        assert.equal((await CouponModel.findById(coupon._id)).usedCount, 2);
+    });
+});
+
+describe("coupon model", () => {
+    it("refuses a percentage above 100 when the value is updated", async () => {
+        const coupon = await createCoupon();
+
+        coupon.set({ value: 150 });
+
+        await assert.rejects(coupon.save(), mongoose.Error.ValidationError);
+    });
+});
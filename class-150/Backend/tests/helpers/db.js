@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+/**
+ * MongoDB for the tests. Every test file starts its own in-memory server, the collections
+ * are emptied between tests.
+ *
+ * mongodb-memory-server downloads a mongod binary on the first run (cached in
+ * ~/.cache/mongodb-binaries). Without access to fastdl.mongodb.org either
+ * - set MONGOMS_SYSTEM_BINARY to an installed mongod, e.g. MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+ * - or set TEST_MONGO_URI to a running server, e.g. TEST_MONGO_URI=mongodb://127.0.0.1:27017 npm test.
+ *   Every test file then uses its own database, dropped when the file is done.
+ */
+
+let server = null;
+
+export const startDatabase = async () => {
+    if (process.env.TEST_MONGO_URI) {
+        // the test files run in parallel processes, one database each
+        await mongoose.connect(process.env.TEST_MONGO_URI, { dbName: `snitch-test-${process.pid}` });
+    } else {
+        try {
+            server = await MongoMemoryServer.create();
+        } catch (error) {
+            throw new Error(`Could not start the in-memory MongoDB: ${error.message}. ` +
+                "Set MONGOMS_SYSTEM_BINARY to an installed mongod or TEST_MONGO_URI to a running server, see tests/helpers/db.js");
+        }
+        await mongoose.connect(server.getUri());
+    }
+
+    // unique indexes (one reservation per order...) are part of what is tested
+    await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+}
+
+export const clearDatabase = async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+}
+
+export const stopDatabase = async () => {
+    if (process.env.TEST_MONGO_URI && mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+    }
+
+    await mongoose.disconnect();
+    await server?.stop();
+    server = null;
+}
@@ -0,0 +1,12 @@
+/**
+ * Environment of the test runs, imported before anything that reads src/config/config.js.
+ * The values only have to exist, nothing talks to Google, ImageKit or an smtp server.
+ */
+
+process.env.MONGO_URI ??= "mongodb://127.0.0.1:27017/snitch-test";
+process.env.JWT_SECRET ??= "test_jwt_secret";
+process.env.GOOGLE_CLIENT_ID ??= "test_google_client_id";
+process.env.GOOGLE_CLIENT_SECRET ??= "test_google_client_secret";
+process.env.IMAGEKIT_PRIVATE_KEY ??= "test_imagekit_private_key";
+process.env.MAIL_TRANSPORT = "memory";
+process.env.STORAGE_PROVIDER = "local";
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import userModel from "../../src/model/user.model.js";
+import ProductModel from "../../src/model/product.model.js";
+import CartModel from "../../src/model/cart.model.js";
+
+/**
+ * Documents the tests build on. Every helper takes overrides for the fields a test cares about.
+ */
+
+export const createUser = async (overrides = {}) => {
+    return await userModel.create({
+        email: `${new mongoose.Types.ObjectId()}@test.local`,
+        password: "password123",
+        fullname: "Test User",
+        ...overrides
+    });
+}
+
+export const createSeller = async (overrides = {}) => {
+    return await createUser({ role: "seller", sellerStatus: "approved", ...overrides });
+}
+
+// A product with one variant holding `stock` units
+export const createProduct = async ({ seller, stock = 1, amount = 1000, currency = "INR", ...overrides } = {}) => {
+    return await ProductModel.create({
+        title: "Linen Shirt",
+        description: "A test product",
+        seller: seller ?? new mongoose.Types.ObjectId(),
+        price: { amount, currency },
+        variants: [{ stock, attributes: { size: "M" }, price: { amount, currency } }],
+        ...overrides
+    });
+}
+
+export const createCart = async (user, items) => {
+    return await CartModel.create({
+        user: user._id,
+        items: items.map(({ product, quantity = 1 }) => ({
+            product: product._id,
+            variant: product.variants[0]._id,
+            quantity
+        }))
+    });
+}
+
+export const SHIPPING_ADDRESS = {
+    fullname: "Test User",
+    phone: "9999999999",
+    line1: "1 Test Street",
+    city: "Mumbai",
+    state: "MH",
+    postalCode: "400001",
+    country: "IN"
+};
+
+/**
+ * @description Minimal express response that records what a controller sent
+ */
+
+export const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        locals: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        cookie() {
+            return res;
+        }
+    };
+
+    return res;
+}
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import OrderModel from "../../src/model/order.model.js";
+import { createPaymentForOrder, getPaymentProvider } from "../../src/services/payment.service.js";
+import { reserveStock } from "../../src/services/inventory.service.js";
+import { createUser, createProduct, SHIPPING_ADDRESS } from "./fixtures.js";
+
+/**
+ * Orders and payments through the fake gateway, for the tests of what happens after checkout.
+ */
+
+// The fake gateway delivers its webhooks on the next tick, wait until one was applied
+export const waitFor = async (check, timeoutMs = 2000) => {
+    const started = Date.now();
+
+    while (!await check()) {
+        if (Date.now() - started > timeoutMs) {
+            throw new Error("Timed out waiting for the payment webhook");
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// A pending order for `quantity` units of a new product, with its stock reserved like placeOrder does
+export const createPendingOrder = async (amount = 1000, quantity = 1) => {
+    const buyer = await createUser();
+    const product = await createProduct({ stock: quantity, amount });
+    const line = { product: product._id, variant: product.variants[0]._id, quantity };
+    const price = { amount, currency: "INR" };
+    const orderId = new mongoose.Types.ObjectId();
+
+    await reserveStock(orderId, [line]);
+
+    return await OrderModel.create({
+        _id: orderId,
+        buyer: buyer._id,
+        sellers: [product.seller],
+        items: [{ ...line, seller: product.seller, title: product.title, price }],
+        subtotalAmount: amount * quantity,
+        totalAmount: { amount: amount * quantity, currency: "INR" },
+        shippingAddress: SHIPPING_ADDRESS,
+        statusHistory: [{ status: "pending", changedBy: buyer._id }]
+    });
+}
+
+// Pay the order with the fake card, resolves to the payment once the order is paid
+export const payOrder = async (order) => {
+    const { payment } = await createPaymentForOrder(order);
+
+    await getPaymentProvider("fake").confirm(payment.intentId, { paymentMethod: "fake_card_success" });
+    await waitFor(async () => (await OrderModel.findById(order._id)).status === "paid");
+
+    return payment;
+}
@@ -0,0 +1,203 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ProductModel from "../src/model/product.model.js";
+import ReservationModel from "../src/model/reservation.model.js";
+import OrderModel from "../src/model/order.model.js";
+import {
+    reserveStock,
+    releaseReservation,
+    releaseExpiredReservations,
+    changeStock
+} from "../src/services/inventory.service.js";
+import { placeOrder } from "../src/controllers/order.controller.js";
+import { updateProductVariant } from "../src/controllers/product.controller.js";
+import { loadRatesFromFile } from "../src/services/currency.service.js";
+import { loadShippingRatesFromFile } from "../src/services/shipping.service.js";
+import { config } from "../src/config/config.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createUser, createProduct, createCart, createResponse, SHIPPING_ADDRESS } from "./helpers/fixtures.js";
+
+async function getStock(product) {
+    const saved = await ProductModel.findById(product._id);
+    return saved.variants[0].stock;
+}
+
+function lineOf(product, quantity = 1) {
+    return { product: product._id, variant: product.variants[0]._id, quantity };
+}
+
+before(async () => {
+    await startDatabase();
+    await loadRatesFromFile(config.EXCHANGE_RATES_FILE);
+    await loadShippingRatesFromFile(config.SHIPPING_RATES_FILE);
+});
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("reserveStock", () => {
+    it("lets only one of many concurrent orders take the last unit", async () => {
+        const product = await createProduct({ stock: 1 });
+
+        const reservations = await Promise.all(Array.from({ length: 10 }, () => {
+            return reserveStock(new mongoose.Types.ObjectId(), [lineOf(product)]);
+        }));
+
+        assert.equal(reservations.filter(Boolean).length, 1);
+        assert.equal(await getStock(product), 0);
+        assert.equal(await ReservationModel.countDocuments(), 1);
+    });
+
+    it("never oversells when concurrent orders ask for more than is left together", async () => {
+        const product = await createProduct({ stock: 5 });
+
+        const reservations = await Promise.all(Array.from({ length: 4 }, () => {
+            return reserveStock(new mongoose.Types.ObjectId(), [lineOf(product, 2)]);
+        }));
+
+        assert.equal(reservations.filter(Boolean).length, 2);
+        assert.equal(await getStock(product), 1);
+    });
+
+    it("puts back the lines already reserved when a later line is out of stock", async () => {
+        const inStock = await createProduct({ stock: 3 });
+        const soldOut = await createProduct({ stock: 0 });
+
+        const reservation = await reserveStock(new mongoose.Types.ObjectId(), [lineOf(inStock, 2), lineOf(soldOut)]);
+
+        assert.equal(reservation, null);
+        assert.equal(await getStock(inStock), 3);
+        assert.equal(await ReservationModel.countDocuments(), 0);
+    });
+});
+
+describe("releaseReservation", () => {
+    it("gives the stock back only once when released concurrently", async () => {
+        const product = await createProduct({ stock: 2 });
+        const orderId = new mongoose.Types.ObjectId();
+
+        await reserveStock(orderId, [lineOf(product, 2)]);
+        await Promise.all([releaseReservation(orderId), releaseReservation(orderId), releaseReservation(orderId)]);
+
+        assert.equal(await getStock(product), 2);
+    });
+});
+
+describe("releaseExpiredReservations", () => {
+    it("restocks expired holds and cancels their unpaid orders", async () => {
+        const product = await createProduct({ stock: 1 });
+        const buyer = await createUser();
+        const orderId = new mongoose.Types.ObjectId();
+        const price = { amount: product.price.amount, currency: product.price.currency };
+
+        await reserveStock(orderId, [lineOf(product)], -1);
+        await OrderModel.create({
+            _id: orderId,
+            buyer: buyer._id,
+            sellers: [product.seller],
+            items: [{ ...lineOf(product), seller: product.seller, title: product.title, price }],
+            subtotalAmount: price.amount,
+            totalAmount: price,
+            shippingAddress: SHIPPING_ADDRESS,
+            statusHistory: [{ status: "pending", changedBy: buyer._id }]
+        });
+
+        const [released] = await Promise.all([releaseExpiredReservations(), releaseExpiredReservations()]);
+
+        assert.ok(released <= 1);
+        assert.equal(await getStock(product), 1);
+        assert.equal((await OrderModel.findById(orderId)).status, "cancelled");
+    });
+});
+
+describe("changeStock", () => {
+    it("keeps units reserved while the seller was editing the stock", async () => {
+        const product = await createProduct({ stock: 5 });
+
+        // the seller opened the form at 5 units and recounts 10, one unit sells meanwhile
+        await reserveStock(new mongoose.Types.ObjectId(), [lineOf(product)]);
+        const stock = await changeStock(product._id, product.variants[0]._id, 10 - 5);
+
+        assert.equal(stock, 9);
+        assert.equal(await getStock(product), 9);
+    });
+
+    it("refuses to take the stock below zero", async () => {
+        const product = await createProduct({ stock: 1 });
+
+        await reserveStock(new mongoose.Types.ObjectId(), [lineOf(product)]);
+        const stock = await changeStock(product._id, product.variants[0]._id, -1);
+
+        assert.equal(stock, null);
+        assert.equal(await getStock(product), 0);
+    });
+});
+
+describe("updateProductVariant", () => {
+    function editVariant(product, body, files = []) {
+        const req = {
+            user: { _id: product.seller },
+            params: { id: String(product._id), variantId: String(product.variants[0]._id) },
+            body,
+            files
+        };
+
+        return updateProductVariant(req, createResponse());
+    }
+
+    it("keeps units sold after the seller opened the edit form", async () => {
+        const product = await createProduct({ stock: 5 });
+
+        // the form was loaded at 5 units, one sells before the seller saves 10
+        await reserveStock(new mongoose.Types.ObjectId(), [lineOf(product)]);
+        await editVariant(product, { stock: "10", expectedStock: "5" });
+
+        assert.equal(await getStock(product), 9);
+    });
+
+    it("refuses a stock lower than the units sold meanwhile allow", async () => {
+        const product = await createProduct({ stock: 2 });
+
+        await reserveStock(new mongoose.Types.ObjectId(), [lineOf(product, 2)]);
+
+        await assert.rejects(editVariant(product, { stock: "1", expectedStock: "2" }), error => error.status === 409);
+        assert.equal(await getStock(product), 0);
+    });
+
+    it("leaves the stock alone when the rest of the change fails", async () => {
+        const product = await createProduct({ stock: 5 });
+        const tooManyImages = Array.from({ length: 8 }, (_, i) => ({ buffer: Buffer.from(""), originalname: `${i}.jpg` }));
+
+        await assert.rejects(editVariant(product, { stock: "10", expectedStock: "5" }, tooManyImages), error => error.status === 400);
+        assert.equal(await getStock(product), 5);
+    });
+});
+
+describe("placeOrder", () => {
+    it("places one order when two buyers check out the last unit together", async () => {
+        const product = await createProduct({ stock: 1 });
+        const buyers = await Promise.all([createUser(), createUser()]);
+
+        await Promise.all(buyers.map(buyer => createCart(buyer, [{ product }])));
+
+        const results = await Promise.allSettled(buyers.map(buyer => {
+            const res = createResponse();
+            return placeOrder({ user: buyer, body: { shippingAddress: SHIPPING_ADDRESS } }, res).then(() => res);
+        }));
+
+        const placed = results.filter(result => result.status === "fulfilled");
+        const refused = results.filter(result => result.status === "rejected");
+
+        assert.equal(placed.length, 1);
+        assert.equal(placed[0].value.statusCode, 201);
+        assert.equal(refused.length, 1);
+        // 409 when both passed the stock check and lost the reservation, 400 when it already saw the unit gone
+        assert.ok([400, 409].includes(refused[0].reason.status));
+        assert.equal(await getStock(product), 0);
+        assert.equal(await OrderModel.countDocuments(), 1);
+    });
+});
@@ -0,0 +1,54 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import WishlistModel from "../src/model/wishlist.model.js";
+import NotificationModel from "../src/model/notification.model.js";
+import { notifyBackInStock } from "../src/services/notification.service.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createUser, createProduct } from "./helpers/fixtures.js";
+
+async function wishlistVariant(user, product) {
+    return await WishlistModel.create({
+        user: user._id,
+        items: [{ product: product._id, variant: product.variants[0]._id }]
+    });
+}
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("notifyBackInStock", () => {
+    it("notifies a buyer once and records when", async () => {
+        const product = await createProduct({ stock: 0 });
+        const buyer = await createUser();
+        const wishlist = await wishlistVariant(buyer, product);
+
+        const first = await notifyBackInStock(product._id, product.variants[0]._id);
+        const second = await notifyBackInStock(product._id, product.variants[0]._id);
+
+        const [item] = (await WishlistModel.findById(wishlist._id)).items;
+
+        assert.equal(first, 1);
+        assert.equal(second, 0);
+        assert.equal(item.notifyWhenInStock, false);
+        assert.ok(item.notifiedAt instanceof Date);
+        assert.equal(await NotificationModel.countDocuments({ user: buyer._id }), 1);
+    });
+
+    it("notifies once when two restocks are announced together", async () => {
+        const product = await createProduct({ stock: 0 });
+        const buyer = await createUser();
+
+        await wishlistVariant(buyer, product);
+        await Promise.all([
+            notifyBackInStock(product._id, product.variants[0]._id),
+            notifyBackInStock(product._id, product.variants[0]._id)
+        ]);
+
+        assert.equal(await NotificationModel.countDocuments({ user: buyer._id }), 1);
+    });
+});
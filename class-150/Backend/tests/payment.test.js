@@ -0,0 +1,117 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import OrderModel from "../src/model/order.model.js";
+import ProductModel from "../src/model/product.model.js";
+import PaymentModel from "../src/model/payment.model.js";
+import FakePaymentIntentModel from "../src/model/fakePaymentIntent.model.js";
+import { createFakePaymentProvider } from "../src/services/fakePayment.provider.js";
+import { getPaymentProvider } from "../src/services/payment.service.js";
+import { changeOrderStatus } from "../src/services/order.service.js";
+import { config } from "../src/config/config.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { waitFor, createPendingOrder, payOrder } from "./helpers/orders.js";
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("fake payment provider", () => {
+    it("moves the order to paid once the payment webhook arrives", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+
+        assert.equal((await PaymentModel.findById(payment._id)).status, "succeeded");
+    });
+
+    it("still refunds payments after a restart", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+
+        // a new provider instance has nothing in memory, like the process after a restart
+        const restarted = createFakePaymentProvider({ webhookSecret: config.PAYMENT_WEBHOOK_SECRET });
+        const intent = await restarted.refund(payment.intentId);
+
+        assert.equal(intent.status, "refunded");
+        assert.equal(intent.refunded, 1000);
+    });
+
+    it("treats partial refunds adding up to the amount as a full refund", async () => {
+        const order = await createPendingOrder(0.3);
+        const payment = await payOrder(order);
+        const provider = getPaymentProvider("fake");
+
+        await provider.refund(payment.intentId, 0.1);
+        const intent = await provider.refund(payment.intentId, 0.2);
+
+        assert.equal(intent.status, "refunded");
+        await assert.rejects(provider.refund(payment.intentId, 0.01), /exceeds the captured amount/);
+    });
+
+    it("never refunds more than the captured amount with concurrent refunds", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+        const provider = getPaymentProvider("fake");
+
+        const results = await Promise.allSettled([
+            provider.refund(payment.intentId, 600),
+            provider.refund(payment.intentId, 600),
+            provider.refund(payment.intentId, 600)
+        ]);
+
+        const intent = await FakePaymentIntentModel.findOne({ intentId: payment.intentId });
+
+        assert.equal(results.filter(result => result.status === "fulfilled").length, 1);
+        assert.equal(intent.refunded, 600);
+        assert.equal(intent.status, "succeeded");
+    });
+});
+
+describe("cancelling a paid order", () => {
+    it("refunds the payment and gives the stock back", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+
+        await changeOrderStatus(await OrderModel.findById(order._id), "cancelled", order.buyer);
+        await waitFor(async () => (await PaymentModel.findById(payment._id)).status === "refunded");
+
+        const product = await ProductModel.findById(order.items[0].product);
+
+        assert.equal((await OrderModel.findById(order._id)).status, "cancelled");
+        assert.equal(product.variants[0].stock, 1);
+    });
+
+    it("cancels and refunds once when the order is cancelled twice at the same time", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+        const paid = await OrderModel.findById(order._id);
+
+        const results = await Promise.allSettled([
+            changeOrderStatus(paid, "cancelled", order.buyer),
+            changeOrderStatus(paid, "cancelled", order.buyer)
+        ]);
+        const intent = await FakePaymentIntentModel.findOne({ intentId: payment.intentId });
+
+        assert.equal(results.filter(result => result.status === "fulfilled").length, 1);
+        assert.equal(results.find(result => result.status === "rejected").reason.status, 409);
+        assert.equal(intent.refunded, 1000);
+        assert.equal((await ProductModel.findById(order.items[0].product)).variants[0].stock, 1);
+    });
+
+    it("keeps the order paid when the refund fails", async () => {
+        const order = await createPendingOrder();
+        const payment = await payOrder(order);
+
+        // the gateway no longer knows the intent
+        await FakePaymentIntentModel.deleteOne({ intentId: payment.intentId });
+
+        await assert.rejects(
+            changeOrderStatus(await OrderModel.findById(order._id), "cancelled", order.buyer),
+            error => error.status === 502 && error.code === "REFUND_FAILED"
+        );
+        assert.equal((await OrderModel.findById(order._id)).status, "paid");
+    });
+});
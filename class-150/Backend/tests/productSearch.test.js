@@ -0,0 +1,63 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { searchProducts } from "../src/services/productSearch.service.js";
+import { loadRatesFromFile } from "../src/services/currency.service.js";
+import { config } from "../src/config/config.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createProduct } from "./helpers/fixtures.js";
+
+function titlesOf(result) {
+    return result.products.map(product => product.title);
+}
+
+before(async () => {
+    await startDatabase();
+    await loadRatesFromFile(config.EXCHANGE_RATES_FILE);
+});
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("searchProducts", () => {
+    it("compares prices listed in different currencies", async () => {
+        await createProduct({ title: "Ten dollars", amount: 10, currency: "USD" });
+        await createProduct({ title: "Five hundred rupees", amount: 500, currency: "INR" });
+        await createProduct({ title: "Twenty pounds", amount: 20, currency: "GBP" });
+
+        const sorted = await searchProducts({ sort: "price_asc" });
+        const filtered = await searchProducts({ minPrice: "8", maxPrice: "15" }, { displayCurrency: "USD" });
+
+        assert.deepEqual(titlesOf(sorted), ["Five hundred rupees", "Ten dollars", "Twenty pounds"]);
+        assert.deepEqual(titlesOf(filtered), ["Ten dollars"]);
+    });
+
+    it("pages through a price sort with the cursor", async () => {
+        await createProduct({ title: "Ten dollars", amount: 10, currency: "USD" });
+        await createProduct({ title: "Five hundred rupees", amount: 500, currency: "INR" });
+        await createProduct({ title: "Twenty pounds", amount: 20, currency: "GBP" });
+
+        const first = await searchProducts({ sort: "price_desc", limit: "2" });
+        const second = await searchProducts({ sort: "price_desc", limit: "2", cursor: first.nextCursor });
+
+        assert.deepEqual(titlesOf(first), ["Twenty pounds", "Ten dollars"]);
+        assert.deepEqual(titlesOf(second), ["Five hundred rupees"]);
+        assert.equal(second.hasMore, false);
+    });
+
+    it("ignores a seller in the query and only filters on the seller option", async () => {
+        const seller = new mongoose.Types.ObjectId();
+
+        await createProduct({ title: "Store product", seller });
+        await createProduct({ title: "Other product" });
+
+        const listing = await searchProducts({ seller: String(seller) });
+        const store = await searchProducts({}, { seller });
+
+        assert.equal(listing.products.length, 2);
+        assert.deepEqual(titlesOf(store), ["Store product"]);
+    });
+});
@@ -0,0 +1,100 @@
+import "./helpers/env.js";
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import OrderModel from "../src/model/order.model.js";
+import ReturnRequestModel from "../src/model/returnRequest.model.js";
+import FakePaymentIntentModel from "../src/model/fakePaymentIntent.model.js";
+import {
+    checkReturnEligibility,
+    openReturnRequest,
+    transitionReturn,
+    completeReturn
+} from "../src/services/return.service.js";
+import { startDatabase, clearDatabase, stopDatabase } from "./helpers/db.js";
+import { createPendingOrder, payOrder } from "./helpers/orders.js";
+
+// A paid and delivered order of `quantity` units at 100 INR
+async function createDeliveredOrder(quantity = 1) {
+    const order = await createPendingOrder(100, quantity);
+    const payment = await payOrder(order);
+
+    await OrderModel.updateOne({ _id: order._id }, {
+        status: "delivered",
+        $push: { statusHistory: { status: "delivered", changedBy: order.buyer } }
+    });
+
+    return { order: await OrderModel.findById(order._id), payment };
+}
+
+// What the controller does for a return of `quantity` units of the first line
+async function requestReturn(order, quantity = 1) {
+    const { item, refundAmount } = await checkReturnEligibility(order, order.items[0]._id, quantity);
+
+    return await openReturnRequest(order, item, {
+        order: order._id,
+        item: item._id,
+        buyer: order.buyer,
+        seller: item.seller,
+        product: item.product,
+        variant: item.variant,
+        title: item.title,
+        quantity,
+        reason: "size_fit",
+        refundAmount,
+        statusHistory: [{ status: "requested", changedBy: order.buyer }]
+    });
+}
+
+before(startDatabase);
+
+beforeEach(clearDatabase);
+
+after(stopDatabase);
+
+
+describe("openReturnRequest", () => {
+    it("never lets concurrent requests return more units than were bought", async () => {
+        const { order } = await createDeliveredOrder(1);
+
+        await Promise.allSettled([requestReturn(order), requestReturn(order), requestReturn(order)]);
+
+        const open = await ReturnRequestModel.find({ order: order._id });
+
+        assert.ok(open.reduce((total, request) => total + request.quantity, 0) <= 1);
+    });
+
+    it("refuses a second request for a line that is already being returned", async () => {
+        const { order } = await createDeliveredOrder(1);
+
+        await requestReturn(order);
+
+        await assert.rejects(requestReturn(order), error => error.status === 409);
+    });
+});
+
+describe("approving a return", () => {
+    it("applies only one of two concurrent decisions", async () => {
+        const { order } = await createDeliveredOrder();
+        const returnRequest = await requestReturn(order);
+
+        const results = await Promise.allSettled([
+            transitionReturn(returnRequest, "approved", order.items[0].seller),
+            transitionReturn(returnRequest, "rejected", order.items[0].seller)
+        ]);
+
+        assert.equal(results.filter(result => result.status === "fulfilled").length, 1);
+        assert.equal(results.find(result => result.status === "rejected").reason.status, 409);
+    });
+
+    it("refunds the buyer once when the refund is sent twice at the same time", async () => {
+        const { order, payment } = await createDeliveredOrder();
+        const approved = await transitionReturn(await requestReturn(order), "approved");
+
+        const results = await Promise.allSettled([completeReturn(approved), completeReturn(approved)]);
+        const intent = await FakePaymentIntentModel.findOne({ intentId: payment.intentId });
+
+        assert.equal(results.filter(result => result.status === "fulfilled").length, 1);
+        assert.equal(intent.refunded, 100);
+        assert.equal((await ReturnRequestModel.findById(approved._id)).status, "refunded");
+    });
+});
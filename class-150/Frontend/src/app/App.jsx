@@ -1,21 +1,54 @@
-import React, { useEffect } from 'react'
+import React, { useEffect, useRef } from 'react'
 import './App.css';
 import { RouterProvider } from 'react-router';
 import { routes } from './app.routes';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { useAuth } from '../features/auth/hook/useAuth';
+import { useCart } from '../features/products/hooks/useCart';
+import { setDisplayCurrency } from '../features/products/state/currency.slice';
+import { GUEST_CART_KEY } from '../features/products/state/cart.slice';
 
 import { use } from 'react';
 
 const App = () => {
   const user = useSelector(state => state.auth.user);
+  const cartSynced = useSelector(state => state.cart.synced);
+  const cartItems = useSelector(state => state.cart.items);
+  const cartSyncing = useRef(false);
+  const dispatch = useDispatch();
    const { handleGetCurrentUser } = useAuth();
+  const { handleSyncCart } = useCart();
 
  useEffect(() => {
     if (user) return;
     handleGetCurrentUser();
   }, [user, handleGetCurrentUser]);
 
+  // Load the server cart (merging the guest cart into it) once the user is known
+  // The ref stops a re-render before the sync finished from merging the guest cart twice
+  useEffect(() => {
+    if (!user || cartSynced || cartSyncing.current) return;
+    cartSyncing.current = true;
+    handleSyncCart()
+      .catch(console.error)
+      .finally(() => { cartSyncing.current = false; });
+  }, [user, cartSynced, handleSyncCart]);
+
+  // Keep the guest cart in localStorage, it is dropped once it lives on the server
+  useEffect(() => {
+    if (cartSynced) {
+      localStorage.removeItem(GUEST_CART_KEY);
+    } else {
+      localStorage.setItem(GUEST_CART_KEY, JSON.stringify(cartItems));
+    }
+  }, [cartSynced, cartItems]);
+
+  // The currency saved on the account wins over the one picked as a guest
+  useEffect(() => {
+    if (!user?.preferredCurrency) return;
+    dispatch(setDisplayCurrency(user.preferredCurrency));
+  }, [user, dispatch]);
+
 
   return (
     <>
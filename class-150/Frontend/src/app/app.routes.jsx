@@ -7,6 +7,15 @@ import Protected from "../features/auth/components/Protected";
 import Home from "../features/products/pages/Home";
 import ProductDetails from "../features/products/pages/ProductDetails";
 import SellerProductsDetails from "../features/products/pages/SellerProductsDetails";
+import Wishlist from "../features/products/pages/Wishlist";
+import AdminConsole from "../features/admin/pages/AdminConsole";
+import AddressBook from "../features/account/pages/AddressBook";
+import AccountSettings from "../features/account/pages/AccountSettings";
+import ForgotPassword from "../features/auth/pages/ForgotPassword";
+import ResetPassword from "../features/auth/pages/ResetPassword";
+import Welcome from "../features/auth/pages/Welcome";
+import Storefront from "../features/store/pages/Storefront";
+import StoreSettings from "../features/store/pages/StoreSettings";
 
 export const routes = createBrowserRouter([
     {
@@ -21,10 +30,42 @@ export const routes = createBrowserRouter([
         path: "/login",
         element: <Login />
     },
+    {
+        path: "/forgot-password",
+        element: <ForgotPassword />
+    },
+    {
+        path: "/reset-password",
+        element: <ResetPassword />
+    },
     {
         path: "/product/:id",
         element: <ProductDetails />
     },
+    {
+        path: "/store/:slug",
+        element: <Storefront />
+    },
+    {
+        path: "/wishlist",
+        element: <Protected><Wishlist /></Protected>
+    },
+    {
+        path: "/welcome",
+        element: <Protected role={[ "buyer", "seller", "admin" ]}><Welcome /></Protected>
+    },
+    {
+        path: "/account",
+        element: <Protected role={[ "buyer", "seller", "admin" ]}><AccountSettings /></Protected>
+    },
+    {
+        path: "/account/addresses",
+        element: <Protected><AddressBook /></Protected>
+    },
+    {
+        path: "/admin",
+        element: <Protected role="admin"><AdminConsole /></Protected>
+    },
     {
         path: "/seller/",
         children: [
@@ -43,6 +84,10 @@ export const routes = createBrowserRouter([
             {
                 path: "product/:id",
                 element: <Protected role="seller"><SellerProductsDetails /></Protected>
+            },
+            {
+                path: "store",
+                element: <Protected role="seller"><StoreSettings /></Protected>
             }
 
 
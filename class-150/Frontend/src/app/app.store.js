@@ -1,12 +1,18 @@
 import { configureStore } from "@reduxjs/toolkit"
 import authReducer from "../features/auth/state/auth.slice.js"
 import productReducer from "../features/products/state/product.slice.js"
+import cartReducer from "../features/products/state/cart.slice.js"
+import wishlistReducer from "../features/products/state/wishlist.slice.js"
+import currencyReducer from "../features/products/state/currency.slice.js"
 
 
 
 export const store = configureStore({
     reducer: {
         auth: authReducer,
-        product: productReducer
+        product: productReducer,
+        cart: cartReducer,
+        wishlist: wishlistReducer,
+        currency: currencyReducer
     }
 })
\ No newline at end of file
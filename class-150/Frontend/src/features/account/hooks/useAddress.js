@@ -0,0 +1,31 @@
+import { getAddresses, addAddress, updateAddress, makeDefaultAddress, deleteAddress } from "../services/address.api";
+
+export const useAddress = () => {
+
+    async function handleGetAddresses() {
+        const data = await getAddresses();
+        return data.addresses;
+    }
+
+    async function handleSaveAddress(address, addressId = null) {
+        const data = addressId ? await updateAddress(addressId, address) : await addAddress(address);
+        return data.addresses;
+    }
+
+    async function handleMakeDefaultAddress(addressId) {
+        const data = await makeDefaultAddress(addressId);
+        return data.addresses;
+    }
+
+    async function handleDeleteAddress(addressId) {
+        const data = await deleteAddress(addressId);
+        return data.addresses;
+    }
+
+    return {
+        handleGetAddresses,
+        handleSaveAddress,
+        handleMakeDefaultAddress,
+        handleDeleteAddress
+    }
+}
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link, useNavigate, useSearchParams } from 'react-router';
+import { useAuth } from '../../auth/hook/useAuth';
+import { GOOGLE_LINK_URL } from '../../auth/service/auth.api';
+
+// Results of the Google link redirect, passed back in the query string
+const GOOGLE_LINK_RESULTS = {
+    linked: { ok: true, message: "Your Google account is now linked." },
+    google_in_use: { ok: false, message: "That Google account is already linked to another Snitch account." }
+};
+
+const errorMessage = (err, fallback) =>
+    err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+const Section = ({ title, children }) => (
+    <section className="py-10 border-b" style={{ borderColor: '#e4e2df' }}>
+        <h2 className="text-2xl font-light mb-6" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>{title}</h2>
+        {children}
+    </section>
+);
+
+const Input = ({ label, ...props }) => (
+    <div>
+        <label className="block text-[10px] uppercase tracking-[0.2em] font-medium mb-2" style={{ color: '#7A6E63' }}>{label}</label>
+        <input
+            {...props}
+            className="w-full bg-transparent border-b border-[#d0c5b5] py-2 text-sm focus:outline-none focus:border-[#C9A96E]"
+            style={{ color: '#1b1c1a' }}
+        />
+    </div>
+);
+
+const StatusMessage = ({ value }) => value ? (
+    <p className={`text-xs mt-4 ${value.ok ? '' : 'text-red-700'}`} style={value.ok ? { color: '#7A6E63' } : undefined}>{value.message}</p>
+) : null;
+
+const buttonClassName = "py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]";
+
+const AccountSettings = () => {
+    const user = useSelector(state => state.auth.user);
+    const navigate = useNavigate();
+    const {
+        handleUpdateProfile,
+        handleChangePassword,
+        handleLogout,
+        handleLogoutEverywhere,
+        handleDeleteAccount,
+        handleUnlinkGoogle,
+        handleLinkPassword,
+        handleUnlinkPassword
+    } = useAuth();
+    const [searchParams] = useSearchParams();
+
+    const [profile, setProfile] = useState({
+        fullname: user.fullname || '',
+        contact: user.contact || '',
+        email: user.email || '',
+        currentPassword: ''
+    });
+    const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+    const [deletePassword, setDeletePassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [removePassword, setRemovePassword] = useState('');
+    const [status, setStatus] = useState(() => ({   // { profile, providers, password, delete } -> { ok, message }
+        providers: GOOGLE_LINK_RESULTS[searchParams.get('linked') ? 'linked' : searchParams.get('error')]
+    }));
+
+    const googleLinked = user.providers?.includes('google');
+
+    const emailChanged = profile.email !== user.email;
+
+    const handleProfileSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await handleUpdateProfile({
+                fullname: profile.fullname,
+                contact: profile.contact || undefined,
+                email: profile.email,
+                currentPassword: emailChanged && user.hasPassword ? profile.currentPassword : undefined
+            });
+            setProfile({ ...profile, currentPassword: '' });
+            setStatus({ profile: { ok: true, message: "Profile updated." } });
+        } catch (err) {
+            setStatus({ profile: { ok: false, message: errorMessage(err, "Could not update your profile.") } });
+        }
+    };
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await handleChangePassword(passwords);
+            setPasswords({ currentPassword: '', newPassword: '' });
+            setStatus({ password: { ok: true, message: "Password changed. Your other sessions have been signed out." } });
+        } catch (err) {
+            setStatus({ password: { ok: false, message: errorMessage(err, "Could not change your password.") } });
+        }
+    };
+
+    const handleAddPassword = async (e) => {
+        e.preventDefault();
+        try {
+            await handleLinkPassword(newPassword);
+            setNewPassword('');
+            setStatus({ password: { ok: true, message: "Password added, you can now sign in with your email too." } });
+        } catch (err) {
+            setStatus({ password: { ok: false, message: errorMessage(err, "Could not add a password.") } });
+        }
+    };
+
+    const handleRemovePassword = async (e) => {
+        e.preventDefault();
+        try {
+            await handleUnlinkPassword(removePassword);
+            setRemovePassword('');
+            setStatus({ providers: { ok: true, message: "Password removed, sign in with Google from now on." } });
+        } catch (err) {
+            setStatus({ providers: { ok: false, message: errorMessage(err, "Could not remove your password.") } });
+        }
+    };
+
+    const handleGoogleUnlink = async () => {
+        try {
+            await handleUnlinkGoogle();
+            setStatus({ providers: { ok: true, message: "Google account unlinked." } });
+        } catch (err) {
+            setStatus({ providers: { ok: false, message: errorMessage(err, "Could not unlink Google.") } });
+        }
+    };
+
+    const handleSignOut = async (everywhere = false) => {
+        await (everywhere ? handleLogoutEverywhere() : handleLogout());
+        navigate('/login');
+    };
+
+    const handleDelete = async (e) => {
+        e.preventDefault();
+        if (!window.confirm("Delete your account? This cannot be undone.")) return;
+
+        try {
+            await handleDeleteAccount(user.hasPassword ? deletePassword : undefined);
+            navigate('/');
+        } catch (err) {
+            setStatus({ delete: { ok: false, message: errorMessage(err, "Could not delete your account.") } });
+        }
+    };
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                {/* ── Navbar ── */}
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <div className="flex gap-6 text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#7A6E63' }}>
+                        <Link to="/account/addresses" className="transition-colors hover:text-[#C9A96E]">Addresses</Link>
+                        <Link to="/" className="transition-colors hover:text-[#C9A96E]">Return to Archive</Link>
+                    </div>
+                </nav>
+
+                <div className="max-w-2xl mx-auto px-8 pt-16">
+                    <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#C9A96E' }}>
+                        Your Account
+                    </span>
+                    <h1 className="text-5xl font-light mt-4 mb-6" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                        Settings
+                    </h1>
+
+                    {/* ── Profile ── */}
+                    <Section title="Profile">
+                        <form onSubmit={handleProfileSubmit} className="space-y-6">
+                            <Input label="Full Name" value={profile.fullname} onChange={(e) => setProfile({ ...profile, fullname: e.target.value })} required minLength={3} />
+                            <Input label="Contact" value={profile.contact} onChange={(e) => setProfile({ ...profile, contact: e.target.value })} placeholder="10-digit number" />
+                            <Input label="Email" type="email" value={profile.email} onChange={(e) => setProfile({ ...profile, email: e.target.value })} required />
+                            {emailChanged && user.hasPassword && (
+                                <Input label="Current Password (to change your email)" type="password" value={profile.currentPassword} onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })} required />
+                            )}
+                            <button type="submit" className={buttonClassName} style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}>
+                                Save Profile
+                            </button>
+                        </form>
+                        <StatusMessage value={status.profile} />
+                    </Section>
+
+                    {/* ── Sign-in methods ── */}
+                    <Section title="Sign-in Methods">
+                        <div className="flex items-center justify-between py-3">
+                            <div>
+                                <p className="text-sm" style={{ color: '#1b1c1a' }}>Google</p>
+                                <p className="text-xs" style={{ color: '#7A6E63' }}>{googleLinked ? 'Linked' : 'Not linked'}</p>
+                            </div>
+                            {googleLinked ? (
+                                <button
+                                    onClick={handleGoogleUnlink}
+                                    disabled={!user.hasPassword}
+                                    title={user.hasPassword ? undefined : 'Add a password first'}
+                                    className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-red-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                                    style={{ color: '#7A6E63' }}
+                                >
+                                    Unlink
+                                </button>
+                            ) : (
+                                <a href={GOOGLE_LINK_URL} className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]" style={{ color: '#1b1c1a' }}>
+                                    Link Google
+                                </a>
+                            )}
+                        </div>
+                        <div className="flex items-center justify-between py-3">
+                            <div>
+                                <p className="text-sm" style={{ color: '#1b1c1a' }}>Email &amp; password</p>
+                                <p className="text-xs" style={{ color: '#7A6E63' }}>{user.hasPassword ? 'Linked' : 'Not set up'}</p>
+                            </div>
+                        </div>
+                        {user.hasPassword && googleLinked && (
+                            <form onSubmit={handleRemovePassword} className="flex items-end gap-4 mt-2">
+                                <div className="flex-1">
+                                    <Input label="Current password (to sign in with Google only)" type="password" value={removePassword} onChange={(e) => setRemovePassword(e.target.value)} required />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium border border-[#1b1c1a] text-[#1b1c1a] transition-colors duration-300 hover:bg-[#1b1c1a] hover:text-[#fbf9f6]"
+                                >
+                                    Remove Password
+                                </button>
+                            </form>
+                        )}
+                        <StatusMessage value={status.providers} />
+                    </Section>
+
+                    {/* ── Password ── */}
+                    <Section title="Password">
+                        {user.hasPassword ? (
+                            <form onSubmit={handlePasswordSubmit} className="space-y-6">
+                                <Input label="Current Password" type="password" value={passwords.currentPassword} onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })} required />
+                                <Input label="New Password" type="password" value={passwords.newPassword} onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })} required minLength={6} />
+                                <button type="submit" className={buttonClassName} style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}>
+                                    Change Password
+                                </button>
+                            </form>
+                        ) : (
+                            <form onSubmit={handleAddPassword} className="space-y-6">
+                                <p className="text-sm" style={{ color: '#7A6E63' }}>
+                                    You sign in with Google. Add a password to also sign in with your email.
+                                </p>
+                                <Input label="New Password" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required minLength={6} />
+                                <button type="submit" className={buttonClassName} style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}>
+                                    Add Password
+                                </button>
+                            </form>
+                        )}
+                        <StatusMessage value={status.password} />
+                    </Section>
+
+                    {/* ── Sessions ── */}
+                    <Section title="Sessions">
+                        <div className="flex flex-wrap gap-4">
+                            <button onClick={() => handleSignOut()} className={buttonClassName} style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}>
+                                Sign Out
+                            </button>
+                            <button
+                                onClick={() => handleSignOut(true)}
+                                className="py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium border border-[#1b1c1a] text-[#1b1c1a] transition-colors duration-300 hover:bg-[#1b1c1a] hover:text-[#fbf9f6]"
+                            >
+                                Sign Out Everywhere
+                            </button>
+                        </div>
+                    </Section>
+
+                    {/* ── Delete account ── */}
+                    <Section title="Delete Account">
+                        <form onSubmit={handleDelete} className="space-y-6">
+                            <p className="text-sm" style={{ color: '#7A6E63' }}>
+                                Your cart, wishlist and saved details are removed. Accounts with orders that are not delivered or cancelled yet cannot be deleted.
+                            </p>
+                            {user.hasPassword && (
+                                <Input label="Password" type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+                            )}
+                            <button
+                                type="submit"
+                                className="py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium border border-red-700 text-red-700 transition-colors duration-300 hover:bg-red-700 hover:text-white"
+                            >
+                                Delete My Account
+                            </button>
+                        </form>
+                        <StatusMessage value={status.delete} />
+                    </Section>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default AccountSettings;
@@ -0,0 +1,297 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { useAddress } from '../hooks/useAddress';
+import { useCart } from '../../products/hooks/useCart';
+
+// Countries we deliver to, the server checks the postal code format of each
+const COUNTRIES = [
+    { code: 'IN', name: 'India', postalCode: 'PIN code' },
+    { code: 'US', name: 'United States', postalCode: 'ZIP code' },
+    { code: 'CA', name: 'Canada', postalCode: 'Postal code' },
+    { code: 'GB', name: 'United Kingdom', postalCode: 'Postcode' },
+    { code: 'AU', name: 'Australia', postalCode: 'Postcode' },
+    { code: 'DE', name: 'Germany', postalCode: 'Postleitzahl' },
+    { code: 'FR', name: 'France', postalCode: 'Code postal' },
+    { code: 'IT', name: 'Italy', postalCode: 'CAP' },
+    { code: 'ES', name: 'Spain', postalCode: 'Código postal' },
+    { code: 'NL', name: 'Netherlands', postalCode: 'Postcode' },
+    { code: 'JP', name: 'Japan', postalCode: 'Postal code' },
+    { code: 'SG', name: 'Singapore', postalCode: 'Postal code' },
+    { code: 'BD', name: 'Bangladesh', postalCode: 'Postal code' },
+    { code: 'LK', name: 'Sri Lanka', postalCode: 'Postal code' },
+    { code: 'NP', name: 'Nepal', postalCode: 'Postal code' }
+];
+
+const EMPTY_ADDRESS = {
+    label: '',
+    fullname: '',
+    phone: '',
+    line1: '',
+    line2: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'IN',
+    isDefault: false
+};
+
+const Field = ({ label, error, ...props }) => (
+    <div>
+        <label className="block text-[10px] uppercase tracking-[0.2em] font-medium mb-2" style={{ color: '#7A6E63' }}>{label}</label>
+        <input
+            {...props}
+            className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E]"
+            style={{ borderColor: error ? '#b91c1c' : '#d0c5b5', color: '#1b1c1a' }}
+        />
+        {error && <p className="mt-1 text-xs text-red-700">{error}</p>}
+    </div>
+);
+
+const AddressBook = () => {
+    const { handleGetAddresses, handleSaveAddress, handleMakeDefaultAddress, handleDeleteAddress } = useAddress();
+    const { handleGetShippingQuote } = useCart();
+
+    const [addresses, setAddresses] = useState([]);
+    const [form, setForm] = useState(null);          // the address being added / edited
+    const [editingId, setEditingId] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [error, setError] = useState(null);
+    const [quote, setQuote] = useState(null);
+
+    useEffect(() => {
+        handleGetAddresses()
+            .then(setAddresses)
+            .catch(error => console.error("Failed to fetch addresses", error));
+    }, []);
+
+    // shipping of the current cart to the default address, nothing to show for an empty cart
+    useEffect(() => {
+        if (!addresses.some(address => address.isDefault)) return;
+
+        handleGetShippingQuote()
+            .then(setQuote)
+            .catch(() => setQuote(null));
+    }, [addresses]);
+
+    const startEditing = (address = null) => {
+        setForm(address ? { ...EMPTY_ADDRESS, ...address, label: address.label || '', line2: address.line2 || '' } : EMPTY_ADDRESS);
+        setEditingId(address?._id || null);
+        setFieldErrors({});
+        setError(null);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFieldErrors({});
+        setError(null);
+
+        const { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault } = form;
+
+        try {
+            const updated = await handleSaveAddress({ label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }, editingId);
+            setAddresses(updated);
+            setForm(null);
+            setEditingId(null);
+        } catch (err) {
+            const errors = err.response?.data?.errors;
+
+            if (errors) {
+                setFieldErrors(Object.fromEntries(errors.map(item => [item.path, item.msg])));
+            } else {
+                setError(err.response?.data?.message || "Could not save this address.");
+            }
+        }
+    };
+
+    const handleDefault = async (address) => {
+        try {
+            setAddresses(await handleMakeDefaultAddress(address._id));
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not update the default address.");
+        }
+    };
+
+    const handleDelete = async (address) => {
+        if (!window.confirm("Delete this address?")) return;
+
+        try {
+            setAddresses(await handleDeleteAddress(address._id));
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not delete this address.");
+        }
+    };
+
+    const country = COUNTRIES.find(item => item.code === form?.country);
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                {/* ── Navbar ── */}
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <Link to="/"
+                        className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                        style={{ color: '#7A6E63' }}
+                    >
+                        Return to Archive
+                    </Link>
+                </nav>
+
+                <div className="max-w-4xl mx-auto px-8 lg:px-16 pt-16">
+                    <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#C9A96E' }}>
+                        Your Account
+                    </span>
+                    <div className="flex items-end justify-between mt-4 mb-12">
+                        <h1 className="text-5xl font-light" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                            Addresses
+                        </h1>
+                        {!form && (
+                            <button
+                                onClick={() => startEditing()}
+                                className="py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]"
+                                style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                            >
+                                Add Address
+                            </button>
+                        )}
+                    </div>
+
+                    {error && <p className="mb-6 text-xs text-red-700">{error}</p>}
+
+                    {quote && (
+                        <p className="mb-8 text-xs" style={{ color: '#7A6E63' }}>
+                            Shipping your current bag to the default address ({quote.shipping.zone}):{' '}
+                            <span style={{ color: '#1b1c1a' }}>
+                                {quote.shipping.free ? 'Free' : `${quote.shipping.currency} ${quote.shipping.amount.toLocaleString()}`}
+                            </span>
+                            {!quote.shipping.free && quote.shipping.freeShippingThreshold !== null && (
+                                <> · free above {quote.shipping.currency} {quote.shipping.freeShippingThreshold.toLocaleString()}</>
+                            )}
+                        </p>
+                    )}
+
+                    {/* ── Address form ── */}
+                    {form && (
+                        <form onSubmit={handleSubmit} className="mb-16 p-8 border space-y-6" style={{ borderColor: '#e4e2df' }}>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                <Field label="Label (Home, Work…)" name="label" value={form.label} onChange={handleChange} error={fieldErrors.label} />
+                                <div>
+                                    <label className="block text-[10px] uppercase tracking-[0.2em] font-medium mb-2" style={{ color: '#7A6E63' }}>Country</label>
+                                    <select
+                                        name="country"
+                                        value={form.country}
+                                        onChange={handleChange}
+                                        className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E] cursor-pointer"
+                                        style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+                                    >
+                                        {COUNTRIES.map(item => (
+                                            <option key={item.code} value={item.code}>{item.name}</option>
+                                        ))}
+                                    </select>
+                                    {fieldErrors.country && <p className="mt-1 text-xs text-red-700">{fieldErrors.country}</p>}
+                                </div>
+                                <Field label="Full Name" name="fullname" value={form.fullname} onChange={handleChange} error={fieldErrors.fullname} required />
+                                <Field label="Phone" name="phone" value={form.phone} onChange={handleChange} error={fieldErrors.phone} required />
+                            </div>
+                            <Field label="Address" name="line1" value={form.line1} onChange={handleChange} error={fieldErrors.line1} required />
+                            <Field label="Apartment, suite (optional)" name="line2" value={form.line2} onChange={handleChange} error={fieldErrors.line2} />
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                                <Field label="City" name="city" value={form.city} onChange={handleChange} error={fieldErrors.city} required />
+                                <Field label="State / Region" name="state" value={form.state} onChange={handleChange} error={fieldErrors.state} required />
+                                <Field label={country?.postalCode || 'Postal code'} name="postalCode" value={form.postalCode} onChange={handleChange} error={fieldErrors.postalCode} required />
+                            </div>
+                            <label className="flex items-center gap-3 text-xs cursor-pointer" style={{ color: '#1b1c1a' }}>
+                                <input type="checkbox" name="isDefault" checked={form.isDefault} onChange={handleChange} className="accent-[#C9A96E]" />
+                                Use as my default address
+                            </label>
+                            <div className="flex gap-4">
+                                <button
+                                    type="submit"
+                                    className="py-3 px-8 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]"
+                                    style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                                >
+                                    Save Address
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setForm(null)}
+                                    className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                                    style={{ color: '#7A6E63' }}
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {/* ── Saved addresses ── */}
+                    {addresses.length === 0 ? (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>You have no saved addresses yet.</p>
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            {addresses.map(address => (
+                                <div
+                                    key={address._id}
+                                    className="p-6 border flex flex-col gap-1"
+                                    style={{ borderColor: address.isDefault ? '#C9A96E' : '#e4e2df' }}
+                                >
+                                    <div className="flex items-center justify-between mb-2">
+                                        <span className="text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#1b1c1a' }}>
+                                            {address.label || 'Address'}
+                                        </span>
+                                        {address.isDefault && (
+                                            <span className="text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#C9A96E' }}>Default</span>
+                                        )}
+                                    </div>
+                                    <p className="text-sm" style={{ color: '#1b1c1a' }}>{address.fullname}</p>
+                                    <p className="text-xs" style={{ color: '#7A6E63' }}>
+                                        {address.line1}{address.line2 ? `, ${address.line2}` : ''}
+                                    </p>
+                                    <p className="text-xs" style={{ color: '#7A6E63' }}>
+                                        {address.city}, {address.state} {address.postalCode}, {COUNTRIES.find(item => item.code === address.country)?.name || address.country}
+                                    </p>
+                                    <p className="text-xs" style={{ color: '#B5ADA3' }}>{address.phone}</p>
+
+                                    <div className="flex gap-5 mt-4 text-[10px] uppercase tracking-[0.2em] font-medium">
+                                        <button onClick={() => startEditing(address)} className="transition-colors hover:text-[#C9A96E]" style={{ color: '#7A6E63' }}>
+                                            Edit
+                                        </button>
+                                        {!address.isDefault && (
+                                            <button onClick={() => handleDefault(address)} className="transition-colors hover:text-[#C9A96E]" style={{ color: '#7A6E63' }}>
+                                                Make Default
+                                            </button>
+                                        )}
+                                        <button onClick={() => handleDelete(address)} className="transition-colors hover:text-red-700" style={{ color: '#7A6E63' }}>
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default AddressBook;
@@ -0,0 +1,33 @@
+import axios from "axios";
+
+
+const addressApiInstance = axios.create({
+    baseURL: "/api/users/me/addresses",
+    withCredentials: true
+})
+
+export const getAddresses = async () => {
+    const response = await addressApiInstance.get("/");
+    return response.data;
+}
+
+// address: { label, fullname, phone, line1, line2, city, state, postalCode, country, isDefault }
+export const addAddress = async (address) => {
+    const response = await addressApiInstance.post("/", address);
+    return response.data;
+}
+
+export const updateAddress = async (addressId, address) => {
+    const response = await addressApiInstance.put(`/${addressId}`, address);
+    return response.data;
+}
+
+export const makeDefaultAddress = async (addressId) => {
+    const response = await addressApiInstance.patch(`/${addressId}/default`);
+    return response.data;
+}
+
+export const deleteAddress = async (addressId) => {
+    const response = await addressApiInstance.delete(`/${addressId}`);
+    return response.data;
+}
@@ -0,0 +1,37 @@
+import { getSellers, reviewSeller, unpublishProduct, publishProduct, getAllOrders } from "../services/admin.api";
+
+export const useAdmin = () => {
+
+    async function handleGetSellers(filters) {
+        const data = await getSellers(filters);
+        return { sellers: data.sellers, pagination: data.pagination };
+    }
+
+    async function handleReviewSeller(id, action, note) {
+        const data = await reviewSeller(id, action, note);
+        return data.seller;
+    }
+
+    async function handleUnpublishProduct(id, reason) {
+        const data = await unpublishProduct(id, reason);
+        return data.product;
+    }
+
+    async function handlePublishProduct(id) {
+        const data = await publishProduct(id);
+        return data.product;
+    }
+
+    async function handleGetAllOrders(filters) {
+        const data = await getAllOrders(filters);
+        return { orders: data.orders, pagination: data.pagination };
+    }
+
+    return {
+        handleGetSellers,
+        handleReviewSeller,
+        handleUnpublishProduct,
+        handlePublishProduct,
+        handleGetAllOrders
+    }
+}
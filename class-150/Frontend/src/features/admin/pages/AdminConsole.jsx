@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { useAdmin } from '../hooks/useAdmin';
+
+const TABS = ['Sellers', 'Orders', 'Products'];
+const SELLER_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+const ORDER_STATUSES = ['', 'pending', 'paid', 'shipped', 'delivered', 'cancelled'];
+
+// Review actions available for each seller status
+const SELLER_ACTIONS = {
+    pending: ['approve', 'reject'],
+    rejected: ['approve'],
+    approved: ['suspend'],
+    suspended: ['reinstate']
+};
+
+const Label = ({ children }) => (
+    <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#C9A96E' }}>{children}</span>
+);
+
+const SellersPanel = () => {
+    const { handleGetSellers, handleReviewSeller } = useAdmin();
+    const [status, setStatus] = useState('pending');
+    const [sellers, setSellers] = useState([]);
+    const [refresh, setRefresh] = useState(0);
+
+    useEffect(() => {
+        handleGetSellers({ status })
+            .then(data => setSellers(data.sellers))
+            .catch(error => console.error("Failed to fetch sellers", error));
+    }, [status, refresh]);
+
+    const handleAction = async (seller, action) => {
+        const note = window.prompt(`Note for ${action} (optional)`) ?? undefined;
+        try {
+            await handleReviewSeller(seller._id, action, note || undefined);
+            setRefresh(count => count + 1);
+        } catch (error) {
+            alert(error.response?.data?.message || `Could not ${action} this seller.`);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap gap-2 mb-8">
+                {SELLER_STATUSES.map(option => (
+                    <button
+                        key={option}
+                        onClick={() => setStatus(option)}
+                        className={`px-4 py-2 text-[10px] uppercase tracking-[0.2em] font-medium border transition-colors duration-300 ${status === option ? 'border-[#1b1c1a] bg-[#1b1c1a] text-[#fbf9f6]' : 'border-[#d0c5b5] text-[#1b1c1a] hover:border-[#1b1c1a]'}`}
+                    >
+                        {option}
+                    </button>
+                ))}
+            </div>
+
+            {sellers.length === 0 ? (
+                <p className="text-sm" style={{ color: '#7A6E63' }}>No sellers with this status.</p>
+            ) : (
+                <div className="divide-y" style={{ borderColor: '#e4e2df' }}>
+                    {sellers.map(seller => (
+                        <div key={seller._id} className="py-5 flex flex-col md:flex-row md:items-center justify-between gap-4">
+                            <div>
+                                <p className="text-sm" style={{ color: '#1b1c1a' }}>{seller.fullname}</p>
+                                <p className="text-xs" style={{ color: '#7A6E63' }}>{seller.email} · {seller.contact}</p>
+                                {seller.sellerReview?.note && (
+                                    <p className="text-xs mt-1 italic" style={{ color: '#B5ADA3' }}>{seller.sellerReview.note}</p>
+                                )}
+                            </div>
+                            <div className="flex gap-3">
+                                {(SELLER_ACTIONS[seller.sellerStatus || 'approved'] || []).map(action => (
+                                    <button
+                                        key={action}
+                                        onClick={() => handleAction(seller, action)}
+                                        className={`py-2 px-5 text-[10px] uppercase tracking-[0.2em] font-medium border transition-colors duration-300 ${['reject', 'suspend'].includes(action) ? 'border-red-700 text-red-700 hover:bg-red-700 hover:text-white' : 'border-[#1b1c1a] text-[#1b1c1a] hover:bg-[#1b1c1a] hover:text-[#fbf9f6]'}`}
+                                    >
+                                        {action}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const OrdersPanel = () => {
+    const { handleGetAllOrders } = useAdmin();
+    const [status, setStatus] = useState('');
+    const [orders, setOrders] = useState([]);
+
+    useEffect(() => {
+        handleGetAllOrders({ status: status || undefined })
+            .then(data => setOrders(data.orders))
+            .catch(error => console.error("Failed to fetch orders", error));
+    }, [status]);
+
+    return (
+        <div>
+            <select
+                value={status}
+                onChange={e => setStatus(e.target.value)}
+                className="mb-8 bg-transparent border-b py-2 text-[10px] uppercase tracking-[0.2em] font-medium focus:outline-none cursor-pointer"
+                style={{ borderColor: '#d0c5b5', color: '#7A6E63' }}
+            >
+                {ORDER_STATUSES.map(option => (
+                    <option key={option} value={option}>{option || 'All statuses'}</option>
+                ))}
+            </select>
+
+            {orders.length === 0 ? (
+                <p className="text-sm" style={{ color: '#7A6E63' }}>No orders found.</p>
+            ) : (
+                <table className="w-full text-left text-xs">
+                    <thead>
+                        <tr className="text-[10px] uppercase tracking-[0.2em]" style={{ color: '#7A6E63' }}>
+                            <th className="py-3 font-medium">Order</th>
+                            <th className="py-3 font-medium">Buyer</th>
+                            <th className="py-3 font-medium">Sellers</th>
+                            <th className="py-3 font-medium">Total</th>
+                            <th className="py-3 font-medium">Status</th>
+                            <th className="py-3 font-medium">Placed</th>
+                        </tr>
+                    </thead>
+                    <tbody style={{ color: '#1b1c1a' }}>
+                        {orders.map(order => (
+                            <tr key={order._id} className="border-t" style={{ borderColor: '#e4e2df' }}>
+                                <td className="py-3 font-mono">{order._id.slice(-8)}</td>
+                                <td className="py-3">{order.buyer?.fullname}</td>
+                                <td className="py-3">{order.sellers.map(seller => seller.fullname).join(', ')}</td>
+                                <td className="py-3">{order.totalAmount?.currency} {order.totalAmount?.amount?.toLocaleString()}</td>
+                                <td className="py-3 uppercase tracking-[0.15em] text-[10px]">{order.status}</td>
+                                <td className="py-3">{new Date(order.createdAt).toLocaleDateString()}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+const ProductsPanel = () => {
+    const { handleUnpublishProduct, handlePublishProduct } = useAdmin();
+    const [productId, setProductId] = useState('');
+    const [reason, setReason] = useState('');
+    const [message, setMessage] = useState(null);
+
+    const handleModerate = async (publish) => {
+        setMessage(null);
+        try {
+            const product = publish
+                ? await handlePublishProduct(productId.trim())
+                : await handleUnpublishProduct(productId.trim(), reason);
+            setMessage(`${product.title} is now ${product.published ? 'published' : 'unpublished'}.`);
+        } catch (error) {
+            setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || "Could not update this product.");
+        }
+    };
+
+    return (
+        <div className="max-w-xl space-y-6">
+            <input
+                value={productId}
+                onChange={e => setProductId(e.target.value)}
+                placeholder="Product id"
+                className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E] placeholder:text-[#B5ADA3]"
+                style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+            />
+            <input
+                value={reason}
+                onChange={e => setReason(e.target.value)}
+                placeholder="Reason for unpublishing"
+                className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E] placeholder:text-[#B5ADA3]"
+                style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+            />
+            <div className="flex gap-4">
+                <button
+                    onClick={() => handleModerate(false)}
+                    className="py-3 px-8 text-[10px] uppercase tracking-[0.2em] font-medium border border-red-700 text-red-700 transition-colors hover:bg-red-700 hover:text-white"
+                >
+                    Unpublish
+                </button>
+                <button
+                    onClick={() => handleModerate(true)}
+                    className="py-3 px-8 text-[10px] uppercase tracking-[0.2em] font-medium border border-[#1b1c1a] text-[#1b1c1a] transition-colors hover:bg-[#1b1c1a] hover:text-[#fbf9f6]"
+                >
+                    Publish
+                </button>
+            </div>
+            {message && <p className="text-xs" style={{ color: '#7A6E63' }}>{message}</p>}
+        </div>
+    );
+};
+
+const AdminConsole = () => {
+    const [tab, setTab] = useState(TABS[0]);
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <Label>Moderation</Label>
+                </nav>
+
+                <div className="max-w-7xl mx-auto px-8 lg:px-16 xl:px-24 pt-16">
+                    <h1 className="text-5xl font-light mb-10" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                        Admin Console
+                    </h1>
+
+                    <div className="flex gap-8 mb-12 border-b" style={{ borderColor: '#e4e2df' }}>
+                        {TABS.map(option => (
+                            <button
+                                key={option}
+                                onClick={() => setTab(option)}
+                                className="pb-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-colors"
+                                style={{
+                                    color: tab === option ? '#1b1c1a' : '#B5ADA3',
+                                    borderBottom: tab === option ? '1px solid #C9A96E' : '1px solid transparent'
+                                }}
+                            >
+                                {option}
+                            </button>
+                        ))}
+                    </div>
+
+                    {tab === 'Sellers' && <SellersPanel />}
+                    {tab === 'Orders' && <OrdersPanel />}
+                    {tab === 'Products' && <ProductsPanel />}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default AdminConsole;
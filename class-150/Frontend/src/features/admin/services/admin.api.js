@@ -0,0 +1,33 @@
+import axios from "axios";
+
+
+const adminApiInstance = axios.create({
+    baseURL: "/api/admin",
+    withCredentials: true
+})
+
+export const getSellers = async ({ status, page, limit } = {}) => {
+    const response = await adminApiInstance.get("/sellers", { params: { status, page, limit } });
+    return response.data;
+}
+
+// action: approve | reject | suspend | reinstate
+export const reviewSeller = async (id, action, note) => {
+    const response = await adminApiInstance.patch(`/sellers/${id}/${action}`, { note });
+    return response.data;
+}
+
+export const unpublishProduct = async (id, reason) => {
+    const response = await adminApiInstance.patch(`/products/${id}/unpublish`, { reason });
+    return response.data;
+}
+
+export const publishProduct = async (id) => {
+    const response = await adminApiInstance.patch(`/products/${id}/publish`);
+    return response.data;
+}
+
+export const getAllOrders = async ({ status, page, limit } = {}) => {
+    const response = await adminApiInstance.get("/orders", { params: { status, page, limit } });
+    return response.data;
+}
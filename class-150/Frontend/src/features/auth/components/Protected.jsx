@@ -2,6 +2,7 @@ import React from 'react'
 import { useSelector } from 'react-redux';
 import { Navigate } from 'react-router';
 
+// role is one role or a list of the roles allowed on the page
 const Protected = ({ children, role = "buyer" }) => {
     const user = useSelector(state => state.auth.user);
     const loading = useSelector(state => state.auth.loading);
@@ -13,7 +14,7 @@ const Protected = ({ children, role = "buyer" }) => {
     if (!user) {
         return <Navigate to="/login" />
     }
-    if (user.role !== role) {
+    if (!(Array.isArray(role) ? role : [ role ]).includes(user.role)) {
         return <Navigate to="/" />
     }
     return children
@@ -1,5 +1,5 @@
 import { setError, setLoading, setUser } from "../state/auth.slice";
-import { register, login, getCurrentUser } from "../service/auth.api";
+import { register, login, getCurrentUser, logout, logoutEverywhere, changePassword, forgotPassword, resetPassword, updateProfile, deleteAccount, unlinkGoogle, linkPassword, unlinkPassword, selectRole } from "../service/auth.api";
 import { useDispatch } from "react-redux";
 
 
@@ -37,5 +37,84 @@ export const useAuth = () => {
     }
 
 
-    return { handleRegister, handleLogin, handleGetCurrentUser }
+    async function handleLogout() {
+        await logout();
+        dispatch(setUser(null));
+    }
+
+    async function handleLogoutEverywhere() {
+        await logoutEverywhere();
+        dispatch(setUser(null));
+    }
+
+    // the server logs out the other sessions and sends a new cookie for this one
+    async function handleChangePassword({ currentPassword, newPassword }) {
+        const data = await changePassword({ currentPassword, newPassword });
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+    async function handleForgotPassword(email) {
+        const data = await forgotPassword(email);
+        return data.message;
+    }
+
+    async function handleResetPassword({ token, password }) {
+        const data = await resetPassword({ token, password });
+        dispatch(setUser(null));
+        return data.message;
+    }
+
+    async function handleUpdateProfile(changes) {
+        const data = await updateProfile(changes);
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+    async function handleDeleteAccount(password) {
+        await deleteAccount(password);
+        dispatch(setUser(null));
+    }
+
+    async function handleUnlinkGoogle() {
+        const data = await unlinkGoogle();
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+    async function handleLinkPassword(password) {
+        const data = await linkPassword(password);
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+    async function handleUnlinkPassword(currentPassword) {
+        const data = await unlinkPassword(currentPassword);
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+    async function handleSelectRole({ role, contact }) {
+        const data = await selectRole({ role, contact });
+        dispatch(setUser(data.user));
+        return data.user;
+    }
+
+
+    return {
+        handleRegister,
+        handleLogin,
+        handleGetCurrentUser,
+        handleLogout,
+        handleLogoutEverywhere,
+        handleChangePassword,
+        handleForgotPassword,
+        handleResetPassword,
+        handleUpdateProfile,
+        handleDeleteAccount,
+        handleUnlinkGoogle,
+        handleLinkPassword,
+        handleUnlinkPassword,
+        handleSelectRole
+    }
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router';
+import { useAuth } from '../hook/useAuth';
+
+const ForgotPassword = () => {
+    const { handleForgotPassword } = useAuth();
+
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+        try {
+            setMessage(await handleForgotPassword(email));
+        } catch (err) {
+            setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || "Could not send the reset link.");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen flex items-center justify-center px-8 py-16 selection:bg-[#C9A96E]/30"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                <div className="w-full max-w-sm">
+                    <Link to="/"
+                        className="text-sm tracking-[0.35em] uppercase"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+
+                    <div className="mt-14 mb-12">
+                        <p className="text-[10px] uppercase tracking-[0.22em] mb-4 font-medium" style={{ color: '#C9A96E' }}>
+                            Account Recovery
+                        </p>
+                        <h1 className="text-[2.6rem] font-light leading-[1.1]" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                            Forgot your password?
+                        </h1>
+                        <p className="text-sm font-light mt-4" style={{ color: '#7A6E63' }}>
+                            Enter the email of your account and we will send you a link to choose a new one.
+                        </p>
+                    </div>
+
+                    {message ? (
+                        <p className="text-sm" style={{ color: '#1b1c1a' }}>{message}</p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="flex flex-col gap-10">
+                            <div className="flex flex-col gap-2">
+                                <label htmlFor="forgot-email" className="text-[10px] uppercase tracking-[0.18em] font-medium" style={{ color: '#7A6E63' }}>
+                                    Email Address
+                                </label>
+                                <input
+                                    id="forgot-email"
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    required
+                                    placeholder="hello@example.com"
+                                    className="w-full bg-transparent outline-none py-3 text-sm border-b border-[#d0c5b5] focus:border-[#C9A96E] transition-colors duration-300"
+                                    style={{ color: '#1b1c1a' }}
+                                />
+                            </div>
+
+                            {error && <p className="text-xs text-red-700">{error}</p>}
+
+                            <button
+                                type="submit"
+                                disabled={isSubmitting}
+                                className="w-full py-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a] disabled:opacity-50"
+                                style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                            >
+                                {isSubmitting ? 'Sending…' : 'Send Reset Link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <p className="text-center text-[11px] mt-10" style={{ color: '#B5ADA3' }}>
+                        Remembered it?{' '}
+                        <Link to="/login" className="transition-colors duration-200 hover:text-[#C9A96E]" style={{ color: '#7A6E63', textDecoration: 'underline', textUnderlineOffset: '3px' }}>
+                            Sign in
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ForgotPassword;
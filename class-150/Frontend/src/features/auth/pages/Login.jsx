@@ -1,12 +1,20 @@
 import React, { useState } from 'react';
 import { useAuth } from "../hook/useAuth";
-import { useNavigate } from "react-router";
+import { useNavigate, useSearchParams } from "react-router";
 import ContinueWithGoogle from '../components/googleBtn';
 import GoogleBtn from '../components/googleBtn';
 
+// Errors the Google sign in redirects back with
+const GOOGLE_ERRORS = {
+    google_not_linked: "An account with this email already exists. Sign in with your password, then link Google from your account settings.",
+    google_failed: "Google sign in failed, please try again."
+};
+
 const Login = () => {
     const { handleLogin } = useAuth();
     const navigate = useNavigate();
+    const [ searchParams ] = useSearchParams();
+    const googleError = GOOGLE_ERRORS[ searchParams.get('error') ];
 
     const [ formData, setFormData ] = useState({
         email: '',
@@ -26,6 +34,8 @@ const Login = () => {
                 navigate("/");
             } else if (user.role == "seller") {
                 navigate("/seller/dashboard");
+            } else if (user.role == "admin") {
+                navigate("/admin");
             }
         } catch (error) {
             console.error("Login failed", error);
@@ -114,6 +124,10 @@ const Login = () => {
                             </h1>
                         </div>
 
+                        {googleError && (
+                            <p className="mb-10 text-xs leading-relaxed text-red-700">{googleError}</p>
+                        )}
+
                         {/* Form */}
                         <form onSubmit={handleSubmit} className="flex flex-col gap-10">
 
@@ -156,7 +170,7 @@ const Login = () => {
                                         Password
                                     </label>
                                     <a
-                                        href="#"
+                                        href="/forgot-password"
                                         className="text-[10px] transition-colors duration-200"
                                         style={{ color: '#B5ADA3' }}
                                         onMouseEnter={e => e.target.style.color = '#C9A96E'}
@@ -255,6 +255,11 @@ const Register = () => {
                                     Register as Seller
                                 </span>
                             </label>
+                            {formData.isSeller && (
+                                <p className="text-[11px] leading-relaxed -mt-2" style={{ color: '#7A6E63' }}>
+                                    Seller accounts are reviewed by our team. You can shop while your application is pending.
+                                </p>
+                            )}
 
                             {/* Sign Up Button */}
                             <button
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router';
+import { useAuth } from '../hook/useAuth';
+
+const ResetPassword = () => {
+    const { handleResetPassword } = useAuth();
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (password !== confirmPassword) {
+            setError("The passwords do not match.");
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await handleResetPassword({ token, password });
+            navigate('/login');
+        } catch (err) {
+            setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || "Could not reset your password.");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const inputClassName = "w-full bg-transparent outline-none py-3 text-sm border-b border-[#d0c5b5] focus:border-[#C9A96E] transition-colors duration-300";
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen flex items-center justify-center px-8 py-16 selection:bg-[#C9A96E]/30"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                <div className="w-full max-w-sm">
+                    <Link to="/"
+                        className="text-sm tracking-[0.35em] uppercase"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+
+                    <div className="mt-14 mb-12">
+                        <p className="text-[10px] uppercase tracking-[0.22em] mb-4 font-medium" style={{ color: '#C9A96E' }}>
+                            Account Recovery
+                        </p>
+                        <h1 className="text-[2.6rem] font-light leading-[1.1]" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                            Choose a new password
+                        </h1>
+                    </div>
+
+                    {!token ? (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>
+                            This reset link is incomplete.{' '}
+                            <Link to="/forgot-password" className="underline hover:text-[#C9A96E]">Request a new one</Link>.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="flex flex-col gap-10">
+                            <div className="flex flex-col gap-2">
+                                <label htmlFor="reset-password" className="text-[10px] uppercase tracking-[0.18em] font-medium" style={{ color: '#7A6E63' }}>
+                                    New Password
+                                </label>
+                                <input
+                                    id="reset-password"
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    required
+                                    minLength={6}
+                                    placeholder="••••••••"
+                                    className={inputClassName}
+                                    style={{ color: '#1b1c1a' }}
+                                />
+                            </div>
+                            <div className="flex flex-col gap-2">
+                                <label htmlFor="reset-confirm" className="text-[10px] uppercase tracking-[0.18em] font-medium" style={{ color: '#7A6E63' }}>
+                                    Confirm Password
+                                </label>
+                                <input
+                                    id="reset-confirm"
+                                    type="password"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    required
+                                    minLength={6}
+                                    placeholder="••••••••"
+                                    className={inputClassName}
+                                    style={{ color: '#1b1c1a' }}
+                                />
+                            </div>
+
+                            {error && (
+                                <p className="text-xs text-red-700">
+                                    {error}{' '}
+                                    <Link to="/forgot-password" className="underline">Request a new link</Link>
+                                </p>
+                            )}
+
+                            <button
+                                type="submit"
+                                disabled={isSubmitting}
+                                className="w-full py-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a] disabled:opacity-50"
+                                style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                            >
+                                {isSubmitting ? 'Saving…' : 'Reset Password'}
+                            </button>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ResetPassword;
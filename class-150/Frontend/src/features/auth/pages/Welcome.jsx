@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Navigate, useNavigate } from 'react-router';
+import { useAuth } from '../hook/useAuth';
+
+const ROLES = [
+    {
+        value: 'buyer',
+        title: 'Shop',
+        description: 'Browse the archive, save pieces to your wishlist and order.'
+    },
+    {
+        value: 'seller',
+        title: 'Sell',
+        description: 'Apply to sell your pieces on Snitch. You can shop while an admin reviews your application.'
+    }
+];
+
+// Role selection after signing up with Google
+const Welcome = () => {
+    const user = useSelector(state => state.auth.user);
+    const { handleSelectRole } = useAuth();
+    const navigate = useNavigate();
+
+    const [role, setRole] = useState('buyer');
+    const [contact, setContact] = useState('');
+    const [error, setError] = useState(null);
+
+    if (!user.roleSelectionPending) {
+        return <Navigate to="/" />
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        try {
+            await handleSelectRole({ role, contact: contact || undefined });
+            navigate('/');
+        } catch (err) {
+            setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || "Could not save your choice.");
+        }
+    };
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen flex items-center justify-center px-8 py-16 selection:bg-[#C9A96E]/30"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                <div className="w-full max-w-lg">
+                    <span className="text-sm tracking-[0.35em] uppercase" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}>
+                        Snitch.
+                    </span>
+
+                    <div className="mt-14 mb-12">
+                        <p className="text-[10px] uppercase tracking-[0.22em] mb-4 font-medium" style={{ color: '#C9A96E' }}>
+                            Welcome, {user.fullname}
+                        </p>
+                        <h1 className="text-[2.6rem] font-light leading-[1.1]" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                            How will you use Snitch?
+                        </h1>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="flex flex-col gap-10">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            {ROLES.map(option => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    onClick={() => setRole(option.value)}
+                                    className="text-left p-6 border transition-colors duration-300"
+                                    style={{
+                                        borderColor: role === option.value ? '#C9A96E' : '#e4e2df',
+                                        backgroundColor: role === option.value ? '#f5f3f0' : 'transparent'
+                                    }}
+                                >
+                                    <span className="block text-2xl font-light mb-2" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                                        {option.title}
+                                    </span>
+                                    <span className="block text-xs leading-relaxed" style={{ color: '#7A6E63' }}>{option.description}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="flex flex-col gap-2">
+                            <label htmlFor="welcome-contact" className="text-[10px] uppercase tracking-[0.18em] font-medium" style={{ color: '#7A6E63' }}>
+                                Contact Number {role === 'buyer' && '(optional)'}
+                            </label>
+                            <input
+                                id="welcome-contact"
+                                type="tel"
+                                value={contact}
+                                onChange={(e) => setContact(e.target.value)}
+                                required={role === 'seller'}
+                                placeholder="10-digit number"
+                                className="w-full bg-transparent outline-none py-3 text-sm border-b border-[#d0c5b5] focus:border-[#C9A96E] transition-colors duration-300"
+                                style={{ color: '#1b1c1a' }}
+                            />
+                        </div>
+
+                        {error && <p className="text-xs text-red-700">{error}</p>}
+
+                        <button
+                            type="submit"
+                            className="w-full py-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]"
+                            style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                        >
+                            Continue
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default Welcome;
@@ -28,4 +28,69 @@ export async function login({email,password}){
 export async function getCurrentUser(){
     const response = await authApiInstance.get("/me");
     return response.data;
-}
\ No newline at end of file
+}
+
+export async function logout(){
+    const response = await authApiInstance.post("/logout");
+    return response.data;
+}
+
+export async function logoutEverywhere(){
+    const response = await authApiInstance.post("/logout-all");
+    return response.data;
+}
+
+export async function changePassword({currentPassword,newPassword}){
+    const response = await authApiInstance.patch("/password",{
+        currentPassword,newPassword
+    })
+    return response.data
+}
+
+export async function forgotPassword(email){
+    const response = await authApiInstance.post("/password/forgot",{ email });
+    return response.data;
+}
+
+export async function resetPassword({token,password}){
+    const response = await authApiInstance.post("/password/reset",{
+        token,password
+    })
+    return response.data
+}
+
+// changes: { fullname, contact, email, currentPassword }
+export async function updateProfile(changes){
+    const response = await authApiInstance.patch("/me", changes);
+    return response.data;
+}
+
+export async function deleteAccount(password){
+    const response = await authApiInstance.delete("/me", { data: { password } });
+    return response.data;
+}
+
+// Linking Google is a redirect through Google, the browser navigates to this url
+export const GOOGLE_LINK_URL = "/api/auth/google/link";
+
+export async function unlinkGoogle(){
+    const response = await authApiInstance.delete("/providers/google");
+    return response.data;
+}
+
+export async function linkPassword(password){
+    const response = await authApiInstance.post("/providers/password",{ password });
+    return response.data;
+}
+
+export async function unlinkPassword(currentPassword){
+    const response = await authApiInstance.delete("/providers/password", { data: { currentPassword } });
+    return response.data;
+}
+
+export async function selectRole({role,contact}){
+    const response = await authApiInstance.post("/me/role",{
+        role,contact
+    })
+    return response.data
+}
@@ -0,0 +1,132 @@
+import React, { useRef, useState } from 'react';
+import { useCatalog } from '../hooks/useCatalog';
+
+const SectionTitle = ({ children }) => (
+    <h3 className="text-[10px] uppercase tracking-[0.24em] font-medium mb-6" style={{ color: '#C9A96E' }}>
+        {children}
+    </h3>
+);
+
+const CatalogImport = () => {
+    const { handleImportCatalog, handleExportCatalog } = useCatalog();
+    const fileInputRef = useRef(null);
+
+    const [file, setFile] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+
+    const runImport = async (dryRun) => {
+        setError(null);
+        setIsWorking(true);
+        try {
+            setResult(await handleImportCatalog(file, { dryRun }));
+        } catch (err) {
+            setResult(null);
+            setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || "Import failed.");
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const runExport = async (format) => {
+        setError(null);
+        try {
+            await handleExportCatalog(format);
+        } catch {
+            setError("Export failed.");
+        }
+    };
+
+    return (
+        <section className="pb-20 mb-16 border-b" style={{ borderColor: '#e4e2df' }}>
+            <SectionTitle>Bulk Import &amp; Export</SectionTitle>
+            <p className="text-xs leading-relaxed mb-8 max-w-2xl" style={{ color: '#7A6E63' }}>
+                One row per variant. Rows with the same handle become one product, attributes go in attr.&lt;name&gt; columns
+                (e.g. attr.size). Existing handles are updated. Export your catalog to get a ready made template.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-4 mb-8">
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".csv,.json"
+                    className="hidden"
+                    onChange={e => { setFile(e.target.files[0] || null); setResult(null); }}
+                />
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="px-5 py-3 text-[10px] uppercase tracking-[0.2em] font-medium border transition-colors duration-300 border-[#d0c5b5] text-[#1b1c1a] hover:border-[#1b1c1a]"
+                >
+                    {file ? file.name : 'Choose File'}
+                </button>
+                <button
+                    onClick={() => runImport(true)}
+                    disabled={!file || isWorking}
+                    className="px-5 py-3 text-[10px] uppercase tracking-[0.2em] font-medium border transition-colors duration-300 border-[#1b1c1a] text-[#1b1c1a] hover:bg-[#1b1c1a] hover:text-[#fbf9f6] disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    Check
+                </button>
+                <button
+                    onClick={() => runImport(false)}
+                    disabled={!file || isWorking}
+                    className="px-5 py-3 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a] disabled:opacity-40 disabled:cursor-not-allowed"
+                    style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                >
+                    Import
+                </button>
+
+                <span className="mx-2 h-6 w-px" style={{ backgroundColor: '#e4e2df' }} />
+
+                {['csv', 'json'].map(format => (
+                    <button
+                        key={format}
+                        onClick={() => runExport(format)}
+                        className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                        style={{ color: '#7A6E63' }}
+                    >
+                        Export {format}
+                    </button>
+                ))}
+            </div>
+
+            {error && <p className="mb-6 text-xs text-red-700">{error}</p>}
+
+            {result && (
+                <div>
+                    <p className="text-sm mb-6" style={{ color: '#1b1c1a' }}>
+                        {result.dryRun ? 'Check: ' : ''}
+                        {result.summary.created} product(s) {result.dryRun ? 'to create' : 'created'},{' '}
+                        {result.summary.updated} {result.dryRun ? 'to update' : 'updated'},{' '}
+                        {result.summary.skipped} skipped out of {result.summary.rows} row(s).
+                    </p>
+
+                    {result.errors.length > 0 && (
+                        <table className="w-full text-left text-xs">
+                            <thead>
+                                <tr className="text-[10px] uppercase tracking-[0.2em]" style={{ color: '#7A6E63' }}>
+                                    <th className="py-3 font-medium">Line</th>
+                                    <th className="py-3 font-medium">Handle</th>
+                                    <th className="py-3 font-medium">Column</th>
+                                    <th className="py-3 font-medium">Error</th>
+                                </tr>
+                            </thead>
+                            <tbody style={{ color: '#1b1c1a' }}>
+                                {result.errors.map((rowError, index) => (
+                                    <tr key={index} className="border-t" style={{ borderColor: '#e4e2df' }}>
+                                        <td className="py-2">{rowError.line}</td>
+                                        <td className="py-2">{rowError.handle || '—'}</td>
+                                        <td className="py-2">{rowError.field || '—'}</td>
+                                        <td className="py-2 text-red-700">{rowError.message}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default CatalogImport;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useSelector } from 'react-redux';
+import { useCurrency } from '../hooks/useCurrency';
+import { CURRENCIES } from '../state/currency.slice';
+
+const CurrencySelect = () => {
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
+    const { handleChangeCurrency } = useCurrency();
+
+    return (
+        <select
+            value={displayCurrency || ''}
+            onChange={e => handleChangeCurrency(e.target.value).catch(console.error)}
+            className="bg-transparent text-[10px] uppercase tracking-[0.2em] font-medium focus:outline-none cursor-pointer"
+            style={{ color: '#7A6E63' }}
+            aria-label="Display currency"
+        >
+            <option value="" disabled>Currency</option>
+            {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+            ))}
+        </select>
+    );
+};
+
+export default CurrencySelect;
@@ -0,0 +1,52 @@
+import React, { useMemo, useState } from 'react';
+import { decode } from 'blurhash';
+
+const PLACEHOLDER_SIZE = 32;
+
+// Paint the blurhash on a tiny canvas, it is stretched behind the image as a background
+const blurhashToDataUrl = (blurhash) => {
+    try {
+        const pixels = decode(blurhash, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+        const canvas = document.createElement('canvas');
+        canvas.width = PLACEHOLDER_SIZE;
+        canvas.height = PLACEHOLDER_SIZE;
+
+        const context = canvas.getContext('2d');
+        const imageData = context.createImageData(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+        imageData.data.set(pixels);
+        context.putImageData(imageData, 0, 0);
+
+        return canvas.toDataURL();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Uploaded image with its blurhash placeholder.
+ * size picks the rendition (thumbnail | medium | large), images without renditions use their url.
+ */
+const ProductImage = ({ image, size = 'medium', fallback = '/snitch_editorial_warm.png', alt, className = '', style, ...props }) => {
+    const src = image?.renditions?.[size]?.url || image?.url || fallback;
+    const blurhash = image?.blurhash;
+    const placeholder = useMemo(() => blurhash ? blurhashToDataUrl(blurhash) : null, [blurhash]);
+    const [loadedSrc, setLoadedSrc] = useState(null);
+
+    const isLoaded = loadedSrc === src;
+
+    return (
+        <img
+            src={src}
+            alt={alt}
+            loading="lazy"
+            onLoad={() => setLoadedSrc(src)}
+            className={className}
+            style={placeholder && !isLoaded
+                ? { ...style, backgroundImage: `url(${placeholder})`, backgroundSize: 'cover' }
+                : style}
+            {...props}
+        />
+    );
+};
+
+export default ProductImage;
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { useProduct } from '../hooks/useProduct';
+import ProductImage from './ProductImage';
+
+const ProductStrip = ({ eyebrow, title, products }) => (
+    <section className="mt-24">
+        <p className="text-[10px] uppercase tracking-[0.22em] mb-3 font-medium" style={{ color: '#C9A96E' }}>{eyebrow}</p>
+        <h2 className="text-3xl font-light mb-10" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>{title}</h2>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-x-6 gap-y-10">
+            {products.map(product => {
+                const price = product.displayPrice || product.price;
+
+                return (
+                    <Link key={product._id} to={`/product/${product._id}`} className="group flex flex-col">
+                        <div className="aspect-[4/5] overflow-hidden mb-4" style={{ backgroundColor: '#f5f3f0' }}>
+                            <ProductImage
+                                image={product.images?.[0]}
+                                alt={product.title}
+                                className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
+                            />
+                        </div>
+                        <h3 className="text-lg leading-snug transition-colors duration-300 group-hover:text-[#C9A96E]"
+                            style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                            {product.title}
+                        </h3>
+                        <span className="text-xs tracking-[0.05em] mt-1" style={{ color: '#7A6E63' }}>
+                            {price?.currency} {price?.amount?.toLocaleString()}
+                        </span>
+                    </Link>
+                );
+            })}
+        </div>
+    </section>
+);
+
+// "Frequently bought together" and "Recently viewed" below a product, records the view of the product
+const ProductRecommendations = ({ productId }) => {
+    const { handleRecordProductView, handleGetRecentlyViewed, handleGetFrequentlyBoughtTogether } = useProduct();
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
+
+    const [boughtTogether, setBoughtTogether] = useState([]);
+    const [recentlyViewed, setRecentlyViewed] = useState([]);
+
+    useEffect(() => {
+        handleRecordProductView(productId).catch(err => console.error("Failed to record product view", err));
+    }, [productId]);
+
+    useEffect(() => {
+        handleGetFrequentlyBoughtTogether(productId)
+            .then(setBoughtTogether)
+            .catch(err => console.error("Failed to fetch frequently bought together", err));
+
+        handleGetRecentlyViewed(productId)
+            .then(setRecentlyViewed)
+            .catch(err => console.error("Failed to fetch recently viewed products", err));
+    }, [productId, displayCurrency]);
+
+    return (
+        <>
+            {boughtTogether.length > 0 && (
+                <ProductStrip eyebrow="Complete the Look" title="Frequently Bought Together" products={boughtTogether} />
+            )}
+            {recentlyViewed.length > 0 && (
+                <ProductStrip eyebrow="Your History" title="Recently Viewed" products={recentlyViewed} />
+            )}
+        </>
+    );
+};
+
+export default ProductRecommendations;
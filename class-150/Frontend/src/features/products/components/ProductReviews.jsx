@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { useReview } from '../hooks/useReview';
+import ProductImage from './ProductImage';
+
+const Stars = ({ value }) => (
+    <span className="tracking-[0.15em]" style={{ color: '#C9A96E' }}>
+        {[1, 2, 3, 4, 5].map(star => (star <= Math.round(value) ? '★' : '☆')).join('')}
+    </span>
+);
+
+const ProductReviews = ({ productId }) => {
+    const user = useSelector(state => state.auth.user);
+    const { handleGetProductReviews, handleCreateReview, handleDeleteReview } = useReview();
+
+    const [rating, setRating] = useState({ average: 0, count: 0 });
+    const [reviews, setReviews] = useState([]);
+    const [form, setForm] = useState({ rating: 0, text: '', photos: [] });
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    async function fetchReviews() {
+        try {
+            const data = await handleGetProductReviews(productId);
+            setRating(data.rating || { average: 0, count: 0 });
+            setReviews(data.reviews);
+        } catch (err) {
+            console.error("Failed to fetch reviews", err);
+        }
+    }
+
+    useEffect(() => {
+        fetchReviews();
+    }, [productId]);
+
+    const hasReviewed = user && reviews.some(review => review.buyer?._id === user.id);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.rating) {
+            setError("Please choose a rating.");
+            return;
+        }
+
+        setSubmitting(true);
+        setError(null);
+        try {
+            await handleCreateReview(productId, form);
+            setForm({ rating: 0, text: '', photos: [] });
+            await fetchReviews();
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not submit your review.");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (reviewId) => {
+        if (!window.confirm("Delete your review?")) return;
+        await handleDeleteReview(productId, reviewId);
+        await fetchReviews();
+    };
+
+    return (
+        <section className="mt-24 pt-12 border-t" style={{ borderColor: '#e4e2df' }}>
+            <div className="flex items-end justify-between mb-10">
+                <h2 className="text-3xl font-light" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                    Reviews
+                </h2>
+                <div className="text-[11px] uppercase tracking-[0.2em] font-medium" style={{ color: '#7A6E63' }}>
+                    <Stars value={rating.average} /> {rating.average.toFixed(1)} · {rating.count} review{rating.count === 1 ? '' : 's'}
+                </div>
+            </div>
+
+            {/* Review form, the server only accepts buyers with a verified purchase */}
+            {user && !hasReviewed && (
+                <form onSubmit={handleSubmit} className="mb-14 max-w-2xl space-y-5">
+                    <div className="flex gap-2">
+                        {[1, 2, 3, 4, 5].map(star => (
+                            <button
+                                key={star}
+                                type="button"
+                                onClick={() => setForm({ ...form, rating: star })}
+                                className="text-2xl transition-colors"
+                                style={{ color: star <= form.rating ? '#C9A96E' : '#d0c5b5' }}
+                                aria-label={`${star} star${star === 1 ? '' : 's'}`}
+                            >
+                                ★
+                            </button>
+                        ))}
+                    </div>
+                    <textarea
+                        rows={3}
+                        value={form.text}
+                        onChange={e => setForm({ ...form, text: e.target.value })}
+                        placeholder="Share your thoughts on this piece"
+                        className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E] resize-none placeholder:text-[#B5ADA3]"
+                        style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+                    />
+                    <input
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        onChange={e => setForm({ ...form, photos: Array.from(e.target.files).slice(0, 5) })}
+                        className="block text-xs"
+                        style={{ color: '#7A6E63' }}
+                    />
+                    {error && <p className="text-xs text-red-700">{error}</p>}
+                    <button
+                        type="submit"
+                        disabled={submitting}
+                        className="py-3 px-8 text-[11px] uppercase tracking-[0.25em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a] disabled:opacity-50"
+                        style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                    >
+                        {submitting ? 'Submitting...' : 'Submit Review'}
+                    </button>
+                </form>
+            )}
+
+            {reviews.length === 0 ? (
+                <p className="text-sm" style={{ color: '#7A6E63' }}>No reviews yet.</p>
+            ) : (
+                <div className="space-y-10">
+                    {reviews.map(review => (
+                        <div key={review._id} className="pb-10 border-b" style={{ borderColor: '#e4e2df' }}>
+                            <div className="flex items-center justify-between mb-3">
+                                <div className="flex items-center gap-4">
+                                    <Stars value={review.rating} />
+                                    <span className="text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#1b1c1a' }}>
+                                        {review.buyer?.fullname}
+                                    </span>
+                                </div>
+                                <div className="flex items-center gap-4 text-[10px] uppercase tracking-[0.2em]" style={{ color: '#B5ADA3' }}>
+                                    {new Date(review.createdAt).toLocaleDateString()}
+                                    {user && review.buyer?._id === user.id && (
+                                        <button onClick={() => handleDelete(review._id)} className="hover:text-red-700 transition-colors">
+                                            Delete
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {review.text && (
+                                <p className="text-sm leading-relaxed max-w-3xl" style={{ color: '#7A6E63' }}>{review.text}</p>
+                            )}
+                            {review.photos?.length > 0 && (
+                                <div className="flex gap-3 mt-4">
+                                    {review.photos.map(photo => (
+                                        <ProductImage key={photo._id} image={photo} size="thumbnail" alt="Review" className="w-20 h-24 object-cover" style={{ backgroundColor: '#f5f3f0' }} />
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default ProductReviews;
@@ -0,0 +1,206 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router';
+import { useAnalytics } from '../hooks/useAnalytics';
+
+const RANGES = [
+    { label: '7 Days', days: 7, interval: 'day' },
+    { label: '30 Days', days: 30, interval: 'day' },
+    { label: '90 Days', days: 90, interval: 'week' },
+    { label: '1 Year', days: 365, interval: 'month' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SectionTitle = ({ children }) => (
+    <h3 className="text-[10px] uppercase tracking-[0.24em] font-medium mb-6" style={{ color: '#C9A96E' }}>
+        {children}
+    </h3>
+);
+
+const formatPeriod = (period, interval) => {
+    const date = new Date(period);
+    return interval === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+        : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+};
+
+// Vertical bars, one per period
+const RevenueChart = ({ points, interval, currency }) => {
+    const max = Math.max(...points.map(point => point.revenue), 1);
+
+    return (
+        <div className="flex items-end gap-1 h-48">
+            {points.map(point => (
+                <div key={point.period} className="group relative flex-1 h-full flex flex-col justify-end">
+                    <div
+                        className="w-full transition-colors duration-300 group-hover:bg-[#1b1c1a]"
+                        style={{ height: `${(point.revenue / max) * 100}%`, backgroundColor: '#C9A96E', minHeight: point.revenue ? 2 : 0 }}
+                    />
+                    <div
+                        className="pointer-events-none absolute bottom-full mb-2 left-1/2 -translate-x-1/2 whitespace-nowrap px-3 py-2 text-[10px] uppercase tracking-[0.15em] opacity-0 group-hover:opacity-100 transition-opacity"
+                        style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                    >
+                        {formatPeriod(point.period, interval)} · {currency} {point.revenue.toLocaleString()} · {point.units} sold
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Horizontal bars, used for top products and variants
+const BarList = ({ rows }) => {
+    const max = Math.max(...rows.map(row => row.value), 1);
+
+    return (
+        <div className="space-y-4">
+            {rows.map(row => (
+                <div key={row.key}>
+                    <div className="flex justify-between gap-4 text-xs mb-1">
+                        <span className="truncate" style={{ color: '#1b1c1a' }}>{row.label}</span>
+                        <span className="whitespace-nowrap" style={{ color: '#7A6E63' }}>{row.display}</span>
+                    </div>
+                    <div className="h-1.5 w-full" style={{ backgroundColor: '#efeae3' }}>
+                        <div className="h-full" style={{ width: `${(row.value / max) * 100}%`, backgroundColor: '#C9A96E' }} />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const SellerAnalytics = () => {
+    const { handleGetSellerAnalytics } = useAnalytics();
+
+    const [range, setRange] = useState(RANGES[1]);
+    const [analytics, setAnalytics] = useState(null);
+
+    useEffect(() => {
+        handleGetSellerAnalytics({
+            from: new Date(Date.now() - range.days * DAY_MS).toISOString(),
+            interval: range.interval
+        })
+            .then(setAnalytics)
+            .catch(error => console.error("Failed to fetch analytics", error));
+    }, [range]);
+
+    // Revenue can be in several currencies, the chart shows the biggest one
+    const revenueByCurrency = useMemo(() => {
+        const totals = {};
+        (analytics?.revenue || []).forEach(point => {
+            totals[point.currency] = totals[point.currency] || { revenue: 0, units: 0, points: [] };
+            totals[point.currency].revenue += point.revenue;
+            totals[point.currency].units += point.units;
+            totals[point.currency].points.push(point);
+        });
+        return Object.entries(totals).sort((a, b) => b[1].revenue - a[1].revenue);
+    }, [analytics]);
+
+    if (!analytics) {
+        return null;
+    }
+
+    const [mainCurrency, mainTotals] = revenueByCurrency[0] || ['INR', { revenue: 0, units: 0, points: [] }];
+    const orderCount = analytics.revenue.reduce((sum, point) => sum + point.orders, 0);
+
+    return (
+        <section className="pb-20 mb-16 border-b" style={{ borderColor: '#e4e2df' }}>
+            {/* ── Range picker ── */}
+            <div className="flex flex-wrap gap-2 mb-10">
+                {RANGES.map(option => (
+                    <button
+                        key={option.label}
+                        onClick={() => setRange(option)}
+                        className={`px-4 py-2 text-[10px] uppercase tracking-[0.2em] font-medium border transition-colors duration-300 ${range.label === option.label ? 'border-[#1b1c1a] bg-[#1b1c1a] text-[#fbf9f6]' : 'border-[#d0c5b5] text-[#1b1c1a] hover:border-[#1b1c1a]'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {/* ── Summary ── */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-8 mb-14">
+                {[
+                    { label: 'Revenue', value: revenueByCurrency.length > 0 ? revenueByCurrency.map(([currency, totals]) => `${currency} ${totals.revenue.toLocaleString()}`).join(' · ') : `${mainCurrency} 0` },
+                    { label: 'Units Sold', value: revenueByCurrency.reduce((sum, [, totals]) => sum + totals.units, 0) },
+                    { label: 'Orders', value: orderCount }
+                ].map(stat => (
+                    <div key={stat.label}>
+                        <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#7A6E63' }}>{stat.label}</span>
+                        <p className="text-3xl font-light mt-2" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>{stat.value}</p>
+                    </div>
+                ))}
+            </div>
+
+            {/* ── Revenue over time ── */}
+            <div className="mb-16">
+                <SectionTitle>Revenue over time ({mainCurrency})</SectionTitle>
+                {mainTotals.points.length > 0 ? (
+                    <RevenueChart points={mainTotals.points} interval={range.interval} currency={mainCurrency} />
+                ) : (
+                    <p className="text-sm" style={{ color: '#7A6E63' }}>No sales in this period.</p>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-12">
+                {/* ── Top products ── */}
+                <div>
+                    <SectionTitle>Top Products</SectionTitle>
+                    {analytics.topProducts.length > 0 ? (
+                        <BarList rows={analytics.topProducts.map(product => ({
+                            key: product.product,
+                            label: product.title,
+                            value: product.revenue,
+                            display: `${product.currency} ${product.revenue.toLocaleString()}`
+                        }))} />
+                    ) : (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>No sales yet.</p>
+                    )}
+                </div>
+
+                {/* ── Units per variant ── */}
+                <div>
+                    <SectionTitle>Units Sold per Variant</SectionTitle>
+                    {analytics.variants.length > 0 ? (
+                        <BarList rows={analytics.variants.slice(0, 8).map(variant => ({
+                            key: `${variant.product}-${variant.variant}`,
+                            label: [variant.title, ...Object.values(variant.attributes || {})].join(' · '),
+                            value: variant.units,
+                            display: `${variant.units} sold`
+                        }))} />
+                    ) : (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>No sales yet.</p>
+                    )}
+                </div>
+
+                {/* ── Low stock alerts ── */}
+                <div>
+                    <SectionTitle>Low Stock</SectionTitle>
+                    {analytics.lowStock.length > 0 ? (
+                        <div className="space-y-3">
+                            {analytics.lowStock.map(item => (
+                                <Link
+                                    key={item.variant}
+                                    to={`/seller/product/${item.product}`}
+                                    className="flex items-center justify-between gap-4 text-xs transition-colors hover:text-[#C9A96E]"
+                                    style={{ color: '#1b1c1a' }}
+                                >
+                                    <span className="truncate">
+                                        {[item.title, ...Object.values(item.attributes || {})].join(' · ')}
+                                    </span>
+                                    <span className={`whitespace-nowrap text-[10px] uppercase tracking-[0.2em] font-medium ${item.stock === 0 ? 'text-red-700' : 'text-amber-700'}`}>
+                                        {item.stock === 0 ? 'Sold out' : `${item.stock} left`}
+                                    </span>
+                                </Link>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>Every variant is well stocked.</p>
+                    )}
+                </div>
+            </div>
+        </section>
+    );
+};
+
+export default SellerAnalytics;
@@ -0,0 +1,31 @@
+import { getSellerAnalytics, getRevenueAnalytics, getTopProducts, getLowStockAlerts } from "../services/analytics.api";
+
+export const useAnalytics = () => {
+
+    async function handleGetSellerAnalytics(options) {
+        const data = await getSellerAnalytics(options);
+        return { range: data.range, ...data.analytics };
+    }
+
+    async function handleGetRevenue(options) {
+        const data = await getRevenueAnalytics(options);
+        return data.revenue;
+    }
+
+    async function handleGetTopProducts(options) {
+        const data = await getTopProducts(options);
+        return data.topProducts;
+    }
+
+    async function handleGetLowStockAlerts(options) {
+        const data = await getLowStockAlerts(options);
+        return data.lowStock;
+    }
+
+    return {
+        handleGetSellerAnalytics,
+        handleGetRevenue,
+        handleGetTopProducts,
+        handleGetLowStockAlerts
+    }
+}
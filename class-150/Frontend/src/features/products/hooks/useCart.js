@@ -0,0 +1,101 @@
+import { getCart, addCartItem, updateCartItem, removeCartItem, clearCart as clearServerCart, mergeCart, applyCoupon, removeCoupon, getShippingQuote } from "../services/cart.api";
+import { useDispatch, useSelector } from "react-redux";
+import { setCart, addToCart, setCartSummary, clearCart } from "../state/cart.slice";
+
+export const useCart = () => {
+
+    const dispatch = useDispatch();
+    const user = useSelector(state => state.auth.user);
+    const items = useSelector(state => state.cart.items);
+    const synced = useSelector(state => state.cart.synced);
+
+    function setServerCart(cart) {
+        dispatch(setCart(cart.items));
+        dispatch(setCartSummary({ couponCode: cart.couponCode, totals: cart.totals }));
+    }
+
+    async function handleGetCart() {
+        const data = await getCart();
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    // Guests keep the cart in redux (and localStorage), it is merged into the server cart after login
+    async function handleAddToCart({ product, variant = null, price, quantity = 1 }) {
+        if (!user) {
+            dispatch(addToCart({
+                product: { _id: product._id, title: product.title, images: product.images },
+                variant: variant ? { _id: variant._id, attributes: variant.attributes, images: variant.images, stock: variant.stock } : null,
+                quantity,
+                price
+            }));
+            return;
+        }
+
+        const data = await addCartItem({ productId: product._id, variantId: variant?._id, quantity });
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    async function handleUpdateCartItem(itemId, quantity) {
+        const data = await updateCartItem(itemId, quantity);
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    async function handleRemoveCartItem(itemId) {
+        const data = await removeCartItem(itemId);
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    async function handleClearCart() {
+        if (user) {
+            await clearServerCart();
+        }
+        dispatch(clearCart());
+    }
+
+    async function handleApplyCoupon(code) {
+        const data = await applyCoupon(code);
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    async function handleRemoveCoupon() {
+        const data = await removeCoupon();
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    async function handleGetShippingQuote(destination) {
+        const data = await getShippingQuote(destination);
+        return { shipping: data.shipping, totals: data.totals, total: data.total };
+    }
+
+    async function handleSyncCart() {
+        if (synced || items.length === 0) {
+            return handleGetCart();
+        }
+
+        const data = await mergeCart(items.map(item => ({
+            productId: item.product._id,
+            variantId: item.variant?._id || null,
+            quantity: item.quantity
+        })));
+        setServerCart(data.cart);
+        return data.cart;
+    }
+
+    return {
+        handleGetCart,
+        handleAddToCart,
+        handleUpdateCartItem,
+        handleRemoveCartItem,
+        handleClearCart,
+        handleApplyCoupon,
+        handleRemoveCoupon,
+        handleGetShippingQuote,
+        handleSyncCart
+    }
+}
@@ -0,0 +1,37 @@
+import { importCatalog, exportCatalog } from "../services/catalog.api";
+import { useProduct } from "./useProduct";
+
+export const useCatalog = () => {
+
+    const { handleGetSellerProducts } = useProduct();
+
+    /**
+     * Resolves to { dryRun, summary: { rows, products, created, updated, skipped }, errors: [{ line, handle, field, message }] }
+     */
+    async function handleImportCatalog(file, { dryRun = false } = {}) {
+        const data = await importCatalog(file, { dryRun });
+
+        if (!dryRun) {
+            await handleGetSellerProducts();
+        }
+        return { dryRun: data.dryRun, summary: data.summary, errors: data.errors };
+    }
+
+    // Downloads the catalog as catalog.csv / catalog.json
+    async function handleExportCatalog(format = "csv") {
+        const blob = await exportCatalog(format);
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `catalog.${format}`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        handleImportCatalog,
+        handleExportCatalog
+    }
+}
@@ -0,0 +1,37 @@
+import { getCategories, getCategory } from "../services/category.api";
+
+export const useCategory = () => {
+
+    async function handleGetCategories() {
+        const data = await getCategories();
+        return data.categories;
+    }
+
+    async function handleGetCategory(idOrSlug) {
+        const data = await getCategory(idOrSlug);
+        return { category: data.category, breadcrumb: data.breadcrumb, children: data.children };
+    }
+
+    /**
+     * Every category as a select option, labelled with its path, e.g. "Men / Shirts"
+     */
+    async function handleGetCategoryOptions() {
+        const tree = await handleGetCategories();
+        const options = [];
+
+        const walk = (nodes, path) => nodes.forEach(node => {
+            const label = [...path, node.name];
+            options.push({ value: node._id, label: label.join(" / ") });
+            walk(node.children, label);
+        });
+        walk(tree, []);
+
+        return options;
+    }
+
+    return {
+        handleGetCategories,
+        handleGetCategory,
+        handleGetCategoryOptions
+    }
+}
@@ -0,0 +1,31 @@
+import { getExchangeRates, updatePreferredCurrency } from "../services/currency.api";
+import { useDispatch, useSelector } from "react-redux";
+import { setDisplayCurrency } from "../state/currency.slice";
+import { setUser } from "../../auth/state/auth.slice";
+
+export const useCurrency = () => {
+
+    const dispatch = useDispatch();
+    const user = useSelector(state => state.auth.user);
+
+    async function handleGetExchangeRates() {
+        const data = await getExchangeRates();
+        return data.exchangeRates;
+    }
+
+    // Guests keep the choice in localStorage, logged in users on their account too
+    async function handleChangeCurrency(currency) {
+        localStorage.setItem("displayCurrency", currency);
+        dispatch(setDisplayCurrency(currency));
+
+        if (user) {
+            const data = await updatePreferredCurrency(currency);
+            dispatch(setUser({ ...user, preferredCurrency: data.preferences.preferredCurrency }));
+        }
+    }
+
+    return {
+        handleGetExchangeRates,
+        handleChangeCurrency
+    }
+}
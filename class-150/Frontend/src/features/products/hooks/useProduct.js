@@ -1,10 +1,12 @@
- import { createProduct, getSellerProducts, getAllProducts, getProductDetails, createProductVariant } from "../services/product.api";
-import { useDispatch } from "react-redux";
-import { setSellerProducts, setProducts } from "../state/product.slice";
+ import { createProduct, getSellerProducts, getAllProducts, getProductDetails, createProductVariant, updateProduct, deleteProduct, updateProductVariant, deleteProductVariant, recordProductView, getRecentlyViewed, getFrequentlyBoughtTogether } from "../services/product.api";
+import { useDispatch, useSelector } from "react-redux";
+import { subscribeToProduct } from "../services/product.socket";
+import { setSellerProducts, removeSellerProduct, setProducts, appendProducts, setPagination, setProductDetails, productUpdated, productRemoved } from "../state/product.slice";
 
 export const useProduct = () => {
 
     const dispatch = useDispatch();
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
 
     async function handleCreateProduct(formData) {
         const data = await createProduct(formData);
@@ -17,28 +19,101 @@ export const useProduct = () => {
         return data.products;
     }
 
-    async function handleGetAllProducts() {
-        const data = await getAllProducts();
-        dispatch(setProducts(data.products));
+    /**
+     * filters: { q, minPrice, maxPrice, currency, category, attributes: { size: "M" }, sort, limit }
+     * Pass the cursor of the last page to load the next one, its products are appended to the list.
+     */
+    async function handleGetAllProducts({ attributes = {}, cursor, ...filters } = {}) {
+        const params = {};
+        Object.entries({ ...filters, cursor, displayCurrency }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== "") params[key] = value;
+        });
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value) params[`attr.${name}`] = value;
+        });
+
+        const data = await getAllProducts(params);
+        dispatch(cursor ? appendProducts(data.products) : setProducts(data.products));
+        dispatch(setPagination(data.pagination));
         return data.products;
     }
 
     async function handleGetProductDetails(id) {
-        const data = await getProductDetails(id);
+        const data = await getProductDetails(id, displayCurrency ? { displayCurrency } : {});
+        dispatch(setProductDetails(data.product));
         return data.product;
     }
 
+    // Keep the product in the store up to date while it is open, returns the cleanup for useEffect
+    function handleSubscribeToProduct(id) {
+        return subscribeToProduct(id, displayCurrency, {
+            onUpdated: (product) => dispatch(productUpdated(product)),
+            onRemoved: (productId) => dispatch(productRemoved(productId))
+        });
+    }
+
     async function handleAddProductVariant(id, variant) {
         const data = await createProductVariant(id, variant);
         return data;
     }
 
+    async function handleUpdateProduct(id, changes) {
+        const data = await updateProduct(id, changes);
+        return data.product;
+    }
+
+    async function handleDeleteProduct(id) {
+        const data = await deleteProduct(id);
+        dispatch(removeSellerProduct(id));
+        return data;
+    }
+
+    async function handleUpdateProductVariant(id, variantId, changes) {
+        const data = await updateProductVariant(id, variantId, changes);
+        return data.product;
+    }
+
+    async function handleDeleteProductVariant(id, variantId) {
+        const data = await deleteProductVariant(id, variantId);
+        return data.product;
+    }
+
+    async function handleRecordProductView(id) {
+        return await recordProductView(id);
+    }
+
+    // products viewed before, without the one on screen
+    async function handleGetRecentlyViewed(excludeId) {
+        const params = { limit: 8 };
+        if (excludeId) params.exclude = excludeId;
+        if (displayCurrency) params.displayCurrency = displayCurrency;
+
+        const data = await getRecentlyViewed(params);
+        return data.products;
+    }
+
+    async function handleGetFrequentlyBoughtTogether(id) {
+        const params = { limit: 4 };
+        if (displayCurrency) params.displayCurrency = displayCurrency;
+
+        const data = await getFrequentlyBoughtTogether(id, params);
+        return data.products;
+    }
+
     return {
         handleCreateProduct,
         handleGetSellerProducts,
         handleGetAllProducts,
         handleGetProductDetails,
-        handleAddProductVariant
+        handleSubscribeToProduct,
+        handleAddProductVariant,
+        handleUpdateProduct,
+        handleDeleteProduct,
+        handleUpdateProductVariant,
+        handleDeleteProductVariant,
+        handleRecordProductView,
+        handleGetRecentlyViewed,
+        handleGetFrequentlyBoughtTogether
     }
 }
 
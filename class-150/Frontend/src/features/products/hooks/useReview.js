@@ -0,0 +1,31 @@
+import { getProductReviews, createReview, updateReview, deleteReview } from "../services/review.api";
+
+export const useReview = () => {
+
+    async function handleGetProductReviews(productId, { page = 1, limit = 10 } = {}) {
+        const data = await getProductReviews(productId, { page, limit });
+        return { rating: data.rating, reviews: data.reviews };
+    }
+
+    async function handleCreateReview(productId, review) {
+        const data = await createReview(productId, review);
+        return data.review;
+    }
+
+    async function handleUpdateReview(productId, reviewId, changes) {
+        const data = await updateReview(productId, reviewId, changes);
+        return data.review;
+    }
+
+    async function handleDeleteReview(productId, reviewId) {
+        const data = await deleteReview(productId, reviewId);
+        return data;
+    }
+
+    return {
+        handleGetProductReviews,
+        handleCreateReview,
+        handleUpdateReview,
+        handleDeleteReview
+    }
+}
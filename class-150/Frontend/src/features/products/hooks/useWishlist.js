@@ -0,0 +1,55 @@
+import { getWishlist, addWishlistItem, removeWishlistItem, moveWishlistItemToCart, getNotifications, markNotificationRead } from "../services/wishlist.api";
+import { useDispatch } from "react-redux";
+import { setWishlist, setNotifications, markRead } from "../state/wishlist.slice";
+import { useCart } from "./useCart";
+
+export const useWishlist = () => {
+
+    const dispatch = useDispatch();
+    const { handleGetCart } = useCart();
+
+    async function handleGetWishlist() {
+        const data = await getWishlist();
+        dispatch(setWishlist(data.wishlist.items));
+        return data.wishlist;
+    }
+
+    async function handleAddToWishlist({ productId, variantId = null, notifyWhenInStock = true }) {
+        const data = await addWishlistItem({ productId, variantId, notifyWhenInStock });
+        dispatch(setWishlist(data.wishlist.items));
+        return data.wishlist;
+    }
+
+    async function handleRemoveFromWishlist(itemId) {
+        const data = await removeWishlistItem(itemId);
+        dispatch(setWishlist(data.wishlist.items));
+        return data.wishlist;
+    }
+
+    async function handleMoveToCart(itemId, options) {
+        const data = await moveWishlistItemToCart(itemId, options);
+        dispatch(setWishlist(data.wishlist.items));
+        await handleGetCart();
+        return data.wishlist;
+    }
+
+    async function handleGetNotifications() {
+        const data = await getNotifications();
+        dispatch(setNotifications(data));
+        return data.notifications;
+    }
+
+    async function handleMarkNotificationRead(notificationId) {
+        await markNotificationRead(notificationId);
+        dispatch(markRead(notificationId));
+    }
+
+    return {
+        handleGetWishlist,
+        handleAddToWishlist,
+        handleRemoveFromWishlist,
+        handleMoveToCart,
+        handleGetNotifications,
+        handleMarkNotificationRead
+    }
+}
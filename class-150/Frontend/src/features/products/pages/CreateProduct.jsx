@@ -1,12 +1,14 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router';
 import { useProduct } from '../hooks/useProduct';
+import { useCategory } from '../hooks/useCategory';
 
 const CURRENCIES = [ 'INR', 'USD', 'EUR', 'GBP' ];
 const MAX_IMAGES = 7;
 
 const CreateProduct = () => {
     const { handleCreateProduct } = useProduct();
+    const { handleGetCategoryOptions } = useCategory();
     const navigate = useNavigate();
 
     const [ formData, setFormData ] = useState({
@@ -14,12 +16,21 @@ const CreateProduct = () => {
         description: '',
         priceAmount: '',
         priceCurrency: 'INR',
+        category: '',
+        weightGrams: '',
     });
+    const [ categoryOptions, setCategoryOptions ] = useState([]);
     const [ images, setImages ] = useState([]); // [{ file, preview }]
     const [ isDragging, setIsDragging ] = useState(false);
     const [ isSubmitting, setIsSubmitting ] = useState(false);
     const fileInputRef = useRef(null);
 
+    useEffect(() => {
+        handleGetCategoryOptions()
+            .then(setCategoryOptions)
+            .catch(err => console.error('Failed to fetch categories', err));
+    }, []);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [ name ]: value }));
@@ -74,6 +85,8 @@ const CreateProduct = () => {
             data.append('description', formData.description);
             data.append('priceAmount', formData.priceAmount);
             data.append('priceCurrency', formData.priceCurrency);
+            data.append('category', formData.category);
+            if (formData.weightGrams) data.append('weightGrams', formData.weightGrams);
             images.forEach(img => data.append('images', img.file));
             await handleCreateProduct(data);
             navigate('/');
@@ -202,6 +215,50 @@ const CreateProduct = () => {
                                 </div>
                             </div>
 
+                            {/* Category */}
+                            <div className="flex flex-col gap-2">
+                                <label
+                                    htmlFor="category"
+                                    className="text-[10px] uppercase tracking-[0.2em] font-semibold text-[#FFD700]/70 font-[Inter,sans-serif]"
+                                >
+                                    Category
+                                </label>
+                                <select
+                                    id="category"
+                                    name="category"
+                                    value={formData.category}
+                                    onChange={handleChange}
+                                    required
+                                    className="bg-[#1c1b1b] text-white border-b-2 border-[#4d4732] focus:border-[#FFD700] outline-none px-3 py-3 text-base transition-colors duration-300 font-[Inter,sans-serif] w-full cursor-pointer appearance-none"
+                                >
+                                    <option value="" disabled>Choose a category</option>
+                                    {categoryOptions.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {/* Weight, used for shipping rates */}
+                            <div className="flex flex-col gap-2">
+                                <label
+                                    htmlFor="weightGrams"
+                                    className="text-[10px] uppercase tracking-[0.2em] font-semibold text-[#FFD700]/70 font-[Inter,sans-serif]"
+                                >
+                                    Parcel Weight (grams)
+                                </label>
+                                <input
+                                    id="weightGrams"
+                                    type="number"
+                                    name="weightGrams"
+                                    value={formData.weightGrams}
+                                    onChange={handleChange}
+                                    min="1"
+                                    step="1"
+                                    placeholder="500"
+                                    className="bg-[#1c1b1b] text-white border-b-2 border-[#4d4732] focus:border-[#FFD700] outline-none px-3 py-3 text-base transition-colors duration-300 placeholder:text-[#4d4732] font-[Inter,sans-serif] w-full"
+                                />
+                            </div>
+
                         </div>{/* end LEFT COLUMN */}
 
                         {/* ── RIGHT COLUMN — images ── */}
@@ -1,7 +1,10 @@
 import React, { useEffect } from 'react';
 import { useProduct } from '../hooks/useProduct';
 import { useSelector } from 'react-redux';
+import SellerAnalytics from '../components/SellerAnalytics';
+import CatalogImport from '../components/CatalogImport';
 import { useParams, Link, useNavigate } from "react-router-dom";
+import ProductImage from '../components/ProductImage';
 
 
 const Dashboard = () => {
@@ -60,43 +63,54 @@ const Dashboard = () => {
                             <div className="mt-4 w-14 h-px" style={{ backgroundColor: '#C9A96E' }} />
                         </div>
 
-                        <button
-                            onClick={() => navigate('/seller/create-product')}
-                            className="py-4 px-8 text-[11px] uppercase tracking-[0.3em] font-medium transition-all duration-300 w-full md:w-auto text-center"
-                            style={{
-                                backgroundColor: '#1b1c1a',
-                                color: '#fbf9f6',
-                                fontFamily: "'Inter', sans-serif"
-                            }}
-                            onMouseEnter={e => {
-                                e.currentTarget.style.backgroundColor = '#C9A96E';
-                                e.currentTarget.style.color = '#1b1c1a';
-                            }}
-                            onMouseLeave={e => {
-                                e.currentTarget.style.backgroundColor = '#1b1c1a';
-                                e.currentTarget.style.color = '#fbf9f6';
-                            }}
-                        >
-                            New Listing
-                        </button>
+                        <div className="flex flex-col md:flex-row md:items-center gap-6 w-full md:w-auto">
+                            <button
+                                onClick={() => navigate('/seller/create-product')}
+                                className="py-4 px-8 text-[11px] uppercase tracking-[0.3em] font-medium transition-all duration-300 w-full md:w-auto text-center"
+                                style={{
+                                    backgroundColor: '#1b1c1a',
+                                    color: '#fbf9f6',
+                                    fontFamily: "'Inter', sans-serif"
+                                }}
+                                onMouseEnter={e => {
+                                    e.currentTarget.style.backgroundColor = '#C9A96E';
+                                    e.currentTarget.style.color = '#1b1c1a';
+                                }}
+                                onMouseLeave={e => {
+                                    e.currentTarget.style.backgroundColor = '#1b1c1a';
+                                    e.currentTarget.style.color = '#fbf9f6';
+                                }}
+                            >
+                                New Listing
+                            </button>
+                            <Link
+                                to="/seller/store"
+                                className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E] w-full md:w-auto text-center"
+                                style={{ color: '#7A6E63' }}
+                            >
+                                Store Settings
+                            </Link>
+                        </div>
                     </div>
 
+                    {/* ── Analytics ── */}
+                    <SellerAnalytics />
+
+                    {/* ── Bulk import / export ── */}
+                    <CatalogImport />
+
                     {/* ── Product Grid ── */}
                     {sellerProducts && sellerProducts.length > 0 ? (
                         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-x-8 gap-y-16 pb-24">
                             {sellerProducts.map(product => {
-                                const imageUrl = product.images && product.images.length > 0
-                                    ? product.images[0].url
-                                    : '/snitch_editorial_warm.png'; // Fallback to our warm editorial
-
                                 return (
                                     <div onClick={() => navigate(`/seller/product/${product._id}`)}
                                         key={product._id}
                                         className="group cursor-pointer flex flex-col">
                                         {/* Image Container */}
                                         <div className="aspect-[4/5] overflow-hidden mb-6" style={{ backgroundColor: '#f5f3f0' }}>
-                                            <img
-                                                src={imageUrl}
+                                            <ProductImage
+                                                image={product.images?.[0]}
                                                 alt={product.title}
                                                 className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
                                             />
@@ -1,19 +1,54 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
 import { useProduct } from '../hooks/useProduct';
+import { useCategory } from '../hooks/useCategory';
 import { Link, useNavigate } from 'react-router';
+import CurrencySelect from '../components/CurrencySelect';
+import ProductImage from '../components/ProductImage';
+
+// Whether the category or one of its sub categories has this slug
+const containsSlug = (category, slug) =>
+    category.slug === slug || category.children.some(child => containsSlug(child, slug));
 
 
 const Home = () => {
     const products = useSelector(state => state.product.products);
+    const pagination = useSelector(state => state.product.pagination);
     const user = useSelector(state => state.auth.user);
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
     const { handleGetAllProducts } = useProduct();
+    const { handleGetCategories } = useCategory();
     const navigate = useNavigate();
 
+    const [search, setSearch] = useState('');
+    const [filters, setFilters] = useState({ q: '', sort: 'newest', category: '' });
+    const [categories, setCategories] = useState([]);
+
     useEffect(() => {
-        handleGetAllProducts();
+        handleGetCategories()
+            .then(setCategories)
+            .catch(error => console.error("Failed to fetch categories", error));
     }, []);
 
+    useEffect(() => {
+        handleGetAllProducts(filters);
+    }, [filters, displayCurrency]);
+
+    const handleSearchSubmit = (e) => {
+        e.preventDefault();
+        setFilters(prev => ({ ...prev, q: search.trim() }));
+    };
+
+    const handleLoadMore = () => {
+        handleGetAllProducts({ ...filters, cursor: pagination.nextCursor });
+    };
+
+    const selectCategory = (slug) => {
+        setFilters(prev => ({ ...prev, category: slug }));
+    };
+
+    const activeRoot = categories.find(root => filters.category && containsSlug(root, filters.category));
+
     return (
         <>
             {/* Google Fonts */}
@@ -35,12 +70,21 @@ const Home = () => {
                         Snitch.
                     </Link>
                     <div className="flex gap-6 items-center text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#7A6E63' }}>
+                        <CurrencySelect />
                         {user ? (
                             <>
-                                <span style={{ color: '#1b1c1a' }}>{user.fullname}</span>
+                                <Link to="/account" className="transition-colors hover:text-[#C9A96E]" style={{ color: '#1b1c1a' }}>{user.fullname}</Link>
+                                <Link to="/wishlist" className="transition-colors hover:text-[#C9A96E]">Wishlist</Link>
+                                <Link to="/account/addresses" className="transition-colors hover:text-[#C9A96E]">Addresses</Link>
                                 {user.role === 'seller' && (
                                     <Link to="/seller/dashboard" className="transition-colors hover:text-[#C9A96E]"> Dashboard</Link>
                                 )}
+                                {user.role === 'admin' && (
+                                    <Link to="/admin" className="transition-colors hover:text-[#C9A96E]">Admin</Link>
+                                )}
+                                {user.sellerStatus === 'pending' && (
+                                    <span>Seller application pending</span>
+                                )}
                             </>
                         ) : (
                             <>
@@ -50,11 +94,46 @@ const Home = () => {
                     </div>
                 </nav>
 
+                {/* ── Category navigation ── */}
+                {categories.length > 0 && (
+                    <div className="px-8 lg:px-16 xl:px-24 py-5 border-b flex flex-col items-center gap-4" style={{ borderColor: '#e4e2df' }}>
+                        <div className="flex flex-wrap justify-center gap-8 text-[11px] uppercase tracking-[0.25em] font-medium">
+                            {[{ _id: 'all', slug: '', name: 'All' }, ...categories].map(root => {
+                                const isActive = root.slug ? activeRoot?._id === root._id : !filters.category;
+                                return (
+                                    <button
+                                        key={root._id}
+                                        onClick={() => selectCategory(root.slug)}
+                                        className="transition-colors hover:text-[#C9A96E]"
+                                        style={{ color: isActive ? '#1b1c1a' : '#7A6E63' }}
+                                    >
+                                        {root.name}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        {activeRoot?.children.length > 0 && (
+                            <div className="flex flex-wrap justify-center gap-6 text-[10px] uppercase tracking-[0.2em]">
+                                {activeRoot.children.map(child => (
+                                    <button
+                                        key={child._id}
+                                        onClick={() => selectCategory(child.slug)}
+                                        className="transition-colors hover:text-[#C9A96E]"
+                                        style={{ color: containsSlug(child, filters.category) ? '#C9A96E' : '#B5ADA3' }}
+                                    >
+                                        {child.name}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 <div className="max-w-7xl mx-auto px-8 lg:px-16 xl:px-24">
                     {/* ── Hero / Header ── */}
                     <div className="pt-20 pb-20 text-center flex flex-col items-center">
                         <span className="text-[10px] uppercase tracking-[0.24em] font-medium mb-6" style={{ color: '#C9A96E' }}>
-                            The Collection
+                            {activeRoot ? activeRoot.name : 'The Collection'}
                         </span>
                         <h1
                             className="text-5xl lg:text-7xl font-light leading-tight mb-6"
@@ -67,23 +146,46 @@ const Home = () => {
                         </p>
                     </div>
 
+                    {/* ── Search & Sort ── */}
+                    <div className="flex flex-col md:flex-row md:items-end justify-between gap-6 pb-12">
+                        <form onSubmit={handleSearchSubmit} className="w-full md:max-w-sm">
+                            <input
+                                type="text"
+                                value={search}
+                                onChange={e => setSearch(e.target.value)}
+                                placeholder="Search the archive"
+                                className="w-full bg-transparent border-b py-2 text-sm focus:outline-none focus:border-[#C9A96E] placeholder:text-[#B5ADA3]"
+                                style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+                            />
+                        </form>
+                        <select
+                            value={filters.sort}
+                            onChange={e => setFilters(prev => ({ ...prev, sort: e.target.value }))}
+                            className="bg-transparent border-b py-2 text-[10px] uppercase tracking-[0.2em] font-medium focus:outline-none cursor-pointer"
+                            style={{ borderColor: '#d0c5b5', color: '#7A6E63' }}
+                        >
+                            <option value="newest">Newest</option>
+                            <option value="oldest">Oldest</option>
+                            <option value="price_asc">Price: Low to High</option>
+                            <option value="price_desc">Price: High to Low</option>
+                            <option value="rating">Top Rated</option>
+                        </select>
+                    </div>
+
                     {/* ── Product Grid ── */}
                     {products && products.length > 0 ? (
                         <div
                             className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-x-8 gap-y-16 pb-32">
                             {products.map(product => {
-                                const imageUrl = product.images && product.images.length > 0
-                                    ? product.images[0].url
-                                    : '/snitch_editorial_warm.png'; // Fallback
-
+                                const price = product.displayPrice || product.price;
                                 return (
                                     <div key={product._id}
                                         onClick={() => navigate(`/product/${product._id}`)}
                                         className="group cursor-pointer flex flex-col">
                                         {/* Image Container */}
                                         <div className="aspect-[4/5] overflow-hidden mb-6" style={{ backgroundColor: '#f5f3f0' }}>
-                                            <img
-                                                src={imageUrl}
+                                            <ProductImage
+                                                image={product.images?.[0]}
                                                 alt={product.title}
                                                 className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
                                             />
@@ -110,7 +212,7 @@ const Home = () => {
                                                     className="text-[10px] uppercase tracking-[0.2em] font-medium"
                                                     style={{ color: '#1b1c1a' }}
                                                 >
-                                                    {product.price?.currency} {product.price?.amount?.toLocaleString()}
+                                                    {price?.currency} {price?.amount?.toLocaleString()}
                                                 </span>
                                             </div>
                                         </div>
@@ -128,6 +230,19 @@ const Home = () => {
                             </p>
                         </div>
                     )}
+
+                    {/* ── Load More ── */}
+                    {pagination.hasMore && (
+                        <div className="pb-32 flex justify-center">
+                            <button
+                                onClick={handleLoadMore}
+                                className="py-4 px-10 text-[11px] uppercase tracking-[0.3em] font-medium border transition-colors duration-300 hover:border-[#C9A96E] hover:text-[#C9A96E]"
+                                style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+                            >
+                                Load More
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 {/* ── Footer ── */}
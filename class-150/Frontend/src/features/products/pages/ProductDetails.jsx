@@ -1,20 +1,49 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useProduct } from '../hooks/useProduct';
+import { useCart } from '../hooks/useCart';
+import { useWishlist } from '../hooks/useWishlist';
+import { useSelector } from 'react-redux';
+import ProductReviews from '../components/ProductReviews';
+import CurrencySelect from '../components/CurrencySelect';
+import ProductImage from '../components/ProductImage';
+import ProductRecommendations from '../components/ProductRecommendations';
+
+// the combination with exactly these attributes
+const findCombination = (combinations, attributes) => combinations.find(combination => {
+    const names = Object.keys(combination.attributes);
+    return names.length === Object.keys(attributes).length
+        && names.every(name => combination.attributes[name] === attributes[name]);
+}) || null;
+
+// Whether picking this value keeps the other choices: "available", "sold-out" (only out of stock) or "unavailable"
+const optionValueState = (combinations, selected, attrName, value) => {
+    const matching = combinations.filter(combination =>
+        combination.attributes[attrName] === value
+        && Object.entries(selected).every(([name, val]) => name === attrName || combination.attributes[name] === val));
+
+    if (matching.some(combination => combination.available)) return 'available';
+    return matching.length > 0 ? 'sold-out' : 'unavailable';
+};
 
 const ProductDetail = () => {
     const { id } = useParams();
-    const [product, setProduct] = useState(null);
+    // live updates replace the product in the store, the previous page's product is ignored until this one loads
+    const productDetails = useSelector(state => state.product.productDetails);
+    const product = productDetails?._id === id ? productDetails : null;
     const [selectedImage, setSelectedImage] = useState(0);
     const [selectedAttributes, setSelectedAttributes] = useState({});
     const navigate = useNavigate();
-    const { handleGetProductDetails } = useProduct();
+    const { handleGetProductDetails, handleSubscribeToProduct } = useProduct();
+    const { handleAddToCart } = useCart();
+    const { handleAddToWishlist } = useWishlist();
+    const user = useSelector(state => state.auth.user);
+    const [wishlistMessage, setWishlistMessage] = useState(null);
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
 
     async function fetchProductDetails() {
         try {
-            const data = await handleGetProductDetails(id);
-            // Handle both cases depending on how API is structured
-            setProduct(data);
+            await handleGetProductDetails(id);
         } catch (error) {
             console.error("Failed to fetch product details", error);
         }
@@ -22,74 +51,54 @@ const ProductDetail = () => {
 
     useEffect(() => {
         fetchProductDetails();
-    }, [id]);
+    }, [id, displayCurrency]);
+
+    useEffect(() => handleSubscribeToProduct(id), [id, displayCurrency]);
+
+    const optionMatrix = product?.optionMatrix;
 
     useEffect(() => {
-        if (product?.variants?.length > 0) {
-            setSelectedAttributes(product.variants[0].attributes || {});
+        const combinations = optionMatrix?.combinations || [];
+        if (combinations.length > 0) {
+            // start on the first combination that can be bought, a live update keeps the shopper's choice while it exists
+            const first = combinations.find(combination => combination.available) || combinations[0];
+            setSelectedAttributes(current => findCombination(combinations, current) ? current : first.attributes);
         }
-    }, [product]);
+    }, [optionMatrix]);
+
+    const activeCombination = useMemo(() => {
+        if (!optionMatrix) return null;
+        return findCombination(optionMatrix.combinations, selectedAttributes);
+    }, [optionMatrix, selectedAttributes]);
 
     const activeVariant = useMemo(() => {
-        if (!product?.variants || product.variants.length === 0) return null;
-        return product.variants.find(v => {
-            if (!v.attributes) return false;
-            const vKeys = Object.keys(v.attributes);
-            const sKeys = Object.keys(selectedAttributes);
-            const isMatch = vKeys.every(k => v.attributes[k] === selectedAttributes[k]);
-            // If they don't have exactly the same keys, they shouldn't perfectly match, 
-            // but we might only care about matching what's available.
-            return vKeys.length === sKeys.length && isMatch;
-        });
-    }, [product, selectedAttributes]);
-
-    const availableAttributes = useMemo(() => {
-        if (!product?.variants) return {};
-        const attrs = {};
-        product.variants.forEach(variant => {
-            if (variant.attributes) {
-                Object.entries(variant.attributes).forEach(([key, value]) => {
-                    if (!attrs[key]) attrs[key] = new Set();
-                    attrs[key].add(value);
-                });
-            }
-        });
-        Object.keys(attrs).forEach(key => {
-            attrs[key] = Array.from(attrs[key]);
-        });
-        return attrs;
-    }, [product]);
+        if (!activeCombination) return null;
+        return product.variants.find(variant => variant._id === activeCombination.variantId) || null;
+    }, [product, activeCombination]);
+
+    const activeVariantId = activeVariant?._id;
 
     useEffect(() => {
         setSelectedImage(0);
-    }, [activeVariant]);
+    }, [activeVariantId]);
 
     const handleAttributeChange = (attrName, value) => {
         const newAttrs = { ...selectedAttributes, [attrName]: value };
-
-        // Find if an exact match exists for this combination
-        const exactMatch = product.variants.find(v => {
-            const vAttrs = v.attributes || {};
-            return Object.keys(newAttrs).every(k => newAttrs[k] === vAttrs[k]) &&
-                Object.keys(vAttrs).every(k => newAttrs[k] === vAttrs[k]);
-        });
+        const exactMatch = findCombination(optionMatrix.combinations, newAttrs);
 
         if (exactMatch) {
             setSelectedAttributes(exactMatch.attributes);
-        } else {
-            // Find any variant that has this newly selected attribute to fallback nicely
-            const fallbackVariant = product.variants.find(v => v.attributes && v.attributes[attrName] === value);
-            if (fallbackVariant) {
-                setSelectedAttributes(fallbackVariant.attributes);
-            } else {
-                setSelectedAttributes(newAttrs);
-            }
+            return;
         }
-    };
-
-
 
+        // no variant has this exact combination, keep as many of the other choices as possible
+        const candidates = optionMatrix.combinations.filter(combination => combination.attributes[attrName] === value);
+        const score = (combination) => Object.entries(newAttrs)
+            .filter(([name, val]) => combination.attributes[name] === val).length + (combination.available ? 0.5 : 0);
+        const best = candidates.sort((a, b) => score(b) - score(a))[0];
 
+        setSelectedAttributes(best ? best.attributes : newAttrs);
+    };
 
     // Hooks FIRST (always run)
     const displayImages = useMemo(() => {
@@ -107,9 +116,46 @@ const ProductDetail = () => {
     }, [activeVariant, product]);
 
     const displayPrice = activeVariant?.price?.amount
+        ? activeVariant.displayPrice || activeVariant.price
+        : product?.displayPrice || product?.price;
+
+    // the cart always stores the price the seller listed
+    const listedPrice = activeVariant?.price?.amount
         ? activeVariant.price
         : product?.price;
 
+    // a product with variants can only be bought as one of them
+    const isOutOfStock = product?.variants?.length > 0
+        ? !activeVariant || activeVariant.stock <= 0
+        : false;
+
+    // unpublished or deleted while open
+    const isRemoved = Boolean(product?.removed);
+
+    const handleAddToCartClick = async () => {
+        try {
+            await handleAddToCart({ product, variant: activeVariant, price: listedPrice, quantity: 1 });
+        } catch (error) {
+            alert(error.response?.data?.message || "Could not add this piece to your cart.");
+        }
+    };
+
+    const handleSaveToWishlist = async () => {
+        if (!user) {
+            navigate('/login');
+            return;
+        }
+
+        try {
+            await handleAddToWishlist({ productId: product._id, variantId: activeVariant?._id || null });
+            setWishlistMessage(isOutOfStock
+                ? "Saved. We will let you know when it is back in stock."
+                : "Saved to your wishlist.");
+        } catch (error) {
+            setWishlistMessage(error.response?.data?.message || "Could not save this piece.");
+        }
+    };
+
 
     // THEN conditional render
     if (!product) {
@@ -139,13 +185,16 @@ const ProductDetail = () => {
                     >
                         Snitch.
                     </Link>
-                    <button
-                        onClick={() => navigate(-1)}
-                        className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
-                        style={{ color: '#7A6E63' }}
-                    >
-                        Return to Archive
-                    </button>
+                    <div className="flex gap-6 items-center">
+                        <CurrencySelect />
+                        <button
+                            onClick={() => navigate(-1)}
+                            className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                            style={{ color: '#7A6E63' }}
+                        >
+                            Return to Archive
+                        </button>
+                    </div>
                 </nav>
 
                 <div className="max-w-7xl mx-auto px-8 lg:px-16 xl:px-24 pt-12 lg:pt-20">
@@ -164,9 +213,8 @@ const ProductDetail = () => {
                                             className={`flex-shrink-0 w-20 md:w-full aspect-[4/5] overflow-hidden transition-all duration-300 ${selectedImage === idx ? 'opacity-100 ring-1 ring-[#C9A96E] ring-offset-2' : 'opacity-50 hover:opacity-100'}`}
                                             style={{ backgroundColor: '#f5f3f0', '--tw-ring-offset-color': '#fbf9f6' }}
                                         >
-                                            <img
-
-                                                src={img.url} alt={`View ${idx + 1}`} className="w-full h-full object-cover" />
+                                            <ProductImage
+                                                image={img} size="thumbnail" alt={`View ${idx + 1}`} className="w-full h-full object-cover" />
                                         </button>
                                     ))}
                                 </div>
@@ -174,8 +222,9 @@ const ProductDetail = () => {
 
                             {/* Main Image */}
                             <div className="relative w-full aspect-4/5 overflow-hidden group" style={{ backgroundColor: '#f5f3f0' }}>
-                                <img
-                                    src={displayImages[selectedImage]?.url || displayImages[0].url}
+                                <ProductImage
+                                    image={displayImages[selectedImage] || displayImages[0]}
+                                    size="large"
                                     alt={product.title}
                                     className="w-full h-full object-cover transition-opacity duration-500"
 
@@ -217,6 +266,14 @@ const ProductDetail = () => {
                                 {product.title}
                             </h1>
 
+                            <Link
+                                to={`/store/${product.seller}`}
+                                className="text-[10px] uppercase tracking-[0.2em] font-medium mb-6 transition-colors hover:text-[#C9A96E]"
+                                style={{ color: '#7A6E63' }}
+                            >
+                                Visit the store
+                            </Link>
+
                             <div className="mb-8">
                                 <span
                                     className="text-sm uppercase tracking-[0.2em] font-medium"
@@ -229,7 +286,7 @@ const ProductDetail = () => {
                             <div className="h-px w-full mb-8" style={{ backgroundColor: '#e4e2df' }} />
 
                             {/* Options/Variants */}
-                            {Object.entries(availableAttributes).map(([attrName, values]) => (
+                            {(optionMatrix?.options || []).map(({ name: attrName, values }) => (
                                 <div key={attrName} className="mb-6">
                                     <h3 className="text-[10px] uppercase tracking-[0.24em] font-medium mb-3" style={{ color: '#C9A96E' }}>
                                         {attrName}
@@ -237,11 +294,13 @@ const ProductDetail = () => {
                                     <div className="flex flex-wrap gap-2">
                                         {values.map(val => {
                                             const isSelected = selectedAttributes[attrName] === val;
+                                            const state = optionValueState(optionMatrix.combinations, selectedAttributes, attrName, val);
                                             return (
                                                 <button
                                                     key={val}
                                                     onClick={() => handleAttributeChange(attrName, val)}
-                                                    className={`px-4 py-2 text-[11px] uppercase tracking-[0.15em] font-medium transition-all duration-300 border ${isSelected ? 'border-[#1b1c1a] bg-[#1b1c1a] text-[#fbf9f6]' : 'border-[#d0c5b5] text-[#1b1c1a] hover:border-[#1b1c1a]'}`}
+                                                    title={state === 'sold-out' ? 'Out of stock' : state === 'unavailable' ? 'Not available with your selection' : undefined}
+                                                    className={`px-4 py-2 text-[11px] uppercase tracking-[0.15em] font-medium transition-all duration-300 border ${isSelected ? 'border-[#1b1c1a] bg-[#1b1c1a] text-[#fbf9f6]' : 'border-[#d0c5b5] text-[#1b1c1a] hover:border-[#1b1c1a]'} ${state !== 'available' && !isSelected ? 'line-through opacity-40' : ''}`}
                                                     style={isSelected ? {} : { backgroundColor: 'transparent' }}
                                                 >
                                                     {val}
@@ -252,11 +311,20 @@ const ProductDetail = () => {
                                 </div>
                             ))}
 
+                            {optionMatrix?.options.length > 0 && !activeCombination && (
+                                <p className="mb-6 text-[10px] uppercase tracking-[0.2em] font-medium text-red-700">
+                                    This combination is not available
+                                </p>
+                            )}
+
                             {/* Stock Information */}
-                            {activeVariant && activeVariant.stock !== undefined && (
-                                <div className="mb-6">
-                                    <span className={`text-[10px] uppercase tracking-[0.2em] font-medium ${activeVariant.stock > 0 ? 'text-green-700' : 'text-red-700'}`}>
-                                        {activeVariant.stock > 0 ? `${activeVariant.stock} in stock` : 'Out of stock'}
+                            {activeCombination && (
+                                <div className="mb-6 flex items-center justify-between">
+                                    <span className={`text-[10px] uppercase tracking-[0.2em] font-medium ${activeCombination.available ? 'text-green-700' : 'text-red-700'}`}>
+                                        {activeCombination.available ? `${activeCombination.stock} in stock` : 'Out of stock'}
+                                    </span>
+                                    <span className="text-[10px] uppercase tracking-[0.15em]" style={{ color: '#B5ADA3' }}>
+                                        SKU {activeCombination.sku}
                                     </span>
                                 </div>
                             )}
@@ -270,10 +338,18 @@ const ProductDetail = () => {
                                 </p>
                             </div>
 
+                            {isRemoved && (
+                                <p className="text-[10px] uppercase tracking-[0.2em] font-medium mb-6 text-red-700">
+                                    This piece is no longer available
+                                </p>
+                            )}
+
                             {/* Actions */}
                             <div className="flex flex-col gap-4 mt-auto">
                                 <button
-                                    className="w-full py-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-all duration-300"
+                                    onClick={handleAddToCartClick}
+                                    disabled={isOutOfStock || isRemoved}
+                                    className="w-full py-4 text-[11px] uppercase tracking-[0.25em] font-medium transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
                                     style={{
                                         backgroundColor: '#1b1c1a',
                                         color: '#fbf9f6',
@@ -308,6 +384,19 @@ const ProductDetail = () => {
                                 >
                                     Buy Now
                                 </button>
+
+                                <button
+                                    onClick={handleSaveToWishlist}
+                                    className="w-full py-2 text-[10px] uppercase tracking-[0.25em] font-medium transition-colors hover:text-[#C9A96E]"
+                                    style={{ color: '#7A6E63' }}
+                                >
+                                    {isOutOfStock ? 'Notify Me When Available' : 'Save to Wishlist'}
+                                </button>
+                                {wishlistMessage && (
+                                    <p className="text-[10px] uppercase tracking-[0.15em] text-center" style={{ color: '#7A6E63' }}>
+                                        {wishlistMessage}
+                                    </p>
+                                )}
                             </div>
 
                             {/* Extra elegant details */}
@@ -328,6 +417,10 @@ const ProductDetail = () => {
 
                         </div>
                     </div>
+
+                    <ProductRecommendations productId={product._id} />
+
+                    <ProductReviews productId={product._id} />
                 </div>
             </div>
         </>
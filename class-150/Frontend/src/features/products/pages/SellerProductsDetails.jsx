@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react'
 import { useProduct } from '../hooks/useProduct';
-import { useParams } from 'react-router';
+import { useCategory } from '../hooks/useCategory';
+import { useParams, useNavigate } from 'react-router';
 
 // Helper icons
 const PlusIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>;
@@ -23,8 +24,23 @@ const SellerProductDetails = () => {
     price: { amount: '', currency: 'INR' }
   });
 
+  // Product edit state
+  const [isEditingProduct, setIsEditingProduct] = useState(false);
+  const [productForm, setProductForm] = useState(null);
+  const [savingVariantId, setSavingVariantId] = useState(null);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+
   const { id } = useParams();
-  const { handleGetProductDetails, handleAddProductVariant } = useProduct();
+  const navigate = useNavigate();
+  const {
+    handleGetProductDetails,
+    handleAddProductVariant,
+    handleUpdateProduct,
+    handleDeleteProduct,
+    handleUpdateProductVariant,
+    handleDeleteProductVariant
+  } = useProduct();
+  const { handleGetCategoryOptions } = useCategory();
 
   async function fetchProductDetails() {
     setLoading(true);
@@ -79,10 +95,23 @@ const SellerProductDetails = () => {
       }
     };
 
+    const previousVariants = localVariants;
     setLocalVariants([...localVariants, variantToSave]);
     setIsAddingVariant(false);
 
-    await handleAddProductVariant(id, variantToSave)
+    let data;
+    try {
+      data = await handleAddProductVariant(id, variantToSave)
+    } catch (error) {
+      // e.g. another variant already has these attributes, keep the form so they can be changed
+      setLocalVariants(previousVariants);
+      setIsAddingVariant(true);
+      alert(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || "Failed to add variant.");
+      return;
+    }
+    // Use the saved variants so the new one has its id and can be edited
+    setProduct(data.product);
+    setLocalVariants(data.product.variants);
 
     // await fetchProductDetails();
 
@@ -164,6 +193,131 @@ const SellerProductDetails = () => {
     setNewVariant(prev => ({ ...prev, images: updatedImages }));
   };
 
+  // Handlers for editing the base product
+  const startEditingProduct = () => {
+    setProductForm({
+      title: product.title,
+      description: product.description,
+      price: { amount: product.price?.amount ?? '', currency: product.price?.currency || 'INR' },
+      category: product.category || '',
+      weightGrams: product.weightGrams ?? '',
+      removeImages: [],
+      newImages: []
+    });
+    setIsEditingProduct(true);
+    handleGetCategoryOptions()
+      .then(setCategoryOptions)
+      .catch(error => console.error("Failed to fetch categories", error));
+  };
+
+  const cancelEditingProduct = () => {
+    productForm?.newImages.forEach(img => URL.revokeObjectURL(img.previewUrl));
+    setIsEditingProduct(false);
+    setProductForm(null);
+  };
+
+  const toggleRemoveProductImage = (imageId) => {
+    setProductForm(prev => ({
+      ...prev,
+      removeImages: prev.removeImages.includes(imageId)
+        ? prev.removeImages.filter(i => i !== imageId)
+        : [...prev.removeImages, imageId]
+    }));
+  };
+
+  const handleProductImageUpload = (e) => {
+    const files = Array.from(e.target.files);
+    if (!files.length) return;
+
+    const keptCount = (product.images?.length || 0) - productForm.removeImages.length;
+    const availableSlots = 7 - keptCount - productForm.newImages.length;
+    const filesToAdd = files.slice(0, Math.max(availableSlots, 0));
+
+    if (files.length > filesToAdd.length) {
+      alert(`You can only have up to 7 images. ${filesToAdd.length} added.`);
+    }
+
+    setProductForm(prev => ({
+      ...prev,
+      newImages: [...prev.newImages, ...filesToAdd.map(file => ({ file, previewUrl: URL.createObjectURL(file) }))]
+    }));
+    e.target.value = '';
+  };
+
+  const handleSaveProduct = async () => {
+    if (!productForm.title.trim() || !productForm.description.trim()) {
+      alert("Title and description are required.");
+      return;
+    }
+
+    try {
+      const updated = await handleUpdateProduct(id, {
+        title: productForm.title,
+        description: productForm.description,
+        price: { amount: Number(productForm.price.amount) || 0, currency: productForm.price.currency },
+        category: productForm.category,
+        weightGrams: productForm.weightGrams,
+        removeImages: productForm.removeImages,
+        newImages: productForm.newImages.map(img => img.file)
+      });
+      setProduct(updated);
+      cancelEditingProduct();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to update product.");
+    }
+  };
+
+  const handleDeleteProductClick = async () => {
+    if (!window.confirm("Delete this product and all of its variants? This cannot be undone.")) return;
+
+    try {
+      await handleDeleteProduct(id);
+      navigate('/seller/dashboard');
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to delete product.");
+    }
+  };
+
+  // Handlers for saving / removing existing variants
+  const handleVariantPriceChange = (index, amount) => {
+    const updatedVariants = [...localVariants];
+    updatedVariants[index] = {
+      ...updatedVariants[index],
+      price: { ...updatedVariants[index].price, amount }
+    };
+    setLocalVariants(updatedVariants);
+  };
+
+  const handleSaveVariant = async (variant) => {
+    setSavingVariantId(variant._id);
+    try {
+      const loaded = product.variants.find(v => v._id === variant._id);
+      const updated = await handleUpdateProductVariant(id, variant._id, {
+        stock: Number(variant.stock) || 0,
+        expectedStock: loaded?.stock ?? 0,
+        price: { amount: Number(variant.price?.amount) || 0 }
+      });
+      setProduct(updated);
+      setLocalVariants(updated.variants);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to update variant.");
+    } finally {
+      setSavingVariantId(null);
+    }
+  };
+
+  const handleDeleteVariant = async (variant) => {
+    if (!window.confirm("Delete this variant?")) return;
+
+    try {
+      const updated = await handleDeleteProductVariant(id, variant._id);
+      setProduct(updated);
+      setLocalVariants(updated.variants);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to delete variant.");
+    }
+  };
+
   if (loading) {
     return <div className="min-h-screen bg-[#fbf9f6] flex items-center justify-center text-[#1b1c1a] font-serif">Loading gallery...</div>;
   }
@@ -202,13 +356,151 @@ const SellerProductDetails = () => {
             )}
           </div>
 
-          <div className="w-full md:w-1/2 flex flex-col justify-center">
-            <h2 className="font-serif text-4xl md:text-5xl leading-tight mb-4 uppercase">{product.title}</h2>
-            <p className="text-[#6e6258] text-lg mb-6 leading-relaxed max-w-md">{product.description}</p>
-            <div className="text-2xl tracking-wide font-light mb-8">
-              {product.price?.amount} {product.price?.currency}
+          {isEditingProduct ? (
+            <div className="w-full md:w-1/2 flex flex-col gap-6">
+              <div>
+                <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Title</label>
+                <input
+                  type="text"
+                  value={productForm.title}
+                  onChange={(e) => setProductForm({ ...productForm, title: e.target.value })}
+                  className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27] font-serif text-2xl"
+                />
+              </div>
+              <div>
+                <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Description</label>
+                <textarea
+                  rows={4}
+                  value={productForm.description}
+                  onChange={(e) => setProductForm({ ...productForm, description: e.target.value })}
+                  className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27] resize-none"
+                />
+              </div>
+              <div className="flex gap-4">
+                <div className="w-1/2">
+                  <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Price</label>
+                  <input
+                    type="number"
+                    value={productForm.price.amount}
+                    onChange={(e) => setProductForm({ ...productForm, price: { ...productForm.price, amount: e.target.value } })}
+                    className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27]"
+                  />
+                </div>
+                <div className="w-1/2">
+                  <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Currency</label>
+                  <select
+                    value={productForm.price.currency}
+                    onChange={(e) => setProductForm({ ...productForm, price: { ...productForm.price, currency: e.target.value } })}
+                    className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27] cursor-pointer"
+                  >
+                    {["INR", "USD", "EUR", "GBP", "JPY"].map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Category</label>
+                <select
+                  value={productForm.category}
+                  onChange={(e) => setProductForm({ ...productForm, category: e.target.value })}
+                  className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27] cursor-pointer"
+                >
+                  <option value="" disabled>Choose a category</option>
+                  {categoryOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-2">Parcel Weight (grams)</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={productForm.weightGrams}
+                  onChange={(e) => setProductForm({ ...productForm, weightGrams: e.target.value })}
+                  className="w-full bg-transparent border-b border-[#d0c5b5] py-2 focus:outline-none focus:border-[#745a27]"
+                />
+              </div>
+
+              {/* Images: click an existing image to mark it for removal */}
+              <div>
+                <label className="block text-sm uppercase tracking-wider text-[#6e6258] mb-3">Images</label>
+                <div className="grid grid-cols-4 gap-2 mb-4">
+                  {product.images?.map(img => {
+                    const isRemoved = productForm.removeImages.includes(img._id);
+                    return (
+                      <button
+                        key={img._id}
+                        onClick={() => toggleRemoveProductImage(img._id)}
+                        className={`relative aspect-[4/5] bg-[#f5f3f0] cursor-pointer ${isRemoved ? 'opacity-30' : ''}`}
+                        title={isRemoved ? 'Keep image' : 'Remove image'}
+                      >
+                        <img src={img.url} alt="Product" className="w-full h-full object-cover" />
+                        <span className="absolute top-1 right-1 bg-white/80 p-1 text-[#ba1a1a]"><TrashIcon /></span>
+                      </button>
+                    );
+                  })}
+                  {productForm.newImages.map((img, index) => (
+                    <div key={index} className="aspect-[4/5] bg-[#f5f3f0] ring-1 ring-[#745a27]">
+                      <img src={img.previewUrl} alt="New" className="w-full h-full object-cover" />
+                    </div>
+                  ))}
+                </div>
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={handleProductImageUpload}
+                  className="block w-full text-sm text-[#6e6258]
+                    file:mr-4 file:py-2 file:px-4
+                    file:border-0 file:bg-[#f5f3f0] file:text-[#1b1c1a]
+                    hover:file:bg-[#e4e2df] file:cursor-pointer file:uppercase file:text-xs file:tracking-wider file:font-serif
+                    cursor-pointer"
+                />
+              </div>
+
+              <div className="flex gap-4 justify-end">
+                <button
+                  onClick={cancelEditingProduct}
+                  className="text-[#7f7668] hover:text-[#1b1c1a] text-sm uppercase tracking-wider cursor-pointer"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveProduct}
+                  className="bg-gradient-to-r from-[#745a27] to-[#c9a96e] text-[#ffffff] px-8 py-3 uppercase tracking-wider text-sm hover:opacity-90 transition-opacity cursor-pointer"
+                >
+                  Save Changes
+                </button>
+              </div>
             </div>
-          </div>
+          ) : (
+            <div className="w-full md:w-1/2 flex flex-col justify-center">
+              <h2 className="font-serif text-4xl md:text-5xl leading-tight mb-4 uppercase">{product.title}</h2>
+              <p className="text-[#6e6258] text-lg mb-6 leading-relaxed max-w-md">{product.description}</p>
+              <div className="text-2xl tracking-wide font-light mb-8">
+                {product.price?.amount} {product.price?.currency}
+              </div>
+              <div className="flex gap-4">
+                <button
+                  onClick={startEditingProduct}
+                  className="bg-[#745a27] text-[#ffffff] px-6 py-3 uppercase tracking-wider text-sm hover:bg-[#5a4312] transition-colors cursor-pointer"
+                >
+                  Edit Product
+                </button>
+                <button
+                  onClick={handleDeleteProductClick}
+                  className="border border-[#ba1a1a] text-[#ba1a1a] px-6 py-3 uppercase tracking-wider text-sm hover:bg-[#ffdad6] transition-colors flex items-center gap-2 cursor-pointer"
+                >
+                  <TrashIcon /> Delete
+                </button>
+              </div>
+            </div>
+          )}
         </section>
 
         {/* Variants & Inventory */}
@@ -374,6 +666,9 @@ const SellerProductDetails = () => {
                     </div>
                     {/* Attributes */}
                     <div className="flex-1 min-w-0">
+                      {variant.sku && (
+                        <p className="text-[10px] uppercase tracking-[0.15em] text-[#a8a094] mb-1">SKU {variant.sku}</p>
+                      )}
                       <div className="flex flex-wrap gap-2 mb-2">
                         {Object.entries(variant.attributes || {}).map(([key, val]) => (
                           <span key={key} className="bg-[#f5f3f0] px-2 py-1 text-xs uppercase tracking-wider text-[#4d463a]">
@@ -381,22 +676,47 @@ const SellerProductDetails = () => {
                           </span>
                         ))}
                       </div>
-                      <div className="text-sm font-light">
-                        {variant.price?.amount ? `${variant.price.amount} ${variant.price.currency}` : 'Base Price'}
+                      <div className="text-sm font-light flex items-center gap-2">
+                        <input
+                          type="number"
+                          value={variant.price?.amount ?? ''}
+                          onChange={(e) => handleVariantPriceChange(idx, e.target.value)}
+                          placeholder="Base Price"
+                          className="w-24 bg-transparent border-b border-[#d0c5b5] py-1 focus:outline-none focus:border-[#745a27] placeholder:text-[#d0c5b5]"
+                        />
+                        <span>{variant.price?.currency}</span>
                       </div>
                     </div>
+                    {variant._id && (
+                      <button
+                        onClick={() => handleDeleteVariant(variant)}
+                        className="self-start text-[#ba1a1a] p-2 hover:bg-[#ffdad6] transition-colors cursor-pointer"
+                        aria-label="Delete variant"
+                      >
+                        <TrashIcon />
+                      </button>
+                    )}
                   </div>
 
                   {/* Stock Management Row */}
                   <div className="mt-auto border-t border-[#f5f3f0] bg-[#fbf9f6] flex items-center px-6 py-3 justify-between">
                     <label className="text-sm text-[#6e6258] uppercase tracking-wider">Current Stock</label>
-                    <div className="flex items-center gap-2">
+                    <div className="flex items-center gap-4">
                       <input
                         type="number"
                         value={variant.stock || 0}
                         onChange={(e) => handleStockChange(idx, e.target.value)}
                         className="w-20 bg-transparent border-b border-[#d0c5b5] py-1 text-right focus:outline-none focus:border-[#745a27] font-serif text-lg"
                       />
+                      {variant._id && (
+                        <button
+                          onClick={() => handleSaveVariant(variant)}
+                          disabled={savingVariantId === variant._id}
+                          className="text-[#745a27] text-xs uppercase tracking-wider hover:text-[#5a4312] disabled:opacity-50 cursor-pointer"
+                        >
+                          {savingVariantId === variant._id ? 'Saving...' : 'Save'}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
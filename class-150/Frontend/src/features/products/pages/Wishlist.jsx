@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router';
+import { useWishlist } from '../hooks/useWishlist';
+
+const Wishlist = () => {
+    const items = useSelector(state => state.wishlist.items);
+    const notifications = useSelector(state => state.wishlist.notifications);
+    const {
+        handleGetWishlist,
+        handleRemoveFromWishlist,
+        handleMoveToCart,
+        handleGetNotifications,
+        handleMarkNotificationRead
+    } = useWishlist();
+
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        handleGetWishlist();
+        handleGetNotifications();
+    }, []);
+
+    const handleMove = async (item) => {
+        setError(null);
+        try {
+            await handleMoveToCart(item._id, { quantity: 1 });
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not move this piece to your cart.");
+        }
+    };
+
+    const unreadNotifications = notifications.filter(notification => !notification.read);
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                {/* ── Navbar ── */}
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <Link to="/"
+                        className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                        style={{ color: '#7A6E63' }}
+                    >
+                        Return to Archive
+                    </Link>
+                </nav>
+
+                <div className="max-w-7xl mx-auto px-8 lg:px-16 xl:px-24 pt-16">
+                    <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#C9A96E' }}>
+                        Saved for Later
+                    </span>
+                    <h1 className="text-5xl font-light mt-4 mb-12" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                        Wishlist
+                    </h1>
+
+                    {/* ── Back in stock notifications ── */}
+                    {unreadNotifications.length > 0 && (
+                        <div className="mb-12 space-y-3">
+                            {unreadNotifications.map(notification => (
+                                <div
+                                    key={notification._id}
+                                    className="flex items-center justify-between px-6 py-4 border"
+                                    style={{ borderColor: '#C9A96E', backgroundColor: '#f5f3f0' }}
+                                >
+                                    <span className="text-sm" style={{ color: '#1b1c1a' }}>{notification.message}</span>
+                                    <button
+                                        onClick={() => handleMarkNotificationRead(notification._id)}
+                                        className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-[#C9A96E]"
+                                        style={{ color: '#7A6E63' }}
+                                    >
+                                        Dismiss
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {error && <p className="mb-6 text-xs text-red-700">{error}</p>}
+
+                    {items.length === 0 ? (
+                        <p className="text-sm" style={{ color: '#7A6E63' }}>Your wishlist is empty.</p>
+                    ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-x-8 gap-y-14">
+                            {items.map(item => {
+                                const image = item.variant?.images?.[0] || item.product.images?.[0];
+                                const attributes = item.variant ? Object.values(item.variant.attributes || {}).join(' / ') : null;
+
+                                return (
+                                    <div key={item._id} className="flex flex-col">
+                                        <Link to={`/product/${item.product._id}`} className="block aspect-4/5 overflow-hidden mb-5" style={{ backgroundColor: '#f5f3f0' }}>
+                                            <img
+                                                src={image?.url || '/snitch_editorial_warm.png'}
+                                                alt={item.product.title}
+                                                className={`w-full h-full object-cover ${item.inStock ? '' : 'opacity-50'}`}
+                                            />
+                                        </Link>
+                                        <h3 className="text-lg font-light" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                                            {item.product.title}
+                                        </h3>
+                                        {attributes && (
+                                            <span className="text-[10px] uppercase tracking-[0.15em] mt-1" style={{ color: '#7A6E63' }}>{attributes}</span>
+                                        )}
+                                        <span className="text-xs uppercase tracking-[0.15em] mt-2" style={{ color: '#1b1c1a' }}>
+                                            {(item.displayPrice || item.price)?.currency} {(item.displayPrice || item.price)?.amount?.toLocaleString()}
+                                        </span>
+                                        {!item.inStock && (
+                                            <span className="text-[10px] uppercase tracking-[0.2em] font-medium mt-2 text-red-700">
+                                                Out of stock{item.notifyWhenInStock ? ' · We will notify you' : ''}
+                                            </span>
+                                        )}
+
+                                        <div className="flex gap-4 mt-5">
+                                            {/* Items saved without a variant are picked on the product page */}
+                                            {!item.requiresVariant || !item.inStock ? (
+                                                <button
+                                                    onClick={() => handleMove(item)}
+                                                    disabled={!item.inStock}
+                                                    className="flex-1 py-3 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a] disabled:opacity-40 disabled:cursor-not-allowed"
+                                                    style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                                                >
+                                                    Move to Cart
+                                                </button>
+                                            ) : (
+                                                <Link
+                                                    to={`/product/${item.product._id}`}
+                                                    className="flex-1 py-3 text-center text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]"
+                                                    style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}
+                                                >
+                                                    Choose Options
+                                                </Link>
+                                            )}
+                                            <button
+                                                onClick={() => handleRemoveFromWishlist(item._id)}
+                                                className="text-[10px] uppercase tracking-[0.2em] font-medium transition-colors hover:text-red-700"
+                                                style={{ color: '#7A6E63' }}
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default Wishlist;
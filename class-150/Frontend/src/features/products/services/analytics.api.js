@@ -0,0 +1,28 @@
+import axios from "axios";
+
+
+const sellerApiInstance = axios.create({
+    baseURL: "/api/seller",
+    withCredentials: true
+})
+
+// Revenue over time, units per variant, top products and low stock alerts in one request
+export const getSellerAnalytics = async ({ from, to, interval, threshold } = {}) => {
+    const response = await sellerApiInstance.get("/analytics", { params: { from, to, interval, threshold } });
+    return response.data;
+}
+
+export const getRevenueAnalytics = async ({ from, to, interval } = {}) => {
+    const response = await sellerApiInstance.get("/analytics/revenue", { params: { from, to, interval } });
+    return response.data;
+}
+
+export const getTopProducts = async ({ from, to, by, limit } = {}) => {
+    const response = await sellerApiInstance.get("/analytics/top-products", { params: { from, to, by, limit } });
+    return response.data;
+}
+
+export const getLowStockAlerts = async ({ threshold } = {}) => {
+    const response = await sellerApiInstance.get("/analytics/low-stock", { params: { threshold } });
+    return response.data;
+}
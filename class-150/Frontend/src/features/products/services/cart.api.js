@@ -0,0 +1,54 @@
+import axios from "axios";
+
+
+const cartApiInstance = axios.create({
+    baseURL: "/api/cart",
+    withCredentials: true
+})
+
+export const getCart = async () => {
+    const response = await cartApiInstance.get("/");
+    return response.data;
+}
+
+export const addCartItem = async ({ productId, variantId, quantity }) => {
+    const response = await cartApiInstance.post("/items", { productId, variantId, quantity });
+    return response.data;
+}
+
+export const updateCartItem = async (itemId, quantity) => {
+    const response = await cartApiInstance.put(`/items/${itemId}`, { quantity });
+    return response.data;
+}
+
+export const removeCartItem = async (itemId) => {
+    const response = await cartApiInstance.delete(`/items/${itemId}`);
+    return response.data;
+}
+
+export const clearCart = async () => {
+    const response = await cartApiInstance.delete("/");
+    return response.data;
+}
+
+export const applyCoupon = async (code) => {
+    const response = await cartApiInstance.post("/coupon", { code });
+    return response.data;
+}
+
+export const removeCoupon = async () => {
+    const response = await cartApiInstance.delete("/coupon");
+    return response.data;
+}
+
+// Shipping for a saved address or a country, the default address when both are left out
+export const getShippingQuote = async ({ addressId, country } = {}) => {
+    const response = await cartApiInstance.get("/shipping", { params: { addressId, country } });
+    return response.data;
+}
+
+// Send the items added before login so the server can merge them into the user's cart
+export const mergeCart = async (items) => {
+    const response = await cartApiInstance.post("/merge", { items });
+    return response.data;
+}
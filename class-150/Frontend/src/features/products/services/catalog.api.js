@@ -0,0 +1,25 @@
+import axios from "axios";
+
+
+const sellerApiInstance = axios.create({
+    baseURL: "/api/seller",
+    withCredentials: true
+})
+
+// Upload a .csv / .json catalog file. With dryRun the rows are only validated.
+export const importCatalog = async (file, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    const response = await sellerApiInstance.post("/products/import", formData, { params: { dryRun } });
+    return response.data;
+}
+
+// The catalog file as a Blob, format: "csv" | "json"
+export const exportCatalog = async (format = "csv") => {
+    const response = await sellerApiInstance.get("/products/export", {
+        params: { format },
+        responseType: "blob"
+    });
+    return response.data;
+}
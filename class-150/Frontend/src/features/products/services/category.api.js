@@ -0,0 +1,19 @@
+import axios from "axios";
+
+
+const categoriesApiInstance = axios.create({
+    baseURL: "/api/categories",
+    withCredentials: true
+})
+
+// Nested tree of categories, pass { flat: true } for a flat list
+export const getCategories = async ({ flat } = {}) => {
+    const response = await categoriesApiInstance.get("/", { params: flat ? { flat: true } : {} });
+    return response.data;
+}
+
+// A category by id or slug, with its breadcrumb and sub categories
+export const getCategory = async (idOrSlug) => {
+    const response = await categoriesApiInstance.get(`/${idOrSlug}`);
+    return response.data;
+}
@@ -0,0 +1,18 @@
+import axios from "axios";
+
+
+const currencyApiInstance = axios.create({
+    baseURL: "/api/currency",
+    withCredentials: true
+})
+
+export const getExchangeRates = async () => {
+    const response = await currencyApiInstance.get("/rates");
+    return response.data;
+}
+
+// Saved on the account so the server converts prices for the user on every device
+export const updatePreferredCurrency = async (preferredCurrency) => {
+    const response = await axios.patch("/api/users/me/preferences", { preferredCurrency }, { withCredentials: true });
+    return response.data;
+}
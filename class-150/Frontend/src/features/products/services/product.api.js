@@ -19,13 +19,14 @@ export const getSellerProducts = async () => {
     return response.data;
 }
 
-export const getAllProducts = async () => {
-    const response = await productsApiInstance.get("/");
+// params: { q, minPrice, maxPrice, currency, category, sort, limit, cursor, "attr.<name>" }
+export const getAllProducts = async (params = {}) => {
+    const response = await productsApiInstance.get("/", { params });
     return response.data;
 }
 
-export const getProductDetails = async (id) => {
-    const response = await productsApiInstance.get(`/${id}`);
+export const getProductDetails = async (id, params = {}) => {
+    const response = await productsApiInstance.get(`/${id}`, { params });
     return response.data;
 }
 
@@ -51,4 +52,73 @@ export const createProductVariant = async (id, newProductVariant) => {
     );
 
     return response.data;
-};
\ No newline at end of file
+};
+
+// Partial update, only the fields present in `changes` are sent
+export const updateProduct = async (id, changes) => {
+    const formData = new FormData();
+
+    if (changes.title !== undefined) formData.append("title", changes.title);
+    if (changes.description !== undefined) formData.append("description", changes.description);
+    if (changes.price?.amount !== undefined) formData.append("priceAmount", changes.price.amount);
+    if (changes.price?.currency !== undefined) formData.append("priceCurrency", changes.price.currency);
+    if (changes.category) formData.append("category", changes.category);
+    if (changes.weightGrams) formData.append("weightGrams", changes.weightGrams);
+
+    (changes.newImages || []).forEach((file) => {
+        formData.append("images", file);
+    });
+    formData.append("removeImages", JSON.stringify(changes.removeImages || []));
+
+    const response = await productsApiInstance.patch(`/${id}`, formData);
+    return response.data;
+}
+
+export const deleteProduct = async (id) => {
+    const response = await productsApiInstance.delete(`/${id}`);
+    return response.data;
+}
+
+// Partial update of a variant, only the fields present in `changes` are sent.
+// A stock change needs expectedStock, the stock the seller loaded
+export const updateProductVariant = async (id, variantId, changes) => {
+    const formData = new FormData();
+
+    if (changes.stock !== undefined) formData.append("stock", changes.stock);
+    // the stock the change is based on, units sold since then stay taken
+    if (changes.expectedStock !== undefined) formData.append("expectedStock", changes.expectedStock);
+    if (changes.price?.amount !== undefined) formData.append("priceAmount", changes.price.amount);
+    if (changes.price?.currency !== undefined) formData.append("priceCurrency", changes.price.currency);
+    if (changes.attributes !== undefined) formData.append("attributes", JSON.stringify(changes.attributes));
+
+    (changes.newImages || []).forEach((file) => {
+        formData.append("images", file);
+    });
+    formData.append("removeImages", JSON.stringify(changes.removeImages || []));
+
+    const response = await productsApiInstance.patch(`/${id}/variants/${variantId}`, formData);
+    return response.data;
+}
+
+export const deleteProductVariant = async (id, variantId) => {
+    const response = await productsApiInstance.delete(`/${id}/variants/${variantId}`);
+    return response.data;
+}
+
+// Remember the product in the recently viewed list of the user / guest session
+export const recordProductView = async (id) => {
+    const response = await productsApiInstance.post(`/${id}/views`);
+    return response.data;
+}
+
+// params: { limit, exclude, displayCurrency }
+export const getRecentlyViewed = async (params = {}) => {
+    const response = await productsApiInstance.get("/recently-viewed", { params });
+    return response.data;
+}
+
+// params: { limit, displayCurrency }
+export const getFrequentlyBoughtTogether = async (id, params = {}) => {
+    const response = await productsApiInstance.get(`/${id}/frequently-bought-together`, { params });
+    return response.data;
+}
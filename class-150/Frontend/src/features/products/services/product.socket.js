@@ -0,0 +1,47 @@
+import { io } from "socket.io-client";
+
+// one connection for the whole app, opened by the first subscription
+let socket = null;
+
+export const initializeSocketConnection = () => {
+    if (socket) return socket;
+
+    // same origin, vite proxies /socket.io to the backend
+    socket = io({
+        withCredentials: true,
+    })
+
+    return socket;
+}
+
+/**
+ * Listen to the live changes of a product, prices come in `currency` (null: as listed).
+ * handlers: { onUpdated(product), onRemoved(productId) }. Returns the function that stops listening.
+ */
+export const subscribeToProduct = (productId, currency, { onUpdated, onRemoved }) => {
+    const connection = initializeSocketConnection();
+    const subscription = { productId, currency };
+
+    // rooms are lost on reconnect, join again every time
+    const subscribe = () => connection.emit("product:subscribe", subscription);
+
+    const handleUpdated = ({ product }) => {
+        if (product._id === productId) onUpdated(product);
+    };
+
+    const handleRemoved = ({ productId: removedId }) => {
+        if (removedId === productId) onRemoved(removedId);
+    };
+
+    connection.on("connect", subscribe);
+    connection.on("product:updated", handleUpdated);
+    connection.on("product:removed", handleRemoved);
+    if (connection.connected) subscribe();
+
+    return () => {
+        connection.emit("product:unsubscribe", subscription);
+        connection.off("connect", subscribe);
+        connection.off("product:updated", handleUpdated);
+        connection.off("product:removed", handleRemoved);
+    };
+}
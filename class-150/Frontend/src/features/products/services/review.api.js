@@ -0,0 +1,35 @@
+import axios from "axios";
+
+
+const reviewsApiInstance = (productId) => axios.create({
+    baseURL: `/api/products/${productId}/reviews`,
+    withCredentials: true
+})
+
+export const getProductReviews = async (productId, params = {}) => {
+    const response = await reviewsApiInstance(productId).get("/", { params });
+    return response.data;
+}
+
+export const createReview = async (productId, { rating, text, photos = [] }) => {
+    const formData = new FormData();
+
+    formData.append("rating", rating);
+    formData.append("text", text);
+    photos.forEach((photo) => {
+        formData.append("photos", photo);
+    });
+
+    const response = await reviewsApiInstance(productId).post("/", formData);
+    return response.data;
+}
+
+export const updateReview = async (productId, reviewId, { rating, text }) => {
+    const response = await reviewsApiInstance(productId).patch(`/${reviewId}`, { rating, text });
+    return response.data;
+}
+
+export const deleteReview = async (productId, reviewId) => {
+    const response = await reviewsApiInstance(productId).delete(`/${reviewId}`);
+    return response.data;
+}
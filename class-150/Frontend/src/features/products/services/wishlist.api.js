@@ -0,0 +1,37 @@
+import axios from "axios";
+
+
+const userApiInstance = axios.create({
+    baseURL: "/api/users/me",
+    withCredentials: true
+})
+
+export const getWishlist = async () => {
+    const response = await userApiInstance.get("/wishlist");
+    return response.data;
+}
+
+export const addWishlistItem = async ({ productId, variantId, notifyWhenInStock = true }) => {
+    const response = await userApiInstance.post("/wishlist", { productId, variantId, notifyWhenInStock });
+    return response.data;
+}
+
+export const removeWishlistItem = async (itemId) => {
+    const response = await userApiInstance.delete(`/wishlist/${itemId}`);
+    return response.data;
+}
+
+export const moveWishlistItemToCart = async (itemId, { variantId, quantity } = {}) => {
+    const response = await userApiInstance.post(`/wishlist/${itemId}/move-to-cart`, { variantId, quantity });
+    return response.data;
+}
+
+export const getNotifications = async () => {
+    const response = await userApiInstance.get("/notifications");
+    return response.data;
+}
+
+export const markNotificationRead = async (notificationId) => {
+    const response = await userApiInstance.patch(`/notifications/${notificationId}/read`);
+    return response.data;
+}
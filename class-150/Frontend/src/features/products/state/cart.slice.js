@@ -0,0 +1,57 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+export const GUEST_CART_KEY = "guestCart";
+
+// The guest cart survives a page refresh in localStorage until it is merged into the server cart
+function loadGuestCart() {
+    try {
+        const items = JSON.parse(localStorage.getItem(GUEST_CART_KEY));
+        return Array.isArray(items) ? items : [];
+    } catch {
+        return [];
+    }
+}
+
+const cartSlice = createSlice({
+    name: "cart",
+    initialState: {
+        items: loadGuestCart(),
+        couponCode: null,
+        // subtotal, discounts and total calculated by the server, null for the guest cart
+        totals: null,
+        // true once items came from the server, false while they only live in the guest cart
+        synced: false
+    },
+    reducers: {
+        setCart: (state, action) => {
+            state.items = action.payload;
+            state.synced = true;
+        },
+        addToCart: (state, action) => {
+            const { product, variant, quantity } = action.payload;
+            const existingItem = state.items.find(item =>
+                item.product._id === product._id &&
+                (item.variant?._id || null) === (variant?._id || null)
+            );
+
+            if (existingItem) {
+                existingItem.quantity += quantity;
+            } else {
+                state.items.push(action.payload);
+            }
+        },
+        setCartSummary: (state, action) => {
+            state.couponCode = action.payload.couponCode;
+            state.totals = action.payload.totals;
+        },
+        clearCart: (state) => {
+            state.items = [];
+            state.couponCode = null;
+            state.totals = null;
+            state.synced = false;
+        }
+    }
+});
+
+export const { setCart, addToCart, setCartSummary, clearCart } = cartSlice.actions;
+export default cartSlice.reducer;
@@ -0,0 +1,19 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+export const CURRENCIES = ["INR", "USD", "EUR", "GBP", "JPY"];
+
+const currencySlice = createSlice({
+    name: "currency",
+    initialState: {
+        // null shows every price in the currency the seller listed it in
+        displayCurrency: localStorage.getItem("displayCurrency") || null
+    },
+    reducers: {
+        setDisplayCurrency: (state, action) => {
+            state.displayCurrency = action.payload;
+        }
+    }
+});
+
+export const { setDisplayCurrency } = currencySlice.actions;
+export default currencySlice.reducer;
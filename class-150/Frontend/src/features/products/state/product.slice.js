@@ -5,18 +5,56 @@ const productSlice = createSlice({
     name: "product",
     initialState: {
         sellerProducts: [],
-        products: []
+        products: [],
+        // the product open on the detail page, kept current by the live updates
+        productDetails: null,
+        pagination: {
+            nextCursor: null,
+            hasMore: false
+        }
     },
     reducers: {
         setSellerProducts: (state, action) => {
             state.sellerProducts = action.payload;
         },
+        removeSellerProduct: (state, action) => {
+            state.sellerProducts = state.sellerProducts.filter(product => product._id !== action.payload);
+        },
         setProducts: (state, action) => {
             state.products = action.payload;
+        },
+        appendProducts: (state, action) => {
+            state.products.push(...action.payload);
+        },
+        setPagination: (state, action) => {
+            state.pagination = action.payload;
+        },
+        setProductDetails: (state, action) => {
+            state.productDetails = action.payload;
+        },
+        // a live update: the new product replaces the open one and its prices / stock in the listing
+        productUpdated: (state, action) => {
+            const product = action.payload;
+
+            if (state.productDetails?._id === product._id) {
+                state.productDetails = product;
+            }
+
+            const listed = state.products.find(item => item._id === product._id);
+            if (listed) {
+                Object.assign(listed, { price: product.price, displayPrice: product.displayPrice, variants: product.variants });
+            }
+        },
+        // deleted or unpublished while a shopper was looking at it
+        productRemoved: (state, action) => {
+            if (state.productDetails?._id === action.payload) {
+                state.productDetails.removed = true;
+            }
+            state.products = state.products.filter(product => product._id !== action.payload);
         }
     }
 })
 
-export const { setSellerProducts, setProducts } = productSlice.actions;
+export const { setSellerProducts, removeSellerProduct, setProducts, appendProducts, setPagination, setProductDetails, productUpdated, productRemoved } = productSlice.actions;
 
 export default productSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,30 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+const wishlistSlice = createSlice({
+    name: "wishlist",
+    initialState: {
+        items: [],
+        notifications: [],
+        unreadCount: 0
+    },
+    reducers: {
+        setWishlist: (state, action) => {
+            state.items = action.payload;
+        },
+        setNotifications: (state, action) => {
+            state.notifications = action.payload.notifications;
+            state.unreadCount = action.payload.unreadCount;
+        },
+        markRead: (state, action) => {
+            const notification = state.notifications.find(n => n._id === action.payload);
+
+            if (notification && !notification.read) {
+                notification.read = true;
+                state.unreadCount = Math.max(state.unreadCount - 1, 0);
+            }
+        }
+    }
+});
+
+export const { setWishlist, setNotifications, markRead } = wishlistSlice.actions;
+export default wishlistSlice.reducer;
@@ -0,0 +1,40 @@
+import { useSelector } from "react-redux";
+import { getStore, getStoreProducts, getMyStore, updateMyStore } from "../services/store.api";
+
+export const useStore = () => {
+
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
+
+    async function handleGetStore(idOrSlug) {
+        const data = await getStore(idOrSlug);
+        return data.store;
+    }
+
+    // resolves to { products, pagination }, pass the cursor of the last page to get the next one
+    async function handleGetStoreProducts(idOrSlug, { sort, cursor } = {}) {
+        const params = { limit: 12 };
+        if (sort) params.sort = sort;
+        if (cursor) params.cursor = cursor;
+        if (displayCurrency) params.displayCurrency = displayCurrency;
+
+        const data = await getStoreProducts(idOrSlug, params);
+        return { products: data.products, pagination: data.pagination };
+    }
+
+    async function handleGetMyStore() {
+        const data = await getMyStore();
+        return data.store;
+    }
+
+    async function handleUpdateMyStore(changes) {
+        const data = await updateMyStore(changes);
+        return data.store;
+    }
+
+    return {
+        handleGetStore,
+        handleGetStoreProducts,
+        handleGetMyStore,
+        handleUpdateMyStore
+    }
+}
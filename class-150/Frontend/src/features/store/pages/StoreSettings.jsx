@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { useStore } from '../hooks/useStore';
+import ProductImage from '../../products/components/ProductImage';
+
+const POLICIES = [
+    { key: 'shipping', label: 'Shipping Policy' },
+    { key: 'returns', label: 'Returns Policy' },
+    { key: 'exchanges', label: 'Exchanges Policy' }
+];
+
+const errorMessage = (err, fallback) =>
+    err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+const Section = ({ title, children }) => (
+    <section className="py-10 border-b" style={{ borderColor: '#e4e2df' }}>
+        <h2 className="text-2xl font-light mb-6" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>{title}</h2>
+        {children}
+    </section>
+);
+
+const Label = ({ children }) => (
+    <label className="block text-[10px] uppercase tracking-[0.2em] font-medium mb-2" style={{ color: '#7A6E63' }}>{children}</label>
+);
+
+const fieldClassName = "w-full bg-transparent border-b border-[#d0c5b5] py-2 text-sm focus:outline-none focus:border-[#C9A96E]";
+
+// Logo / banner picker: the new file, the current image or nothing
+const ImageField = ({ label, current, file, onFile, onRemove, className }) => {
+    const [preview, setPreview] = useState(null);
+
+    useEffect(() => {
+        if (!file) return undefined;
+        const url = URL.createObjectURL(file);
+        Promise.resolve(url).then(setPreview);
+        return () => URL.revokeObjectURL(url);
+    }, [file]);
+
+    return (
+        <div>
+            <Label>{label}</Label>
+            <div className={`overflow-hidden mb-3 ${className}`} style={{ backgroundColor: '#f5f3f0' }}>
+                {file && preview ? (
+                    <img src={preview} alt={label} className="w-full h-full object-cover" />
+                ) : current ? (
+                    <ProductImage image={current} size="medium" alt={label} className="w-full h-full object-cover" />
+                ) : null}
+            </div>
+            <div className="flex gap-6 text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#7A6E63' }}>
+                <label className="cursor-pointer hover:text-[#C9A96E]">
+                    Upload
+                    <input type="file" accept="image/*" className="hidden" onChange={(e) => onFile(e.target.files[0] || null)} />
+                </label>
+                {(file || current) && (
+                    <button type="button" onClick={onRemove} className="uppercase tracking-[0.2em] hover:text-red-700">Remove</button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const buttonClassName = "py-3 px-6 text-[10px] uppercase tracking-[0.2em] font-medium transition-colors duration-300 hover:bg-[#C9A96E] hover:text-[#1b1c1a]";
+
+// Seller settings of the public storefront
+const StoreSettings = () => {
+    const { handleGetMyStore, handleUpdateMyStore } = useStore();
+
+    const [store, setStore] = useState(null);
+    const [form, setForm] = useState(null);
+    const [files, setFiles] = useState({ logo: null, banner: null });
+    const [removed, setRemoved] = useState({ logo: false, banner: false });
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const loadStore = (data) => {
+        setStore(data);
+        setForm({
+            storeName: data.storeName,
+            slug: data.slug || '',
+            description: data.description,
+            policies: { ...data.policies }
+        });
+        setFiles({ logo: null, banner: null });
+        setRemoved({ logo: false, banner: false });
+    };
+
+    useEffect(() => {
+        handleGetMyStore()
+            .then(loadStore)
+            .catch(err => setStatus({ ok: false, message: errorMessage(err, "Could not load your store.") }));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setStatus(null);
+        setIsSaving(true);
+        try {
+            const data = await handleUpdateMyStore({
+                storeName: form.storeName,
+                // an empty url keeps the current one, new stores get one from their name
+                slug: form.slug || undefined,
+                description: form.description,
+                policies: form.policies,
+                logo: files.logo,
+                banner: files.banner,
+                removeLogo: removed.logo ? 'true' : undefined,
+                removeBanner: removed.banner ? 'true' : undefined
+            });
+            loadStore(data);
+            setStatus({ ok: true, message: "Your store has been saved." });
+        } catch (err) {
+            setStatus({ ok: false, message: errorMessage(err, "Could not save your store.") });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const imageProps = (field) => ({
+        current: removed[field] ? null : store[field],
+        file: files[field],
+        onFile: (file) => {
+            setFiles(prev => ({ ...prev, [field]: file }));
+            setRemoved(prev => ({ ...prev, [field]: false }));
+        },
+        onRemove: () => {
+            setFiles(prev => ({ ...prev, [field]: null }));
+            setRemoved(prev => ({ ...prev, [field]: true }));
+        }
+    });
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                {/* ── Navbar ── */}
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <div className="flex gap-6 text-[10px] uppercase tracking-[0.2em] font-medium" style={{ color: '#7A6E63' }}>
+                        {store?.slug && (
+                            <Link to={`/store/${store.slug}`} className="transition-colors hover:text-[#C9A96E]">View Store</Link>
+                        )}
+                        <Link to="/seller/dashboard" className="transition-colors hover:text-[#C9A96E]">Dashboard</Link>
+                    </div>
+                </nav>
+
+                <div className="max-w-2xl mx-auto px-8 pt-16">
+                    <span className="text-[10px] uppercase tracking-[0.24em] font-medium" style={{ color: '#C9A96E' }}>
+                        Your Store
+                    </span>
+                    <h1 className="text-5xl font-light mt-4 mb-6" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                        Storefront
+                    </h1>
+
+                    {!form ? (
+                        status ? <p className="text-xs text-red-700">{status.message}</p> : <p className="text-sm" style={{ color: '#7A6E63' }}>Loading your store...</p>
+                    ) : (
+                        <form onSubmit={handleSubmit}>
+                            <Section title="Profile">
+                                <div className="space-y-6">
+                                    <div>
+                                        <Label>Store Name</Label>
+                                        <input value={form.storeName} onChange={(e) => setForm({ ...form, storeName: e.target.value })}
+                                            required maxLength={60} className={fieldClassName} style={{ color: '#1b1c1a' }} />
+                                    </div>
+                                    <div>
+                                        <Label>Store Url</Label>
+                                        <div className="flex items-baseline gap-1 text-sm" style={{ color: '#B5ADA3' }}>
+                                            <span>/store/</span>
+                                            <input value={form.slug} onChange={(e) => setForm({ ...form, slug: e.target.value.toLowerCase() })}
+                                                placeholder="made-from-your-store-name" maxLength={60} className={fieldClassName} style={{ color: '#1b1c1a' }} />
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <Label>About the Store</Label>
+                                        <textarea value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })}
+                                            rows={4} maxLength={2000} className={`${fieldClassName} resize-none`} style={{ color: '#1b1c1a' }} />
+                                    </div>
+                                </div>
+                            </Section>
+
+                            <Section title="Images">
+                                <div className="space-y-8">
+                                    <ImageField label="Logo" className="w-28 h-28" {...imageProps('logo')} />
+                                    <ImageField label="Banner" className="w-full aspect-[4/1]" {...imageProps('banner')} />
+                                </div>
+                            </Section>
+
+                            <Section title="Policies">
+                                <div className="space-y-6">
+                                    {POLICIES.map(policy => (
+                                        <div key={policy.key}>
+                                            <Label>{policy.label}</Label>
+                                            <textarea
+                                                value={form.policies[policy.key]}
+                                                onChange={(e) => setForm({ ...form, policies: { ...form.policies, [policy.key]: e.target.value } })}
+                                                rows={3} maxLength={2000} className={`${fieldClassName} resize-none`} style={{ color: '#1b1c1a' }}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            </Section>
+
+                            <div className="pt-10 flex items-center gap-6">
+                                <button type="submit" disabled={isSaving} className={`${buttonClassName} disabled:opacity-50`} style={{ backgroundColor: '#1b1c1a', color: '#fbf9f6' }}>
+                                    {isSaving ? 'Saving…' : 'Save Store'}
+                                </button>
+                                {status && (
+                                    <p className={`text-xs ${status.ok ? '' : 'text-red-700'}`} style={status.ok ? { color: '#7A6E63' } : undefined}>{status.message}</p>
+                                )}
+                            </div>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default StoreSettings;
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Link, useNavigate, useParams } from 'react-router';
+import { useStore } from '../hooks/useStore';
+import ProductImage from '../../products/components/ProductImage';
+import CurrencySelect from '../../products/components/CurrencySelect';
+
+const POLICIES = [
+    { key: 'shipping', label: 'Shipping' },
+    { key: 'returns', label: 'Returns' },
+    { key: 'exchanges', label: 'Exchanges' }
+];
+
+// Public shop of a seller, /store/:slug also accepts the seller id
+const Storefront = () => {
+    const { slug } = useParams();
+    const navigate = useNavigate();
+    const { handleGetStore, handleGetStoreProducts } = useStore();
+    const displayCurrency = useSelector(state => state.currency.displayCurrency);
+
+    const [store, setStore] = useState(null);
+    const [notFound, setNotFound] = useState(false);
+    const [products, setProducts] = useState([]);
+    const [pagination, setPagination] = useState({ nextCursor: null, hasMore: false });
+    const [sort, setSort] = useState('newest');
+
+    useEffect(() => {
+        handleGetStore(slug)
+            .then(setStore)
+            .catch(err => {
+                if (err.response?.status === 404) setNotFound(true);
+                else console.error("Failed to fetch store", err);
+            });
+    }, [slug]);
+
+    useEffect(() => {
+        handleGetStoreProducts(slug, { sort })
+            .then(data => {
+                setProducts(data.products);
+                setPagination(data.pagination);
+            })
+            .catch(err => console.error("Failed to fetch store products", err));
+    }, [slug, sort, displayCurrency]);
+
+    const handleLoadMore = async () => {
+        try {
+            const data = await handleGetStoreProducts(slug, { sort, cursor: pagination.nextCursor });
+            setProducts(prev => [...prev, ...data.products]);
+            setPagination(data.pagination);
+        } catch (err) {
+            console.error("Failed to fetch more products", err);
+        }
+    };
+
+    if (notFound) {
+        return (
+            <div className="min-h-screen flex flex-col items-center justify-center gap-6" style={{ backgroundColor: '#fbf9f6' }}>
+                <p className="text-3xl font-light" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>This store does not exist.</p>
+                <Link to="/" className="text-[10px] uppercase tracking-[0.2em] font-medium hover:text-[#C9A96E]" style={{ color: '#7A6E63' }}>
+                    Return to Archive
+                </Link>
+            </div>
+        );
+    }
+
+    if (!store) {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <p>Opening the store...</p>
+            </div>
+        );
+    }
+
+    const policies = POLICIES.filter(policy => store.policies[policy.key]);
+
+    return (
+        <>
+            {/* Google Fonts */}
+            <link
+                href="https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,300;0,400;0,500;1,300;1,400&family=Inter:wght@300;400;500;600&display=swap"
+                rel="stylesheet"
+            />
+
+            <div
+                className="min-h-screen selection:bg-[#C9A96E]/30 pb-24"
+                style={{ backgroundColor: '#fbf9f6', fontFamily: "'Inter', sans-serif" }}
+            >
+                {/* ── Navbar ── */}
+                <nav className="px-8 lg:px-16 xl:px-24 pt-10 pb-6 flex items-center justify-between border-b" style={{ borderColor: '#e4e2df' }}>
+                    <Link to="/"
+                        className="text-sm font-medium tracking-[0.35em] uppercase hover:opacity-80 transition-opacity"
+                        style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}
+                    >
+                        Snitch.
+                    </Link>
+                    <CurrencySelect />
+                </nav>
+
+                {/* ── Banner ── */}
+                <div className="w-full aspect-[4/1] max-h-[360px] overflow-hidden" style={{ backgroundColor: '#e4e2df' }}>
+                    {store.banner && (
+                        <ProductImage image={store.banner} size="large" alt={`${store.storeName} banner`} className="w-full h-full object-cover" />
+                    )}
+                </div>
+
+                <div className="max-w-7xl mx-auto px-8 lg:px-16 xl:px-24">
+
+                    {/* ── Store Header ── */}
+                    <div className="flex flex-col md:flex-row md:items-end gap-8 -mt-12 mb-16">
+                        <div className="w-28 h-28 shrink-0 overflow-hidden border-4 flex items-center justify-center"
+                            style={{ borderColor: '#fbf9f6', backgroundColor: '#f5f3f0' }}>
+                            {store.logo ? (
+                                <ProductImage image={store.logo} size="thumbnail" alt={store.storeName} className="w-full h-full object-cover" />
+                            ) : (
+                                <span className="text-4xl font-light" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#C9A96E' }}>
+                                    {store.storeName.charAt(0)}
+                                </span>
+                            )}
+                        </div>
+                        <div className="flex-1">
+                            <p className="text-[10px] uppercase tracking-[0.22em] mb-2 font-medium" style={{ color: '#C9A96E' }}>
+                                {store.productCount} {store.productCount === 1 ? 'Piece' : 'Pieces'}
+                            </p>
+                            <h1 className="text-4xl lg:text-5xl font-light leading-tight" style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                                {store.storeName}
+                            </h1>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col lg:flex-row gap-16">
+
+                        {/* ── About & Policies ── */}
+                        <aside className="w-full lg:w-72 shrink-0 flex flex-col gap-10">
+                            {store.description && (
+                                <div>
+                                    <h3 className="text-[10px] uppercase tracking-[0.24em] font-medium mb-4" style={{ color: '#C9A96E' }}>About</h3>
+                                    <p className="text-sm leading-relaxed whitespace-pre-line" style={{ color: '#7A6E63' }}>{store.description}</p>
+                                </div>
+                            )}
+                            {policies.map(policy => (
+                                <div key={policy.key}>
+                                    <h3 className="text-[10px] uppercase tracking-[0.24em] font-medium mb-4" style={{ color: '#C9A96E' }}>{policy.label}</h3>
+                                    <p className="text-sm leading-relaxed whitespace-pre-line" style={{ color: '#7A6E63' }}>{store.policies[policy.key]}</p>
+                                </div>
+                            ))}
+                        </aside>
+
+                        {/* ── Products ── */}
+                        <div className="flex-1">
+                            <div className="flex justify-end mb-8">
+                                <select
+                                    value={sort}
+                                    onChange={(e) => setSort(e.target.value)}
+                                    className="bg-transparent outline-none text-[10px] uppercase tracking-[0.2em] font-medium border-b py-2 cursor-pointer"
+                                    style={{ borderColor: '#d0c5b5', color: '#7A6E63' }}
+                                >
+                                    <option value="newest">Newest</option>
+                                    <option value="price_asc">Price: Low to High</option>
+                                    <option value="price_desc">Price: High to Low</option>
+                                    <option value="rating">Top Rated</option>
+                                </select>
+                            </div>
+
+                            {products.length > 0 ? (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-x-8 gap-y-16">
+                                    {products.map(product => {
+                                        const price = product.displayPrice || product.price;
+
+                                        return (
+                                            <div key={product._id}
+                                                onClick={() => navigate(`/product/${product._id}`)}
+                                                className="group cursor-pointer flex flex-col">
+                                                <div className="aspect-[4/5] overflow-hidden mb-6" style={{ backgroundColor: '#f5f3f0' }}>
+                                                    <ProductImage
+                                                        image={product.images?.[0]}
+                                                        alt={product.title}
+                                                        className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
+                                                    />
+                                                </div>
+                                                <h3 className="text-xl leading-snug transition-colors duration-300 group-hover:text-[#C9A96E]"
+                                                    style={{ fontFamily: "'Cormorant Garamond', serif", color: '#1b1c1a' }}>
+                                                    {product.title}
+                                                </h3>
+                                                <span className="text-xs tracking-[0.05em] mt-2" style={{ color: '#7A6E63' }}>
+                                                    {price?.currency} {price?.amount?.toLocaleString()}
+                                                </span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            ) : (
+                                <p className="text-sm py-24 text-center" style={{ color: '#B5ADA3' }}>This store has no pieces yet.</p>
+                            )}
+
+                            {pagination.hasMore && (
+                                <div className="flex justify-center mt-16">
+                                    <button
+                                        onClick={handleLoadMore}
+                                        className="py-4 px-10 text-[11px] uppercase tracking-[0.25em] font-medium border transition-colors duration-300 hover:border-[#C9A96E]"
+                                        style={{ borderColor: '#d0c5b5', color: '#1b1c1a' }}
+                                    >
+                                        Load More
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default Storefront;
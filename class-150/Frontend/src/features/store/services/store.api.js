@@ -0,0 +1,37 @@
+import axios from "axios";
+
+
+const storeApiInstance = axios.create({
+    baseURL: "/api",
+    withCredentials: true
+})
+
+// idOrSlug: the seller id or the store slug
+export const getStore = async (idOrSlug) => {
+    const response = await storeApiInstance.get(`/sellers/${idOrSlug}`);
+    return response.data;
+}
+
+// params: { q, sort, limit, cursor, displayCurrency }
+export const getStoreProducts = async (idOrSlug, params = {}) => {
+    const response = await storeApiInstance.get(`/sellers/${idOrSlug}/products`, { params });
+    return response.data;
+}
+
+export const getMyStore = async () => {
+    const response = await storeApiInstance.get("/seller/profile");
+    return response.data;
+}
+
+// changes: { storeName, slug, description, policies: { shipping, returns, exchanges }, logo, banner, removeLogo, removeBanner }
+export const updateMyStore = async (changes) => {
+    const formData = new FormData();
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        formData.append(key, key === "policies" ? JSON.stringify(value) : value);
+    });
+
+    const response = await storeApiInstance.patch("/seller/profile", formData);
+    return response.data;
+}
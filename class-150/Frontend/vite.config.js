@@ -11,6 +11,10 @@ export default defineConfig({
         target: "http://localhost:3000",
         changeOrigin: true,
         secure: false,
+      },
+      "/socket.io": {
+        target: "http://localhost:3000",
+        ws: true,
       }
     }
   }